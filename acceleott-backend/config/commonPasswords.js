@@ -0,0 +1,57 @@
+/**
+ * ==========================================
+ * Common Passwords (backend/config/commonPasswords.js)
+ * ==========================================
+ * Bundled, offline list of the most common / most breached passwords
+ * (public top-lists plus regional and healthcare-specific picks).
+ * Checked by utils/passwordPolicy.js after normalising case, leetspeak
+ * and trailing digits, so "P@ssw0rd2024!" still matches "password".
+ * Kept as a module (not a text file) so serverless bundlers always ship it.
+ */
+
+const COMMON_PASSWORDS = [
+  "123456", "password", "12345678", "qwerty", "123456789", "12345", "1234", "111111",
+  "1234567", "dragon", "123123", "baseball", "abc123", "football", "monkey", "letmein",
+  "696969", "shadow", "master", "666666", "qwertyuiop", "123321", "mustang", "1234567890",
+  "michael", "654321", "superman", "1qaz2wsx", "7777777", "121212", "000000", "qazwsx",
+  "123qwe", "killer", "trustno1", "jordan", "jennifer", "zxcvbnm", "asdfgh", "hunter",
+  "buster", "soccer", "harley", "batman", "andrew", "tigger", "sunshine", "iloveyou", "2000",
+  "charlie", "robert", "thomas", "hockey", "ranger", "daniel", "starwars", "klaster", "112233",
+  "george", "computer", "michelle", "jessica", "pepper", "1111", "zxcvbn", "555555",
+  "11111111", "131313", "freedom", "777777", "pass", "maggie", "159753", "aaaaaa", "ginger",
+  "princess", "joshua", "cheese", "amanda", "summer", "love", "ashley", "nicole", "chelsea",
+  "biteme", "matthew", "access", "yankees", "987654321", "dallas", "austin", "thunder",
+  "taylor", "matrix", "mobilemail", "mom", "monitor", "monitoring", "montana", "moon",
+  "moscow", "password1", "password123", "passw0rd", "p@ssw0rd", "p@ssword", "welcome",
+  "welcome1", "admin", "admin123", "administrator", "root", "toor", "login", "guest",
+  "qwerty123", "qwerty1", "1q2w3e4r", "1q2w3e", "1q2w3e4r5t", "zaq12wsx", "abcd1234", "abcdef",
+  "abc12345", "a1b2c3", "a1b2c3d4", "aa123456", "q1w2e3r4", "q1w2e3r4t5", "asdf1234",
+  "asdfghjkl", "1qazxsw2", "iloveyou1", "princess1", "sunshine1", "football1", "baseball1",
+  "monkey1", "dragon1", "master1", "shadow1", "superman1", "batman1", "charlie1", "letmein1",
+  "whatever", "secret", "secret123", "changeme", "default", "test", "test123", "testing",
+  "demo", "demo123", "hello", "hello123", "hello1", "love123", "lovely", "loveme", "babygirl",
+  "angel", "angel1", "flower", "butterfly", "purple", "michael1", "jessica1", "ashley1",
+  "daniel1", "jordan23", "jordan1", "soccer1", "hockey1", "killer1", "hunter2", "hunter1",
+  "ranger1", "buster1", "tigger1", "pepper1", "ginger1", "cookie", "chocolate", "banana",
+  "orange", "apple", "samsung", "google", "facebook", "linkedin", "twitter", "instagram",
+  "youtube", "internet", "computer1", "system", "server", "network", "office", "office365",
+  "microsoft", "windows", "linux", "ubuntu", "oracle", "mysql", "postgres", "mongodb",
+  "database", "india", "india123", "mumbai", "delhi", "bangalore", "chennai", "kolkata",
+  "hyderabad", "pune", "sachin", "cricket", "cricket1", "krishna", "ganesh", "shiva", "om",
+  "omsairam", "saibaba", "jaihind", "bharat", "hindustan", "doctor", "doctor123", "clinic",
+  "clinic123", "hospital", "health", "health123", "medical", "medicine", "nurse", "patient",
+  "pharmacy", "dental", "dentist", "qwerty12", "qwerty1234", "qwertyui", "12qwaszx",
+  "1234qwer", "qweasd", "qweasdzxc", "asdasd", "asd123", "zxc123", "zxcasdqwe", "147258369",
+  "147258", "159357", "258456", "741852963", "123654", "123789", "321321", "456789", "789456",
+  "789456123", "987654", "246810", "135790", "999999", "888888", "222222", "333333", "444444",
+  "101010", "112211", "121314", "123abc", "abc123456", "password12", "password1234", "pass123",
+  "pass1234", "passwd", "iloveu", "iloveyou2", "teamo", "jesus", "jesus1", "christ", "blessed",
+  "faith", "heaven", "monday", "friday", "sunday", "january", "june", "july", "august",
+  "october", "november", "december", "spring", "autumn", "winter", "summer2023", "summer2024",
+  "summer2025", "winter2024", "spring2024", "autumn2024", "letmein123", "welcome123",
+  "welcome2024", "admin2024", "password2024", "password2023", "password2025", "company",
+  "company123", "business", "marketing", "sales", "sales123", "support", "support123",
+  "service",
+];
+
+export default new Set(COMMON_PASSWORDS);
@@ -0,0 +1,15 @@
+/**
+ * ==========================================
+ * Contact Inbox (backend/config/contactInbox.js)
+ * ==========================================
+ * States of a message from the website contact form
+ * (models/ContactMessage.js). New messages arrive "unread"; the
+ * inbox shows everything that is not archived.
+ */
+
+export const CONTACT_MESSAGE_STATUSES = ["unread", "read", "archived"];
+
+export const DEFAULT_CONTACT_MESSAGE_STATUS = "unread";
+
+// Domain for the Message-IDs of inbox emails (threading), unless CONTACT_MESSAGE_ID_DOMAIN is set
+export const DEFAULT_MESSAGE_ID_DOMAIN = "acceleott.com";
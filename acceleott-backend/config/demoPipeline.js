@@ -0,0 +1,25 @@
+/**
+ * ==========================================
+ * Demo Pipeline (backend/config/demoPipeline.js)
+ * ==========================================
+ * Sales lifecycle of a demo request. Leads start as "new"; each status
+ * lists where it may move next. "won" is final, "lost" can be reopened.
+ */
+
+export const DEMO_STATUSES = ["new", "contacted", "scheduled", "completed", "won", "lost"];
+
+export const DEFAULT_DEMO_STATUS = "new";
+
+export const DEMO_STATUS_TRANSITIONS = {
+  new: ["contacted", "scheduled", "lost"],
+  contacted: ["scheduled", "won", "lost"],
+  scheduled: ["completed", "contacted", "lost"], // back to "contacted" = needs rescheduling
+  completed: ["won", "lost", "scheduled"], // follow-up demo
+  won: [],
+  lost: ["contacted"], // reopen
+};
+
+/**
+ * Can a lead move from one status to another?
+ */
+export const canTransition = (from, to) => DEMO_STATUS_TRANSITIONS[from]?.includes(to) ?? false;
@@ -0,0 +1,42 @@
+/**
+ * ==========================================
+ * Free Email Domains (backend/config/emailDomains.js)
+ * ==========================================
+ * Consumer mailbox providers. A shared domain on one of these says
+ * nothing about two people working at the same company.
+ */
+
+export const FREE_EMAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "yahoo.com",
+  "yahoo.co.in",
+  "yahoo.co.uk",
+  "ymail.com",
+  "rocketmail.com",
+  "outlook.com",
+  "hotmail.com",
+  "hotmail.co.uk",
+  "live.com",
+  "msn.com",
+  "icloud.com",
+  "me.com",
+  "mac.com",
+  "aol.com",
+  "protonmail.com",
+  "proton.me",
+  "pm.me",
+  "zoho.com",
+  "zohomail.in",
+  "gmx.com",
+  "gmx.de",
+  "mail.com",
+  "yandex.com",
+  "yandex.ru",
+  "rediffmail.com",
+  "tutanota.com",
+  "fastmail.com",
+  "hey.com",
+  "qq.com",
+  "163.com",
+]);
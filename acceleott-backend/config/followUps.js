@@ -0,0 +1,59 @@
+/**
+ * ==========================================
+ * Demo Follow-ups (backend/config/followUps.js)
+ * ==========================================
+ * The starting follow-up sequence emailed to people who request a demo
+ * through the website (utils/followUps.js). Admins replace it through
+ * PUT /api/admin/follow-ups (stored in models/FollowUpSequence.js);
+ * these defaults apply until then.
+ *
+ * Step bodies are plain text: blank lines separate paragraphs, URLs
+ * become links, and {{firstName}}, {{name}} and {{siteUrl}} are filled in.
+ */
+
+export const FOLLOW_UP_STOP_REASONS = [
+  "status_changed", // sales picked the lead up (or closed it)
+  "unsubscribed", // the requester clicked the unsubscribe link
+  "merged", // folded into another lead
+  "completed", // every step was sent
+];
+
+export const MAX_FOLLOW_UP_STEPS = 10;
+export const MAX_FOLLOW_UP_DELAY_DAYS = 60;
+
+export const DEFAULT_FOLLOW_UP_STEPS = [
+  {
+    id: "case-study",
+    delayDays: 1,
+    subject: "How clinics grow with Acceleott",
+    body: `Hi {{firstName}},
+
+Thanks again for your interest in Acceleott. While we get your demo ready, here is how clinics like yours use Acceleott to fill their calendars and spend less time on admin:
+
+{{siteUrl}}/blog
+
+Reply to this email if there is anything you would like us to cover in the demo.`,
+  },
+  {
+    id: "aimmed-video",
+    delayDays: 3,
+    subject: "See AIMMED in action",
+    body: `Hi {{firstName}},
+
+AIMMED is the assistant at the heart of Acceleott — it handles patient questions, appointment booking and follow-ups around the clock. Take a short tour here:
+
+{{siteUrl}}/aimmed`,
+  },
+  {
+    id: "check-in",
+    delayDays: 7,
+    subject: "Still interested in an Acceleott demo?",
+    body: `Hi {{firstName}},
+
+Just checking in — would you still like a walkthrough of Acceleott? You can pick a time that suits you here:
+
+{{siteUrl}}/demo
+
+Or simply reply to this email and we will set it up.`,
+  },
+];
@@ -0,0 +1,46 @@
+/**
+ * ==========================================
+ * Lead Scoring (backend/config/leadScoring.js)
+ * ==========================================
+ * Rule types and the starting rule set for scoring inbound demo
+ * requests (utils/leadScoring.js). Admins replace the rules through
+ * PUT /api/admin/lead-scoring (stored in models/LeadScoringRules.js);
+ * these defaults apply until then.
+ */
+
+export const RULE_TYPES = [
+  "designation", // designation contains any of `keywords`
+  "email_domain", // `emailKind` "business" or "free" mailbox
+  "engagement", // browsing `metric` >= `min`
+];
+
+// Counted in the browser before the request (src/utils/engagement.js)
+export const ENGAGEMENT_METRICS = ["visits", "pageViews", "blogPostsViewed"];
+
+export const EMAIL_KINDS = ["business", "free"];
+
+export const MAX_RULES = 50;
+
+// Scores are clamped to 0 … 100
+export const MAX_LEAD_SCORE = 100;
+
+export const DEFAULT_LEAD_SCORING_RULES = [
+  {
+    id: "clinical-decision-maker",
+    label: "Doctor or clinic owner",
+    type: "designation",
+    keywords: ["doctor", "dr", "physician", "surgeon", "dentist", "clinic owner", "owner", "founder"],
+    points: 35,
+  },
+  {
+    id: "management",
+    label: "Management role",
+    type: "designation",
+    keywords: ["ceo", "director", "head", "manager", "administrator", "partner"],
+    points: 20,
+  },
+  { id: "business-email", label: "Business email domain", type: "email_domain", emailKind: "business", points: 20 },
+  { id: "repeat-visitor", label: "Came back to the site", type: "engagement", metric: "visits", min: 2, points: 15 },
+  { id: "blog-reader", label: "Read 2+ blog posts", type: "engagement", metric: "blogPostsViewed", min: 2, points: 10 },
+  { id: "browsed", label: "Viewed 5+ pages", type: "engagement", metric: "pageViews", min: 5, points: 5 },
+];
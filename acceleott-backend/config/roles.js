@@ -0,0 +1,62 @@
+/**
+ * ==========================================
+ * Roles & Permissions (backend/config/roles.js)
+ * ==========================================
+ * Single source of truth for RBAC. Each role maps to a set of
+ * permission strings ("resource:action"); users may additionally be
+ * granted individual permissions on top of their role.
+ */
+
+export const ROLES = ["admin", "sales", "clinic_owner", "clinic_staff", "patient"];
+
+export const DEFAULT_ROLE = "patient";
+
+export const PERMISSIONS = [
+  "demo:read", // view demo requests
+  "demo:write", // update demo requests
+  "bookings:manage", // cancel any rep's booked demos (reps cancel their own with demo:write)
+  "users:read", // list users
+  "users:manage", // change roles & permissions
+  "security:manage", // edit the security policy (e.g. enforced 2FA)
+  "scoring:manage", // edit the lead scoring rules
+  "followups:manage", // edit the demo follow-up email sequence
+  "inbox:manage", // read, reply to and archive contact form messages
+  "webhooks:manage", // register outbound webhooks, view and replay deliveries
+  "audit:read", // query and export the security audit log
+];
+
+export const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS, // full access
+  sales: ["demo:read", "demo:write", "inbox:manage"],
+  clinic_owner: [],
+  clinic_staff: [],
+  patient: [],
+};
+
+/**
+ * Effective permissions of a user = role permissions ∪ explicit grants.
+ * @param {{ role?: string, permissions?: string[] }} user
+ * @returns {string[]}
+ */
+export const permissionsFor = (user) => {
+  const fromRole = ROLE_PERMISSIONS[user?.role] || [];
+  return [...new Set([...fromRole, ...(user?.permissions || [])])];
+};
+
+// Scopes an organization API key may be granted (see models/ApiKey.js)
+export const API_KEY_SCOPES = [
+  "demo:write", // submit demo requests / leads
+  "users:read", // list the organization's members
+];
+
+/* ------------------------------------------
+   Organization (clinic tenant) roles
+   Held per organization via models/Membership.js,
+   independent of the global role above.
+------------------------------------------ */
+export const ORG_ROLES = ["owner", "admin", "doctor", "receptionist"];
+
+export const DEFAULT_ORG_ROLE = "doctor";
+
+// Roles that may invite, remove and re-role members
+export const ORG_MANAGER_ROLES = ["owner", "admin"];
@@ -0,0 +1,51 @@
+/**
+ * ==========================================
+ * Spam Protection (backend/config/spamProtection.js)
+ * ==========================================
+ * Settings for the public forms (demo request, registration, contact).
+ * Every submission gets a spam score from 0 to 100. At or above
+ * QUARANTINE_SCORE it is stored but quarantined: no admin email, and
+ * hidden from the pipeline until staff release it.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const SPAM_FORMS = ["demo", "register", "contact"];
+
+// Hidden input real users never see or fill
+export const HONEYPOT_FIELD = "website";
+
+// Faster than this from challenge issue (≈ page load) to submit is not a human typing
+export const MIN_FILL_MS = 3000;
+
+export const QUARANTINE_SCORE = Number(process.env.SPAM_QUARANTINE_SCORE) || 50;
+
+export const PROOF_OF_WORK = Object.freeze({
+  difficulty: Number(process.env.POW_DIFFICULTY) || 16, // leading zero bits of sha256
+  ttlMs: 2 * HOUR_MS, // challenge validity (forms can stay open a while)
+});
+
+// Submissions allowed per fixed window, per IP and per email address
+export const SUBMISSION_LIMITS = Object.freeze({
+  demo: { ip: { limit: 10, windowMs: HOUR_MS }, email: { limit: 3, windowMs: 24 * HOUR_MS } },
+  register: { ip: { limit: 10, windowMs: HOUR_MS }, email: { limit: 5, windowMs: 24 * HOUR_MS } },
+  contact: { ip: { limit: 10, windowMs: HOUR_MS }, email: { limit: 5, windowMs: 24 * HOUR_MS } },
+});
+
+// Throwaway inbox providers (a signal, not a block)
+export const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  "mailinator.com",
+  "guerrillamail.com",
+  "10minutemail.com",
+  "tempmail.com",
+  "temp-mail.org",
+  "yopmail.com",
+  "trashmail.com",
+  "sharklasers.com",
+  "getnada.com",
+  "dispostable.com",
+  "maildrop.cc",
+  "throwawaymail.com",
+  "fakeinbox.com",
+  "mintemail.com",
+]);
@@ -0,0 +1,36 @@
+/**
+ * ==========================================
+ * Outbound Webhooks (backend/config/webhooks.js)
+ * ==========================================
+ * Events admins can subscribe an endpoint to, and the retry schedule
+ * for failed deliveries (utils/webhooks.js).
+ */
+
+export const WEBHOOK_EVENTS = [
+  "demo.created", // a demo request entered the pipeline (form, booking, API or spam release)
+  "user.registered", // a new account signed up
+  "user.verified", // an account confirmed its email address
+  "contact.received", // a contact form message arrived
+];
+
+// Sent by "Send test" only; endpoints cannot subscribe to it
+export const TEST_EVENT = "webhook.test";
+
+export const MAX_ENDPOINTS = 20;
+
+// Attempts per delivery, including the first one
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+// Exponential backoff: 1 min, 2 min, 4 min … capped at 6 hours
+export const RETRY_BASE_DELAY_MS = 60 * 1000;
+export const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+export const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// How long the request that caused an event waits for the first attempt.
+// Serverless functions freeze once they respond, so an attempt still
+// running after this is finished by the retry cron instead.
+export const FIRST_ATTEMPT_WAIT_MS = 3 * 1000;
+
+// Delivery logs older than this are deleted automatically
+export const DELIVERY_RETENTION_DAYS = 30;
@@ -0,0 +1,543 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import DemoRequest from "../models/DemoRequest.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import AuditEvent from "../models/AuditEvent.js";
+import { ROLES, PERMISSIONS, permissionsFor } from "../config/roles.js";
+import { recordAudit, userTarget, buildAuditFilter } from "../utils/audit.js";
+import { DEFAULT_DEMO_STATUS } from "../config/demoPipeline.js";
+import { RULE_TYPES, ENGAGEMENT_METRICS } from "../config/leadScoring.js";
+import { csvRow, startCsvDownload } from "../utils/csv.js";
+import { startXlsxDownload } from "../utils/xlsx.js";
+import { drained } from "../utils/streams.js";
+import {
+  buildDemoRequestFilter,
+  buildDemoRequestSort,
+  buildUserFilter,
+  buildAttributionQuery,
+} from "../utils/listFilters.js";
+import { buildAttributionReport } from "../utils/attribution.js";
+import { rescoreLeads } from "../utils/leadScoring.js";
+import LeadScoringRules from "../models/LeadScoringRules.js";
+import FollowUpSequence from "../models/FollowUpSequence.js";
+
+/**
+ * 🧑‍💼 Admin Controller
+ * User, role and security-policy management for administrators,
+ * the security audit log and lead / user exports.
+ * Every admin action is itself audited.
+ */
+
+const toAdminUserView = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: user.permissions,
+  effectivePermissions: permissionsFor(user),
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt,
+});
+
+/* -------------------------------
+   LIST USERS
+--------------------------------*/
+export const listUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = buildUserFilter(req.query);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    await recordAudit(req, {
+      action: "admin.users.viewed",
+      metadata: { filter, page, limit, returned: users.length },
+    });
+
+    return res.json({
+      success: true,
+      data: users.map(toAdminUserView),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("List users error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while listing users." });
+  }
+};
+
+/* -------------------------------
+   UPDATE ROLE / PERMISSIONS
+--------------------------------*/
+export const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, permissions } = req.body;
+
+    if (!mongoose.isValidObjectId(id))
+      return res.status(400).json({ success: false, message: "Invalid user id." });
+
+    if (role !== undefined && !ROLES.includes(role))
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(", ")}.` });
+
+    if (permissions !== undefined) {
+      const invalid = Array.isArray(permissions)
+        ? permissions.filter((p) => !PERMISSIONS.includes(p))
+        : ["(not an array)"];
+      if (invalid.length)
+        return res.status(400).json({ success: false, message: `Invalid permissions: ${invalid.join(", ")}.` });
+    }
+
+    // Prevent admins from locking themselves out
+    if (String(req.user._id) === id && role && role !== "admin")
+      return res.status(400).json({ success: false, message: "You cannot remove your own admin role." });
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found." });
+
+    const previous = { role: user.role, permissions: [...user.permissions] };
+
+    if (role !== undefined) user.role = role;
+    if (permissions !== undefined) user.permissions = [...new Set(permissions)];
+    await user.save();
+
+    await recordAudit(req, {
+      action: "admin.user.role_updated",
+      target: userTarget(user),
+      metadata: { previous, current: { role: user.role, permissions: user.permissions } },
+    });
+
+    return res.json({ success: true, message: "User role updated.", data: toAdminUserView(user) });
+  } catch (err) {
+    console.error("Update role error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while updating role." });
+  }
+};
+
+/* -------------------------------
+   SECURITY POLICY
+--------------------------------*/
+export const getSecurityPolicy = async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    return res.json({ success: true, data: policy });
+  } catch (err) {
+    console.error("Get policy error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading policy." });
+  }
+};
+
+export const updateSecurityPolicy = async (req, res) => {
+  try {
+    const { enforceTwoFactorRoles, auditRetentionDays } = req.body;
+    const update = { updatedBy: req.user._id };
+
+    if (enforceTwoFactorRoles !== undefined) {
+      if (!Array.isArray(enforceTwoFactorRoles) || enforceTwoFactorRoles.some((r) => !ROLES.includes(r)))
+        return res.status(400).json({
+          success: false,
+          message: `enforceTwoFactorRoles must be an array of: ${ROLES.join(", ")}.`,
+        });
+      update.enforceTwoFactorRoles = [...new Set(enforceTwoFactorRoles)];
+    }
+
+    if (auditRetentionDays !== undefined) {
+      if (!Number.isInteger(auditRetentionDays))
+        return res.status(400).json({ success: false, message: "auditRetentionDays must be a whole number." });
+      update.auditRetentionDays = auditRetentionDays; // bounds checked by the schema
+    }
+
+    const policy = await SecurityPolicy.findOneAndUpdate({ key: "global" }, update, {
+      upsert: true,
+      new: true,
+      runValidators: true,
+    });
+    SecurityPolicy.clearCache();
+
+    await recordAudit(req, {
+      action: "admin.security_policy.updated",
+      target: { type: "security_policy", id: "global" },
+      metadata: { enforceTwoFactorRoles: update.enforceTwoFactorRoles, auditRetentionDays },
+    });
+
+    return res.json({ success: true, message: "Security policy updated.", data: policy });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("Update policy error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while updating policy." });
+  }
+};
+
+/* -------------------------------
+   LEAD SCORING RULES
+   Saving a new rule set starts rescoring every lead without holding
+   the response (it can outlast a serverless request); the daily cron
+   finishes whatever that run doesn't — leads carry their rule version.
+--------------------------------*/
+export const getLeadScoringRules = async (req, res) => {
+  try {
+    const ruleSet = await LeadScoringRules.getRules();
+    return res.json({
+      success: true,
+      data: { ...ruleSet, ruleTypes: RULE_TYPES, engagementMetrics: ENGAGEMENT_METRICS },
+    });
+  } catch (err) {
+    console.error("Get scoring rules error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading scoring rules." });
+  }
+};
+
+export const updateLeadScoringRules = async (req, res) => {
+  try {
+    const { rules } = req.body;
+    if (!Array.isArray(rules))
+      return res.status(400).json({ success: false, message: "rules must be an array." });
+
+    await LeadScoringRules.getRules(); // make sure the document exists
+    const ruleSet = await LeadScoringRules.findOne({ key: "global" });
+    ruleSet.rules = rules;
+    ruleSet.version += 1;
+    ruleSet.updatedBy = req.user._id;
+    await ruleSet.save(); // validators reject malformed rules
+    LeadScoringRules.clearCache();
+
+    await recordAudit(req, {
+      action: "admin.lead_scoring.updated",
+      target: { type: "lead_scoring_rules", id: "global" },
+      metadata: { version: ruleSet.version, rules: rules.length },
+    });
+
+    // Not awaited: the rescore cron picks up any lead this doesn't reach
+    rescoreLeads().catch((err) => console.error("❌ Rescoring after rules update failed:", err.message));
+
+    return res.json({
+      success: true,
+      message: "Scoring rules saved; rescoring queued.",
+      data: ruleSet.toObject(),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("Update scoring rules error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while updating scoring rules." });
+  }
+};
+
+/* -------------------------------
+   FOLLOW-UP SEQUENCE
+   Changes apply to leads already in the sequence: steps they
+   have not been sent yet go out on the new schedule.
+--------------------------------*/
+export const getFollowUpSequence = async (req, res) => {
+  try {
+    const sequence = await FollowUpSequence.getSequence();
+    return res.json({ success: true, data: sequence });
+  } catch (err) {
+    console.error("Get follow-up sequence error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading the follow-up sequence." });
+  }
+};
+
+export const updateFollowUpSequence = async (req, res) => {
+  try {
+    const { enabled, steps } = req.body;
+    if (steps !== undefined && !Array.isArray(steps))
+      return res.status(400).json({ success: false, message: "steps must be an array." });
+
+    await FollowUpSequence.getSequence(); // make sure the document exists
+    const sequence = await FollowUpSequence.findOne({ key: "global" });
+    if (enabled !== undefined) sequence.enabled = Boolean(enabled);
+    if (steps !== undefined) sequence.steps = steps;
+    sequence.updatedBy = req.user._id;
+    await sequence.save(); // validators reject malformed steps
+    FollowUpSequence.clearCache();
+
+    await recordAudit(req, {
+      action: "admin.follow_ups.updated",
+      target: { type: "follow_up_sequence", id: "global" },
+      metadata: { enabled: sequence.enabled, steps: sequence.steps.map((s) => s.id) },
+    });
+
+    return res.json({ success: true, message: "Follow-up sequence saved.", data: sequence.toObject() });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("Update follow-up sequence error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while updating the follow-up sequence." });
+  }
+};
+
+/* -------------------------------
+   AUDIT LOG
+   Filters: see buildAuditFilter() in utils/audit.js
+--------------------------------*/
+const AUDIT_CSV_COLUMNS = [
+  "time",
+  "action",
+  "outcome",
+  "reason",
+  "actorType",
+  "actorUser",
+  "actorEmail",
+  "actorApiKey",
+  "targetType",
+  "targetId",
+  "targetLabel",
+  "organization",
+  "ip",
+  "userAgent",
+  "metadata",
+];
+
+const toAuditCsvValues = (event) => [
+  event.createdAt,
+  event.action,
+  event.outcome,
+  event.reason,
+  event.actor?.type,
+  event.actor?.user,
+  event.actor?.email,
+  event.actor?.apiKey,
+  event.target?.type,
+  event.target?.id,
+  event.target?.label,
+  event.organization,
+  event.ip,
+  event.userAgent,
+  event.metadata,
+];
+
+export const listAuditEvents = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = buildAuditFilter(req.query);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter),
+    ]);
+
+    await recordAudit(req, { action: "admin.audit.viewed", metadata: { query: req.query } });
+
+    return res.json({
+      success: true,
+      data: events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("List audit events error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading audit events." });
+  }
+};
+
+// Streams every matching event — no pagination, and waits for the client when its
+// buffer is full, so large ranges don't buffer in memory
+export const exportAuditEvents = async (req, res) => {
+  let cursor = null;
+  try {
+    const filter = buildAuditFilter(req.query);
+
+    await recordAudit(req, { action: "admin.audit.exported", metadata: { query: req.query } });
+
+    startCsvDownload(res, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`, AUDIT_CSV_COLUMNS);
+    cursor = AuditEvent.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    for await (const event of cursor) {
+      if (!res.write(csvRow(toAuditCsvValues(event)))) await drained(res);
+    }
+    return res.end();
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("Export audit events error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while exporting audit events." });
+  } finally {
+    await cursor?.close();
+  }
+};
+
+/* -------------------------------
+   LEAD & USER EXPORTS
+   ?format=csv|xlsx &columns=name,email,... plus the list view's filters
+   (buildDemoRequestFilter / buildUserFilter in utils/listFilters.js)
+--------------------------------*/
+// "google / cpc / spring-launch"
+const touchLabel = (touch) =>
+  touch ? [touch.source, touch.medium, touch.campaign].filter(Boolean).join(" / ") : "";
+
+const DEMO_EXPORT_COLUMNS = {
+  id: (demo) => demo._id,
+  createdAt: (demo) => demo.createdAt,
+  name: (demo) => demo.name,
+  email: (demo) => demo.email,
+  contact: (demo) => demo.contact,
+  contactCountry: (demo) => demo.contactCountry,
+  designation: (demo) => demo.designation,
+  status: (demo) => demo.status || DEFAULT_DEMO_STATUS,
+  owner: (demo) => demo.owner?.email,
+  source: (demo) => demo.submittedVia,
+  organization: (demo) => demo.organization,
+  notesCount: (demo) => demo.notes?.length || 0,
+  spamScore: (demo) => demo.spam?.score,
+  leadScore: (demo) => demo.leadScore?.score,
+  firstTouch: (demo) => touchLabel(demo.attribution?.firstTouch),
+  lastTouch: (demo) => touchLabel(demo.attribution?.lastTouch),
+  updatedAt: (demo) => demo.updatedAt,
+};
+
+const USER_EXPORT_COLUMNS = {
+  id: (user) => user._id,
+  createdAt: (user) => user.createdAt,
+  name: (user) => user.name,
+  email: (user) => user.email,
+  phone: (user) => user.phone,
+  phoneCountry: (user) => user.phoneCountry,
+  occupation: (user) => user.occupation,
+  source: (user) => user.source,
+  firstTouch: (user) => touchLabel(user.attribution?.firstTouch),
+  lastTouch: (user) => touchLabel(user.attribution?.lastTouch),
+  role: (user) => user.role,
+  emailVerified: (user) => user.emailVerified,
+  twoFactorEnabled: (user) => user.twoFactorEnabled,
+  deletionScheduledFor: (user) => user.deletionScheduledFor,
+};
+
+// Only these fields are ever read for a user export (no hashes or secrets)
+const USER_EXPORT_FIELDS =
+  "name email phone phoneCountry occupation source attribution role emailVerified twoFactorEnabled deletionScheduledFor createdAt";
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+// ?columns=a,b,c → validated column names (default: all, in definition order)
+const parseExportColumns = (requested, definitions) => {
+  if (!requested) return Object.keys(definitions);
+  const columns = String(requested)
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+  const unknown = columns.filter((c) => !definitions[c]);
+  if (unknown.length || !columns.length)
+    throw Object.assign(
+      new Error(`Unknown column: ${unknown.join(", ") || "(none)"}. Available: ${Object.keys(definitions).join(", ")}.`),
+      { status: 400 }
+    );
+  return [...new Set(columns)];
+};
+
+const parseExportFormat = (format = "csv") => {
+  if (!EXPORT_FORMATS.includes(format))
+    throw Object.assign(new Error(`Format must be one of: ${EXPORT_FORMATS.join(", ")}.`), { status: 400 });
+  return format;
+};
+
+// Streams cursor documents as CSV or XLSX, waiting for the client when its buffer is full.
+// A disconnect ends the export with an error; the cursor is closed either way.
+const streamExport = async (res, { format, filename, columns, definitions, cursor }) => {
+  const toValues = (doc) => columns.map((column) => definitions[column](doc));
+
+  try {
+    if (format === "xlsx") {
+      const sheet = startXlsxDownload(res, `${filename}.xlsx`, columns);
+      for await (const doc of cursor) await sheet.writeRow(toValues(doc));
+      return await sheet.finish();
+    }
+
+    startCsvDownload(res, `${filename}.csv`, columns);
+    for await (const doc of cursor) {
+      if (!res.write(csvRow(toValues(doc)))) await drained(res);
+    }
+    return res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+const exportFilename = (name) => `${name}-${new Date().toISOString().slice(0, 10)}`;
+
+export const exportDemoRequests = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const columns = parseExportColumns(req.query.columns, DEMO_EXPORT_COLUMNS);
+    const filter = buildDemoRequestFilter(req.query, req.user);
+    const sort = buildDemoRequestSort(req.query);
+
+    await recordAudit(req, {
+      action: "admin.demo_requests.exported",
+      metadata: { query: req.query, format, columns },
+    });
+
+    await streamExport(res, {
+      format,
+      filename: exportFilename("demo-requests"),
+      columns,
+      definitions: DEMO_EXPORT_COLUMNS,
+      cursor: DemoRequest.find(filter).sort(sort).populate("owner", "email").lean().cursor(),
+    });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("Export demo requests error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while exporting demo requests." });
+  }
+};
+
+export const exportUsers = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const columns = parseExportColumns(req.query.columns, USER_EXPORT_COLUMNS);
+    const filter = buildUserFilter(req.query);
+
+    await recordAudit(req, {
+      action: "admin.users.exported",
+      metadata: { query: req.query, format, columns },
+    });
+
+    await streamExport(res, {
+      format,
+      filename: exportFilename("users"),
+      columns,
+      definitions: USER_EXPORT_COLUMNS,
+      cursor: User.find(filter).select(USER_EXPORT_FIELDS).sort({ createdAt: -1 }).lean().cursor(),
+    });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("Export users error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while exporting users." });
+  }
+};
+
+/* -------------------------------
+   ATTRIBUTION REPORT
+   Demo requests and sign-ups per source / medium / campaign
+   ?from &to &touch=first|last
+--------------------------------*/
+export const getAttributionReport = async (req, res) => {
+  try {
+    const { touch, filter } = buildAttributionQuery(req.query);
+    const report = await buildAttributionReport({ touch, filter });
+
+    return res.json({
+      success: true,
+      data: { touch, from: req.query.from || null, to: req.query.to || null, ...report },
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("Attribution report error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while building the report." });
+  }
+};
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import ApiKey from "../models/ApiKey.js";
+import { API_KEY_SCOPES } from "../config/roles.js";
+import { createToken, hashToken } from "../utils/tokens.js";
+import { recordAudit } from "../utils/audit.js";
+
+/**
+ * 🔑 API Key Controller
+ * Organization-owned keys for partner integrations. Acts on the active
+ * organization (req.tenant); only owners and admins reach these handlers.
+ */
+
+const KEY_PREFIX = "acc_";
+
+const toApiKeyView = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
+
+/* -------------------------------
+   LIST KEYS
+--------------------------------*/
+export const listApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find().forTenant(req.tenant).sort({ createdAt: -1 }).lean();
+    return res.json({ success: true, data: keys.map(toApiKeyView), scopes: API_KEY_SCOPES });
+  } catch (err) {
+    console.error("List API keys error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading API keys." });
+  }
+};
+
+/* -------------------------------
+   CREATE KEY
+   The full key is returned once and never stored.
+--------------------------------*/
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const invalid = Array.isArray(scopes)
+      ? scopes.filter((s) => !API_KEY_SCOPES.includes(s))
+      : ["(not an array)"];
+    if (invalid.length)
+      return res.status(400).json({ success: false, message: `Invalid scopes: ${invalid.join(", ")}.` });
+
+    const key = `${KEY_PREFIX}${createToken(32).rawToken}`;
+
+    const apiKey = await ApiKey.create({
+      organization: req.tenant.organizationId,
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "org.api_key.created",
+      target: { type: "api_key", id: String(apiKey._id), label: apiKey.prefix },
+      metadata: { name: apiKey.name, scopes: apiKey.scopes },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now — it won’t be shown again.",
+      data: { ...toApiKeyView(apiKey), key },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("Create API key error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while creating API key." });
+  }
+};
+
+/* -------------------------------
+   REVOKE KEY
+--------------------------------*/
+export const revokeApiKey = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "API key not found." });
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).forTenant(req.tenant);
+
+    if (!apiKey) return res.status(404).json({ success: false, message: "API key not found." });
+
+    await recordAudit(req, {
+      action: "org.api_key.revoked",
+      target: { type: "api_key", id: String(apiKey._id), label: apiKey.prefix },
+    });
+    return res.json({ success: true, message: "API key revoked.", data: toApiKeyView(apiKey) });
+  } catch (err) {
+    console.error("Revoke API key error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while revoking API key." });
+  }
+};
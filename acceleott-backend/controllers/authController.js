@@ -1,8 +1,33 @@
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import crypto from "crypto";
 import nodemailer from "nodemailer";
+import { createToken, hashToken } from "../utils/tokens.js";
+import { permissionsFor } from "../config/roles.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import {
+  startSession,
+  signTwoFactorChallenge,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAllSessions,
+  clearAuthCookies,
+  setMagicLinkDeviceCookie,
+  clearMagicLinkDeviceCookie,
+  reissueAccessToken,
+} from "../utils/session.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockWithToken,
+  respondBlocked,
+  respondFailure,
+} from "../utils/loginThrottle.js";
+import { PASSWORD_POLICY, evaluatePassword, rejectWeakPassword } from "../utils/passwordPolicy.js";
+import { recordAudit, userActor, userTarget } from "../utils/audit.js";
+import { linkUserToDemoRequests } from "../utils/leadMatching.js";
+import { sanitizeAttribution } from "../utils/attribution.js";
+import { emitWebhookEvent, userWebhookData } from "../utils/webhooks.js";
 
 /* -------------------------------
    EMAIL TRANSPORT CONFIGURATION
@@ -29,13 +54,28 @@ transporter.verify((error, success) => {
   }
 });
 
+/* -------------------------------
+   VERIFICATION LINK
+   Points at GET /api/auth/verify/:token, which redirects to the SPA.
+   The frontend proxies /api in dev and shares the origin in production.
+--------------------------------*/
+const buildVerifyUrl = (rawToken) =>
+  `${process.env.API_BASE_URL || process.env.FRONTEND_URL || "http://localhost:5173"}/api/auth/verify/${rawToken}`;
+
 /* -------------------------------
    BUILD VERIFICATION EMAIL TEMPLATE
 --------------------------------*/
-const buildVerificationEmail = (name, verifyUrl) => `
+const buildVerificationEmail = (
+  name,
+  verifyUrl,
+  {
+    heading = `Welcome to Acceleott, ${name}!`,
+    intro = "Thanks for registering. Please confirm your email by clicking the button below.",
+  } = {}
+) => `
   <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
-    <h2>Welcome to Acceleott, ${name}!</h2>
-    <p>Thanks for registering. Please confirm your email by clicking the button below.</p>
+    <h2>${heading}</h2>
+    <p>${intro}</p>
     <p style="margin:24px 0">
       <a href="${verifyUrl}" 
          style="background:#0ea5a5;color:#fff;padding:12px 18px;border-radius:8px;
@@ -50,41 +90,127 @@ const buildVerificationEmail = (name, verifyUrl) => `
   </div>
 `;
 
+/* -------------------------------
+   BUILD PASSWORD RESET EMAIL TEMPLATE
+--------------------------------*/
+const buildPasswordResetEmail = (name, resetUrl) => `
+  <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+    <h2>Reset your Acceleott password</h2>
+    <p>Hi ${name}, we received a request to reset your password.
+       This link is valid for 1 hour and can only be used once.</p>
+    <p style="margin:24px 0">
+      <a href="${resetUrl}" 
+         style="background:#0ea5a5;color:#fff;padding:12px 18px;border-radius:8px;
+                text-decoration:none;font-weight:600">
+        Choose a new password
+      </a>
+    </p>
+    <p>If the button doesn’t work, copy this link:</p>
+    <p style="word-break:break-all">${resetUrl}</p>
+    <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0">
+    <small>If you didn’t request a password reset, you can ignore this email — your password will not change.</small>
+  </div>
+`;
+
+const MAGIC_LINK_TTL_MINUTES = 15;
+const MAGIC_LINK_TTL_MS = MAGIC_LINK_TTL_MINUTES * 60 * 1000;
+const MAGIC_LINK_RESEND_COOLDOWN_MS = 60 * 1000;
+
+/* -------------------------------
+   BUILD MAGIC LINK EMAIL TEMPLATE
+--------------------------------*/
+const buildMagicLinkEmail = (name, loginUrl) => `
+  <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+    <h2>Your Acceleott login link</h2>
+    <p>Hi ${name}, click the button below to sign in. This link is valid for
+       ${MAGIC_LINK_TTL_MINUTES} minutes, can only be used once, and only works in the
+       browser where you requested it.</p>
+    <p style="margin:24px 0">
+      <a href="${loginUrl}" 
+         style="background:#0ea5a5;color:#fff;padding:12px 18px;border-radius:8px;
+                text-decoration:none;font-weight:600">
+        Sign in to Acceleott
+      </a>
+    </p>
+    <p>If the button doesn’t work, copy this link:</p>
+    <p style="word-break:break-all">${loginUrl}</p>
+    <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0">
+    <small>If you didn’t request this, you can ignore this email — nobody can sign in without it.</small>
+  </div>
+`;
+
+/* -------------------------------
+   COMPLETE LOGIN
+   Shared by password and magic-link login once the first factor passed:
+   2FA enabled → hand out a challenge, otherwise start the session.
+--------------------------------*/
+const completeLogin = async (req, res, user, method) => {
+  // 2FA enabled → no session yet; the client must call /2fa/verify
+  if (user.twoFactorEnabled) {
+    await recordAudit(req, {
+      action: "auth.login.two_factor_required",
+      actor: userActor(user),
+      metadata: { method },
+    });
+    return res.json({
+      message: "Enter the code from your authenticator app.",
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user),
+    });
+  }
+
+  // Short-lived access cookie + rotating refresh cookie
+  await startSession(req, res, user);
+  await recordAudit(req, { action: "auth.login", actor: userActor(user), metadata: { method } });
+
+  return res.json({
+    message: "Login successful.",
+    user: { id: user._id, name: user.name, email: user.email },
+    twoFactorSetupRequired: await SecurityPolicy.requiresTwoFactor(user.role),
+  });
+};
+
 /* -------------------------------
    REGISTER USER
 --------------------------------*/
 export const registerUser = async (req, res) => {
   try {
-    const { name, email, password, phone, occupation, source } = req.body;
+    const { name, email, password, phone, phoneCountry, occupation, source } = req.body;
 
     if (!name || !email || !password)
       return res.status(400).json({ message: "Name, email, and password are required." });
 
+    if (rejectWeakPassword(res, password, { name, email })) return;
+
     const existing = await User.findOne({ email: email.toLowerCase().trim() });
     if (existing) return res.status(400).json({ message: "User already exists." });
 
-    const salt = await bcrypt.genSalt(12);
-    const hashed = await bcrypt.hash(password, salt);
+    const { rawToken, hashedToken } = createToken();
 
+    // Plain password — hashed once by the User pre-save hook
     const user = await User.create({
       name: name.trim(),
       email: email.toLowerCase().trim(),
-      password: hashed,
+      password,
       phone,
+      phoneCountry,
       occupation,
       source,
+      ...(req.spam && { signupSpam: req.spam }),
+      attribution: sanitizeAttribution(req.body.attribution),
       emailVerified: false,
+      verifyToken: hashedToken,
+      verifyTokenExpires: Date.now() + 24 * 60 * 60 * 1000,
     });
 
-    const rawToken = crypto.randomBytes(32).toString("hex");
-    const hashedToken = crypto.createHash("sha256").update(rawToken).digest("hex");
-
-    user.verifyToken = hashedToken;
-    user.verifyTokenExpires = Date.now() + 24 * 60 * 60 * 1000;
-    await user.save();
+    await recordAudit(req, {
+      action: "auth.register",
+      actor: userActor(user),
+      target: userTarget(user),
+      ...(req.spam?.quarantined && { metadata: { spam: req.spam } }),
+    });
 
-    const verifyUrl =
-      `${process.env.FRONTEND_URL || process.env.APP_BASE_URL || "http://localhost:5173"}/verify/${rawToken}`;
+    const verifyUrl = buildVerifyUrl(rawToken);
 
     // Send verification email
     transporter.sendMail({
@@ -94,8 +220,8 @@ export const registerUser = async (req, res) => {
       html: buildVerificationEmail(user.name, verifyUrl),
     }).catch(err => console.error("❌ Failed to send verification email:", err.message));
 
-    // Optional: notify admin
-    if (process.env.ADMIN_EMAIL) {
+    // Optional: notify admin (not about likely bot sign-ups — they still have to verify)
+    if (process.env.ADMIN_EMAIL && !req.spam?.quarantined) {
       transporter.sendMail({
         from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
         to: process.env.ADMIN_EMAIL,
@@ -111,10 +237,14 @@ export const registerUser = async (req, res) => {
       }).catch(err => console.error("⚠️ Admin email failed:", err.message));
     }
 
+    if (!req.spam?.quarantined) await emitWebhookEvent("user.registered", userWebhookData(user));
+
     return res.status(201).json({
       message: "User registered. Please check your email to verify your account.",
     });
   } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: Object.values(err.errors)[0].message });
     console.error("Register error:", err.message);
     if (err.code === 11000 && err.keyPattern?.email)
       return res.status(400).json({ message: "Email already registered." });
@@ -124,27 +254,43 @@ export const registerUser = async (req, res) => {
 
 /* -------------------------------
    VERIFY EMAIL
+   Handles both registration links and email-change links —
+   they share the same /verify/:token URL format.
 --------------------------------*/
 export const verifyEmail = async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
   try {
     const { token } = req.params;
     if (!token) return res.status(400).send("Invalid verification token.");
 
-    const hashed = crypto.createHash("sha256").update(token).digest("hex");
+    const hashed = hashToken(token);
 
     const user = await User.findOne({
       verifyToken: hashed,
       verifyTokenExpires: { $gt: Date.now() },
     });
 
-    if (!user) return res.status(400).send("Invalid or expired verification link.");
+    if (!user) {
+      const changing = await User.findOne({
+        pendingEmailToken: hashed,
+        pendingEmailExpires: { $gt: Date.now() },
+      });
+      if (changing) return confirmEmailChange(req, res, changing, frontendUrl);
+
+      await recordAudit(req, { action: "auth.email.verified", outcome: "failure", reason: "invalid_token" });
+      return res.status(400).send("Invalid or expired verification link.");
+    }
 
     user.emailVerified = true;
     user.verifyToken = undefined;
     user.verifyTokenExpires = undefined;
     await user.save();
+    await linkUserToDemoRequests(user);
+
+    await recordAudit(req, { action: "auth.email.verified", actor: userActor(user), target: userTarget(user) });
+    await emitWebhookEvent("user.verified", userWebhookData(user));
 
-    const successRedirect = `${process.env.FRONTEND_URL || "http://localhost:5173"}/verify-success`;
+    const successRedirect = `${frontendUrl}/verify-success`;
     return res.redirect(successRedirect);
   } catch (err) {
     console.error("Verify error:", err.message);
@@ -152,6 +298,59 @@ export const verifyEmail = async (req, res) => {
   }
 };
 
+/* -------------------------------
+   CONFIRM EMAIL CHANGE
+   Swap in the verified address and tell the old one about it.
+--------------------------------*/
+const confirmEmailChange = async (req, res, user, frontendUrl) => {
+  const settingsUrl = `${frontendUrl}/account/settings`;
+  const previousEmail = user.email;
+
+  user.email = user.pendingEmail;
+  user.emailVerified = true;
+  user.pendingEmail = undefined;
+  user.pendingEmailToken = undefined;
+  user.pendingEmailExpires = undefined;
+
+  try {
+    await user.save();
+  } catch (err) {
+    // Someone registered the address while the link was pending
+    if (err.code === 11000) {
+      await recordAudit(req, {
+        action: "auth.email.changed",
+        outcome: "failure",
+        reason: "email_taken",
+        actor: userActor({ ...user.toObject(), email: previousEmail }),
+      });
+      return res.redirect(`${settingsUrl}?email=taken`);
+    }
+    throw err;
+  }
+
+  await linkUserToDemoRequests(user);
+
+  await recordAudit(req, {
+    action: "auth.email.changed",
+    actor: userActor(user),
+    target: userTarget(user),
+    metadata: { previousEmail },
+  });
+
+  transporter.sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: previousEmail,
+    subject: "Your Acceleott email address was changed",
+    html: `
+      <p>Hi ${user.name}, the email address on your Acceleott account was changed
+         to <strong>${user.email}</strong>.</p>
+      <p>If you didn’t make this change, reset your password and contact us right away.</p>
+    `,
+  }).catch(err => console.error("⚠️ Email-change notice failed:", err.message));
+
+  return res.redirect(`${settingsUrl}?email=changed`);
+};
+
 /* -------------------------------
    RESEND VERIFICATION EMAIL
 --------------------------------*/
@@ -165,13 +364,12 @@ export const resendVerification = async (req, res) => {
     if (user.emailVerified)
       return res.status(200).json({ message: "Email already verified." });
 
-    const rawToken = crypto.randomBytes(32).toString("hex");
-    user.verifyToken = crypto.createHash("sha256").update(rawToken).digest("hex");
+    const { rawToken, hashedToken } = createToken();
+    user.verifyToken = hashedToken;
     user.verifyTokenExpires = Date.now() + 24 * 60 * 60 * 1000;
     await user.save();
 
-    const verifyUrl =
-      `${process.env.FRONTEND_URL || "http://localhost:5173"}/verify/${rawToken}`;
+    const verifyUrl = buildVerifyUrl(rawToken);
 
     await transporter.sendMail({
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
@@ -195,64 +393,572 @@ export const loginUser = async (req, res) => {
     const { email, password } = req.body;
     if (!email || !password)
       return res.status(400).json({ message: "Email and password required." });
+    // Malformed body ({ "email": 1 }, arrays, …) → same answer as a wrong password
+    if (typeof email !== "string" || typeof password !== "string")
+      return res.status(400).json({ message: "Invalid credentials." });
+
+    // Locked account / blocked IP / progressive delay still running?
+    const blocked = await checkLoginAllowed({ email, ip: req.ip });
+    if (blocked) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "denied",
+        reason: blocked.code,
+        actor: { type: "anonymous", email },
+      });
+      return respondBlocked(res, blocked);
+    }
 
-    const user = await User.findOne({ email: email.toLowerCase().trim() });
-    if (!user) return res.status(400).json({ message: "Invalid credentials." });
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select("+password");
+    if (!user) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "failure",
+        reason: "unknown_account",
+        actor: { type: "anonymous", email },
+      });
+      return respondFailure(res, await recordLoginFailure({ email, ip: req.ip }));
+    }
 
-    if (!user.emailVerified)
+    if (!user.emailVerified) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "denied",
+        reason: "email_not_verified",
+        actor: userActor(user),
+      });
       return res.status(403).json({ message: "Please verify your email to continue." });
+    }
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: "Invalid credentials." });
+    if (!isMatch) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "failure",
+        reason: "bad_password",
+        actor: userActor(user),
+      });
+      return respondFailure(res, await recordLoginFailure({ email, ip: req.ip, user }));
+    }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1d" });
+    await clearLoginFailures({ email });
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "lax",
-      maxAge: 24 * 60 * 60 * 1000,
-    });
+    return completeLogin(req, res, user, "password");
+  } catch (err) {
+    console.error("Login error:", err.message);
+    return res.status(500).json({ message: "Server error during login." });
+  }
+};
 
-    return res.json({
-      message: "Login successful.",
-      user: { id: user._id, name: user.name, email: user.email },
+/* -------------------------------
+   MAGIC LINK — REQUEST
+   Same hashed-token machinery as email verification: only the sha256
+   of the link token is stored. The requesting browser gets a device
+   cookie whose hash is stored too, so the link only works there.
+--------------------------------*/
+export const requestMagicLink = async (req, res) => {
+  const genericResponse = {
+    message: "If an account exists for this email, a login link has been sent.",
+  };
+
+  try {
+    const { email } = req.body;
+    if (typeof email !== "string" || !email.trim())
+      return res.status(400).json({ message: "Email is required." });
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select(
+      "+magicLinkExpires"
+    );
+
+    // Same response (and a device cookie) whether or not the account exists
+    const device = createToken();
+    if (!user) {
+      await recordAudit(req, {
+        action: "auth.magic_link.requested",
+        outcome: "failure",
+        reason: "unknown_account",
+        actor: { type: "anonymous", email },
+      });
+      setMagicLinkDeviceCookie(res, device.rawToken, MAGIC_LINK_TTL_MS);
+      return res.json(genericResponse);
+    }
+
+    // One link per minute — keeps the current link (and its device binding) valid
+    const issuedAt = user.magicLinkExpires
+      ? user.magicLinkExpires.getTime() - MAGIC_LINK_TTL_MS
+      : 0;
+    if (Date.now() - issuedAt < MAGIC_LINK_RESEND_COOLDOWN_MS) return res.json(genericResponse);
+
+    const { rawToken, hashedToken } = createToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          magicLinkToken: hashedToken,
+          magicLinkExpires: new Date(Date.now() + MAGIC_LINK_TTL_MS),
+          magicLinkDeviceHash: device.hashedToken,
+        },
+      }
+    );
+    setMagicLinkDeviceCookie(res, device.rawToken, MAGIC_LINK_TTL_MS);
+    await recordAudit(req, { action: "auth.magic_link.requested", actor: userActor(user) });
+
+    const loginUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/login?magic=${rawToken}`;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: user.email,
+      subject: "Your login link — Acceleott",
+      html: buildMagicLinkEmail(user.name, loginUrl),
     });
+
+    return res.json(genericResponse);
   } catch (err) {
-    console.error("Login error:", err.message);
+    console.error("Magic link request error:", err.message);
+    return res.status(500).json({ message: "Server error while sending login link." });
+  }
+};
+
+/* -------------------------------
+   MAGIC LINK — SIGN IN
+   Called by the login page with the token from the emailed link
+   (a POST, so email link scanners can't burn the token).
+--------------------------------*/
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: "Login link is invalid." });
+
+    const hashed = hashToken(token);
+    const user = await User.findOne({
+      magicLinkToken: hashed,
+      magicLinkExpires: { $gt: Date.now() },
+    }).select("+magicLinkDeviceHash");
+
+    if (!user) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "failure",
+        reason: "invalid_magic_link",
+      });
+      return res.status(400).json({ message: "This login link is invalid or has expired." });
+    }
+
+    // Device binding — the link is not consumed, so it still works in the right browser
+    const deviceCookie = req.cookies?.magicLinkDevice;
+    if (!deviceCookie || hashToken(deviceCookie) !== user.magicLinkDeviceHash) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "denied",
+        reason: "magic_link_device_mismatch",
+        actor: userActor(user),
+      });
+      return res.status(400).json({
+        code: "MAGIC_LINK_DEVICE_MISMATCH",
+        message: "Open this link in the same browser where you requested it.",
+      });
+    }
+
+    const blocked = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (blocked) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "denied",
+        reason: blocked.code,
+        actor: userActor(user),
+      });
+      return respondBlocked(res, blocked);
+    }
+
+    // Single use: only one request can consume the token.
+    // Clicking the link also proves ownership of the email address.
+    const consumed = await User.findOneAndUpdate(
+      { _id: user._id, magicLinkToken: hashed },
+      {
+        $set: { emailVerified: true },
+        $unset: { magicLinkToken: 1, magicLinkExpires: 1, magicLinkDeviceHash: 1 },
+      },
+      { new: true }
+    );
+    if (!consumed)
+      return res.status(400).json({ message: "This login link is invalid or has expired." });
+
+    clearMagicLinkDeviceCookie(res);
+    if (!user.emailVerified) await emitWebhookEvent("user.verified", userWebhookData(consumed));
+    return completeLogin(req, res, consumed, "magic_link");
+  } catch (err) {
+    console.error("Magic link verify error:", err.message);
     return res.status(500).json({ message: "Server error during login." });
   }
 };
 
+/* -------------------------------
+   UNLOCK ACCOUNT (link from the lockout email)
+--------------------------------*/
+export const unlockAccount = async (req, res) => {
+  const loginUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/login`;
+  try {
+    const unlocked = await unlockWithToken(req.params.token);
+    await recordAudit(req, {
+      action: "auth.account.unlocked",
+      outcome: unlocked ? "success" : "failure",
+      reason: unlocked ? undefined : "invalid_token",
+    });
+    return res.redirect(`${loginUrl}?unlock=${unlocked ? "success" : "invalid"}`);
+  } catch (err) {
+    console.error("Unlock error:", err.message);
+    return res.redirect(`${loginUrl}?unlock=invalid`);
+  }
+};
+
+/* -------------------------------
+   REFRESH SESSION
+--------------------------------*/
+export const refreshSession = async (req, res) => {
+  try {
+    await rotateSession(req, res, req.cookies?.refreshToken);
+    return res.json({ message: "Session refreshed." });
+  } catch (err) {
+    if (err.status === 401) {
+      if (err.code === "REFRESH_TOKEN_REUSED")
+        await recordAudit(req, {
+          action: "auth.session.reuse_detected",
+          outcome: "denied",
+          reason: err.code,
+        });
+      clearAuthCookies(res);
+      return res.status(401).json({ message: err.message, code: err.code });
+    }
+    console.error("Refresh error:", err.message);
+    return res.status(500).json({ message: "Server error during session refresh." });
+  }
+};
+
 /* -------------------------------
    LOGOUT USER
 --------------------------------*/
-export const logoutUser = (req, res) => {
-  res.clearCookie("token", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "lax",
-  });
+export const logoutUser = async (req, res) => {
+  try {
+    const session = await revokeSessionByToken(req.cookies?.refreshToken, "logout");
+    if (session)
+      await recordAudit(req, {
+        action: "auth.logout",
+        actor: { type: "user", user: session.user },
+        target: { type: "session", id: String(session._id) },
+      });
+  } catch (err) {
+    // Still clear cookies locally even if the DB is unreachable
+    console.error("Logout error:", err.message);
+  }
+  clearAuthCookies(res);
   return res.json({ message: "Logged out successfully." });
 };
 
 /* -------------------------------
    GET CURRENT USER
+   (req.user is loaded by middleware/auth.js)
+--------------------------------*/
+export const getMe = (req, res) => {
+  return res.json({ success: true, user: toSelfView(req.user, req) });
+};
+
+// Shape of the signed-in user returned by /me endpoints
+const toSelfView = (user, req) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  phone: user.phone,
+  phoneCountry: user.phoneCountry,
+  occupation: user.occupation,
+  source: user.source,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  permissions: permissionsFor(user),
+  twoFactorEnabled: user.twoFactorEnabled,
+  twoFactorSetupRequired: req.twoFactorSetupRequired,
+  deletionScheduledFor: user.deletionScheduledFor,
+  activeOrganizationId: req.auth?.organizationId || null,
+  createdAt: user.createdAt,
+});
+
+/* -------------------------------
+   UPDATE CURRENT USER (PATCH /me)
+   name / phone (+ phoneCountry) / occupation are saved directly (User schema validators apply).
+   A new email is only stored as pendingEmail until verified.
 --------------------------------*/
-export const getMe = async (req, res) => {
+const PROFILE_FIELDS = ["name", "phone", "phoneCountry", "occupation"];
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const updateMe = async (req, res) => {
   try {
-    const token = req.cookies?.token;
-    if (!token) return res.status(401).json({ message: "Not authorized." });
+    const { email, currentPassword } = req.body;
+    const user = req.user;
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id)
-      .select("-password -verifyToken -verifyTokenExpires");
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      const value = req.body[field];
+      user[field] = typeof value === "string" ? value.trim() : value;
+    });
 
-    if (!user) return res.status(404).json({ message: "User not found." });
+    let emailToken = null;
+    const newEmail = typeof email === "string" ? email.toLowerCase().trim() : "";
+
+    if (newEmail && newEmail !== user.email) {
+      if (!currentPassword)
+        return res.status(400).json({ message: "Current password is required to change your email." });
+
+      const withPassword = await User.findById(user._id).select("+password");
+      if (!(await withPassword.comparePassword(currentPassword))) {
+        await recordAudit(req, {
+          action: "auth.email.change_requested",
+          outcome: "failure",
+          reason: "bad_password",
+        });
+        return res.status(400).json({ message: "Incorrect password." });
+      }
+
+      if (await User.exists({ email: newEmail }))
+        return res.status(400).json({ message: "Email already in use." });
+
+      emailToken = createToken();
+      user.pendingEmail = newEmail;
+      user.pendingEmailToken = emailToken.hashedToken;
+      user.pendingEmailExpires = Date.now() + EMAIL_CHANGE_TTL_MS;
+    }
+
+    const changedFields = user.modifiedPaths().filter((path) => PROFILE_FIELDS.includes(path));
+    await user.save();
 
-    return res.json(user);
+    if (changedFields.length)
+      await recordAudit(req, { action: "auth.profile.updated", metadata: { fields: changedFields } });
+    if (emailToken)
+      await recordAudit(req, {
+        action: "auth.email.change_requested",
+        metadata: { newEmail: user.pendingEmail },
+      });
+
+    // Existing verification template, sent to the *new* address
+    if (emailToken) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to: user.pendingEmail,
+        subject: "Confirm your new email — Acceleott",
+        html: buildVerificationEmail(user.name, buildVerifyUrl(emailToken.rawToken), {
+          heading: "Confirm your new email address",
+          intro: `Hi ${user.name}, please confirm this address to start using it for your Acceleott account. Until then, your current email stays active.`,
+        }),
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: emailToken
+        ? `Profile updated. Check ${user.pendingEmail} to confirm your new email.`
+        : "Profile updated successfully.",
+      user: toSelfView(user, req),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: Object.values(err.errors)[0].message });
+    console.error("Update profile error:", err.message);
+    return res.status(500).json({ message: "Server error while updating profile." });
+  }
+};
+
+/* -------------------------------
+   CANCEL PENDING EMAIL CHANGE
+--------------------------------*/
+export const cancelEmailChange = async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { pendingEmail: 1, pendingEmailToken: 1, pendingEmailExpires: 1 } }
+    );
+    await recordAudit(req, { action: "auth.email.change_cancelled" });
+    return res.json({ success: true, message: "Email change cancelled." });
+  } catch (err) {
+    console.error("Cancel email change error:", err.message);
+    return res.status(500).json({ message: "Server error while cancelling email change." });
+  }
+};
+
+/* -------------------------------
+   CHANGE PASSWORD (signed in)
+--------------------------------*/
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword)
+      return res.status(400).json({ message: "Current and new password are required." });
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!(await user.comparePassword(currentPassword))) {
+      await recordAudit(req, {
+        action: "auth.password.changed",
+        outcome: "failure",
+        reason: "bad_password",
+      });
+      return res.status(400).json({ message: "Current password is incorrect." });
+    }
+    if (rejectWeakPassword(res, newPassword, user)) return;
+    if (await user.comparePassword(newPassword))
+      return res.status(400).json({ message: "New password must be different from the current one." });
+
+    // Plain password — hashed by the pre-save hook, which also stamps passwordChangedAt
+    user.password = newPassword;
+    await user.save();
+
+    // Other devices are signed out; this one gets a fresh access token
+    await revokeAllSessions(user._id, "password_changed", { except: req.auth.sessionId });
+    reissueAccessToken(res, user, req.auth.sessionId);
+    await recordAudit(req, { action: "auth.password.changed", target: userTarget(user) });
+
+    return res.json({
+      success: true,
+      message: "Password updated successfully. Other devices have been signed out.",
+    });
+  } catch (err) {
+    console.error("Change password error:", err.message);
+    return res.status(500).json({ message: "Server error while changing password." });
+  }
+};
+
+/* -------------------------------
+   VALIDATE SESSION
+   Lightweight check used by the frontend to confirm a session is alive.
+--------------------------------*/
+export const validateSession = (req, res) => {
+  return res.json({
+    valid: true,
+    user: { id: req.user._id, name: req.user.name, email: req.user.email },
+  });
+};
+
+/* -------------------------------
+   FORGOT PASSWORD
+--------------------------------*/
+export const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists (no user enumeration)
+  const genericResponse = {
+    message: "If an account exists for that email, a password reset link has been sent.",
+  };
+
+  try {
+    const { email } = req.body;
+    if (typeof email !== "string" || !email.trim())
+      return res.status(400).json({ message: "Email is required." });
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      await recordAudit(req, {
+        action: "auth.password.reset_requested",
+        outcome: "failure",
+        reason: "unknown_account",
+        actor: { type: "anonymous", email },
+      });
+      return res.json(genericResponse);
+    }
+
+    const { rawToken, hashedToken } = createToken();
+    user.resetPasswordToken = hashedToken;
+    user.resetPasswordExpires = Date.now() + 60 * 60 * 1000;
+    await user.save();
+    await recordAudit(req, { action: "auth.password.reset_requested", actor: userActor(user) });
+
+    const resetUrl =
+      `${process.env.FRONTEND_URL || "http://localhost:5173"}/reset-password/${rawToken}`;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: user.email,
+      subject: "Reset your password — Acceleott",
+      html: buildPasswordResetEmail(user.name, resetUrl),
+    });
+
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("Forgot password error:", err.message);
+    return res.status(500).json({ message: "Server error while requesting password reset." });
+  }
+};
+
+/* -------------------------------
+   RESET PASSWORD
+--------------------------------*/
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (!token) return res.status(400).json({ message: "Invalid reset token." });
+    if (!password) return res.status(400).json({ message: "New password is required." });
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      await recordAudit(req, {
+        action: "auth.password.reset",
+        outcome: "failure",
+        reason: "invalid_token",
+      });
+      return res.status(400).json({ message: "Invalid or expired reset link." });
+    }
+    if (rejectWeakPassword(res, password, user)) return;
+
+    // Plain password — the User pre-save hook hashes it and stamps passwordChangedAt,
+    // which invalidates every access token issued before this moment.
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    await revokeAllSessions(user._id, "password_reset");
+    clearAuthCookies(res);
+    await recordAudit(req, {
+      action: "auth.password.reset",
+      actor: userActor(user),
+      target: userTarget(user),
+    });
+
+    return res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (err) {
+    console.error("Reset password error:", err.message);
+    return res.status(500).json({ message: "Server error while resetting password." });
+  }
+};
+
+/* -------------------------------
+   PASSWORD STRENGTH (live meter)
+   Same rules the endpoints above enforce. The reset page doesn't know
+   whose account it is, so it may pass the reset token instead of name/email.
+--------------------------------*/
+export const checkPasswordStrength = async (req, res) => {
+  try {
+    const { password, name, email, resetToken } = req.body;
+
+    let context = { name, email };
+    if (resetToken) {
+      const user = await User.findOne({
+        resetPasswordToken: hashToken(resetToken),
+        resetPasswordExpires: { $gt: Date.now() },
+      }).select("name email");
+      if (user) context = user;
+    }
+
+    const { valid, score, label, errors, suggestions } = evaluatePassword(password, context);
+
+    return res.json({
+      success: true,
+      data: { valid, score, label, errors, suggestions },
+      policy: { minLength: PASSWORD_POLICY.minLength, minScore: PASSWORD_POLICY.minScore },
+    });
   } catch (err) {
-    console.error("GetMe error:", err.message);
-    return res.status(500).json({ message: "Server error." });
+    console.error("Password strength error:", err.message);
+    return res.status(500).json({ message: "Server error while checking password strength." });
   }
 };
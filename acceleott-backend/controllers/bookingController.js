@@ -0,0 +1,526 @@
+import mongoose from "mongoose";
+import DemoBooking from "../models/DemoBooking.js";
+import DemoRequest from "../models/DemoRequest.js";
+import RepAvailability from "../models/RepAvailability.js";
+import User from "../models/User.js";
+import { canTransition } from "../config/demoPipeline.js";
+import { permissionsFor } from "../config/roles.js";
+import { findFreeSlots, repsFreeAt, MAX_RANGE_DAYS } from "../utils/demoSlots.js";
+import { isValidTimeZone, formatInTimeZone } from "../utils/timezone.js";
+import { buildIcs, icsAttachment } from "../utils/ics.js";
+import { createToken, hashToken } from "../utils/tokens.js";
+import { sendEmail } from "../utils/email.js";
+import { recordAudit } from "../utils/audit.js";
+import { matchNewLead } from "../utils/leadMatching.js";
+import { formatPhone } from "../utils/phone.js";
+import { sanitizeAttribution } from "../utils/attribution.js";
+import { applyLeadScore, sanitizeEngagement } from "../utils/leadScoring.js";
+import { emitWebhookEvent, demoRequestWebhookData } from "../utils/webhooks.js";
+
+/**
+ * 📆 Booking Controller
+ * Self-service demo slots: visitors pick a free slot, get an .ics invite
+ * and can reschedule / cancel from the link in their email. Sales reps
+ * publish their weekly hours and see their upcoming demos.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 14;
+const MAX_RESCHEDULES = 3;
+const BOOKING_SYSTEM = "Booking system"; // authorName on notes written by this controller
+
+/* -------------------------------
+   HELPERS
+--------------------------------*/
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+const manageUrl = (rawToken) => `${frontendUrl()}/demo/booking/${rawToken}`;
+
+const parseInstant = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const bookingTarget = (booking, demo) => ({
+  type: "demo_booking",
+  id: String(booking._id),
+  label: demo?.email,
+});
+
+const findByToken = (rawToken) =>
+  DemoBooking.findOne({ manageTokenHash: hashToken(rawToken) }).populate("rep", "name email");
+
+const toManageView = (booking, demo) => ({
+  id: booking._id,
+  status: booking.status,
+  start: booking.start,
+  end: booking.end,
+  visitorTimezone: booking.visitorTimezone,
+  name: demo?.name,
+  repName: booking.rep?.name,
+  canChange: booking.status === "confirmed" && booking.start > new Date(),
+  canReschedule:
+    booking.status === "confirmed" && booking.start > new Date() && booking.rescheduleCount < MAX_RESCHEDULES,
+});
+
+const toAvailabilityView = (availability) => ({
+  timezone: availability.timezone,
+  weekly: availability.weekly.map(({ day, start, end }) => ({ day, start, end })),
+  slotMinutes: availability.slotMinutes,
+  minNoticeHours: availability.minNoticeHours,
+  horizonDays: availability.horizonDays,
+  active: availability.active,
+});
+
+// ✅ Invite / cancellation to the visitor and the rep, each in their own timezone
+const sendBookingEmails = async ({ booking, demo, rep, method = "REQUEST", rawToken, heading, visitor = true }) => {
+  const cancelled = method === "CANCEL";
+  const link = rawToken && manageUrl(rawToken);
+  const ics = buildIcs({
+    uid: booking.icsUid,
+    sequence: booking.sequence,
+    method,
+    start: booking.start,
+    end: booking.end,
+    summary: `Acceleott demo with ${demo.name}`,
+    description: cancelled
+      ? "This demo has been cancelled."
+      : `Acceleott product demo.${link ? ` Reschedule or cancel: ${link}` : ""}`,
+    url: link || undefined,
+    organizer: { name: rep.name, email: rep.email },
+    attendee: { name: demo.name, email: demo.email },
+  });
+  const attachments = [icsAttachment(ics, method)];
+
+  const repAvailability = await RepAvailability.findOne({ user: rep._id }).select("timezone").lean();
+  const visitorTime = formatInTimeZone(booking.start, booking.visitorTimezone);
+  const repTime = formatInTimeZone(booking.start, repAvailability?.timezone || "UTC");
+
+  if (visitor) {
+    await sendEmail({
+      to: demo.email,
+      subject: `${heading} — Acceleott demo`,
+      text: cancelled
+        ? `Your Acceleott demo on ${visitorTime} has been cancelled.`
+        : `Your Acceleott demo is booked for ${visitorTime} with ${rep.name}. Reschedule or cancel: ${link}`,
+      html: `
+        <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+          <h2>${heading}</h2>
+          <p>Hi ${demo.name},</p>
+          ${
+            cancelled
+              ? `<p>Your Acceleott demo on <strong>${visitorTime}</strong> has been cancelled.</p>
+                 <p>You can book a new time any time from our <a href="${frontendUrl()}/demo">demo page</a>.</p>`
+              : `<p>Your Acceleott demo with ${rep.name} is booked for <strong>${visitorTime}</strong>.</p>
+                 <p>The attached invite adds it to your calendar.</p>
+                 <p><a href="${link}?action=reschedule">Reschedule</a> · <a href="${link}?action=cancel">Cancel</a></p>`
+          }
+        </div>
+      `,
+      attachments,
+    });
+  }
+
+  await sendEmail({
+    to: rep.email,
+    subject: `${heading} — ${demo.name}`,
+    text: `${heading}: ${demo.name} (${demo.email}, ${formatPhone(demo.contact)}) on ${repTime}.`,
+    html: `
+      <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+        <h2>${heading}</h2>
+        <p><strong>When:</strong> ${repTime}</p>
+        <p><strong>Name:</strong> ${demo.name}</p>
+        <p><strong>Email:</strong> ${demo.email}</p>
+        <p><strong>Contact:</strong> ${formatPhone(demo.contact)}</p>
+        <p><strong>Designation:</strong> ${demo.designation || "N/A"}</p>
+      </div>
+    `,
+    attachments,
+  });
+};
+
+/* -------------------------------
+   FREE SLOTS (public)
+   ?from=<ISO> &days=14
+--------------------------------*/
+export const listSlots = async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.from ? parseInstant(req.query.from) : now;
+    if (!from) return res.status(400).json({ success: false, message: '"from" must be a valid date.' });
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_RANGE_DAYS, 1), MAX_RANGE_DAYS);
+    const start = from < now ? now : from;
+    const slots = await findFreeSlots({ from: start, to: new Date(start.getTime() + days * DAY_MS), now });
+
+    // Reps stay internal — one is picked when the visitor books
+    return res.json({ success: true, data: slots.map(({ start: s, end }) => ({ start: s, end })) });
+  } catch (err) {
+    console.error("❌ Slot List Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while loading available slots." });
+  }
+};
+
+/* -------------------------------
+   BOOK A SLOT (public)
+   body: { name, email, contact, contactCountry, designation, start, timezone, attribution? }
+--------------------------------*/
+export const createBooking = async (req, res) => {
+  try {
+    const { name, email, contact, contactCountry, designation, timezone } = req.body;
+    const start = parseInstant(req.body.start);
+    if (!start || start <= new Date())
+      return res.status(400).json({ success: false, message: "Please pick an upcoming slot." });
+
+    const visitorTimezone = isValidTimeZone(timezone) ? timezone : "UTC";
+    const attribution = sanitizeAttribution(req.body.attribution);
+    const engagement = sanitizeEngagement(req.body.engagement);
+
+    // Suspected spam never reserves a rep's time: keep a plain quarantined lead
+    // (with the slot they asked for) and answer vaguely
+    if (req.spam?.quarantined) {
+      await DemoRequest.create({
+        name,
+        email,
+        contact,
+        contactCountry,
+        designation,
+        statusHistory: [{ to: "new" }],
+        notes: [{ body: `Requested a demo slot at ${start.toISOString()} (${visitorTimezone}).` }],
+        spam: req.spam,
+        attribution,
+        engagement,
+      });
+      return res.status(201).json({
+        success: true,
+        message: "Thanks! Our team will reach out shortly to confirm a time.",
+      });
+    }
+
+    // Lead goes straight to "scheduled"; validate before reserving anything
+    const demo = new DemoRequest({
+      name,
+      email,
+      contact,
+      contactCountry,
+      designation,
+      status: "scheduled",
+      statusHistory: [{ to: "new" }, { from: "new", to: "scheduled" }],
+      ...(req.spam && { spam: req.spam }),
+      attribution,
+      engagement,
+    });
+    await applyLeadScore(demo);
+    await demo.validate();
+
+    const candidates = await repsFreeAt(start);
+    const { rawToken, hashedToken } = createToken();
+    let booking = null;
+
+    // The unique { rep, start } index decides races: on a clash, try the next free rep
+    for (const candidate of candidates) {
+      try {
+        booking = await DemoBooking.create({
+          demoRequest: demo._id,
+          rep: candidate.rep,
+          start,
+          end: candidate.end,
+          visitorTimezone,
+          manageTokenHash: hashedToken,
+        });
+        break;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+
+    if (!booking)
+      return res
+        .status(409)
+        .json({ success: false, message: "That slot was just taken. Please pick another time." });
+
+    demo.owner = booking.rep;
+    try {
+      await demo.save();
+    } catch (err) {
+      await DemoBooking.deleteOne({ _id: booking._id }); // free the slot again
+      throw err;
+    }
+
+    const rep = await User.findById(booking.rep).select("name email");
+    await sendBookingEmails({ booking, demo, rep, rawToken, heading: "Demo booked" });
+    await matchNewLead(demo);
+    await emitWebhookEvent("demo.created", demoRequestWebhookData(demo));
+
+    await recordAudit(req, {
+      action: "demo.booking.created",
+      target: bookingTarget(booking, demo),
+      metadata: { start: booking.start, rep: String(booking.rep) },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Your demo is booked. Check your email for the calendar invite.",
+      data: { id: booking._id, start: booking.start, end: booking.end, repName: rep?.name },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("❌ Booking Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while booking the demo. Please try again." });
+  }
+};
+
+/* -------------------------------
+   MANAGE LINK — VIEW (public, token)
+--------------------------------*/
+export const getBookingByToken = async (req, res) => {
+  try {
+    const booking = await findByToken(req.params.token);
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found." });
+
+    const demo = await DemoRequest.findById(booking.demoRequest).select("name").lean();
+    return res.json({ success: true, data: toManageView(booking, demo) });
+  } catch (err) {
+    console.error("❌ Booking Lookup Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while loading the booking." });
+  }
+};
+
+/* -------------------------------
+   CANCEL (visitor link or rep)
+--------------------------------*/
+const cancelBooking = async (req, booking, cancelledBy) => {
+  booking.status = "cancelled";
+  booking.cancelledAt = new Date();
+  booking.cancelledBy = cancelledBy;
+  booking.sequence += 1;
+  await booking.save();
+
+  // Lead goes back to "contacted" so sales follows up on a new time
+  const demo = await DemoRequest.findById(booking.demoRequest);
+  if (demo) {
+    if (canTransition(demo.status, "contacted")) {
+      demo.statusHistory.push({ from: demo.status, to: "contacted", changedBy: req.user?._id });
+      demo.status = "contacted";
+    }
+    demo.notes.push({
+      body: `Demo on ${booking.start.toISOString()} cancelled by the ${cancelledBy}.`,
+      author: req.user?._id,
+      authorName: req.user?.name || BOOKING_SYSTEM,
+    });
+    await demo.save();
+
+    await sendBookingEmails({ booking, demo, rep: booking.rep, method: "CANCEL", heading: "Demo cancelled" });
+  }
+
+  await recordAudit(req, {
+    action: "demo.booking.cancelled",
+    target: bookingTarget(booking, demo),
+    metadata: { start: booking.start, cancelledBy },
+  });
+};
+
+export const cancelBookingByToken = async (req, res) => {
+  try {
+    const booking = await findByToken(req.params.token);
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found." });
+    if (!toManageView(booking).canChange)
+      return res.status(400).json({ success: false, message: "This booking can no longer be cancelled." });
+
+    await cancelBooking(req, booking, "visitor");
+    return res.json({ success: true, message: "Your demo has been cancelled.", data: toManageView(booking) });
+  } catch (err) {
+    console.error("❌ Booking Cancel Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while cancelling the booking." });
+  }
+};
+
+export const cancelBookingAsRep = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Booking not found." });
+
+    const booking = await DemoBooking.findById(req.params.id).populate("rep", "name email");
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found." });
+    // Reps cancel their own demos; bookings:manage may cancel any rep's
+    const isOwnBooking = String(booking.rep?._id) === String(req.user._id);
+    if (!isOwnBooking && !permissionsFor(req.user).includes("bookings:manage"))
+      return res.status(403).json({ success: false, message: "You can only cancel your own bookings." });
+    if (booking.status !== "confirmed")
+      return res.status(400).json({ success: false, message: "This booking is already cancelled." });
+
+    await cancelBooking(req, booking, "rep");
+    return res.json({ success: true, message: "Booking cancelled. The visitor has been notified." });
+  } catch (err) {
+    console.error("❌ Booking Cancel Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while cancelling the booking." });
+  }
+};
+
+/* -------------------------------
+   RESCHEDULE (public, token)
+   body: { start }
+--------------------------------*/
+export const rescheduleBookingByToken = async (req, res) => {
+  try {
+    const booking = await findByToken(req.params.token);
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found." });
+    if (!toManageView(booking).canReschedule)
+      return res.status(400).json({ success: false, message: "This booking can no longer be rescheduled." });
+
+    const start = parseInstant(req.body.start);
+    if (!start || start <= new Date())
+      return res.status(400).json({ success: false, message: "Please pick an upcoming slot." });
+    if (start.getTime() === booking.start.getTime())
+      return res.status(400).json({ success: false, message: "That is already your booked time." });
+
+    // Keep the same rep when they are free, otherwise hand over to another one
+    const currentRep = String(booking.rep._id);
+    const candidates = (await repsFreeAt(start)).sort(
+      (a, b) => (b.rep === currentRep) - (a.rep === currentRep)
+    );
+
+    const { start: previousStart, end: previousEnd } = booking;
+    let updated = null;
+    for (const candidate of candidates) {
+      try {
+        updated = await DemoBooking.findOneAndUpdate(
+          { _id: booking._id, status: "confirmed" },
+          {
+            $set: { rep: candidate.rep, start, end: candidate.end },
+            $inc: { sequence: 1, rescheduleCount: 1 },
+          },
+          { new: true }
+        ).populate("rep", "name email");
+        break;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+
+    if (!updated)
+      return res
+        .status(409)
+        .json({ success: false, message: "That slot was just taken. Please pick another time." });
+
+    const demo = await DemoRequest.findById(updated.demoRequest);
+    if (demo) {
+      if (String(demo.owner) === currentRep) demo.owner = updated.rep._id;
+      demo.notes.push({
+        body: `Demo rescheduled by the visitor from ${previousStart.toISOString()} to ${start.toISOString()}.`,
+        authorName: BOOKING_SYSTEM,
+      });
+      await demo.save();
+
+      // A new rep gets the invite; the previous one only gets a cancellation
+      if (String(updated.rep._id) !== currentRep)
+        await sendBookingEmails({
+          booking: {
+            icsUid: updated.icsUid,
+            sequence: updated.sequence,
+            start: previousStart,
+            end: previousEnd,
+            visitorTimezone: updated.visitorTimezone,
+          },
+          demo,
+          rep: booking.rep,
+          method: "CANCEL",
+          heading: "Demo reassigned",
+          visitor: false,
+        });
+      await sendBookingEmails({
+        booking: updated,
+        demo,
+        rep: updated.rep,
+        rawToken: req.params.token,
+        heading: "Demo rescheduled",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "demo.booking.rescheduled",
+      target: bookingTarget(updated, demo),
+      metadata: { from: previousStart, to: start, rep: String(updated.rep._id) },
+    });
+
+    return res.json({ success: true, message: "Your demo has been rescheduled.", data: toManageView(updated, demo) });
+  } catch (err) {
+    console.error("❌ Booking Reschedule Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while rescheduling the booking." });
+  }
+};
+
+/* -------------------------------
+   REP AVAILABILITY (staff)
+--------------------------------*/
+export const getMyAvailability = async (req, res) => {
+  try {
+    const availability = await RepAvailability.findOne({ user: req.user._id });
+    return res.json({ success: true, data: availability ? toAvailabilityView(availability) : null });
+  } catch (err) {
+    console.error("❌ Availability Load Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while loading availability." });
+  }
+};
+
+export const updateMyAvailability = async (req, res) => {
+  try {
+    const availability =
+      (await RepAvailability.findOne({ user: req.user._id })) || new RepAvailability({ user: req.user._id });
+
+    for (const field of ["timezone", "weekly", "slotMinutes", "minNoticeHours", "horizonDays", "active"]) {
+      if (req.body[field] !== undefined) availability[field] = req.body[field];
+    }
+    await availability.save();
+
+    await recordAudit(req, {
+      action: "demo.availability.updated",
+      metadata: { timezone: availability.timezone, windows: availability.weekly.length, active: availability.active },
+    });
+
+    return res.json({ success: true, message: "Availability saved.", data: toAvailabilityView(availability) });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("❌ Availability Update Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while saving availability." });
+  }
+};
+
+/* -------------------------------
+   MY UPCOMING DEMOS (staff)
+--------------------------------*/
+export const listMyBookings = async (req, res) => {
+  try {
+    const bookings = await DemoBooking.find({
+      rep: req.user._id,
+      status: "confirmed",
+      end: { $gte: new Date() },
+    })
+      .sort({ start: 1 })
+      .limit(100)
+      .populate("demoRequest", "name email contact designation")
+      .lean();
+
+    return res.json({
+      success: true,
+      data: bookings.map((b) => ({
+        id: b._id,
+        start: b.start,
+        end: b.end,
+        visitorTimezone: b.visitorTimezone,
+        rescheduleCount: b.rescheduleCount,
+        demoRequest: b.demoRequest && {
+          id: b.demoRequest._id,
+          name: b.demoRequest.name,
+          email: b.demoRequest.email,
+          contact: b.demoRequest.contact,
+          designation: b.demoRequest.designation,
+        },
+      })),
+    });
+  } catch (err) {
+    console.error("❌ My Bookings Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while loading bookings." });
+  }
+};
@@ -1,4 +1,19 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
 import nodemailer from "nodemailer";
+import ContactMessage from "../models/ContactMessage.js";
+import { CONTACT_MESSAGE_STATUSES, DEFAULT_MESSAGE_ID_DOMAIN } from "../config/contactInbox.js";
+import { buildContactMessageFilter } from "../utils/listFilters.js";
+import { escapeHtml, textToHtml, brandedEmail } from "../utils/email.js";
+import { recordAudit } from "../utils/audit.js";
+import { emitWebhookEvent } from "../utils/webhooks.js";
+
+/**
+ * 📬 Contact Controller
+ * Public contact form submissions (stored and emailed to the team)
+ * and the staff inbox: read / unread / archived states and replies
+ * sent by email, threaded onto the original message by Message-ID.
+ */
 
 /**
  * Create a reusable, verified transporter once at module load
@@ -24,6 +39,51 @@ transporter.verify((error, success) => {
   }
 });
 
+/* -------------------------------
+   HELPERS
+--------------------------------*/
+const REPLY_SUBJECT = "Re: Your message to Acceleott";
+const PREVIEW_LENGTH = 160;
+
+const fromAddress = () => process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+// Our own Message-IDs, so replies can point at them (In-Reply-To / References)
+const createMessageId = (kind) =>
+  `<${kind}.${crypto.randomBytes(12).toString("hex")}@${process.env.CONTACT_MESSAGE_ID_DOMAIN || DEFAULT_MESSAGE_ID_DOMAIN}>`;
+
+const findMessage = (id) => (mongoose.isValidObjectId(id) ? ContactMessage.findById(id) : null);
+
+const toMessageListView = (msg) => ({
+  id: msg._id,
+  name: msg.name,
+  email: msg.email,
+  preview: msg.message.length > PREVIEW_LENGTH ? `${msg.message.slice(0, PREVIEW_LENGTH)}…` : msg.message,
+  status: msg.status,
+  repliesCount: msg.replies?.length || 0,
+  lastReplyAt: msg.replies?.length ? msg.replies[msg.replies.length - 1].createdAt : null,
+  spam: msg.spam?.quarantined ? { score: msg.spam.score, signals: msg.spam.signals } : null,
+  createdAt: msg.createdAt,
+});
+
+const toMessageDetailView = (msg) => ({
+  ...toMessageListView(msg),
+  message: msg.message,
+  readAt: msg.readAt,
+  archivedAt: msg.archivedAt,
+  replies: msg.replies.map((reply) => ({
+    id: reply._id,
+    body: reply.body,
+    authorName: reply.authorName,
+    createdAt: reply.createdAt,
+  })),
+});
+
+const markRead = (msg, user) => {
+  msg.status = "read";
+  msg.readAt = new Date();
+  msg.readBy = user._id;
+};
+
 /**
  * Simple HTML wrapper for incoming contact messages.
  */
@@ -33,12 +93,12 @@ function buildContactEmail({ name, email, message }) {
       <h2>📬 New Contact Message</h2>
       <p>You’ve received a new message from the contact form:</p>
       <ul style="line-height:1.6">
-        <li><strong>Name:</strong> ${name}</li>
-        <li><strong>Email:</strong> <a href="mailto:${email}">${email}</a></li>
+        <li><strong>Name:</strong> ${escapeHtml(name)}</li>
+        <li><strong>Email:</strong> <a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a></li>
       </ul>
       <p style="margin-top:16px"><strong>Message:</strong></p>
       <blockquote style="border-left:4px solid #0ea5a5;padding-left:12px;margin:8px 0;color:#334155;">
-        ${message.replace(/\n/g, "<br>")}
+        ${escapeHtml(message).replace(/\n/g, "<br>")}
       </blockquote>
       <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0">
       <small>This email was automatically generated by the Acceleott website contact form.</small>
@@ -46,15 +106,16 @@ function buildContactEmail({ name, email, message }) {
   `;
 }
 
-/**
- * Send contact message endpoint
- */
+/* -------------------------------
+   SEND (public contact form)
+   Stored first, so a mail outage never loses a message.
+--------------------------------*/
 export const sendMessage = async (req, res) => {
   try {
     const { name, email, message } = req.body;
 
     // Basic input validation
-    if (!name || !email || !message) {
+    if (![name, email, message].every((value) => typeof value === "string" && value.trim())) {
       return res.status(400).json({ message: "Name, email, and message are required." });
     }
 
@@ -63,30 +124,57 @@ export const sendMessage = async (req, res) => {
       return res.status(400).json({ message: "Invalid email address." });
     }
 
-    // Compose email
-    const mailOptions = {
-      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-      to: process.env.CONTACT_RECEIVER || process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
-      subject: `📩 New Contact Form Submission from ${name}`,
-      text: `
+    const contactMessage = await ContactMessage.create({
+      name,
+      email,
+      message,
+      messageId: createMessageId("contact"),
+      ...(req.spam && { spam: req.spam }),
+    });
+
+    // Likely spam: kept out of the inbox, and bots get no signal
+    if (contactMessage.spam?.quarantined) {
+      console.warn(`🚫 Contact message from ${email} held back as spam.`);
+      return res.status(200).json({
+        success: true,
+        message: "Message sent successfully. We'll get back to you soon!",
+      });
+    }
+
+    // Notify the team — this email is the root of the reply thread
+    await transporter
+      .sendMail({
+        from: fromAddress(),
+        to: process.env.CONTACT_RECEIVER || process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
+        subject: `📩 New Contact Form Submission from ${contactMessage.name}`,
+        text: `
         New contact form submission:
-        Name: ${name}
-        Email: ${email}
-        Message: ${message}
+        Name: ${contactMessage.name}
+        Email: ${contactMessage.email}
+        Message: ${contactMessage.message}
       `,
-      html: buildContactEmail({ name, email, message }),
-      replyTo: email, // lets you reply directly to the sender
-    };
+        html: buildContactEmail(contactMessage),
+        replyTo: contactMessage.email, // lets you reply directly to the sender
+        messageId: contactMessage.messageId,
+      })
+      .then(() => console.log(`✅ Contact message from ${email} stored & team notified.`))
+      .catch((err) => console.error("⚠️ Contact notification email failed:", err.message));
 
-    await transporter.sendMail(mailOptions);
-
-    console.log(`✅ Contact message sent successfully from ${email}`);
+    await emitWebhookEvent("contact.received", {
+      id: String(contactMessage._id),
+      name: contactMessage.name,
+      email: contactMessage.email,
+      message: contactMessage.message,
+      receivedAt: contactMessage.createdAt,
+    });
 
     return res.status(200).json({
       success: true,
       message: "Message sent successfully. We'll get back to you soon!",
     });
   } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: Object.values(err.errors)[0].message });
     console.error("❌ sendMessage error:", err.message);
 
     // Graceful fallback response
@@ -96,3 +184,142 @@ export const sendMessage = async (req, res) => {
     });
   }
 };
+
+/* -------------------------------
+   INBOX LIST
+   ?page &limit &status=unread,read,archived &from &to &q= &spam=quarantined
+--------------------------------*/
+export const listContactMessages = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const filter = buildContactMessageFilter(req.query);
+
+    const [messages, total, unread] = await Promise.all([
+      ContactMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ContactMessage.countDocuments(filter),
+      ContactMessage.countDocuments({ status: "unread", "spam.quarantined": { $ne: true } }),
+    ]);
+
+    return res.json({
+      success: true,
+      data: messages.map(toMessageListView),
+      unread,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("❌ Contact Inbox Error:", err.message || err);
+    return res.status(500).json({ success: false, message: "Server error while loading the inbox." });
+  }
+};
+
+/* -------------------------------
+   INBOX DETAIL (opening an unread message marks it read)
+--------------------------------*/
+export const getContactMessage = async (req, res) => {
+  try {
+    const msg = await findMessage(req.params.id);
+    if (!msg) return res.status(404).json({ success: false, message: "Message not found." });
+
+    if (msg.status === "unread") {
+      markRead(msg, req.user);
+      await msg.save();
+    }
+
+    return res.json({ success: true, data: toMessageDetailView(msg) });
+  } catch (err) {
+    console.error("❌ Contact Message Error:", err.message || err);
+    return res.status(500).json({ success: false, message: "Server error while loading the message." });
+  }
+};
+
+/* -------------------------------
+   SET STATE
+   body: { status: "unread" | "read" | "archived" }
+--------------------------------*/
+export const updateContactMessage = async (req, res) => {
+  try {
+    const msg = await findMessage(req.params.id);
+    if (!msg) return res.status(404).json({ success: false, message: "Message not found." });
+
+    const { status } = req.body;
+    if (!CONTACT_MESSAGE_STATUSES.includes(status))
+      return res
+        .status(400)
+        .json({ success: false, message: `Status must be one of: ${CONTACT_MESSAGE_STATUSES.join(", ")}.` });
+
+    if (status === "read") markRead(msg, req.user);
+    else msg.status = status;
+    msg.archivedAt = msg.status === "archived" ? msg.archivedAt || new Date() : undefined;
+    await msg.save();
+
+    return res.json({ success: true, message: "Message updated.", data: toMessageDetailView(msg) });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("❌ Contact Update Error:", err.message || err);
+    return res.status(500).json({ success: false, message: "Server error while updating the message." });
+  }
+};
+
+/* -------------------------------
+   REPLY
+   body: { body } — emailed to the sender as part of one thread:
+   In-Reply-To the previous email, References the whole chain.
+--------------------------------*/
+export const replyToContactMessage = async (req, res) => {
+  try {
+    const body = typeof req.body.body === "string" ? req.body.body.trim() : "";
+    if (!body) return res.status(400).json({ success: false, message: "Reply cannot be empty." });
+
+    const msg = await findMessage(req.params.id);
+    if (!msg) return res.status(404).json({ success: false, message: "Message not found." });
+
+    const thread = [msg.messageId, ...msg.replies.map((reply) => reply.messageId)];
+    const messageId = createMessageId("reply");
+
+    try {
+      await transporter.sendMail({
+        from: fromAddress(),
+        to: msg.email,
+        subject: REPLY_SUBJECT,
+        text: `${body}\n\n— ${req.user.name}, Acceleott\n\n> ${msg.message.replace(/\n/g, "\n> ")}`,
+        html: brandedEmail({
+          heading: `Hi ${escapeHtml(msg.name)},`,
+          bodyHtml: `
+            ${textToHtml(body)}
+            <p style="margin:0 0 14px">— ${escapeHtml(req.user.name)}, Acceleott</p>
+            <blockquote style="border-left:4px solid #e5e7eb;padding-left:12px;margin:16px 0 0;color:#64748b">
+              ${escapeHtml(msg.message).replace(/\n/g, "<br>")}
+            </blockquote>
+          `,
+        }),
+        messageId,
+        inReplyTo: thread[thread.length - 1],
+        references: thread,
+      });
+    } catch (err) {
+      console.error("❌ Contact reply email failed:", err.message);
+      return res.status(502).json({ success: false, message: "The reply could not be sent. Please try again." });
+    }
+
+    msg.replies.push({ body, author: req.user._id, authorName: req.user.name, messageId });
+    if (msg.status === "unread") markRead(msg, req.user);
+    await msg.save();
+
+    await recordAudit(req, {
+      action: "admin.contact_message.replied",
+      target: { type: "contact_message", id: String(msg._id), label: msg.email },
+    });
+
+    return res.status(201).json({ success: true, message: "Reply sent.", data: toMessageDetailView(msg) });
+  } catch (err) {
+    console.error("❌ Contact Reply Error:", err.message || err);
+    return res.status(500).json({ success: false, message: "Server error while sending the reply." });
+  }
+};
@@ -1,78 +1,586 @@
-import nodemailer from "nodemailer";
+import mongoose from "mongoose";
 import DemoRequest from "../models/DemoRequest.js";
-
-// --- Configure Nodemailer Transporter ---
-const transporter = nodemailer.createTransport({
-  host: "smtp.gmail.com", // ✅ Explicit host for better reliability
-  port: 465,
-  secure: true, // true for 465, false for 587
-  auth: {
-    user: process.env.EMAIL_USER, // e.g., yourcompany@gmail.com
-    pass: process.env.EMAIL_PASS, // Gmail App Password (never your normal password)
-  },
-});
+import User from "../models/User.js";
+import {
+  DEMO_STATUSES,
+  DEFAULT_DEMO_STATUS,
+  DEMO_STATUS_TRANSITIONS,
+  canTransition,
+} from "../config/demoPipeline.js";
+import { ROLE_PERMISSIONS, permissionsFor } from "../config/roles.js";
+import { sendEmail } from "../utils/email.js";
+import { recordAudit } from "../utils/audit.js";
+import { buildDemoRequestFilter, buildDemoRequestSort } from "../utils/listFilters.js";
+import { matchNewLead } from "../utils/leadMatching.js";
+import { formatPhone } from "../utils/phone.js";
+import { sanitizeAttribution } from "../utils/attribution.js";
+import { applyLeadScore, sanitizeEngagement } from "../utils/leadScoring.js";
+import { emitWebhookEvent, demoRequestWebhookData } from "../utils/webhooks.js";
+import {
+  enrollInFollowUps,
+  stopFollowUps,
+  sendDemoConfirmation,
+  unsubscribeLead,
+  isValidUnsubscribeToken,
+} from "../utils/followUps.js";
+import DemoBooking from "../models/DemoBooking.js";
 
 /**
- * 📩 Controller: Book Demo Request
- * Handles storing demo requests in MongoDB and sending email notification
+ * 🧠 Demo Controller
+ * Public "Book Demo" submissions plus the sales pipeline:
+ * list / detail / status / owner / internal notes, and the
+ * possible-duplicates review (dismiss or merge), and releasing
+ * leads the spam guard quarantined. Website requesters get a
+ * confirmation and follow-up emails until they unsubscribe.
  */
-export const bookDemo = async (req, res) => {
+
+const OWNER_FIELDS = "name email";
+const DUPLICATE_FIELDS = "name email contact designation status createdAt mergedInto";
+
+/* -------------------------------
+   HELPERS
+--------------------------------*/
+const toOwnerView = (owner) =>
+  owner && owner._id ? { id: owner._id, name: owner.name, email: owner.email } : null;
+
+const toDemoListView = (demo) => ({
+  id: demo._id,
+  name: demo.name,
+  email: demo.email,
+  contact: demo.contact,
+  contactCountry: demo.contactCountry,
+  designation: demo.designation,
+  status: demo.status || DEFAULT_DEMO_STATUS,
+  owner: toOwnerView(demo.owner),
+  notesCount: demo.notes?.length || 0,
+  submittedVia: demo.submittedVia,
+  user: demo.user || null,
+  duplicateReview: demo.duplicateReview || null,
+  leadScore: demo.leadScore?.score ?? null,
+  spam: demo.spam ? { score: demo.spam.score, signals: demo.spam.signals, quarantined: demo.spam.quarantined } : null,
+  createdAt: demo.createdAt,
+  updatedAt: demo.updatedAt,
+});
+
+const toDemoDetailView = (demo) => ({
+  ...toDemoListView(demo),
+  nextStatuses: DEMO_STATUS_TRANSITIONS[demo.status || DEFAULT_DEMO_STATUS],
+  statusHistory: demo.statusHistory,
+  notes: demo.notes.map((note) => ({
+    id: note._id,
+    body: note.body,
+    author: note.author,
+    authorName: note.authorName,
+    createdAt: note.createdAt,
+  })),
+  // Leads merged away in the meantime drop out of the list
+  possibleDuplicates: (demo.possibleDuplicates || [])
+    .filter((d) => d.demoRequest?._id && !d.demoRequest.mergedInto)
+    .map((d) => ({
+      score: d.score,
+      reasons: d.reasons,
+      demoRequest: {
+        id: d.demoRequest._id,
+        name: d.demoRequest.name,
+        email: d.demoRequest.email,
+        contact: d.demoRequest.contact,
+        designation: d.demoRequest.designation,
+        status: d.demoRequest.status || DEFAULT_DEMO_STATUS,
+        createdAt: d.demoRequest.createdAt,
+      },
+    })),
+  attribution: demo.attribution || null,
+  engagement: demo.engagement || null,
+  scoreExplanation: demo.leadScore?.explanation || [],
+  followUp: demo.followUp || null,
+  mergedInto: demo.mergedInto || null,
+  mergedFrom: demo.mergedFrom || [],
+});
+
+// Everything the detail view shows
+const populateDetail = (demo) =>
+  demo.populate([
+    { path: "owner", select: OWNER_FIELDS },
+    { path: "possibleDuplicates.demoRequest", select: DUPLICATE_FIELDS },
+  ]);
+
+// Users who may own leads: anyone holding demo:write (by role or extra permission)
+const assignableOwnerFilter = () => ({
+  $or: [
+    { role: { $in: Object.keys(ROLE_PERMISSIONS).filter((r) => ROLE_PERMISSIONS[r].includes("demo:write")) } },
+    { permissions: "demo:write" },
+  ],
+});
+
+const findDemo = (id) => (mongoose.isValidObjectId(id) ? DemoRequest.findById(id) : null);
+
+const notifyAdmin = async ({ name, email, contact, designation, createdAt }) => {
+  const adminEmail = process.env.ADMIN_EMAIL;
+  if (!adminEmail) return;
+
+  await sendEmail({
+    to: adminEmail,
+    subject: `🧩 New Demo Request — ${name}`,
+    html: `
+      <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+        <h2>New Demo Request Received</h2>
+        <p><strong>Name:</strong> ${name}</p>
+        <p><strong>Email:</strong> ${email}</p>
+        <p><strong>Contact:</strong> ${formatPhone(contact)}</p>
+        <p><strong>Designation:</strong> ${designation || "N/A"}</p>
+        <p><strong>Received At:</strong> ${(createdAt || new Date()).toLocaleString()}</p>
+      </div>
+    `,
+  });
+};
+
+/* -------------------------------
+   CREATE (public form or partner API key)
+--------------------------------*/
+export const createDemoRequest = async (req, res) => {
   try {
-    const { name, email, contact, designation } = req.body;
+    const { name, email, contact, contactCountry, designation } = req.body;
 
     // --- Validation ---
     if (!name?.trim() || !email?.trim() || !contact?.trim()) {
       return res.status(400).json({
-        success: false,
-        message: "All required fields (name, email, contact) must be provided.",
+        message: "Name, email, and contact fields are required.",
       });
     }
 
-    // --- Save Request to Database ---
-    const newRequest = await DemoRequest.create({
-      name: name.trim(),
-      email: email.trim(),
-      contact: contact.trim(),
-      designation: designation?.trim() || "N/A",
+    // --- Save to MongoDB ---
+    const demoRequest = new DemoRequest({
+      name,
+      email,
+      contact,
+      contactCountry,
+      designation,
+      statusHistory: [{ to: DEFAULT_DEMO_STATUS }],
+      ...(req.apiKey && {
+        submittedVia: "api",
+        organization: req.apiKey.organizationId,
+        apiKey: req.apiKey.id,
+      }),
+      ...(req.spam && { spam: req.spam }),
+      attribution: sanitizeAttribution(req.body.attribution),
+      engagement: sanitizeEngagement(req.body.engagement),
     });
+    await applyLeadScore(demoRequest);
+    if (!req.apiKey && !demoRequest.spam?.quarantined) await enrollInFollowUps(demoRequest);
+    await demoRequest.save();
 
-    // --- Compose Email ---
-    const mailOptions = {
-      from: `"AIMMED Demo" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-      to: process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
-      subject: `🧠 New AIMMED Demo Request from ${name}`,
-      html: `
-        <div style="font-family:Arial, sans-serif; color:#333; line-height:1.5;">
-          <h2 style="color:#007BFF;">New Demo Request Received</h2>
-          <p><strong>Name:</strong> ${name}</p>
-          <p><strong>Email:</strong> ${email}</p>
-          <p><strong>Contact:</strong> ${contact}</p>
-          <p><strong>Designation:</strong> ${designation || "N/A"}</p>
-          <p><strong>Requested At:</strong> ${new Date().toLocaleString()}</p>
-          <hr>
-          <p style="font-size:12px; color:#777;">
-            This email was automatically generated by AIMMED CRM.
-          </p>
-        </div>
-      `,
-    };
-
-    // --- Send Email ---
-    await transporter.sendMail(mailOptions);
-
-    // --- Success Response ---
-    return res.status(200).json({
+    // Quarantined submissions wait silently for review (POST /api/demo/:id/release).
+    // The visitor gets the usual answer so bots learn nothing.
+    if (demoRequest.spam?.quarantined) {
+      return res
+        .status(201)
+        .json({ message: "Demo request submitted successfully.", id: demoRequest._id });
+    }
+
+    // --- Send Admin Notification (and the requester's confirmation) ---
+    await notifyAdmin(demoRequest);
+    if (!req.apiKey) await sendDemoConfirmation(demoRequest);
+
+    console.log("✅ Demo request stored & admin notified.");
+
+    // Link to a registered user and queue possible duplicates for review
+    await matchNewLead(demoRequest);
+    await emitWebhookEvent("demo.created", demoRequestWebhookData(demoRequest));
+
+    return res
+      .status(201)
+      .json({ message: "Demo request submitted successfully.", id: demoRequest._id });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: Object.values(err.errors)[0].message });
+    console.error("❌ Demo Request Error:", err.message || err);
+    return res.status(500).json({
+      message: "Server error while submitting the demo request. Please try again.",
+    });
+  }
+};
+
+/* -------------------------------
+   LIST (pipeline view)
+   ?page &limit &status=new,contacted &from &to &q= &owner=me|unassigned|<id> &sort=newest|oldest|score
+--------------------------------*/
+export const listDemoRequests = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = buildDemoRequestFilter(req.query, req.user);
+
+    const sort = buildDemoRequestSort(req.query);
+
+    const [requests, total] = await Promise.all([
+      DemoRequest.find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("owner", OWNER_FIELDS)
+        .lean(),
+      DemoRequest.countDocuments(filter),
+    ]);
+
+    await recordAudit(req, {
+      action: "admin.demo_requests.viewed",
+      metadata: { query: req.query, returned: requests.length },
+    });
+
+    return res.json({
       success: true,
-      message: "✅ Demo request submitted successfully! We'll contact you soon.",
-      data: newRequest,
+      data: requests.map(toDemoListView),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
     });
   } catch (err) {
-    console.error("❌ Error in bookDemo:", err);
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    console.error("❌ Demo List Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while loading demo requests." });
+  }
+};
 
-    // --- Error Response ---
-    return res.status(500).json({
-      success: false,
-      message: "Internal Server Error. Please try again later.",
+/* -------------------------------
+   ASSIGNABLE OWNERS (for the owner picker)
+--------------------------------*/
+export const listDemoOwners = async (req, res) => {
+  try {
+    const users = await User.find(assignableOwnerFilter()).select(OWNER_FIELDS).sort({ name: 1 }).lean();
+    return res.json({ success: true, data: users.map(toOwnerView) });
+  } catch (err) {
+    console.error("❌ Demo Owners Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while loading owners." });
+  }
+};
+
+/* -------------------------------
+   DETAIL
+--------------------------------*/
+export const getDemoRequest = async (req, res) => {
+  try {
+    const demo = await findDemo(req.params.id);
+    if (!demo) return res.status(404).json({ success: false, message: "Demo request not found." });
+    await populateDetail(demo);
+
+    await recordAudit(req, {
+      action: "admin.demo_request.viewed",
+      target: { type: "demo_request", id: String(demo._id), label: demo.email },
     });
+
+    return res.json({ success: true, data: toDemoDetailView(demo) });
+  } catch (err) {
+    console.error("❌ Demo Detail Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while loading the demo request." });
+  }
+};
+
+/* -------------------------------
+   UPDATE STATUS / OWNER
+   body: { status?, owner?: userId | null }
+--------------------------------*/
+export const updateDemoRequest = async (req, res) => {
+  try {
+    const { status, owner } = req.body;
+    if (status === undefined && owner === undefined)
+      return res.status(400).json({ success: false, message: "Nothing to update (status or owner)." });
+
+    const demo = await findDemo(req.params.id);
+    if (!demo) return res.status(404).json({ success: false, message: "Demo request not found." });
+    if (demo.mergedInto)
+      return res.status(400).json({ success: false, message: "This lead was merged into another one." });
+
+    const changes = {};
+
+    if (status !== undefined && status !== demo.status) {
+      if (!DEMO_STATUSES.includes(status))
+        return res.status(400).json({ success: false, message: `Status must be one of: ${DEMO_STATUSES.join(", ")}.` });
+      if (!canTransition(demo.status, status))
+        return res.status(400).json({
+          success: false,
+          message: `A lead cannot move from "${demo.status}" to "${status}".`,
+        });
+
+      changes.status = { from: demo.status, to: status };
+      demo.statusHistory.push({ from: demo.status, to: status, changedBy: req.user._id });
+      demo.status = status;
+      stopFollowUps(demo, "status_changed");
+    }
+
+    if (owner !== undefined && String(owner) !== String(demo.owner ?? null)) {
+      if (owner !== null) {
+        const assignee = mongoose.isValidObjectId(owner) ? await User.findById(owner) : null;
+        if (!assignee) return res.status(400).json({ success: false, message: "Owner not found." });
+        if (!permissionsFor(assignee).includes("demo:write"))
+          return res.status(400).json({ success: false, message: "This user cannot own demo requests." });
+      }
+      changes.owner = { from: demo.owner ?? null, to: owner };
+      demo.owner = owner;
+    }
+
+    await demo.save();
+    await populateDetail(demo);
+
+    if (Object.keys(changes).length)
+      await recordAudit(req, {
+        action: "admin.demo_request.updated",
+        target: { type: "demo_request", id: String(demo._id), label: demo.email },
+        metadata: changes,
+      });
+
+    return res.json({ success: true, message: "Demo request updated.", data: toDemoDetailView(demo) });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("❌ Demo Update Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while updating the demo request." });
+  }
+};
+
+/* -------------------------------
+   ADD INTERNAL NOTE
+--------------------------------*/
+export const addDemoNote = async (req, res) => {
+  try {
+    const body = typeof req.body.body === "string" ? req.body.body.trim() : "";
+    if (!body) return res.status(400).json({ success: false, message: "Note cannot be empty." });
+
+    const demo = await findDemo(req.params.id);
+    if (!demo) return res.status(404).json({ success: false, message: "Demo request not found." });
+    if (demo.mergedInto)
+      return res.status(400).json({ success: false, message: "This lead was merged into another one." });
+
+    demo.notes.push({ body, author: req.user._id, authorName: req.user.name });
+    await demo.save();
+    await populateDetail(demo);
+
+    await recordAudit(req, {
+      action: "admin.demo_request.note_added",
+      target: { type: "demo_request", id: String(demo._id), label: demo.email },
+    });
+
+    return res.status(201).json({ success: true, message: "Note added.", data: toDemoDetailView(demo) });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("❌ Demo Note Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while adding the note." });
+  }
+};
+
+/* -------------------------------
+   DISMISS POSSIBLE DUPLICATES
+   Takes the lead out of the review queue ("not the same person")
+--------------------------------*/
+export const dismissDuplicates = async (req, res) => {
+  try {
+    const demo = await findDemo(req.params.id);
+    if (!demo) return res.status(404).json({ success: false, message: "Demo request not found." });
+    if (demo.duplicateReview !== "pending")
+      return res.status(400).json({ success: false, message: "This lead is not waiting for duplicate review." });
+
+    demo.duplicateReview = "dismissed";
+    demo.notes.push({
+      body: "Possible duplicates reviewed: not the same person.",
+      author: req.user._id,
+      authorName: req.user.name,
+    });
+    await demo.save();
+    await populateDetail(demo);
+
+    await recordAudit(req, {
+      action: "admin.demo_request.duplicates_dismissed",
+      target: { type: "demo_request", id: String(demo._id), label: demo.email },
+    });
+
+    return res.json({ success: true, message: "Marked as not a duplicate.", data: toDemoDetailView(demo) });
+  } catch (err) {
+    console.error("❌ Demo Dismiss Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while updating the demo request." });
+  }
+};
+
+/* -------------------------------
+   MERGE
+   body: { into: demoRequestId } — this lead is folded into `into`:
+   its notes move over, its details and status history are kept as a
+   snapshot (mergedFrom), bookings follow, and it leaves the lists.
+--------------------------------*/
+export const mergeDemoRequest = async (req, res) => {
+  try {
+    const { into } = req.body;
+    if (!into || String(into) === req.params.id)
+      return res.status(400).json({ success: false, message: "Choose another lead to merge into." });
+
+    const [source, target] = await Promise.all([findDemo(req.params.id), findDemo(into)]);
+    if (!source || !target) return res.status(404).json({ success: false, message: "Demo request not found." });
+    if (source.mergedInto || target.mergedInto)
+      return res.status(400).json({ success: false, message: "One of these leads was already merged." });
+
+    target.mergedFrom.push(...source.mergedFrom.map((lead) => lead.toObject()), {
+      demoRequest: source._id,
+      name: source.name,
+      email: source.email,
+      contact: source.contact,
+      designation: source.designation,
+      status: source.status,
+      statusHistory: source.statusHistory.map((change) => change.toObject()),
+      submittedAt: source.createdAt,
+      mergedBy: req.user._id,
+    });
+
+    // Both leads' notes in one timeline (original authors and dates kept)
+    target.notes = [
+      ...target.notes.map((note) => note.toObject()),
+      ...source.notes.map((note) => note.toObject()),
+      {
+        body: `Merged duplicate lead ${source.name} <${source.email}>, ${formatPhone(source.contact)}, submitted ${source.createdAt.toISOString()}.`,
+        author: req.user._id,
+        authorName: req.user.name,
+        createdAt: new Date(),
+      },
+    ].sort((a, b) => a.createdAt - b.createdAt);
+
+    target.owner = target.owner || source.owner;
+    target.user = target.user || source.user;
+    await target.save();
+
+    source.mergedInto = target._id;
+    source.mergedAt = new Date();
+    source.duplicateReview = undefined;
+    stopFollowUps(source, "merged");
+    await source.save();
+
+    // Bookings and other leads' duplicate links follow the surviving lead
+    await Promise.all([
+      DemoBooking.updateMany({ demoRequest: source._id }, { $set: { demoRequest: target._id } }),
+      DemoRequest.updateMany(
+        { "possibleDuplicates.demoRequest": source._id },
+        { $pull: { possibleDuplicates: { demoRequest: source._id } } }
+      ),
+    ]);
+    await DemoRequest.updateMany(
+      { duplicateReview: "pending", possibleDuplicates: { $size: 0 } },
+      { $unset: { duplicateReview: 1 } }
+    );
+
+    const merged = await findDemo(target._id);
+    await populateDetail(merged);
+
+    await recordAudit(req, {
+      action: "admin.demo_request.merged",
+      target: { type: "demo_request", id: String(target._id), label: target.email },
+      metadata: { merged: String(source._id), mergedEmail: source.email },
+    });
+
+    return res.json({ success: true, message: "Leads merged.", data: toDemoDetailView(merged) });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("❌ Demo Merge Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while merging the leads." });
+  }
+};
+
+/* -------------------------------
+   RELEASE FROM SPAM QUARANTINE
+   Not spam after all: the lead joins the pipeline, the admin
+   notification goes out late and duplicate matching runs.
+--------------------------------*/
+export const releaseDemoRequest = async (req, res) => {
+  try {
+    const demo = await findDemo(req.params.id);
+    if (!demo) return res.status(404).json({ success: false, message: "Demo request not found." });
+    if (!demo.spam?.quarantined)
+      return res.status(400).json({ success: false, message: "This lead is not quarantined." });
+
+    demo.spam.quarantined = false;
+    demo.spam.releasedBy = req.user._id;
+    demo.spam.releasedAt = new Date();
+    await applyLeadScore(demo);
+    if (demo.submittedVia === "web") await enrollInFollowUps(demo);
+    demo.notes.push({
+      body: `Released from spam quarantine (score ${demo.spam.score}: ${demo.spam.signals.join(", ") || "no signals"}).`,
+      author: req.user._id,
+      authorName: req.user.name,
+    });
+    await demo.save();
+
+    await notifyAdmin(demo);
+    if (demo.submittedVia === "web") await sendDemoConfirmation(demo);
+    await matchNewLead(demo, { earlierOnly: false });
+    await emitWebhookEvent("demo.created", demoRequestWebhookData(demo));
+
+    const released = await findDemo(demo._id);
+    await populateDetail(released);
+
+    await recordAudit(req, {
+      action: "admin.demo_request.released",
+      target: { type: "demo_request", id: String(demo._id), label: demo.email },
+      metadata: { score: demo.spam.score, signals: demo.spam.signals },
+    });
+
+    return res.json({ success: true, message: "Released into the pipeline.", data: toDemoDetailView(released) });
+  } catch (err) {
+    console.error("❌ Demo Release Error:", err.message || err);
+    return res.status(500).json({ message: "Server error while updating the demo request." });
+  }
+};
+
+/* -------------------------------
+   UNSUBSCRIBE FROM FOLLOW-UPS
+   GET only shows a confirmation page — mail scanners and link
+   previewers fetch links in incoming emails. Its button POSTs back
+   to the same URL, as does one-click List-Unsubscribe.
+--------------------------------*/
+const unsubscribePage = (text, button = "") => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <title>Unsubscribe · Acceleott</title>
+  </head>
+  <body style="font-family:Arial,sans-serif;max-width:480px;margin:48px auto;padding:0 16px;color:#1e293b">
+    <h1 style="font-size:20px">Acceleott follow-up emails</h1>
+    <p>${text}</p>
+    ${button}
+  </body>
+</html>`;
+
+export const showUnsubscribePage = async (req, res) => {
+  try {
+    const { id, token } = req.params;
+    const demo = isValidUnsubscribeToken(id, token) ? await findDemo(id) : null;
+    if (!demo) return res.status(400).send(unsubscribePage("Invalid unsubscribe link."));
+
+    if (demo.followUp?.unsubscribedAt) {
+      return res.send(unsubscribePage("You are already unsubscribed. You can close this page."));
+    }
+
+    return res.send(
+      unsubscribePage(
+        "Stop receiving follow-up emails about your demo request?",
+        `<form method="post"><button type="submit" style="padding:10px 18px;cursor:pointer">Unsubscribe</button></form>`
+      )
+    );
+  } catch (err) {
+    console.error("❌ Unsubscribe Page Error:", err.message || err);
+    return res.status(500).send(unsubscribePage("Server error. Please try again later."));
+  }
+};
+
+export const unsubscribeFromFollowUps = async (req, res) => {
+  try {
+    const { id, token } = req.params;
+    const demo = isValidUnsubscribeToken(id, token) ? await findDemo(id) : null;
+    if (!demo) return res.status(400).send(unsubscribePage("Invalid unsubscribe link."));
+
+    await unsubscribeLead(demo);
+
+    return res.send(
+      unsubscribePage("You have been unsubscribed from Acceleott follow-up emails. You can close this page.")
+    );
+  } catch (err) {
+    console.error("❌ Unsubscribe Error:", err.message || err);
+    return res.status(500).send(unsubscribePage("Server error while unsubscribing. Please try again later."));
   }
 };
@@ -0,0 +1,440 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Organization from "../models/Organization.js";
+import Membership from "../models/Membership.js";
+import Invitation from "../models/Invitation.js";
+import { ORG_ROLES, DEFAULT_ORG_ROLE, ORG_MANAGER_ROLES } from "../config/roles.js";
+import { createToken, hashToken } from "../utils/tokens.js";
+import { setActiveOrganization } from "../utils/session.js";
+import { sendEmail } from "../utils/email.js";
+import { recordAudit } from "../utils/audit.js";
+
+/**
+ * 🏥 Organization Controller
+ * Clinic tenants: creation, switching, members and email invitations.
+ * Routes under /current act on the session's active organization
+ * (resolved into req.tenant by middleware/tenant.js).
+ */
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/* -------------------------------
+   HELPERS
+--------------------------------*/
+const toOrganizationView = (organization, role, activeId) => ({
+  id: organization._id,
+  name: organization.name,
+  slug: organization.slug,
+  role,
+  active: String(organization._id) === String(activeId),
+});
+
+const toMemberView = (membership) => ({
+  userId: membership.user._id,
+  name: membership.user.name,
+  email: membership.user.email,
+  role: membership.role,
+  joinedAt: membership.createdAt,
+});
+
+const toInvitationView = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+// Make an organization the active one for this session and future logins
+const activate = async (req, organizationId) => {
+  await setActiveOrganization(req.auth.sessionId, organizationId);
+  await User.updateOne({ _id: req.user._id }, { $set: { defaultOrganization: organizationId } });
+};
+
+const countOwners = (organizationId) =>
+  Membership.countDocuments({ organization: organizationId, role: "owner" });
+
+/* -------------------------------
+   LIST MY ORGANIZATIONS
+--------------------------------*/
+export const listMyOrganizations = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ user: req.user._id })
+      .populate("organization", "name slug")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      data: memberships
+        .filter((m) => m.organization) // organization deleted
+        .map((m) => toOrganizationView(m.organization, m.role, req.auth.organizationId)),
+    });
+  } catch (err) {
+    console.error("List organizations error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading organizations." });
+  }
+};
+
+/* -------------------------------
+   CREATE ORGANIZATION
+   The creator becomes its owner and switches into it.
+--------------------------------*/
+export const createOrganization = async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) return res.status(400).json({ success: false, message: "Organization name is required." });
+
+    const organization = await Organization.create({
+      name,
+      slug: Organization.slugFor(name),
+      createdBy: req.user._id,
+    });
+    await Membership.create({ organization: organization._id, user: req.user._id, role: "owner" });
+    await activate(req, organization._id);
+
+    return res.status(201).json({
+      success: true,
+      message: "Organization created.",
+      data: toOrganizationView(organization, "owner", organization._id),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("Create organization error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while creating organization." });
+  }
+};
+
+/* -------------------------------
+   SWITCH ACTIVE ORGANIZATION
+--------------------------------*/
+export const switchOrganization = async (req, res) => {
+  try {
+    const { organizationId } = req.body;
+    if (!mongoose.isValidObjectId(organizationId))
+      return res.status(400).json({ success: false, message: "Invalid organization id." });
+
+    const membership = await Membership.findOne({
+      organization: organizationId,
+      user: req.user._id,
+    }).populate("organization", "name slug");
+
+    if (!membership?.organization)
+      return res.status(403).json({ success: false, message: "You are not a member of this organization." });
+
+    await activate(req, membership.organization._id);
+
+    return res.json({
+      success: true,
+      message: `Switched to ${membership.organization.name}.`,
+      data: toOrganizationView(membership.organization, membership.role, membership.organization._id),
+    });
+  } catch (err) {
+    console.error("Switch organization error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while switching organization." });
+  }
+};
+
+/* -------------------------------
+   CURRENT ORGANIZATION
+--------------------------------*/
+export const getCurrentOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.tenant.organizationId).lean();
+    if (!organization)
+      return res.status(404).json({ success: false, message: "Organization not found." });
+
+    return res.json({
+      success: true,
+      data: toOrganizationView(organization, req.tenant.role, organization._id),
+    });
+  } catch (err) {
+    console.error("Get organization error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading organization." });
+  }
+};
+
+/* -------------------------------
+   MEMBERS
+--------------------------------*/
+export const listMembers = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ organization: req.tenant.organizationId })
+      .populate("user", "name email")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      data: memberships.filter((m) => m.user).map(toMemberView),
+    });
+  } catch (err) {
+    console.error("List members error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading members." });
+  }
+};
+
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!ORG_ROLES.includes(role))
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ORG_ROLES.join(", ")}.` });
+
+    const membership = mongoose.isValidObjectId(userId)
+      ? await Membership.findOne({ organization: req.tenant.organizationId, user: userId })
+      : null;
+    if (!membership) return res.status(404).json({ success: false, message: "Member not found." });
+
+    // Only owners hand out or take away ownership
+    if ((role === "owner" || membership.role === "owner") && req.tenant.role !== "owner")
+      return res.status(403).json({ success: false, message: "Only an owner can change ownership." });
+
+    if (membership.role === "owner" && role !== "owner" && (await countOwners(req.tenant.organizationId)) <= 1)
+      return res.status(400).json({ success: false, message: "An organization needs at least one owner." });
+
+    const previousRole = membership.role;
+    membership.role = role;
+    await membership.save();
+
+    await recordAudit(req, {
+      action: "org.member.role_updated",
+      target: { type: "user", id: String(userId) },
+      metadata: { previousRole, role },
+    });
+
+    return res.json({ success: true, message: "Member role updated.", data: { userId, role } });
+  } catch (err) {
+    console.error("Update member role error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while updating member." });
+  }
+};
+
+/* -------------------------------
+   REMOVE MEMBER (or leave)
+   Managers remove others; anyone may remove themselves.
+--------------------------------*/
+export const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const isSelf = String(userId) === String(req.user._id);
+
+    if (!isSelf && !ORG_MANAGER_ROLES.includes(req.tenant.role))
+      return res.status(403).json({ success: false, message: "You do not have permission to perform this action." });
+
+    const membership = mongoose.isValidObjectId(userId)
+      ? await Membership.findOne({ organization: req.tenant.organizationId, user: userId })
+      : null;
+    if (!membership) return res.status(404).json({ success: false, message: "Member not found." });
+
+    if (membership.role === "owner") {
+      if (!isSelf && req.tenant.role !== "owner")
+        return res.status(403).json({ success: false, message: "Only an owner can remove an owner." });
+      if ((await countOwners(req.tenant.organizationId)) <= 1)
+        return res.status(400).json({ success: false, message: "An organization needs at least one owner." });
+    }
+
+    await membership.deleteOne();
+
+    await recordAudit(req, {
+      action: isSelf ? "org.member.left" : "org.member.removed",
+      target: { type: "user", id: String(userId) },
+      metadata: { role: membership.role },
+    });
+
+    return res.json({ success: true, message: isSelf ? "You left the organization." : "Member removed." });
+  } catch (err) {
+    console.error("Remove member error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while removing member." });
+  }
+};
+
+/* -------------------------------
+   INVITATIONS
+--------------------------------*/
+export const listInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      organization: req.tenant.organizationId,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.json({ success: true, data: invitations.map(toInvitationView) });
+  } catch (err) {
+    console.error("List invitations error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading invitations." });
+  }
+};
+
+export const createInvitation = async (req, res) => {
+  try {
+    const email = String(req.body.email || "").toLowerCase().trim();
+    const role = req.body.role || DEFAULT_ORG_ROLE;
+
+    if (!email) return res.status(400).json({ success: false, message: "Email is required." });
+    if (!ORG_ROLES.includes(role))
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ORG_ROLES.join(", ")}.` });
+    if (role === "owner" && req.tenant.role !== "owner")
+      return res.status(403).json({ success: false, message: "Only an owner can invite another owner." });
+
+    const existingUser = await User.findOne({ email }).select("_id").lean();
+    if (
+      existingUser &&
+      (await Membership.exists({ organization: req.tenant.organizationId, user: existingUser._id }))
+    )
+      return res.status(400).json({ success: false, message: "This person is already a member." });
+
+    const organization = await Organization.findById(req.tenant.organizationId).lean();
+    const { rawToken, hashedToken } = createToken();
+
+    // Re-inviting replaces any pending invitation for the same email
+    await Invitation.deleteMany({ organization: organization._id, email, acceptedAt: null });
+    const invitation = await Invitation.create({
+      organization: organization._id,
+      email,
+      role,
+      tokenHash: hashedToken,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+    });
+
+    await recordAudit(req, {
+      action: "org.invitation.created",
+      target: { type: "invitation", id: String(invitation._id), label: email },
+      metadata: { role },
+    });
+
+    const inviteUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/invite/${rawToken}`;
+
+    await sendEmail({
+      to: email,
+      subject: `${req.user.name} invited you to ${organization.name} on Acceleott`,
+      text: `Join ${organization.name} on Acceleott: ${inviteUrl}`,
+      html: `
+        <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+          <h2>You’re invited to ${organization.name}</h2>
+          <p>${req.user.name} invited you to join <strong>${organization.name}</strong>
+             on Acceleott as <strong>${role}</strong>.</p>
+          <p style="margin:24px 0">
+            <a href="${inviteUrl}"
+               style="background:#0ea5a5;color:#fff;padding:12px 18px;border-radius:8px;
+                      text-decoration:none;font-weight:600">
+              Accept invitation
+            </a>
+          </p>
+          <p>If the button doesn’t work, copy this link:</p>
+          <p style="word-break:break-all">${inviteUrl}</p>
+          <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0">
+          <small>This invitation expires in 7 days. Sign in (or create an account) with ${email} to accept it.</small>
+        </div>
+      `,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}.`,
+      data: toInvitationView(invitation),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: Object.values(err.errors)[0].message });
+    console.error("Create invitation error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while sending invitation." });
+  }
+};
+
+export const revokeInvitation = async (req, res) => {
+  try {
+    const { deletedCount } = mongoose.isValidObjectId(req.params.id)
+      ? await Invitation.deleteOne({
+          _id: req.params.id,
+          organization: req.tenant.organizationId,
+          acceptedAt: null,
+        })
+      : { deletedCount: 0 };
+
+    if (!deletedCount) return res.status(404).json({ success: false, message: "Invitation not found." });
+    return res.json({ success: true, message: "Invitation revoked." });
+  } catch (err) {
+    console.error("Revoke invitation error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while revoking invitation." });
+  }
+};
+
+/* -------------------------------
+   INVITATION PREVIEW (public)
+   Lets the accept page show what the link is for.
+--------------------------------*/
+const findPendingInvitation = (rawToken) =>
+  Invitation.findOne({
+    tokenHash: hashToken(rawToken),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).populate("organization", "name");
+
+export const getInvitation = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation?.organization)
+      return res.status(404).json({ success: false, message: "This invitation is invalid or has expired." });
+
+    return res.json({
+      success: true,
+      data: {
+        organization: invitation.organization.name,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error("Get invitation error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading invitation." });
+  }
+};
+
+/* -------------------------------
+   ACCEPT INVITATION (signed in)
+--------------------------------*/
+export const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation?.organization)
+      return res.status(404).json({ success: false, message: "This invitation is invalid or has expired." });
+
+    if (invitation.email !== req.user.email)
+      return res.status(403).json({
+        success: false,
+        message: `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`,
+      });
+
+    // Single use: only one request can mark the invitation accepted
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null },
+      { $set: { acceptedAt: new Date() } }
+    );
+    if (!claimed)
+      return res.status(404).json({ success: false, message: "This invitation is invalid or has expired." });
+
+    await Membership.updateOne(
+      { organization: invitation.organization._id, user: req.user._id },
+      { $setOnInsert: { role: invitation.role } },
+      { upsert: true }
+    );
+    await activate(req, invitation.organization._id);
+
+    return res.json({
+      success: true,
+      message: `You joined ${invitation.organization.name}.`,
+      data: toOrganizationView(invitation.organization, invitation.role, invitation.organization._id),
+    });
+  } catch (err) {
+    console.error("Accept invitation error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while accepting invitation." });
+  }
+};
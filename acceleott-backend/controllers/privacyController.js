@@ -0,0 +1,121 @@
+import User from "../models/User.js";
+import { collectUserData, streamZipExport } from "../utils/dataExport.js";
+import { DELETION_GRACE_DAYS, findSoleOwnedOrganizations } from "../utils/accountDeletion.js";
+import { sendEmail } from "../utils/email.js";
+import { recordAudit } from "../utils/audit.js";
+
+/* -------------------------------
+   EXPORT MY DATA
+   GET /me/export?format=json|zip
+--------------------------------*/
+export const exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format === "zip" ? "zip" : "json";
+
+    const data = await collectUserData(req.user._id);
+    if (!data) return res.status(404).json({ message: "User not found." });
+
+    const filename = `acceleott-data-${new Date().toISOString().slice(0, 10)}.${format}`;
+    await recordAudit(req, { action: "privacy.data_exported", metadata: { format } });
+
+    if (format === "zip") return streamZipExport(res, data, filename);
+
+    res.attachment(filename);
+    return res.type("application/json").send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error("Data export error:", err.message);
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ message: "Server error while exporting your data." });
+  }
+};
+
+/* -------------------------------
+   REQUEST ACCOUNT DELETION
+   Schedules the purge after a grace period; password required.
+--------------------------------*/
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) return res.status(400).json({ message: "Password is required." });
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!(await user.comparePassword(password))) {
+      await recordAudit(req, {
+        action: "privacy.deletion_requested",
+        outcome: "failure",
+        reason: "bad_password",
+      });
+      return res.status(400).json({ message: "Incorrect password." });
+    }
+
+    if (user.deletionScheduledFor)
+      return res.status(400).json({ message: "Account deletion is already scheduled." });
+
+    // Every organization needs an owner who can manage its members
+    const soleOwned = await findSoleOwnedOrganizations(user._id);
+    if (soleOwned.length)
+      return res.status(400).json({
+        message:
+          `You are the only owner of ${soleOwned.map((org) => org.name).join(", ")}. ` +
+          "Make another member an owner before deleting your account.",
+      });
+
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { deletionRequestedAt: now, deletionScheduledFor: scheduledFor } }
+    );
+    await recordAudit(req, {
+      action: "privacy.deletion_requested",
+      metadata: { scheduledFor },
+    });
+
+    const settingsUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/account/settings`;
+    await sendEmail({
+      to: user.email,
+      subject: "Your Acceleott account is scheduled for deletion",
+      text: `Your account will be permanently deleted on ${scheduledFor.toDateString()}. Sign in to cancel: ${settingsUrl}`,
+      html: `
+        <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+          <h2>Account deletion scheduled</h2>
+          <p>Hi ${user.name}, we received your request to delete your Acceleott account.</p>
+          <p>Your account and all personal data linked to it will be permanently deleted on
+             <strong>${scheduledFor.toDateString()}</strong>.</p>
+          <p>Changed your mind? Sign in and cancel the deletion from your
+             <a href="${settingsUrl}">account settings</a> before then.</p>
+        </div>
+      `,
+    });
+
+    return res.json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. We’ve emailed you a confirmation.`,
+      deletionScheduledFor: scheduledFor,
+    });
+  } catch (err) {
+    console.error("Account deletion request error:", err.message);
+    return res.status(500).json({ message: "Server error while scheduling account deletion." });
+  }
+};
+
+/* -------------------------------
+   CANCEL ACCOUNT DELETION
+--------------------------------*/
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const { modifiedCount } = await User.updateOne(
+      { _id: req.user._id, deletionScheduledFor: { $ne: null } },
+      { $set: { deletionRequestedAt: null, deletionScheduledFor: null } }
+    );
+    if (!modifiedCount)
+      return res.status(400).json({ message: "No account deletion is scheduled." });
+
+    await recordAudit(req, { action: "privacy.deletion_cancelled" });
+    return res.json({ success: true, message: "Account deletion cancelled." });
+  } catch (err) {
+    console.error("Cancel deletion error:", err.message);
+    return res.status(500).json({ message: "Server error while cancelling account deletion." });
+  }
+};
@@ -0,0 +1,99 @@
+import Session from "../models/Session.js";
+import { revokeAllSessions, clearAuthCookies } from "../utils/session.js";
+import { recordAudit } from "../utils/audit.js";
+
+/* -------------------------------
+   HELPERS
+--------------------------------*/
+const toSessionView = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId),
+});
+
+/* -------------------------------
+   LIST ACTIVE SESSIONS
+--------------------------------*/
+export const listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      data: sessions.map((s) => toSessionView(s, req.auth.sessionId)),
+    });
+  } catch (err) {
+    console.error("List sessions error:", err.message);
+    return res.status(500).json({ message: "Server error while loading sessions." });
+  }
+};
+
+/* -------------------------------
+   REVOKE ONE SESSION
+--------------------------------*/
+export const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "user_revoked" } }
+    );
+    if (!session) return res.status(404).json({ message: "Session not found." });
+
+    // Revoking the session you're using is just a logout
+    const current = String(session._id) === String(req.auth.sessionId);
+    if (current) clearAuthCookies(res);
+
+    await recordAudit(req, {
+      action: "auth.session.revoked",
+      target: { type: "session", id: String(session._id), label: session.device },
+    });
+
+    return res.json({ success: true, current, message: "Session signed out." });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(404).json({ message: "Session not found." });
+    console.error("Revoke session error:", err.message);
+    return res.status(500).json({ message: "Server error while signing out the session." });
+  }
+};
+
+/* -------------------------------
+   SIGN OUT EVERYWHERE
+   body.keepCurrent → sign out all *other* devices only
+--------------------------------*/
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    const keepCurrent = Boolean(req.body?.keepCurrent);
+
+    const revoked = await revokeAllSessions(req.user._id, "signed_out_everywhere", {
+      except: keepCurrent ? req.auth.sessionId : undefined,
+    });
+    if (!keepCurrent) clearAuthCookies(res);
+
+    await recordAudit(req, {
+      action: "auth.session.revoked_all",
+      metadata: { revoked, keepCurrent },
+    });
+
+    return res.json({
+      success: true,
+      revoked,
+      message: keepCurrent
+        ? "Signed out of all other devices."
+        : "Signed out everywhere. Please log in again.",
+    });
+  } catch (err) {
+    console.error("Revoke all sessions error:", err.message);
+    return res.status(500).json({ message: "Server error while signing out sessions." });
+  }
+};
@@ -0,0 +1,299 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import { hashToken } from "../utils/tokens.js";
+import { startSession, verifyTwoFactorChallenge } from "../utils/session.js";
+import { generateSecret, verifyTotp, buildOtpAuthUri } from "../utils/totp.js";
+import { recordAudit, userActor } from "../utils/audit.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  respondBlocked,
+  respondFailure,
+} from "../utils/loginThrottle.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const SECOND_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorLastCounter +twoFactorRecoveryCodes";
+
+/* -------------------------------
+   HELPERS
+--------------------------------*/
+
+// Recovery codes look like "a1b2c-3d4e5"; compare case/format-insensitively
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const hashRecoveryCodes = (codes) => codes.map((c) => hashToken(normalizeRecoveryCode(c)));
+
+/**
+ * Verify a TOTP code or consume a recovery code for a user that has 2FA enabled.
+ * Both checks are atomic updates so a code can never be accepted twice.
+ * @returns {Promise<"totp"|"recovery_code"|null>} the method that succeeded
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const counter = verifyTotp(decrypt(user.twoFactorSecret), code);
+    if (counter === null) return null;
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastCounter: { $lt: counter } },
+          { twoFactorLastCounter: { $exists: false } },
+          { twoFactorLastCounter: null },
+        ],
+      },
+      { $set: { twoFactorLastCounter: counter } }
+    );
+    return modifiedCount === 1 ? "totp" : null;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashToken(normalizeRecoveryCode(recoveryCode));
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hashed },
+      { $pull: { twoFactorRecoveryCodes: hashed } }
+    );
+    return modifiedCount === 1 ? "recovery_code" : null;
+  }
+
+  return null;
+};
+
+/* -------------------------------
+   LOGIN — SECOND STEP
+--------------------------------*/
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId)
+      return res.status(401).json({ message: "Login session expired. Please sign in again." });
+
+    if (!code && !recoveryCode)
+      return res.status(400).json({ message: "Authentication code is required." });
+
+    const user = await User.findById(userId).select(SECOND_FACTOR_FIELDS);
+    if (!user || !user.twoFactorEnabled)
+      return res.status(401).json({ message: "Login session expired. Please sign in again." });
+
+    // Second-factor guesses count towards the same lockout as passwords
+    const blocked = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (blocked) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "denied",
+        reason: blocked.code,
+        actor: userActor(user),
+      });
+      return respondBlocked(res, blocked);
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordAudit(req, {
+        action: "auth.login",
+        outcome: "failure",
+        reason: "bad_second_factor",
+        actor: userActor(user),
+      });
+      const result = await recordLoginFailure({ email: user.email, ip: req.ip, user });
+      return respondFailure(res, result, "Invalid authentication code.");
+    }
+
+    await clearLoginFailures({ email: user.email });
+
+    await startSession(req, res, user);
+    await recordAudit(req, {
+      action: "auth.login",
+      actor: userActor(user),
+      metadata: { secondFactor: method },
+    });
+
+    const remainingRecoveryCodes =
+      method === "recovery_code" ? user.twoFactorRecoveryCodes.length - 1 : undefined;
+
+    return res.json({
+      message: "Login successful.",
+      user: { id: user._id, name: user.name, email: user.email },
+      remainingRecoveryCodes,
+    });
+  } catch (err) {
+    console.error("2FA verify error:", err.message);
+    return res.status(500).json({ message: "Server error during two-factor verification." });
+  }
+};
+
+/* -------------------------------
+   ENROLMENT — STEP 1: NEW SECRET
+--------------------------------*/
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpAuthUri({ secret, account: req.user.email });
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { twoFactorPendingSecret: encrypt(secret) } }
+    );
+
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code.",
+      secret,
+      otpauthUrl,
+      qrCode,
+    });
+  } catch (err) {
+    console.error("2FA setup error:", err.message);
+    return res.status(500).json({ message: "Server error during two-factor setup." });
+  }
+};
+
+/* -------------------------------
+   ENROLMENT — STEP 2: CONFIRM CODE
+--------------------------------*/
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "Authentication code is required." });
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+    if (!user.twoFactorPendingSecret)
+      return res.status(400).json({ message: "Start two-factor setup first." });
+
+    const pendingSecret = decrypt(user.twoFactorPendingSecret);
+    const counter = verifyTotp(pendingSecret, code);
+    if (counter === null) {
+      await recordAudit(req, {
+        action: "auth.2fa.enabled",
+        outcome: "failure",
+        reason: "bad_code",
+      });
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastCounter = counter;
+    user.twoFactorRecoveryCodes = hashRecoveryCodes(recoveryCodes);
+    user.twoFactorEnabled = true;
+    await user.save();
+    await recordAudit(req, { action: "auth.2fa.enabled" });
+
+    return res.json({
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes, // ⚠️ Shown once — only hashes are stored
+    });
+  } catch (err) {
+    console.error("2FA enable error:", err.message);
+    return res.status(500).json({ message: "Server error while enabling two-factor authentication." });
+  }
+};
+
+/* -------------------------------
+   DISABLE
+--------------------------------*/
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password) return res.status(400).json({ message: "Password is required." });
+
+    if (await SecurityPolicy.requiresTwoFactor(req.user.role))
+      return res.status(403).json({
+        message: "Your organization requires two-factor authentication for your role.",
+      });
+
+    const user = await User.findById(req.user._id).select(`+password ${SECOND_FACTOR_FIELDS}`);
+    if (!user.twoFactorEnabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    const secondFactor = isMatch && (await verifySecondFactor(user, { code, recoveryCode }));
+    if (!secondFactor) {
+      await recordAudit(req, {
+        action: "auth.2fa.disabled",
+        outcome: "failure",
+        reason: isMatch ? "bad_code" : "bad_password",
+      });
+      return res
+        .status(400)
+        .json({ message: isMatch ? "Invalid authentication code." : "Incorrect password." });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorLastCounter: 1,
+          twoFactorRecoveryCodes: 1,
+        },
+      }
+    );
+
+    await recordAudit(req, { action: "auth.2fa.disabled", metadata: { secondFactor } });
+    return res.json({ message: "Two-factor authentication disabled." });
+  } catch (err) {
+    console.error("2FA disable error:", err.message);
+    return res.status(500).json({ message: "Server error while disabling two-factor authentication." });
+  }
+};
+
+/* -------------------------------
+   REGENERATE RECOVERY CODES
+--------------------------------*/
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "Authentication code is required." });
+
+    const user = await User.findById(req.user._id).select(SECOND_FACTOR_FIELDS);
+    if (!user.twoFactorEnabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      await recordAudit(req, {
+        action: "auth.2fa.recovery_codes_regenerated",
+        outcome: "failure",
+        reason: "bad_code",
+      });
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorRecoveryCodes: hashRecoveryCodes(recoveryCodes) } }
+    );
+    await recordAudit(req, { action: "auth.2fa.recovery_codes_regenerated" });
+
+    return res.json({
+      message: "New recovery codes generated. Previous codes no longer work.",
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err.message);
+    return res.status(500).json({ message: "Server error while generating recovery codes." });
+  }
+};
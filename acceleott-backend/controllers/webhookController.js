@@ -0,0 +1,273 @@
+import mongoose from "mongoose";
+import WebhookEndpoint from "../models/WebhookEndpoint.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { WEBHOOK_EVENTS, MAX_ENDPOINTS, MAX_DELIVERY_ATTEMPTS } from "../config/webhooks.js";
+import { createWebhookSecret, replayDelivery, sendTestEvent } from "../utils/webhooks.js";
+import { recordAudit } from "../utils/audit.js";
+
+/**
+ * 🪝 Webhook Controller
+ * Admin management of outbound webhook endpoints and their delivery
+ * log (attempts, retries, replays). Delivery itself lives in
+ * utils/webhooks.js.
+ */
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const toEndpointView = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  active: endpoint.active,
+  lastDeliveryAt: endpoint.lastDeliveryAt,
+  lastDeliveryStatus: endpoint.lastDeliveryStatus,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt,
+});
+
+const toDeliveryView = (delivery) => ({
+  id: delivery._id,
+  endpoint: delivery.endpoint,
+  event: delivery.event,
+  eventId: delivery.eventId,
+  status: delivery.status,
+  payload: delivery.payload,
+  attempts: delivery.attempts,
+  maxAttempts: MAX_DELIVERY_ATTEMPTS,
+  nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+  replayOf: delivery.replayOf,
+  createdAt: delivery.createdAt,
+});
+
+const findEndpoint = (id) => (mongoose.isValidObjectId(id) ? WebhookEndpoint.findById(id) : null);
+
+const validationMessage = (err) => Object.values(err.errors)[0].message;
+
+/* -------------------------------
+   LIST ENDPOINTS
+--------------------------------*/
+export const listWebhookEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find().sort({ createdAt: -1 }).lean();
+    return res.json({ success: true, data: endpoints.map(toEndpointView), events: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error("❌ List webhooks error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading webhooks." });
+  }
+};
+
+/* -------------------------------
+   CREATE ENDPOINT
+   The signing secret is returned once; only its encrypted form is stored.
+--------------------------------*/
+export const createWebhookEndpoint = async (req, res) => {
+  try {
+    const { url, description, events } = req.body;
+
+    if ((await WebhookEndpoint.countDocuments()) >= MAX_ENDPOINTS)
+      return res.status(400).json({ success: false, message: `No more than ${MAX_ENDPOINTS} webhook endpoints.` });
+
+    const { secret, encrypted } = createWebhookSecret();
+    const endpoint = await WebhookEndpoint.create({
+      url,
+      description,
+      events: Array.isArray(events) ? [...new Set(events)] : [],
+      secret: encrypted,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "admin.webhook.created",
+      target: { type: "webhook", id: String(endpoint._id), label: endpoint.url },
+      metadata: { events: endpoint.events },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Webhook created. Copy the signing secret now — it won’t be shown again.",
+      data: { ...toEndpointView(endpoint), secret },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: validationMessage(err) });
+    console.error("❌ Create webhook error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while creating webhook." });
+  }
+};
+
+/* -------------------------------
+   UPDATE ENDPOINT (url, description, events, active)
+--------------------------------*/
+export const updateWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook not found." });
+
+    const { url, description, events, active } = req.body;
+    if (url !== undefined) endpoint.url = url;
+    if (description !== undefined) endpoint.description = description;
+    if (events !== undefined) endpoint.events = Array.isArray(events) ? [...new Set(events)] : [];
+    if (active !== undefined) endpoint.active = Boolean(active);
+
+    const changed = endpoint.modifiedPaths();
+    await endpoint.save();
+
+    await recordAudit(req, {
+      action: "admin.webhook.updated",
+      target: { type: "webhook", id: String(endpoint._id), label: endpoint.url },
+      metadata: { changed, events: endpoint.events, active: endpoint.active },
+    });
+
+    return res.json({ success: true, message: "Webhook updated.", data: toEndpointView(endpoint) });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ success: false, message: validationMessage(err) });
+    console.error("❌ Update webhook error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while updating webhook." });
+  }
+};
+
+/* -------------------------------
+   DELETE ENDPOINT (and its delivery log)
+--------------------------------*/
+export const deleteWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook not found." });
+
+    await endpoint.deleteOne();
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+
+    await recordAudit(req, {
+      action: "admin.webhook.deleted",
+      target: { type: "webhook", id: String(endpoint._id), label: endpoint.url },
+    });
+
+    return res.json({ success: true, message: "Webhook deleted." });
+  } catch (err) {
+    console.error("❌ Delete webhook error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while deleting webhook." });
+  }
+};
+
+/* -------------------------------
+   ROTATE SECRET
+   Takes effect immediately, including for pending retries.
+--------------------------------*/
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook not found." });
+
+    const { secret, encrypted } = createWebhookSecret();
+    endpoint.secret = encrypted;
+    await endpoint.save();
+
+    await recordAudit(req, {
+      action: "admin.webhook.secret_rotated",
+      target: { type: "webhook", id: String(endpoint._id), label: endpoint.url },
+    });
+
+    return res.json({
+      success: true,
+      message: "Signing secret rotated. Copy it now — it won’t be shown again.",
+      data: { ...toEndpointView(endpoint), secret },
+    });
+  } catch (err) {
+    console.error("❌ Rotate webhook secret error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while rotating the secret." });
+  }
+};
+
+/* -------------------------------
+   SEND TEST EVENT
+--------------------------------*/
+export const testWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook not found." });
+    if (!endpoint.active)
+      return res.status(400).json({ success: false, message: "Enable the webhook before sending a test." });
+
+    const delivery = await sendTestEvent(endpoint, req.user);
+    return res.json({
+      success: true,
+      message: delivery.status === "succeeded" ? "Test event delivered." : "Test event was not accepted.",
+      data: toDeliveryView(delivery),
+    });
+  } catch (err) {
+    console.error("❌ Test webhook error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while sending the test event." });
+  }
+};
+
+/* -------------------------------
+   DELIVERY LOG
+   ?page &limit &status=pending|succeeded|failed &event=
+--------------------------------*/
+export const listWebhookDeliveries = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req.params.id);
+    if (!endpoint) return res.status(404).json({ success: false, message: "Webhook not found." });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { endpoint: endpoint._id };
+    if (DELIVERY_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (typeof req.query.event === "string" && req.query.event) filter.event = req.query.event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      data: deliveries.map(toDeliveryView),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("❌ List webhook deliveries error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while loading deliveries." });
+  }
+};
+
+/* -------------------------------
+   REPLAY DELIVERY
+   Sends the same payload again as a new delivery.
+--------------------------------*/
+export const replayWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findById(req.params.deliveryId).lean()
+      : null;
+    if (!delivery) return res.status(404).json({ success: false, message: "Delivery not found." });
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).lean();
+    if (!endpoint?.active)
+      return res.status(400).json({ success: false, message: "Enable the webhook before replaying deliveries." });
+
+    const replay = await replayDelivery(delivery, req.user);
+
+    await recordAudit(req, {
+      action: "admin.webhook.replayed",
+      target: { type: "webhook", id: String(endpoint._id), label: endpoint.url },
+      metadata: { delivery: String(delivery._id), replay: String(replay._id), event: delivery.event },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: replay.status === "succeeded" ? "Delivery replayed." : "Replay queued — the endpoint did not accept it yet.",
+      data: toDeliveryView(replay),
+    });
+  } catch (err) {
+    console.error("❌ Replay webhook delivery error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error while replaying the delivery." });
+  }
+};
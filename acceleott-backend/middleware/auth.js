@@ -1,42 +1,106 @@
 import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+import ApiKey from "../models/ApiKey.js";
+import { touchActiveSession } from "../utils/session.js";
+import { hashToken } from "../utils/tokens.js";
+
+const API_KEY_TOUCH_RESOLUTION_MS = 60 * 1000; // write lastUsedAt at most once a minute
 
 /**
  * 🔒 Auth Middleware (Production Ready)
- * - Validates JWT token from Authorization header
- * - Attaches decoded user info to req.user
- * - Returns appropriate error responses with clear messages
+ * - Accepts the httpOnly "token" session cookie (browser)
+ *   or an Authorization: Bearer <token> header (API clients)
+ * - Loads the user and rejects tokens issued before a password change
+ * - Rejects tokens whose session was revoked (logout elsewhere, "sign out everywhere")
+ * - Attaches the user document to req.user and token info to req.auth
+ * - Flags req.twoFactorSetupRequired when policy demands 2FA the user
+ *   has not set up yet (middleware/authorize.js then blocks privileged routes)
+ *
+ * Organization API keys (X-API-Key header) are accepted only where a route
+ * opts in with `authOrApiKey` / `optionalApiKey` below — most handlers need
+ * a real user. Key requests get req.apiKey and req.user = null.
  */
-export default function authMiddleware(req, res, next) {
+const extractToken = (req) => {
+  const cookieToken = req.cookies?.token;
+  if (cookieToken) return { token: cookieToken, method: "cookie" };
+
+  const authHeader = req.header("Authorization");
+  if (authHeader?.startsWith("Bearer ")) {
+    return { token: authHeader.split(" ")[1], method: "bearer" };
+  }
+
+  return { token: null, method: null };
+};
+
+export default async function authMiddleware(req, res, next) {
   try {
     // --- Extract Token ---
-    const authHeader = req.header("Authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    const { token, method } = extractToken(req);
+    if (!token && req.header("X-API-Key")) {
+      return res.status(401).json({
+        success: false,
+        message: "API keys are not accepted on this endpoint.",
+      });
+    }
+    if (!token) {
       return res.status(401).json({
         success: false,
         message: "Access denied. No token provided.",
       });
     }
 
-    const token = authHeader.split(" ")[1];
-
     // --- Verify Token ---
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    if (!decoded) {
+    // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+    if (decoded.purpose) {
       return res.status(401).json({
         success: false,
         message: "Invalid or expired token.",
       });
     }
 
-    // --- Attach User Payload to Request ---
-    req.user = decoded;
+    // --- Load User ---
+    const user = await User.findById(decoded.id).select("+passwordChangedAt");
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "User no longer exists.",
+      });
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: "Password changed. Please log in again.",
+      });
+    }
+
+    // --- Session Still Active? (revocation takes effect immediately) ---
+    const session = decoded.sid ? await touchActiveSession(decoded.sid, user._id) : null;
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        code: "SESSION_REVOKED",
+        message: "This session has been signed out. Please log in again.",
+      });
+    }
+
+    // --- Attach User & Token Info to Request ---
+    req.user = user;
+    req.auth = {
+      userId: user._id,
+      sessionId: decoded.sid,
+      organizationId: session.activeOrganization || null, // see middleware/tenant.js
+      method,
+    };
+    req.twoFactorSetupRequired =
+      !user.twoFactorEnabled && (await SecurityPolicy.requiresTwoFactor(user.role));
 
     // --- Continue to Next Middleware/Route ---
     next();
   } catch (err) {
-    console.error("❌ JWT Verification Error:", err.message);
-
     // --- Handle Specific JWT Errors Gracefully ---
     if (err.name === "TokenExpiredError") {
       return res.status(401).json({
@@ -52,9 +116,63 @@ export default function authMiddleware(req, res, next) {
       });
     }
 
+    console.error("❌ Authentication Error:", err.message);
     return res.status(500).json({
       success: false,
       message: "Internal server error during authentication.",
     });
   }
 }
+
+/**
+ * 🔑 Authenticate an organization API key from the X-API-Key header.
+ * Sets req.apiKey = { id, organizationId, scopes } and tracks last use.
+ */
+async function authenticateApiKey(req, res, next) {
+  try {
+    const rawKey = req.header("X-API-Key");
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey), revokedAt: null })
+      .setOptions({ skipTenant: true }) // lookup by hash, before the tenant is known
+      .lean();
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        code: "INVALID_API_KEY",
+        message: "Invalid or revoked API key.",
+      });
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_RESOLUTION_MS) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id, organization: apiKey.organization },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || "" } }
+      );
+    }
+
+    req.user = null;
+    req.apiKey = { id: apiKey._id, organizationId: apiKey.organization, scopes: apiKey.scopes };
+    req.auth = { apiKeyId: apiKey._id, organizationId: apiKey.organization, method: "api_key" };
+    next();
+  } catch (err) {
+    console.error("❌ API Key Authentication Error:", err.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error during authentication.",
+    });
+  }
+}
+
+/**
+ * Require authentication by session (cookie/Bearer) or X-API-Key.
+ * Pair with requirePermission / requireApiKeyScope to limit what keys can do.
+ */
+export const authOrApiKey = (req, res, next) =>
+  req.header("X-API-Key") ? authenticateApiKey(req, res, next) : authMiddleware(req, res, next);
+
+/**
+ * Public route that additionally accepts an API key (e.g. partner lead intake).
+ * Without the header the request continues anonymously.
+ */
+export const optionalApiKey = (req, res, next) =>
+  req.header("X-API-Key") ? authenticateApiKey(req, res, next) : next();
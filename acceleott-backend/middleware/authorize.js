@@ -0,0 +1,90 @@
+import { permissionsFor } from "../config/roles.js";
+import { recordAudit } from "../utils/audit.js";
+
+/**
+ * 🛡️ Authorization Middleware (RBAC)
+ * Use after middleware/auth.js, which attaches req.user (or req.apiKey).
+ * Users whose role must use 2FA (security policy) are blocked here until
+ * they enable it. API keys have no role; their scopes act as permissions.
+ *
+ * @example
+ *   router.get("/", authMiddleware, requirePermission("demo:read"), handler);
+ *   router.patch("/:id/role", authMiddleware, requireRole("admin"), handler);
+ */
+
+const denyUnauthenticated = (res) =>
+  res.status(401).json({
+    success: false,
+    message: "Access denied. Please log in.",
+  });
+
+const denyTwoFactorSetup = (res) =>
+  res.status(403).json({
+    success: false,
+    code: "TWO_FACTOR_SETUP_REQUIRED",
+    message: "Two-factor authentication is required for your role. Please enable it first.",
+  });
+
+// Denied access to a protected endpoint is worth an audit entry
+// (not awaited — the write must not delay the response)
+const denyForbidden = (req, res, required) => {
+  recordAudit(req, {
+    action: "access.denied",
+    outcome: "denied",
+    reason: "missing_permission",
+    metadata: { method: req.method, path: req.originalUrl, required },
+  });
+  return res.status(403).json({
+    success: false,
+    message: "You do not have permission to perform this action.",
+  });
+};
+
+/**
+ * Allow the request only if the user has one of the given roles.
+ * @param {...string} roles
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (req.apiKey) return denyForbidden(req, res, roles);
+  if (!req.user) return denyUnauthenticated(res);
+  if (req.twoFactorSetupRequired) return denyTwoFactorSetup(res);
+  if (!roles.includes(req.user.role)) return denyForbidden(req, res, roles);
+  next();
+};
+
+/**
+ * Allow the request only if the user holds every given permission.
+ * @param {...string} permissions
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (req.apiKey) return requireApiKeyScope(...permissions)(req, res, next);
+  if (!req.user) return denyUnauthenticated(res);
+  if (req.twoFactorSetupRequired) return denyTwoFactorSetup(res);
+
+  const granted = permissionsFor(req.user);
+  if (!permissions.every((p) => granted.includes(p))) return denyForbidden(req, res, permissions);
+  next();
+};
+
+/**
+ * When the request is authenticated by API key, require every given scope.
+ * Session requests pass through (their access is decided elsewhere).
+ * @param {...string} scopes
+ */
+export const requireApiKeyScope = (...scopes) => (req, res, next) => {
+  if (!req.apiKey) return next();
+  if (!scopes.every((s) => req.apiKey.scopes.includes(s))) {
+    recordAudit(req, {
+      action: "access.denied",
+      outcome: "denied",
+      reason: "INSUFFICIENT_SCOPE",
+      metadata: { method: req.method, path: req.originalUrl, required: scopes },
+    });
+    return res.status(403).json({
+      success: false,
+      code: "INSUFFICIENT_SCOPE",
+      message: `This API key needs the ${scopes.join(", ")} scope.`,
+    });
+  }
+  next();
+};
@@ -0,0 +1,72 @@
+import { SUBMISSION_LIMITS, QUARANTINE_SCORE, HONEYPOT_FIELD } from "../config/spamProtection.js";
+import { hitRateLimit } from "../utils/rateLimit.js";
+import { verifyChallenge } from "../utils/proofOfWork.js";
+import { scoreSubmission } from "../utils/spamScore.js";
+import { normalizeEmail } from "../utils/normalize.js";
+
+/**
+ * 🧱 Spam Guard for public forms
+ * 1. Per-IP and per-email rate limits (429 + Retry-After).
+ * 2. Proof-of-work challenge from GET /api/challenge/:form (400 if missing / wrong).
+ * 3. Spam score (honeypot, fill time, content) → req.spam =
+ *    { score, signals, quarantined }. The controller stores the score and
+ *    skips admin notifications for quarantined submissions.
+ * Requests authenticated with a partner API key skip the guard.
+ *
+ * @example
+ *   router.post("/", spamGuard("demo"), createDemoRequest);
+ */
+export const spamGuard = (form) => async (req, res, next) => {
+  if (req.apiKey) return next();
+
+  try {
+    const body = req.body || {};
+    const limits = SUBMISSION_LIMITS[form];
+    const email = normalizeEmail(body.email);
+
+    const [byIp, byEmail] = await Promise.all([
+      hitRateLimit(`${form}:ip:${req.ip || "unknown"}`, limits.ip),
+      email ? hitRateLimit(`${form}:email:${email}`, limits.email) : null,
+    ]);
+
+    const limited = [byIp, byEmail].find((result) => result && !result.allowed);
+    if (limited) {
+      res.set("Retry-After", String(limited.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: "RATE_LIMITED",
+        message: "Too many submissions. Please try again later.",
+        retryAfter: limited.retryAfter,
+      });
+    }
+
+    const challenge = await verifyChallenge(form, body.challenge, body.challengeSolution);
+    if (!challenge.valid) {
+      return res.status(400).json({
+        success: false,
+        code: "CHALLENGE_FAILED",
+        reason: challenge.reason,
+        message: "We could not verify this submission. Please reload the page and try again.",
+      });
+    }
+
+    const { score, signals } = scoreSubmission({
+      form,
+      body,
+      fillMs: Date.now() - challenge.issuedAt,
+      emailSubmissions: byEmail?.count || 0,
+    });
+    req.spam = { score, signals, quarantined: score >= QUARANTINE_SCORE };
+    if (req.spam.quarantined) console.warn(`🚫 ${form} submission quarantined (${score}: ${signals.join(", ")})`);
+
+    // Controllers only see the real form fields
+    delete body[HONEYPOT_FIELD];
+    delete body.challenge;
+    delete body.challengeSolution;
+
+    return next();
+  } catch (err) {
+    console.error("❌ Spam guard error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error. Please try again." });
+  }
+};
@@ -0,0 +1,69 @@
+import Membership from "../models/Membership.js";
+
+/**
+ * 🏥 Tenant Middleware
+ * Use after middleware/auth.js. Resolves the active organization carried
+ * in the session (req.auth.organizationId), confirms the user is still a
+ * member, and attaches req.tenant = { organizationId, role }.
+ * API-key requests use the key's organization (role: null).
+ * Tenant-scoped models are then queried with `.forTenant(req.tenant)`.
+ *
+ * @example
+ *   router.get("/members", authMiddleware, requireOrganization(), handler);
+ *   router.post("/invitations", authMiddleware, requireOrganization("owner", "admin"), handler);
+ *
+ * @param {...string} roles - optional per-organization roles allowed
+ */
+export const requireOrganization = (...roles) => async (req, res, next) => {
+  try {
+    // API keys belong to exactly one organization
+    if (req.apiKey) {
+      if (roles.length) {
+        return res.status(403).json({
+          success: false,
+          message: "API keys cannot perform this action.",
+        });
+      }
+      req.tenant = { organizationId: req.apiKey.organizationId, role: null };
+      return next();
+    }
+
+    const organizationId = req.auth?.organizationId;
+    if (!organizationId) {
+      return res.status(403).json({
+        success: false,
+        code: "NO_ACTIVE_ORGANIZATION",
+        message: "Select an organization first.",
+      });
+    }
+
+    const membership = await Membership.findOne({
+      organization: organizationId,
+      user: req.user._id,
+    }).lean();
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        code: "NOT_A_MEMBER",
+        message: "You are no longer a member of this organization.",
+      });
+    }
+
+    if (roles.length && !roles.includes(membership.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action.",
+      });
+    }
+
+    req.tenant = { organizationId: membership.organization, role: membership.role };
+    next();
+  } catch (err) {
+    console.error("❌ Tenant resolution error:", err.message);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error while resolving organization.",
+    });
+  }
+};
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import tenantScoped from "./plugins/tenantScoped.js";
+import { API_KEY_SCOPES } from "../config/roles.js";
+
+/**
+ * 🔑 API Key Schema
+ * Organization-owned keys for partner integrations (X-API-Key header).
+ * The full key is shown once at creation; only its sha256 is stored,
+ * plus a short prefix so people can tell their keys apart.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Key name is required."],
+      trim: true,
+      maxlength: [100, "Key name cannot exceed 100 characters."],
+    },
+
+    prefix: {
+      type: String,
+      required: true, // e.g. "acc_3f9a1c2b" — safe to display
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // ⛔ Never expose key hashes
+    },
+
+    scopes: {
+      type: [{ type: String, enum: { values: API_KEY_SCOPES, message: "Invalid scope: {VALUE}." } }],
+      validate: [(v) => v.length > 0, "Select at least one scope."],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "apiKeys",
+    versionKey: false,
+  }
+);
+
+// ✅ Owned by one organization; every query must be tenant-filtered
+apiKeySchema.plugin(tenantScoped);
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const ApiKey = mongoose.models.ApiKey || mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+
+/**
+ * 📜 Audit Event Schema
+ * Append-only security log: who did what, to what, from where, and
+ * whether it worked. Written through utils/audit.js from the auth,
+ * privacy and admin controllers.
+ *
+ * Actions are dotted strings, e.g. "auth.login", "auth.password.changed",
+ * "admin.user.role_updated". Events are never edited; the only delete
+ * allowed is the retention purge (`setOptions({ retentionPurge: true })`).
+ */
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    outcome: {
+      type: String,
+      enum: ["success", "failure", "denied"],
+      default: "success",
+    },
+
+    reason: {
+      type: String, // short machine-readable cause for failures, e.g. "bad_password"
+      maxlength: 200,
+    },
+
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "api_key", "system", "anonymous"],
+        default: "anonymous",
+      },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      email: { type: String, lowercase: true, trim: true }, // kept even for unknown accounts
+      role: { type: String },
+      apiKey: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+    },
+
+    target: {
+      type: { type: String }, // "user", "session", "security_policy", …
+      id: { type: String },
+      label: { type: String }, // human-readable, e.g. the target user's email
+    },
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+
+    ip: { type: String },
+
+    userAgent: { type: String, maxlength: 500 },
+
+    metadata: {
+      type: mongoose.Schema.Types.Mixed, // small action-specific details, never secrets
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "auditEvents",
+    versionKey: false,
+  }
+);
+
+// ✅ Admin queries: newest first, usually narrowed by action or actor
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ "actor.user": 1, createdAt: -1 });
+auditEventSchema.index({ "actor.email": 1, createdAt: -1 });
+
+/* -------------------------------
+   APPEND-ONLY GUARDS
+--------------------------------*/
+const appendOnlyError = () => new Error("Audit events are append-only.");
+
+auditEventSchema.pre("save", function () {
+  if (!this.isNew) throw appendOnlyError();
+});
+
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "findOneAndDelete",
+    "deleteOne",
+  ],
+  function () {
+    throw appendOnlyError();
+  }
+);
+
+auditEventSchema.pre("deleteMany", function () {
+  if (!this.getOptions().retentionPurge) throw appendOnlyError();
+});
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const AuditEvent = mongoose.models.AuditEvent || mongoose.model("AuditEvent", auditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import { CONTACT_MESSAGE_STATUSES, DEFAULT_CONTACT_MESSAGE_STATUS } from "../config/contactInbox.js";
+import { normalizeEmail } from "../utils/normalize.js";
+
+/**
+ * ↩️ Reply sent from the inbox. `messageId` is the reply email's
+ * Message-ID; the next reply points at it (In-Reply-To) so the
+ * conversation stays one thread in the requester's mail client.
+ */
+const ContactReplySchema = new mongoose.Schema(
+  {
+    body: {
+      type: String,
+      required: [true, "Reply cannot be empty."],
+      trim: true,
+      maxlength: [10000, "Reply cannot exceed 10000 characters."],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    authorName: {
+      type: String, // kept so the reply still reads well if the author is deleted
+      trim: true,
+    },
+    messageId: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+/**
+ * 📬 Contact Message Schema
+ * Messages from the website contact form, worked from the staff inbox.
+ * `messageId` is the Message-ID of the notification email sent when the
+ * message arrived — the root every inbox reply references.
+ */
+const contactMessageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required."],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters."],
+    },
+
+    email: {
+      type: String,
+      required: [true, "Email is required."],
+      trim: true,
+      lowercase: true,
+      maxlength: [254, "Email is too long."],
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please enter a valid email address."],
+    },
+
+    normalizedEmail: {
+      type: String,
+      index: true,
+    },
+
+    message: {
+      type: String,
+      required: [true, "Message is required."],
+      trim: true,
+      maxlength: [5000, "Message cannot exceed 5000 characters."],
+    },
+
+    status: {
+      type: String,
+      enum: { values: CONTACT_MESSAGE_STATUSES, message: "Invalid status: {VALUE}." },
+      default: DEFAULT_CONTACT_MESSAGE_STATUS,
+    },
+
+    readAt: Date,
+
+    readBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    archivedAt: Date,
+
+    messageId: {
+      type: String,
+      required: true,
+    },
+
+    replies: {
+      type: [ContactReplySchema],
+      default: [],
+    },
+
+    spam: {
+      // Likely spam is kept out of the inbox (middleware/spamGuard.js)
+      score: { type: Number, min: 0, max: 100 },
+      signals: [String],
+      quarantined: { type: Boolean, default: false },
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "contactMessages",
+    versionKey: false,
+  }
+);
+
+contactMessageSchema.pre("save", function (next) {
+  if (this.isModified("email")) this.normalizedEmail = normalizeEmail(this.email);
+  next();
+});
+
+// ✅ Inbox views: newest first, usually narrowed by status
+contactMessageSchema.index({ status: 1, createdAt: -1 });
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const ContactMessage =
+  mongoose.models.ContactMessage || mongoose.model("ContactMessage", contactMessageSchema);
+
+export default ContactMessage;
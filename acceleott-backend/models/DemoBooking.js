@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+/**
+ * 📆 Demo Booking Schema
+ * A demo call booked by a visitor into a rep's free slot.
+ * Double-booking is prevented by the database: a rep can hold only
+ * one confirmed booking per start time (partial unique index below),
+ * and the booking code also rejects overlapping slots.
+ */
+const demoBookingSchema = new mongoose.Schema(
+  {
+    demoRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DemoRequest",
+      required: true,
+      index: true,
+    },
+
+    rep: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    start: {
+      type: Date,
+      required: true,
+    },
+
+    end: {
+      type: Date,
+      required: true,
+    },
+
+    visitorTimezone: {
+      type: String, // used to show times in emails the way the visitor saw them
+      default: "UTC",
+    },
+
+    status: {
+      type: String,
+      enum: ["confirmed", "cancelled"],
+      default: "confirmed",
+    },
+
+    manageTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // ⛔ sha256 of the reschedule / cancel link token
+    },
+
+    sequence: {
+      type: Number,
+      default: 0, // iCalendar SEQUENCE — bumped on every reschedule
+    },
+
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+    },
+
+    cancelledAt: {
+      type: Date,
+    },
+
+    cancelledBy: {
+      type: String,
+      enum: ["visitor", "rep"],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "demoBookings",
+    versionKey: false,
+  }
+);
+
+// ✅ One confirmed booking per rep per start time — the atomic double-booking guard
+demoBookingSchema.index(
+  { rep: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: "confirmed" } }
+);
+
+// ✅ Overlap checks and "my upcoming demos"
+demoBookingSchema.index({ rep: 1, status: 1, start: 1, end: 1 });
+
+// Stable iCalendar UID so calendar apps update the same event
+demoBookingSchema.virtual("icsUid").get(function () {
+  return `demo-${this._id}@acceleott.com`;
+});
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const DemoBooking = mongoose.models.DemoBooking || mongoose.model("DemoBooking", demoBookingSchema);
+
+export default DemoBooking;
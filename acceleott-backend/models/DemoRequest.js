@@ -1,9 +1,142 @@
 import mongoose from "mongoose";
+import { DEMO_STATUSES, DEFAULT_DEMO_STATUS } from "../config/demoPipeline.js";
+import { normalizeEmail, normalizePhone, emailDomain } from "../utils/normalize.js";
+import { normalizePhoneField, isPhoneCountry } from "../utils/phone.js";
+import attributionPlugin from "./plugins/attribution.js";
+import { FOLLOW_UP_STOP_REASONS } from "../config/followUps.js";
+
+/**
+ * 📝 Internal note left by the sales team on a lead
+ */
+const DemoNoteSchema = new mongoose.Schema(
+  {
+    body: {
+      type: String,
+      required: [true, "Note cannot be empty."],
+      trim: true,
+      maxlength: [5000, "Note cannot exceed 5000 characters."],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    authorName: {
+      type: String, // kept so the note still reads well if the author is deleted
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+/**
+ * 🔁 One step in a lead's status history
+ */
+const DemoStatusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: DEMO_STATUSES },
+    to: { type: String, enum: DEMO_STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * 👯 Earlier lead that looks like the same person (see utils/leadMatching.js)
+ */
+const PossibleDuplicateSchema = new mongoose.Schema(
+  {
+    demoRequest: { type: mongoose.Schema.Types.ObjectId, ref: "DemoRequest", required: true },
+    score: { type: Number, min: 0, max: 1 },
+    reasons: [{ type: String, enum: ["email", "phone", "name", "company_domain"] }],
+  },
+  { _id: false }
+);
+
+/**
+ * 🔀 Snapshot of a lead merged into this one — its own details and
+ * status history stay readable after the merge
+ */
+const MergedLeadSchema = new mongoose.Schema(
+  {
+    demoRequest: { type: mongoose.Schema.Types.ObjectId, ref: "DemoRequest", required: true },
+    name: String,
+    email: String,
+    contact: String,
+    designation: String,
+    status: String,
+    statusHistory: [DemoStatusChangeSchema],
+    submittedAt: Date,
+    mergedAt: { type: Date, default: Date.now },
+    mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
+/**
+ * 🚫 Spam check result for web submissions (middleware/spamGuard.js)
+ */
+const SpamCheckSchema = new mongoose.Schema(
+  {
+    score: { type: Number, min: 0, max: 100 },
+    signals: [String],
+    quarantined: { type: Boolean, default: false },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    releasedAt: Date,
+  },
+  { _id: false }
+);
+
+/**
+ * 🎯 Lead score (utils/leadScoring.js): total plus the rules that matched
+ */
+const LeadScoreSchema = new mongoose.Schema(
+  {
+    score: { type: Number, min: 0, max: 100 },
+    explanation: [
+      {
+        _id: false,
+        rule: String,
+        label: String,
+        points: Number,
+      },
+    ],
+    rulesVersion: Number,
+    scoredAt: Date,
+  },
+  { _id: false }
+);
+
+/**
+ * ✉️ Follow-up email sequence progress (utils/followUps.js)
+ */
+const FollowUpSchema = new mongoose.Schema(
+  {
+    active: { type: Boolean, default: false },
+    enrolledAt: Date,
+    enrolledStatus: String, // any other status stops the sequence
+    sentSteps: [
+      {
+        _id: false,
+        step: String, // step id from models/FollowUpSequence.js
+        sentAt: Date,
+      },
+    ],
+    stoppedAt: Date,
+    stopReason: { type: String, enum: FOLLOW_UP_STOP_REASONS },
+    unsubscribedAt: Date,
+  },
+  { _id: false }
+);
 
 /**
  * 🧠 Demo Request Schema
  * Stores information submitted through the “Book Demo” form.
  * Includes full validation, indexing, and optimized schema settings.
+ * Sales works each request through the pipeline in config/demoPipeline.js.
  */
 const DemoRequestSchema = new mongoose.Schema(
   {
@@ -25,8 +158,13 @@ const DemoRequestSchema = new mongoose.Schema(
     contact: {
       type: String,
       required: [true, "Contact number is required."],
+      trim: true, // E.164 ("+919876543210") — normalized by the pre-validate hook
+    },
+    contactCountry: {
+      type: String, // ISO country picked on the form; numbers without "+" are read in it
+      uppercase: true,
       trim: true,
-      match: [/^[0-9]{10}$/, "Invalid contact number (must be 10 digits)."],
+      validate: { validator: isPhoneCountry, message: "Unknown phone country: {VALUE}." },
     },
     designation: {
       type: String,
@@ -34,6 +172,97 @@ const DemoRequestSchema = new mongoose.Schema(
       maxlength: [100, "Designation cannot exceed 100 characters."],
       default: "N/A",
     },
+
+    // 🔌 Where the request came from: the website form or a partner API key
+    submittedVia: {
+      type: String,
+      enum: ["web", "api"],
+      default: "web",
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization", // partner organization that pushed the lead
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    },
+    spam: {
+      type: SpamCheckSchema, // quarantined leads stay out of the pipeline until released
+    },
+    engagement: {
+      // Browsing before the request, counted in the visitor's browser
+      visits: Number,
+      pageViews: Number,
+      blogPostsViewed: Number,
+    },
+    leadScore: {
+      type: LeadScoreSchema,
+    },
+    followUp: {
+      type: FollowUpSchema,
+    },
+
+    // 📈 Sales pipeline
+    status: {
+      type: String,
+      enum: { values: DEMO_STATUSES, message: "Invalid status: {VALUE}." },
+      default: DEFAULT_DEMO_STATUS,
+      index: true,
+    },
+    statusHistory: {
+      type: [DemoStatusChangeSchema],
+      default: [],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // sales rep working the lead
+      index: true,
+    },
+    notes: {
+      type: [DemoNoteSchema],
+      default: [],
+    },
+
+    // 👯 Duplicate detection — normalized copies are maintained by the pre-validate hook
+    normalizedEmail: {
+      type: String,
+      index: true,
+    },
+    normalizedPhone: {
+      type: String,
+      index: true,
+    },
+    emailDomain: {
+      type: String,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // registered (verified) account with the same email
+      index: true,
+    },
+    possibleDuplicates: {
+      type: [PossibleDuplicateSchema],
+      default: [],
+    },
+    duplicateReview: {
+      type: String,
+      enum: ["pending", "dismissed"], // "pending" = in the review queue
+      index: true,
+    },
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DemoRequest", // set on the lead that was merged away; hidden from lists
+      index: true,
+    },
+    mergedAt: {
+      type: Date,
+    },
+    mergedFrom: {
+      type: [MergedLeadSchema],
+      default: [],
+    },
   },
   {
     timestamps: true, // Adds createdAt & updatedAt
@@ -42,9 +271,35 @@ const DemoRequestSchema = new mongoose.Schema(
   }
 );
 
+// 📣 First / last marketing touch before the request
+DemoRequestSchema.plugin(attributionPlugin);
+
+// ✅ Keep the normalized copies in sync with what was submitted
+DemoRequestSchema.pre("validate", function (next) {
+  if (this.isModified("email")) {
+    this.normalizedEmail = normalizeEmail(this.email);
+    this.emailDomain = emailDomain(this.email);
+  }
+  normalizePhoneField(this, "contact", "contactCountry", "Invalid contact number for the selected country.");
+  if (this.isModified("contact")) this.normalizedPhone = normalizePhone(this.contact, this.contactCountry);
+  next();
+});
+
 // ✅ Optional: Compound index for search optimization
 DemoRequestSchema.index({ email: 1, contact: 1 });
 
+// ✅ Pipeline views: newest first, usually narrowed by status
+DemoRequestSchema.index({ status: 1, createdAt: -1 });
+
+// ✅ Pipeline sorted by lead score
+DemoRequestSchema.index({ "leadScore.score": -1, createdAt: -1 });
+
+// ✅ Spam quarantine review
+DemoRequestSchema.index({ "spam.quarantined": 1, createdAt: -1 });
+
+// ✅ Follow-up sender: leads with a running sequence
+DemoRequestSchema.index({ "followUp.active": 1 });
+
 // ✅ Optional: Virtual field for formatted date (useful in dashboards)
 DemoRequestSchema.virtual("requestedOn").get(function () {
   return this.createdAt.toLocaleString();
@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import {
+  MAX_FOLLOW_UP_STEPS,
+  MAX_FOLLOW_UP_DELAY_DAYS,
+  DEFAULT_FOLLOW_UP_STEPS,
+} from "../config/followUps.js";
+
+/**
+ * ✉️ One follow-up email, sent `delayDays` after the demo request
+ */
+const FollowUpStepSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: [true, "Each step needs an id."],
+      trim: true,
+      match: [/^[a-z0-9-]{1,40}$/, "Step ids use lowercase letters, digits and dashes."],
+    },
+    delayDays: {
+      type: Number,
+      required: [true, "Each step needs a delay in days."],
+      min: [1, `Delays must be between 1 and ${MAX_FOLLOW_UP_DELAY_DAYS} days.`],
+      max: [MAX_FOLLOW_UP_DELAY_DAYS, `Delays must be between 1 and ${MAX_FOLLOW_UP_DELAY_DAYS} days.`],
+    },
+    subject: {
+      type: String,
+      required: [true, "Each step needs a subject."],
+      trim: true,
+      maxlength: [150, "Subjects cannot exceed 150 characters."],
+    },
+    body: {
+      type: String,
+      required: [true, "Each step needs a body."],
+      trim: true,
+      maxlength: [5000, "Bodies cannot exceed 5000 characters."],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * 📬 Follow-up Sequence Schema
+ * Single global document ({ key: "global" }) with the admin-managed
+ * emails sent to website demo requesters until sales changes the
+ * lead's status or the requester unsubscribes (utils/followUps.js).
+ */
+const followUpSequenceSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true, // false pauses sending; running sequences resume when re-enabled
+    },
+
+    steps: {
+      type: [FollowUpStepSchema],
+      default: () => DEFAULT_FOLLOW_UP_STEPS,
+      validate: [
+        {
+          validator: (steps) => steps.length <= MAX_FOLLOW_UP_STEPS,
+          message: `No more than ${MAX_FOLLOW_UP_STEPS} steps.`,
+        },
+        {
+          validator: (steps) => new Set(steps.map((s) => s.id)).size === steps.length,
+          message: "Step ids must be unique.",
+        },
+      ],
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "followUpSequences",
+    versionKey: false,
+  }
+);
+
+// Small in-memory cache — read for every website demo request
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Get the sequence (creating it with the defaults on first use).
+ */
+followUpSequenceSchema.statics.getSequence = async function () {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  cached = await this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global", enabled: true, steps: DEFAULT_FOLLOW_UP_STEPS } },
+    { upsert: true, new: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cached;
+};
+
+/**
+ * Drop the cache after the sequence has been changed.
+ */
+followUpSequenceSchema.statics.clearCache = function () {
+  cached = null;
+};
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const FollowUpSequence =
+  mongoose.models.FollowUpSequence || mongoose.model("FollowUpSequence", followUpSequenceSchema);
+
+export default FollowUpSequence;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import { ORG_ROLES, DEFAULT_ORG_ROLE } from "../config/roles.js";
+
+/**
+ * ✉️ Invitation Schema
+ * Email invitation to join an organization. Only the sha256 of the
+ * emailed token is stored; the invite is accepted by a signed-in user
+ * whose email matches. Expired invitations are removed automatically.
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+
+    email: {
+      type: String,
+      required: [true, "Email is required."],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Invalid email format."],
+    },
+
+    role: {
+      type: String,
+      enum: { values: ORG_ROLES, message: "Invalid organization role: {VALUE}." },
+      default: DEFAULT_ORG_ROLE,
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      index: true,
+      select: false, // ⛔ Never expose invitation token hashes
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "invitations",
+    versionKey: false,
+  }
+);
+
+// ✅ MongoDB removes expired invitations automatically
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const Invitation =
+  mongoose.models.Invitation || mongoose.model("Invitation", invitationSchema);
+
+export default Invitation;
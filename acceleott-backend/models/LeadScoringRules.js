@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import {
+  RULE_TYPES,
+  ENGAGEMENT_METRICS,
+  EMAIL_KINDS,
+  MAX_RULES,
+  DEFAULT_LEAD_SCORING_RULES,
+} from "../config/leadScoring.js";
+
+/**
+ * 🎯 One scoring rule — matching leads get `points` (negative to penalize)
+ */
+const LeadScoringRuleSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: [true, "Each rule needs an id."],
+      trim: true,
+      match: [/^[a-z0-9-]{1,40}$/, "Rule ids use lowercase letters, digits and dashes."],
+    },
+    label: {
+      type: String,
+      required: [true, "Each rule needs a label."],
+      trim: true,
+      maxlength: [100, "Rule labels cannot exceed 100 characters."],
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: { values: RULE_TYPES, message: "Unknown rule type: {VALUE}." },
+    },
+    keywords: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+      default: undefined,
+    },
+    emailKind: {
+      type: String,
+      enum: { values: EMAIL_KINDS, message: "emailKind must be business or free." },
+    },
+    metric: {
+      type: String,
+      enum: { values: ENGAGEMENT_METRICS, message: "Unknown engagement metric: {VALUE}." },
+    },
+    min: {
+      type: Number,
+      min: 1,
+    },
+    points: {
+      type: Number,
+      required: [true, "Each rule needs points."],
+      min: [-100, "Points must be between -100 and 100."],
+      max: [100, "Points must be between -100 and 100."],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+// Each type needs its own settings
+LeadScoringRuleSchema.pre("validate", function (next) {
+  if (this.type === "designation" && !this.keywords?.length)
+    this.invalidate("keywords", `Rule "${this.id}" needs at least one keyword.`);
+  if (this.type === "email_domain" && !this.emailKind)
+    this.invalidate("emailKind", `Rule "${this.id}" needs an emailKind.`);
+  if (this.type === "engagement" && (!this.metric || !this.min))
+    this.invalidate("metric", `Rule "${this.id}" needs a metric and a minimum.`);
+  next();
+});
+
+/**
+ * 🧮 Lead Scoring Rules Schema
+ * Single global document ({ key: "global" }) with the admin-managed
+ * rule set. `version` goes up on every change; leads scored with an
+ * older version are recalculated (utils/leadScoring.js).
+ */
+const leadScoringRulesSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+
+    rules: {
+      type: [LeadScoringRuleSchema],
+      default: () => DEFAULT_LEAD_SCORING_RULES,
+      validate: [
+        {
+          validator: (rules) => rules.length <= MAX_RULES,
+          message: `No more than ${MAX_RULES} rules.`,
+        },
+        {
+          validator: (rules) => new Set(rules.map((r) => r.id)).size === rules.length,
+          message: "Rule ids must be unique.",
+        },
+      ],
+    },
+
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "leadScoringRules",
+    versionKey: false,
+  }
+);
+
+// Small in-memory cache — rules are read for every new lead
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Get the rule set (creating it with the defaults on first use).
+ */
+leadScoringRulesSchema.statics.getRules = async function () {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  cached = await this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global", rules: DEFAULT_LEAD_SCORING_RULES, version: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cached;
+};
+
+/**
+ * Drop the cache after the rules have been changed.
+ */
+leadScoringRulesSchema.statics.clearCache = function () {
+  cached = null;
+};
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const LeadScoringRules =
+  mongoose.models.LeadScoringRules || mongoose.model("LeadScoringRules", leadScoringRulesSchema);
+
+export default LeadScoringRules;
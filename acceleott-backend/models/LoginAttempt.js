@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+/**
+ * 🚦 Login Attempt Schema
+ * Failed-login counters persisted in MongoDB so they survive serverless
+ * cold starts. One document per key:
+ *   - "account:<email>" → per-account counter (locks the account)
+ *   - "ip:<address>"    → per-IP counter (blocks the address)
+ * Documents expire automatically once the counting window has passed.
+ */
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    failures: {
+      type: Number,
+      default: 0,
+    },
+
+    lastFailureAt: {
+      type: Date,
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    unlockTokenHash: {
+      type: String,
+      index: true,
+      select: false, // ⛔ sha256 of the emailed unlock token
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "loginAttempts",
+    versionKey: false,
+  }
+);
+
+// ✅ MongoDB removes stale counters automatically
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const LoginAttempt =
+  mongoose.models.LoginAttempt || mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
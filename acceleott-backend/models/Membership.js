@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import { ORG_ROLES, DEFAULT_ORG_ROLE } from "../config/roles.js";
+
+/**
+ * 🤝 Membership Schema
+ * Links a user to an organization with a per-organization role.
+ * One membership per (organization, user) pair.
+ */
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    role: {
+      type: String,
+      enum: { values: ORG_ROLES, message: "Invalid organization role: {VALUE}." },
+      default: DEFAULT_ORG_ROLE,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "memberships",
+    versionKey: false,
+  }
+);
+
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const Membership =
+  mongoose.models.Membership || mongoose.model("Membership", membershipSchema);
+
+export default Membership;
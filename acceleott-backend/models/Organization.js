@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+/**
+ * 🏥 Organization Schema (Clinic Tenant)
+ * A clinic (or group practice) using AIMMED. Users join through
+ * models/Membership.js with a per-organization role; tenant-owned data
+ * uses the tenantScoped plugin (models/plugins/tenantScoped.js).
+ */
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required."],
+      trim: true,
+      minlength: [2, "Organization name must be at least 2 characters long."],
+      maxlength: [120, "Organization name cannot exceed 120 characters."],
+    },
+
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "organizations",
+    versionKey: false,
+  }
+);
+
+// ✅ URL-friendly, unique-enough slug ("Sunrise Clinic" → "sunrise-clinic-4f2a")
+organizationSchema.statics.slugFor = function (name) {
+  const base = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return `${base || "org"}-${Math.random().toString(16).slice(2, 6)}`;
+};
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const Organization =
+  mongoose.models.Organization || mongoose.model("Organization", organizationSchema);
+
+export default Organization;
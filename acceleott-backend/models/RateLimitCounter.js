@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+/**
+ * 🚦 Rate Limit Counter Schema
+ * Fixed-window submission counters for the public forms, kept in MongoDB
+ * so they hold across serverless instances. Keys look like
+ * "demo:ip:1.2.3.4:<window>" or "demo:email:a@b.com:<window>";
+ * "challenge:<nonce>" marks a proof-of-work challenge as spent.
+ * Documents expire automatically when their window is over.
+ */
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    count: {
+      type: Number,
+      default: 0,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    collection: "rateLimitCounters",
+    versionKey: false,
+  }
+);
+
+// ✅ MongoDB removes finished windows automatically
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const RateLimitCounter =
+  mongoose.models.RateLimitCounter || mongoose.model("RateLimitCounter", rateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import { isValidTimeZone } from "../utils/timezone.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "09:30"
+
+/**
+ * 🕘 Weekly window, in the rep's own timezone
+ */
+const AvailabilityWindowSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number, // 0 = Sunday … 6 = Saturday
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "Times must look like 09:30."],
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "Times must look like 17:00."],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * 📅 Rep Availability Schema
+ * A sales rep's published weekly hours for demo calls. Free slots are
+ * generated from these windows (utils/demoSlots.js) minus existing
+ * bookings (models/DemoBooking.js).
+ */
+const repAvailabilitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+
+    timezone: {
+      type: String,
+      required: [true, "Timezone is required."],
+      validate: { validator: isValidTimeZone, message: "Unknown timezone: {VALUE}." },
+    },
+
+    weekly: {
+      type: [AvailabilityWindowSchema],
+      default: [],
+      validate: {
+        validator: (windows) => windows.every((w) => w.start < w.end),
+        message: "Each window must end after it starts.",
+      },
+    },
+
+    slotMinutes: {
+      type: Number,
+      default: 30,
+      min: [15, "Slots must be at least 15 minutes."],
+      max: [120, "Slots cannot be longer than 2 hours."],
+    },
+
+    minNoticeHours: {
+      type: Number,
+      default: 12, // no same-morning surprises
+      min: 0,
+      max: 168,
+    },
+
+    horizonDays: {
+      type: Number,
+      default: 21, // how far ahead visitors can book
+      min: 1,
+      max: 90,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "repAvailability",
+    versionKey: false,
+  }
+);
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const RepAvailability =
+  mongoose.models.RepAvailability || mongoose.model("RepAvailability", repAvailabilitySchema);
+
+export default RepAvailability;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import { ROLES } from "../config/roles.js";
+
+/**
+ * 🛡️ Security Policy Schema
+ * Single global document ({ key: "global" }) holding admin-managed
+ * security settings, e.g. which roles must use two-factor authentication
+ * and how long audit events are kept.
+ */
+const securityPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+
+    enforceTwoFactorRoles: {
+      type: [{ type: String, enum: { values: ROLES, message: "Invalid role: {VALUE}." } }],
+      default: [],
+    },
+
+    auditRetentionDays: {
+      type: Number,
+      default: Number(process.env.AUDIT_RETENTION_DAYS) || 365,
+      min: [30, "Audit events must be kept for at least 30 days."],
+      max: [3650, "Audit events cannot be kept for more than 10 years."],
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "securityPolicies",
+    versionKey: false,
+  }
+);
+
+// Small in-memory cache — the policy is read on every authenticated request
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Get the global policy (creating it with defaults on first use).
+ */
+securityPolicySchema.statics.getPolicy = async function () {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  cached = await this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { upsert: true, new: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cached;
+};
+
+/**
+ * Does the policy force two-factor authentication for this role?
+ */
+securityPolicySchema.statics.requiresTwoFactor = async function (role) {
+  const policy = await this.getPolicy();
+  return policy.enforceTwoFactorRoles.includes(role);
+};
+
+/**
+ * Drop the cache after the policy has been changed.
+ */
+securityPolicySchema.statics.clearCache = function () {
+  cached = null;
+};
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const SecurityPolicy =
+  mongoose.models.SecurityPolicy || mongoose.model("SecurityPolicy", securityPolicySchema);
+
+export default SecurityPolicy;
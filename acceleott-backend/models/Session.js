@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+/**
+ * 🔁 Session Schema (Refresh-Token Family)
+ * One document per login. The refresh token is rotated on every use:
+ * the current hash lives in `tokenHash`, already-used hashes move to
+ * `previousTokenHashes`. Presenting a previous hash again means the token
+ * was stolen/replayed, so the whole session (family) is revoked.
+ * Access tokens carry the session id (`sid`), so revoking a session here
+ * also cuts off its access token (checked in middleware/auth.js).
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      index: true,
+      select: false, // ⛔ Never expose refresh token hashes
+    },
+
+    previousTokenHashes: {
+      type: [String],
+      index: true,
+      select: false,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // 🖥️ Device info captured at login (shown on the account security page)
+    userAgent: {
+      type: String,
+      default: "",
+    },
+
+    device: {
+      type: String,
+      default: "Unknown device", // e.g. "Chrome on Windows"
+    },
+
+    ip: {
+      type: String,
+      default: "",
+    },
+
+    // 🏥 Organization this session is working in (tenant scoping)
+    activeOrganization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "password_reset",
+        "password_changed",
+        "reuse_detected",
+        "user_revoked",
+        "signed_out_everywhere",
+      ],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "sessions",
+    versionKey: false,
+  }
+);
+
+// ✅ MongoDB removes expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ✅ Is this session still usable?
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const Session = mongoose.models.Session || mongoose.model("Session", sessionSchema);
+
+export default Session;
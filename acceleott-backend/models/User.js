@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLES, DEFAULT_ROLE, PERMISSIONS, permissionsFor } from "../config/roles.js";
+import { normalizePhoneField, isPhoneCountry } from "../utils/phone.js";
+import { normalizeEmail } from "../utils/normalize.js";
+import attributionPlugin from "./plugins/attribution.js";
 
 /**
  * 👤 User Schema (Production-Ready)
@@ -25,6 +29,12 @@ const userSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Canonical mailbox (utils/normalize.js) for matching demo requests — kept by the pre-validate hook
+    normalizedEmail: {
+      type: String,
+      index: true,
+    },
+
     password: {
       type: String,
       required: [true, "Password is required."],
@@ -34,8 +44,14 @@ const userSchema = new mongoose.Schema(
 
     phone: {
       type: String,
+      trim: true, // E.164 ("+919876543210") — normalized by the pre-validate hook
+    },
+
+    phoneCountry: {
+      type: String, // ISO country picked on the form
+      uppercase: true,
       trim: true,
-      match: [/^[0-9]{10}$/, "Invalid phone number (must be 10 digits)."],
+      validate: { validator: isPhoneCountry, message: "Unknown phone country: {VALUE}." },
     },
 
     occupation: {
@@ -50,6 +66,26 @@ const userSchema = new mongoose.Schema(
       maxlength: [100, "Source field cannot exceed 100 characters."],
     },
 
+    // 🚫 Spam check of the sign-up form (middleware/spamGuard.js)
+    signupSpam: {
+      score: { type: Number, min: 0, max: 100 },
+      signals: [String],
+      quarantined: { type: Boolean, default: undefined },
+    },
+
+    role: {
+      type: String,
+      enum: { values: ROLES, message: "Invalid role: {VALUE}." },
+      default: DEFAULT_ROLE,
+      index: true,
+    },
+
+    // Extra fine-grained grants on top of the role's permissions
+    permissions: {
+      type: [{ type: String, enum: { values: PERMISSIONS, message: "Invalid permission: {VALUE}." } }],
+      default: [],
+    },
+
     emailVerified: {
       type: Boolean,
       default: false,
@@ -64,6 +100,100 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+
+    // ✉️ Email change — the current address stays active until the new one is verified
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Invalid email format."],
+    },
+
+    pendingEmailToken: {
+      type: String,
+      select: false, // ⛔ Stored as sha256 hash only
+    },
+
+    pendingEmailExpires: {
+      type: Date,
+      select: false,
+    },
+
+    resetPasswordToken: {
+      type: String,
+      select: false, // ⛔ Stored as sha256 hash only
+    },
+
+    resetPasswordExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // ✉️ Passwordless login (sha256 of the emailed link token + device nonce)
+    magicLinkToken: {
+      type: String,
+      select: false,
+    },
+
+    magicLinkExpires: {
+      type: Date,
+      select: false,
+    },
+
+    magicLinkDeviceHash: {
+      type: String,
+      select: false,
+    },
+
+    passwordChangedAt: {
+      type: Date,
+      select: false,
+    },
+
+    // 🏥 Organization to activate on login (last one switched to)
+    defaultOrganization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+
+    // 🗑️ Self-service deletion — purged by the cron job once the grace period ends
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    // --- Two-factor authentication (TOTP) ---
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    twoFactorSecret: {
+      type: String,
+      select: false, // ⛔ AES-GCM encrypted TOTP seed
+    },
+
+    twoFactorPendingSecret: {
+      type: String,
+      select: false, // Encrypted seed awaiting first code confirmation
+    },
+
+    twoFactorLastCounter: {
+      type: Number,
+      select: false, // Last accepted time step — blocks code replay
+    },
+
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false, // ⛔ sha256 hashes, each usable once
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt & updatedAt
@@ -72,6 +202,18 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// 📣 First / last marketing touch before signing up (`source` stays the self-reported answer)
+userSchema.plugin(attributionPlugin);
+
+//
+// 📞 Phone → E.164 (country-aware validation), plus the normalized email
+//
+userSchema.pre("validate", function (next) {
+  if (this.isModified("email")) this.normalizedEmail = normalizeEmail(this.email);
+  normalizePhoneField(this, "phone", "phoneCountry", "Invalid phone number for the selected country.");
+  next();
+});
+
 //
 // 🔐 Password Hash Middleware (runs before saving user)
 //
@@ -80,6 +222,8 @@ userSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(12); // Higher salt rounds for stronger security
     this.password = await bcrypt.hash(this.password, salt);
+    // Back-date by 1s so a token issued right after the change stays valid
+    if (!this.isNew) this.passwordChangedAt = Date.now() - 1000;
     next();
   } catch (err) {
     next(err);
@@ -93,6 +237,21 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+//
+// 🛡️ Permission check (role permissions + explicit grants)
+//
+userSchema.methods.hasPermission = function (permission) {
+  return permissionsFor(this).includes(permission);
+};
+
+//
+// 🕒 Was the password changed after a JWT was issued? (iat is in seconds)
+//
+userSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
 //
 // 🧠 Prevent re-compiling model in hot-reload (useful for dev mode)
 //
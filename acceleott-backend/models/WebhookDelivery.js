@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import { DELIVERY_RETENTION_DAYS } from "../config/webhooks.js";
+
+/**
+ * 📝 One HTTP attempt at delivering a webhook
+ */
+const DeliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    statusCode: { type: Number, default: null }, // null = no response (network error / timeout)
+    durationMs: { type: Number, default: 0 },
+    error: { type: String, default: "", maxlength: 500 },
+    responseBody: { type: String, default: "", maxlength: 1000 }, // truncated
+  },
+  { _id: false }
+);
+
+/**
+ * 📦 Webhook Delivery Schema
+ * One event sent to one endpoint. The payload is frozen when the event
+ * happens, so retries and replays send exactly the same body. Pending
+ * deliveries are picked up when `nextAttemptAt` is due; after
+ * MAX_DELIVERY_ATTEMPTS failures the delivery is marked failed and can
+ * only be replayed by an admin (which creates a new delivery).
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+
+    event: {
+      type: String,
+      required: true,
+    },
+
+    eventId: {
+      type: String, // shared by every endpoint's delivery of the same event
+      required: true,
+    },
+
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+
+    attempts: {
+      type: [DeliveryAttemptSchema],
+      default: [],
+    },
+
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+      default: null,
+    },
+
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId, // admin behind a replay or test send
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "webhookDeliveries",
+    versionKey: false,
+  }
+);
+
+// Retry queue
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery log per endpoint
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+// Account purge / data export: payloads copy the person's contact details
+webhookDeliverySchema.index({ "payload.data.email": 1 });
+// Old logs expire on their own
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const WebhookDelivery =
+  mongoose.models.WebhookDelivery || mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+export default WebhookDelivery;
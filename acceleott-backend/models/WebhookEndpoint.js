@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { WEBHOOK_EVENTS } from "../config/webhooks.js";
+import { isPublicHostname } from "../utils/publicHost.js";
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 🪝 Webhook Endpoint Schema
+ * An admin-registered URL that receives the events it subscribes to
+ * (utils/webhooks.js). Payloads are signed with the endpoint's secret;
+ * the secret is stored encrypted (utils/encryption.js) because signing
+ * needs it back, and is shown to the admin only when created or rotated.
+ */
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "Endpoint URL is required."],
+      trim: true,
+      maxlength: [2000, "Endpoint URL is too long."],
+      validate: [
+        {
+          validator: (value) => {
+            const protocol = parseUrl(value)?.protocol;
+            return protocol === "https:" || (protocol === "http:" && process.env.NODE_ENV !== "production");
+          },
+          message: "Endpoint URL must be a valid https:// URL.",
+        },
+        {
+          // Re-checked against the resolved address on every send (utils/webhooks.js)
+          validator: (value) => !parseUrl(value) || isPublicHostname(parseUrl(value).hostname),
+          message: "Endpoint URL must point to a public host, not a local or private address.",
+        },
+      ],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters."],
+      default: "",
+    },
+
+    events: {
+      type: [{ type: String, enum: { values: WEBHOOK_EVENTS, message: "Unknown event: {VALUE}." } }],
+      validate: [(v) => v.length > 0, "Subscribe to at least one event."],
+    },
+
+    secret: {
+      type: String,
+      required: true,
+      select: false, // ⛔ Encrypted signing secret — never exposed after creation
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["succeeded", "failed", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt & updatedAt
+    collection: "webhookEndpoints",
+    versionKey: false,
+  }
+);
+
+// Fan-out lookup: active endpoints for an event
+webhookEndpointSchema.index({ active: 1, events: 1 });
+
+// ✅ Prevent recompiling model in dev/hot-reload environments
+const WebhookEndpoint =
+  mongoose.models.WebhookEndpoint || mongoose.model("WebhookEndpoint", webhookEndpointSchema);
+
+export default WebhookEndpoint;
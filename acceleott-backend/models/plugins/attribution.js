@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+/**
+ * 📣 Marketing Attribution Plugin
+ * For records that count as a conversion (demo requests, sign-ups).
+ * Adds `attribution: { firstTouch, lastTouch }` — the campaign that first
+ * brought the visitor to the site in this browser session and the most
+ * recent one before they converted. The browser collects both
+ * (src/utils/attribution.js); utils/attribution.js cleans them up.
+ *
+ * @example
+ *   schema.plugin(attributionPlugin);
+ *   await DemoRequest.create({ ...data, attribution: sanitizeAttribution(req.body.attribution) });
+ */
+
+const TouchSchema = new mongoose.Schema(
+  {
+    source: { type: String, trim: true, maxlength: 100 }, // utm_source, referrer host or "(direct)"
+    medium: { type: String, trim: true, maxlength: 100 }, // utm_medium, "referral" or "(none)"
+    campaign: { type: String, trim: true, maxlength: 200 },
+    term: { type: String, trim: true, maxlength: 200 },
+    content: { type: String, trim: true, maxlength: 200 },
+    referrer: { type: String, trim: true, maxlength: 500 },
+    landingPage: { type: String, trim: true, maxlength: 500 },
+    at: Date,
+  },
+  { _id: false }
+);
+
+export default function attributionPlugin(schema) {
+  schema.add({
+    attribution: {
+      firstTouch: TouchSchema,
+      lastTouch: TouchSchema,
+    },
+  });
+}
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+/**
+ * 🏥 Tenant Scoping Plugin
+ * For collections whose documents belong to one organization (clinic).
+ *   - adds a required, indexed `organization` field
+ *   - adds the `.forTenant(req.tenant)` query helper
+ *   - refuses to run any query that is not filtered by organization,
+ *     so a forgotten filter fails loudly instead of leaking across tenants
+ *
+ * Deliberate cross-tenant queries (cron jobs, platform admins) opt out with
+ * `.setOptions({ skipTenant: true })`.
+ *
+ * @example
+ *   schema.plugin(tenantScoped);
+ *   await ApiKey.find().forTenant(req.tenant);
+ *   await ApiKey.create({ ...data, organization: req.tenant.organizationId });
+ */
+
+const GUARDED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "replaceOne",
+];
+
+const unscopedError = (modelName) =>
+  new Error(`Unscoped ${modelName} query — filter with .forTenant(req.tenant).`);
+
+export default function tenantScoped(schema) {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+  });
+
+  // Accepts req.tenant ({ organizationId }) or a bare organization id
+  schema.query.forTenant = function (tenant) {
+    return this.where({ organization: tenant?.organizationId ?? tenant });
+  };
+
+  schema.pre(GUARDED_QUERIES, function (next) {
+    if (this.getOptions().skipTenant) return next();
+    if (!this.getFilter().organization) return next(unscopedError(this.model.modelName));
+    next();
+  });
+
+  schema.pre("aggregate", function (next) {
+    if (this.options?.skipTenant) return next();
+    const first = this.pipeline()[0];
+    if (!first?.$match?.organization) return next(unscopedError(this._model.modelName));
+    next();
+  });
+}
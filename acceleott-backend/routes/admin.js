@@ -0,0 +1,194 @@
+/**
+ * ===========================
+ * Admin Routes (/api/admin)
+ * ===========================
+ * Every route requires an authenticated user; each one
+ * additionally declares the permission it needs.
+ */
+
+import express from "express";
+import authMiddleware from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import {
+  listUsers,
+  updateUserRole,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  listAuditEvents,
+  exportAuditEvents,
+  exportDemoRequests,
+  exportUsers,
+  getAttributionReport,
+  getLeadScoringRules,
+  updateLeadScoringRules,
+  getFollowUpSequence,
+  updateFollowUpSequence,
+} from "../controllers/adminController.js";
+import {
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  testWebhookEndpoint,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+} from "../controllers/webhookController.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users (paginated). Filters: ?role= &from= &to= (registered) &q= (name / email)
+ * @access  users:read
+ */
+router.get("/users", requirePermission("users:read"), listUsers);
+
+/**
+ * @route   GET /api/admin/users/export
+ * @desc    Stream users as CSV or Excel. ?format=csv|xlsx &columns=name,email,phone,...
+ *          plus the list filters (?role= &from= &to= &q=)
+ * @access  users:read
+ */
+router.get("/users/export", requirePermission("users:read"), exportUsers);
+
+/**
+ * @route   GET /api/admin/demo-requests/export
+ * @desc    Stream demo requests as CSV or Excel. ?format=csv|xlsx &columns=name,email,source,...
+ *          plus the pipeline filters (?status= &from= &to= &q= &owner= &sort=)
+ * @access  demo:read
+ */
+router.get("/demo-requests/export", requirePermission("demo:read"), exportDemoRequests);
+
+/**
+ * @route   GET /api/admin/attribution
+ * @desc    Conversions (demo requests + sign-ups) grouped by UTM source / medium / campaign.
+ *          ?touch=first|last (default first) &from= &to= (conversion date)
+ * @access  demo:read
+ */
+router.get("/attribution", requirePermission("demo:read"), getAttributionReport);
+
+/**
+ * @route   GET /api/admin/lead-scoring
+ * @desc    Current lead scoring rules (with the available rule types)
+ * @access  demo:read
+ */
+router.get("/lead-scoring", requirePermission("demo:read"), getLeadScoringRules);
+
+/**
+ * @route   PUT /api/admin/lead-scoring
+ * @desc    Replace the rules ({ rules: [{ id, label, type, points, keywords | emailKind | metric + min }] })
+ *          and queue rescoring of every lead (finished by the rescore cron)
+ * @access  scoring:manage
+ */
+router.put("/lead-scoring", requirePermission("scoring:manage"), updateLeadScoringRules);
+
+/**
+ * @route   GET /api/admin/follow-ups
+ * @desc    Follow-up email sequence sent to website demo requesters
+ * @access  demo:read
+ */
+router.get("/follow-ups", requirePermission("demo:read"), getFollowUpSequence);
+
+/**
+ * @route   PUT /api/admin/follow-ups
+ * @desc    Pause / resume ({ enabled }) and / or replace the steps
+ *          ({ steps: [{ id, delayDays, subject, body, enabled }] })
+ * @access  followups:manage
+ */
+router.put("/follow-ups", requirePermission("followups:manage"), updateFollowUpSequence);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role and/or extra permissions
+ * @access  users:manage
+ */
+router.patch("/users/:id/role", requirePermission("users:manage"), updateUserRole);
+
+/**
+ * @route   GET|PUT /api/admin/security-policy
+ * @desc    Read / change the global security policy
+ *          (e.g. { enforceTwoFactorRoles: ["admin", "sales"], auditRetentionDays: 365 })
+ * @access  security:manage
+ */
+router.get("/security-policy", requirePermission("security:manage"), getSecurityPolicy);
+router.put("/security-policy", requirePermission("security:manage"), updateSecurityPolicy);
+
+/**
+ * @route   GET /api/admin/audit-events
+ * @desc    Query the audit log (paginated). Filters: ?action= (e.g. "auth.*"),
+ *          &actor= (user id / email), &target=, &outcome=, &ip=, &from=, &to=
+ * @access  audit:read
+ */
+router.get("/audit-events", requirePermission("audit:read"), listAuditEvents);
+
+/**
+ * @route   GET /api/admin/audit-events/export
+ * @desc    Same filters, streamed as CSV
+ * @access  audit:read
+ */
+router.get("/audit-events/export", requirePermission("audit:read"), exportAuditEvents);
+
+/**
+ * @route   GET /api/admin/webhooks
+ * @desc    Registered webhook endpoints (with the subscribable events)
+ * @access  webhooks:manage
+ */
+router.get("/webhooks", requirePermission("webhooks:manage"), listWebhookEndpoints);
+
+/**
+ * @route   POST /api/admin/webhooks
+ * @desc    Register an endpoint ({ url, description, events: [...] }); returns the signing secret once
+ * @access  webhooks:manage
+ */
+router.post("/webhooks", requirePermission("webhooks:manage"), createWebhookEndpoint);
+
+/**
+ * @route   PATCH /api/admin/webhooks/:id
+ * @desc    Change url / description / events, or enable / disable ({ active })
+ * @access  webhooks:manage
+ */
+router.patch("/webhooks/:id", requirePermission("webhooks:manage"), updateWebhookEndpoint);
+
+/**
+ * @route   DELETE /api/admin/webhooks/:id
+ * @desc    Remove an endpoint and its delivery log
+ * @access  webhooks:manage
+ */
+router.delete("/webhooks/:id", requirePermission("webhooks:manage"), deleteWebhookEndpoint);
+
+/**
+ * @route   POST /api/admin/webhooks/:id/rotate-secret
+ * @desc    Issue a new signing secret (returned once)
+ * @access  webhooks:manage
+ */
+router.post("/webhooks/:id/rotate-secret", requirePermission("webhooks:manage"), rotateWebhookSecret);
+
+/**
+ * @route   POST /api/admin/webhooks/:id/test
+ * @desc    Deliver a "webhook.test" event now and return the attempt
+ * @access  webhooks:manage
+ */
+router.post("/webhooks/:id/test", requirePermission("webhooks:manage"), testWebhookEndpoint);
+
+/**
+ * @route   GET /api/admin/webhooks/:id/deliveries
+ * @desc    Delivery log with every attempt. ?status=pending|succeeded|failed &event= &page &limit
+ * @access  webhooks:manage
+ */
+router.get("/webhooks/:id/deliveries", requirePermission("webhooks:manage"), listWebhookDeliveries);
+
+/**
+ * @route   POST /api/admin/webhooks/deliveries/:deliveryId/replay
+ * @desc    Send a delivery's payload again (as a new delivery)
+ * @access  webhooks:manage
+ */
+router.post(
+  "/webhooks/deliveries/:deliveryId/replay",
+  requirePermission("webhooks:manage"),
+  replayWebhookDelivery
+);
+
+export default router;
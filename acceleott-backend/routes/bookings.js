@@ -0,0 +1,95 @@
+/**
+ * ==========================================
+ * Demo Booking Routes (/api/bookings)
+ * ==========================================
+ * Self-service demo slots. Visitors list free slots and book one;
+ * the emailed manage link (a single random token) lets them
+ * reschedule or cancel. Reps (demo:write) publish their weekly
+ * availability. Handlers live in controllers/bookingController.js.
+ */
+
+import express from "express";
+import authMiddleware from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { spamGuard } from "../middleware/spamGuard.js";
+import {
+  listSlots,
+  createBooking,
+  getBookingByToken,
+  cancelBookingByToken,
+  rescheduleBookingByToken,
+  getMyAvailability,
+  updateMyAvailability,
+  listMyBookings,
+  cancelBookingAsRep,
+} from "../controllers/bookingController.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/bookings/slots
+ * @desc    Free demo slots as UTC instants (?from=<ISO> &days=14, max 31)
+ * @access  Public
+ */
+router.get("/slots", listSlots);
+
+/**
+ * @route   POST /api/bookings
+ * @desc    Book a slot ({ name, email, contact, designation, start, timezone }),
+ *          creating a "scheduled" demo request and emailing .ics invites.
+ *          Same spam checks as POST /api/demo (challenge form "demo").
+ * @access  Public
+ */
+router.post("/", spamGuard("demo"), createBooking);
+
+/**
+ * @route   GET /api/bookings/manage/:token
+ * @desc    Booking behind a reschedule / cancel link
+ * @access  Public (token)
+ */
+router.get("/manage/:token", getBookingByToken);
+
+/**
+ * @route   POST /api/bookings/manage/:token/cancel
+ * @desc    Cancel the booking and send a cancellation invite
+ * @access  Public (token)
+ */
+router.post("/manage/:token/cancel", cancelBookingByToken);
+
+/**
+ * @route   POST /api/bookings/manage/:token/reschedule
+ * @desc    Move the booking to another free slot ({ start })
+ * @access  Public (token)
+ */
+router.post("/manage/:token/reschedule", rescheduleBookingByToken);
+
+/**
+ * @route   GET /api/bookings/availability/me
+ * @desc    Current user's published weekly availability
+ * @access  Private (demo:write)
+ */
+router.get("/availability/me", authMiddleware, requirePermission("demo:write"), getMyAvailability);
+
+/**
+ * @route   PUT /api/bookings/availability/me
+ * @desc    Save weekly availability
+ *          ({ timezone, weekly: [{ day, start, end }], slotMinutes, minNoticeHours, horizonDays, active })
+ * @access  Private (demo:write)
+ */
+router.put("/availability/me", authMiddleware, requirePermission("demo:write"), updateMyAvailability);
+
+/**
+ * @route   GET /api/bookings/mine
+ * @desc    Current user's upcoming booked demos
+ * @access  Private (demo:read)
+ */
+router.get("/mine", authMiddleware, requirePermission("demo:read"), listMyBookings);
+
+/**
+ * @route   POST /api/bookings/:id/cancel
+ * @desc    Cancel a booked demo on the visitor's behalf
+ * @access  Private (demo:write as the booking's rep, or bookings:manage)
+ */
+router.post("/:id/cancel", authMiddleware, requirePermission("demo:write"), cancelBookingAsRep);
+
+export default router;
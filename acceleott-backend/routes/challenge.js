@@ -0,0 +1,29 @@
+/**
+ * ===========================
+ * Challenge Routes (/api/challenge)
+ * ===========================
+ * Proof-of-work challenges for the public forms (see utils/proofOfWork.js).
+ * The form page fetches one on load, solves it in the background and
+ * sends { challenge, challengeSolution } with the submission.
+ */
+
+import express from "express";
+import { SPAM_FORMS } from "../config/spamProtection.js";
+import { issueChallenge } from "../utils/proofOfWork.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/challenge/:form
+ * @desc    New challenge for "demo", "register" or "contact"
+ * @access  Public
+ */
+router.get("/:form", (req, res) => {
+  if (!SPAM_FORMS.includes(req.params.form))
+    return res.status(404).json({ success: false, message: "Unknown form." });
+
+  res.set("Cache-Control", "no-store");
+  return res.json({ success: true, data: issueChallenge(req.params.form) });
+});
+
+export default router;
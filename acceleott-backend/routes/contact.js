@@ -1,22 +1,64 @@
 /**
  * ===========================
- * Contact Routes
+ * Contact Routes (/api/contact)
  * ===========================
- * Handles contact form submissions.
+ * Handles contact form submissions, and the staff inbox
+ * (inbox:manage) where they are read, archived and answered.
  * Delegates logic to the controller for clean separation of concerns.
  */
 
 import express from "express";
-import { sendMessage } from "../controllers/contactController.js";
+import authMiddleware from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import {
+  sendMessage,
+  listContactMessages,
+  getContactMessage,
+  updateContactMessage,
+  replyToContactMessage,
+} from "../controllers/contactController.js";
+import { spamGuard } from "../middleware/spamGuard.js";
 
 const router = express.Router();
 
 /**
  * @route   POST /api/contact
- * @desc    Receive contact form submission and trigger email/DB action
+ * @desc    Store a contact form submission and email the team
+ *          (needs a solved challenge from GET /api/challenge/contact;
+ *          likely spam is stored but kept out of the inbox)
  * @access  Public
  */
-router.post("/", sendMessage);
+router.post("/", spamGuard("contact"), sendMessage);
+
+/**
+ * @route   GET /api/contact/messages
+ * @desc    Inbox (paginated, newest first, with the unread count).
+ *          Filters: ?status=unread,read,archived (default: not archived)
+ *          &from= &to= &q= (name / email / message) &spam=quarantined
+ * @access  Private (inbox:manage)
+ */
+router.get("/messages", authMiddleware, requirePermission("inbox:manage"), listContactMessages);
+
+/**
+ * @route   GET /api/contact/messages/:id
+ * @desc    One message with its replies; marks it read
+ * @access  Private (inbox:manage)
+ */
+router.get("/messages/:id", authMiddleware, requirePermission("inbox:manage"), getContactMessage);
+
+/**
+ * @route   PATCH /api/contact/messages/:id
+ * @desc    Mark read / unread or archive ({ status })
+ * @access  Private (inbox:manage)
+ */
+router.patch("/messages/:id", authMiddleware, requirePermission("inbox:manage"), updateContactMessage);
+
+/**
+ * @route   POST /api/contact/messages/:id/replies
+ * @desc    Email a reply to the sender ({ body }), threaded by Message-ID
+ * @access  Private (inbox:manage)
+ */
+router.post("/messages/:id/replies", authMiddleware, requirePermission("inbox:manage"), replyToContactMessage);
 
 // Graceful handling for unsupported methods
 router.all("/", (req, res) => {
@@ -0,0 +1,101 @@
+/**
+ * ===========================
+ * Cron Routes (/api/cron)
+ * ===========================
+ * Scheduled jobs, triggered by Vercel Cron (see vercel.json).
+ * Vercel sends `Authorization: Bearer <CRON_SECRET>`; anything else is rejected.
+ */
+
+import express from "express";
+import { purgeDueAccounts } from "../utils/accountDeletion.js";
+import { purgeExpiredAuditEvents } from "../utils/audit.js";
+import { rescoreLeads } from "../utils/leadScoring.js";
+import { deliverDueWebhooks } from "../utils/webhooks.js";
+import { sendDueFollowUps } from "../utils/followUps.js";
+
+const router = express.Router();
+
+router.use((req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.header("Authorization") !== `Bearer ${secret}`) {
+    return res.status(401).json({ success: false, message: "Unauthorized." });
+  }
+  next();
+});
+
+/**
+ * @route   GET /api/cron/purge-deleted-accounts
+ * @desc    Hard-delete accounts whose deletion grace period has ended
+ * @access  Cron (CRON_SECRET)
+ */
+router.get("/purge-deleted-accounts", async (req, res) => {
+  try {
+    const purged = await purgeDueAccounts();
+    return res.json({ success: true, purged });
+  } catch (err) {
+    console.error("❌ Purge job failed:", err.message);
+    return res.status(500).json({ success: false, message: "Purge job failed." });
+  }
+});
+
+/**
+ * @route   GET /api/cron/purge-audit-events
+ * @desc    Delete audit events older than the policy's retention period
+ * @access  Cron (CRON_SECRET)
+ */
+router.get("/purge-audit-events", async (req, res) => {
+  try {
+    const deleted = await purgeExpiredAuditEvents();
+    return res.json({ success: true, deleted });
+  } catch (err) {
+    console.error("❌ Audit purge job failed:", err.message);
+    return res.status(500).json({ success: false, message: "Audit purge job failed." });
+  }
+});
+
+/**
+ * @route   GET /api/cron/rescore-leads
+ * @desc    Score leads never scored or scored under older rules
+ * @access  Cron (CRON_SECRET)
+ */
+router.get("/rescore-leads", async (req, res) => {
+  try {
+    const rescored = await rescoreLeads();
+    return res.json({ success: true, rescored });
+  } catch (err) {
+    console.error("❌ Lead rescoring job failed:", err.message);
+    return res.status(500).json({ success: false, message: "Lead rescoring job failed." });
+  }
+});
+
+/**
+ * @route   GET /api/cron/deliver-webhooks
+ * @desc    Retry webhook deliveries whose backoff has elapsed
+ * @access  Cron (CRON_SECRET)
+ */
+router.get("/deliver-webhooks", async (req, res) => {
+  try {
+    const result = await deliverDueWebhooks();
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Webhook delivery job failed:", err.message);
+    return res.status(500).json({ success: false, message: "Webhook delivery job failed." });
+  }
+});
+
+/**
+ * @route   GET /api/cron/send-follow-ups
+ * @desc    Email demo requesters the follow-up steps that have come due
+ * @access  Cron (CRON_SECRET)
+ */
+router.get("/send-follow-ups", async (req, res) => {
+  try {
+    const result = await sendDueFollowUps();
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Follow-up job failed:", err.message);
+    return res.status(500).json({ success: false, message: "Follow-up job failed." });
+  }
+});
+
+export default router;
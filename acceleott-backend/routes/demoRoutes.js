@@ -1,89 +1,119 @@
 /**
  * ==========================================
- * Demo Request Routes (POST /api/demo)
+ * Demo Request Routes (/api/demo)
  * ==========================================
- * Saves demo requests to MongoDB and sends an
- * email notification to the admin.
+ * Public "Book Demo" submissions (also accepted from partner
+ * API keys with the demo:write scope) and the sales pipeline:
+ * staff with demo:read browse leads, demo:write works them.
+ * Handlers live in controllers/demoController.js.
  */
 
 import express from "express";
-import dotenv from "dotenv";
-import nodemailer from "nodemailer";
-import DemoRequest from "../models/DemoRequest.js";
+import authMiddleware, { optionalApiKey } from "../middleware/auth.js";
+import { requirePermission, requireApiKeyScope } from "../middleware/authorize.js";
+import { spamGuard } from "../middleware/spamGuard.js";
+import {
+  createDemoRequest,
+  listDemoRequests,
+  listDemoOwners,
+  getDemoRequest,
+  updateDemoRequest,
+  addDemoNote,
+  dismissDuplicates,
+  mergeDemoRequest,
+  releaseDemoRequest,
+  showUnsubscribePage,
+  unsubscribeFromFollowUps,
+} from "../controllers/demoController.js";
 
-dotenv.config();
 const router = express.Router();
 
 /**
- * ===========================
- * Nodemailer Transporter Setup
- * ===========================
- * Uses Gmail SMTP via App Password.
+ * @route   POST /api/demo
+ * @desc    Store demo request and notify admin. Web submissions need a
+ *          solved challenge (GET /api/challenge/demo); likely spam is
+ *          stored quarantined without notifying anyone.
+ * @access  Public (or API key with demo:write)
  */
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER, // e.g. yourcompany@gmail.com
-    pass: process.env.EMAIL_PASS, // Gmail App Password
-  },
-});
+router.post("/", optionalApiKey, requireApiKeyScope("demo:write"), spamGuard("demo"), createDemoRequest);
 
 /**
- * @route   POST /api/demo
- * @desc    Store demo request and notify admin
- * @access  Public
+ * @route   GET /api/demo/unsubscribe/:id/:token
+ * @desc    Confirmation page for the link in every requester email.
+ *          Does not unsubscribe — its button POSTs below.
+ * @access  Public (signed link)
  */
-router.post("/", async (req, res) => {
-  try {
-    const { name, email, contact, designation } = req.body;
+router.get("/unsubscribe/:id/:token", showUnsubscribePage);
 
-    // --- Validation ---
-    if (!name?.trim() || !email?.trim() || !contact?.trim()) {
-      return res.status(400).json({
-        message: "Name, email, and contact fields are required.",
-      });
-    }
+/**
+ * @route   POST /api/demo/unsubscribe/:id/:token
+ * @desc    Stop follow-up emails to the requester's address (confirmation
+ *          button, and one-click List-Unsubscribe-Post from mail clients)
+ * @access  Public (signed link)
+ */
+router.post("/unsubscribe/:id/:token", unsubscribeFromFollowUps);
 
-    // --- Save to MongoDB ---
-    const demoRequest = await DemoRequest.create({
-      name,
-      email,
-      contact,
-      designation,
-    });
+/**
+ * @route   GET /api/demo
+ * @desc    List demo requests (paginated). Filters: ?status=new,contacted
+ *          &from= &to= (received date) &q= (name / email / contact / designation)
+ *          &owner=me|unassigned|<userId> &sort=newest|oldest|score
+ *          &duplicates=pending (possible-duplicates review queue)
+ *          &spam=quarantined (suspected spam, hidden otherwise)
+ * @access  Private (demo:read)
+ */
+router.get("/", authMiddleware, requirePermission("demo:read"), listDemoRequests);
 
-    // --- Send Admin Notification ---
-    const adminEmail = process.env.ADMIN_EMAIL;
-    if (adminEmail) {
-      await transporter.sendMail({
-        from: `"Acceleott Automations" <${process.env.EMAIL_USER}>`,
-        to: adminEmail,
-        subject: `🧩 New Demo Request — ${name}`,
-        html: `
-          <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
-            <h2>New Demo Request Received</h2>
-            <p><strong>Name:</strong> ${name}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Contact:</strong> ${contact}</p>
-            <p><strong>Designation:</strong> ${designation || "N/A"}</p>
-            <p><strong>Received At:</strong> ${new Date().toLocaleString()}</p>
-          </div>
-        `,
-      });
-    }
+/**
+ * @route   GET /api/demo/owners
+ * @desc    Staff who can be assigned as a lead's owner
+ * @access  Private (demo:read)
+ */
+router.get("/owners", authMiddleware, requirePermission("demo:read"), listDemoOwners);
 
-    console.log("✅ Demo request stored & admin notified.");
+/**
+ * @route   GET /api/demo/:id
+ * @desc    One demo request with status history and notes
+ * @access  Private (demo:read)
+ */
+router.get("/:id", authMiddleware, requirePermission("demo:read"), getDemoRequest);
 
-    return res
-      .status(201)
-      .json({ message: "Demo request submitted successfully." });
-  } catch (err) {
-    console.error("❌ Demo Request Error:", err.message || err);
-    return res.status(500).json({
-      message: "Server error while submitting the demo request. Please try again.",
-    });
-  }
-});
+/**
+ * @route   PATCH /api/demo/:id
+ * @desc    Move through the pipeline and/or (re)assign the owner
+ *          ({ status?: "contacted", owner?: userId | null })
+ * @access  Private (demo:write)
+ */
+router.patch("/:id", authMiddleware, requirePermission("demo:write"), updateDemoRequest);
+
+/**
+ * @route   POST /api/demo/:id/notes
+ * @desc    Add a timestamped internal note ({ body })
+ * @access  Private (demo:write)
+ */
+router.post("/:id/notes", authMiddleware, requirePermission("demo:write"), addDemoNote);
+
+/**
+ * @route   POST /api/demo/:id/duplicates/dismiss
+ * @desc    Not a duplicate — take the lead out of the review queue
+ * @access  Private (demo:write)
+ */
+router.post("/:id/duplicates/dismiss", authMiddleware, requirePermission("demo:write"), dismissDuplicates);
+
+/**
+ * @route   POST /api/demo/:id/merge
+ * @desc    Merge this lead into another ({ into: demoRequestId }), keeping
+ *          its notes, details and status history on the surviving lead
+ * @access  Private (demo:write)
+ */
+router.post("/:id/merge", authMiddleware, requirePermission("demo:write"), mergeDemoRequest);
+
+/**
+ * @route   POST /api/demo/:id/release
+ * @desc    Not spam — release a quarantined lead into the pipeline
+ * @access  Private (demo:write)
+ */
+router.post("/:id/release", authMiddleware, requirePermission("demo:write"), releaseDemoRequest);
 
 /**
  * Catch-all for unsupported HTTP methods
@@ -0,0 +1,109 @@
+/**
+ * ===========================
+ * Organization Routes (/api/orgs)
+ * ===========================
+ * Clinic tenants. Routes under /current act on the active organization
+ * carried in the session (see middleware/tenant.js); switching changes it.
+ */
+
+import express from "express";
+import authMiddleware, { authOrApiKey } from "../middleware/auth.js";
+import { requireApiKeyScope } from "../middleware/authorize.js";
+import { requireOrganization } from "../middleware/tenant.js";
+import { ORG_MANAGER_ROLES } from "../config/roles.js";
+import {
+  listMyOrganizations,
+  createOrganization,
+  switchOrganization,
+  getCurrentOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+} from "../controllers/organizationController.js";
+import { listApiKeys, createApiKey, revokeApiKey } from "../controllers/apiKeyController.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/orgs/invitations/:token
+ * @desc    Preview an invitation (organization name, invited email, role)
+ * @access  Public (token holder)
+ */
+router.get("/invitations/:token", getInvitation);
+
+/**
+ * @route   GET /api/orgs/current/members
+ * @desc    Members of the active organization (or of the API key's organization)
+ * @access  Member, or API key with users:read
+ */
+router.get(
+  "/current/members",
+  authOrApiKey,
+  requireApiKeyScope("users:read"),
+  requireOrganization(),
+  listMembers
+);
+
+router.use(authMiddleware);
+
+/**
+ * @route   GET|POST /api/orgs
+ * @desc    List my organizations / create one (creator becomes owner)
+ * @access  Authenticated
+ */
+router.get("/", listMyOrganizations);
+router.post("/", createOrganization);
+
+/**
+ * @route   POST /api/orgs/switch
+ * @desc    Change the session's active organization ({ organizationId })
+ * @access  Member of the target organization
+ */
+router.post("/switch", switchOrganization);
+
+/**
+ * @route   POST /api/orgs/invitations/:token/accept
+ * @desc    Join an organization (signed-in email must match the invitation)
+ * @access  Authenticated
+ */
+router.post("/invitations/:token/accept", acceptInvitation);
+
+/**
+ * @route   GET /api/orgs/current
+ * @desc    Active organization and my role in it
+ * @access  Member
+ */
+router.get("/current", requireOrganization(), getCurrentOrganization);
+
+/**
+ * @route   PATCH|DELETE /api/orgs/current/members/:userId
+ * @desc    Change a member's role / remove a member (members may remove themselves)
+ * @access  Owner or admin (ownership changes: owner)
+ */
+router.patch("/current/members/:userId", requireOrganization(...ORG_MANAGER_ROLES), updateMemberRole);
+router.delete("/current/members/:userId", requireOrganization(), removeMember);
+
+/**
+ * @route   GET|POST /api/orgs/current/invitations, DELETE /api/orgs/current/invitations/:id
+ * @desc    Pending invitations: list, send by email, revoke
+ * @access  Owner or admin
+ */
+router.get("/current/invitations", requireOrganization(...ORG_MANAGER_ROLES), listInvitations);
+router.post("/current/invitations", requireOrganization(...ORG_MANAGER_ROLES), createInvitation);
+router.delete("/current/invitations/:id", requireOrganization(...ORG_MANAGER_ROLES), revokeInvitation);
+
+/**
+ * @route   GET|POST /api/orgs/current/api-keys, DELETE /api/orgs/current/api-keys/:id
+ * @desc    Organization API keys: list, create (full key shown once), revoke
+ * @access  Owner or admin
+ */
+router.get("/current/api-keys", requireOrganization(...ORG_MANAGER_ROLES), listApiKeys);
+router.post("/current/api-keys", requireOrganization(...ORG_MANAGER_ROLES), createApiKey);
+router.delete("/current/api-keys/:id", requireOrganization(...ORG_MANAGER_ROLES), revokeApiKey);
+
+export default router;
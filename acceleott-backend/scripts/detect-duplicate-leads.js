@@ -0,0 +1,58 @@
+/**
+ * ==========================================
+ * Detect Duplicate Leads (backend/scripts/detect-duplicate-leads.js)
+ * ==========================================
+ * One-off backfill for demo requests stored before duplicate detection:
+ * fills the normalized email / phone fields (on users too), links
+ * leads to verified users and queues possible duplicates for review.
+ * Safe to re-run; leads already reviewed (dismissed) are left alone.
+ *
+ * Usage: npm run detect-duplicate-leads
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import DemoRequest from "../models/DemoRequest.js";
+import User from "../models/User.js";
+import { matchNewLead } from "../utils/leadMatching.js";
+import { normalizeEmail, normalizePhone, emailDomain } from "../utils/normalize.js";
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Users first: linking a lead looks its owner up by normalized email
+  for await (const user of User.find({ normalizedEmail: null }).select("email").lean().cursor()) {
+    await User.updateOne({ _id: user._id }, { $set: { normalizedEmail: normalizeEmail(user.email) } });
+  }
+
+  let scanned = 0;
+  let queued = 0;
+  // Oldest first, so each lead is compared with the ones submitted before it
+  const cursor = DemoRequest.find({ mergedInto: null, duplicateReview: { $ne: "dismissed" } })
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  for await (const demo of cursor) {
+    await DemoRequest.updateOne(
+      { _id: demo._id },
+      {
+        $set: {
+          normalizedEmail: normalizeEmail(demo.email),
+          normalizedPhone: normalizePhone(demo.contact, demo.contactCountry),
+          emailDomain: emailDomain(demo.email),
+        },
+      }
+    );
+    const lead = await DemoRequest.findById(demo._id);
+    const duplicates = await matchNewLead(lead);
+    scanned += 1;
+    if (duplicates.length) queued += 1;
+  }
+
+  console.log(`✅ Scanned ${scanned} lead(s); ${queued} queued for duplicate review.`);
+} catch (err) {
+  console.error("❌ Duplicate detection failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
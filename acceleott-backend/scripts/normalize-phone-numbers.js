@@ -0,0 +1,64 @@
+/**
+ * ==========================================
+ * Normalize Phone Numbers (backend/scripts/normalize-phone-numbers.js)
+ * ==========================================
+ * One-off migration for numbers stored before E.164: demo request
+ * contacts and user phones become "+<country code><number>" with their
+ * country, read as DEFAULT_PHONE_COUNTRY (India) unless they already
+ * carry a "+". Numbers that don't parse are listed and left untouched.
+ * Safe to re-run.
+ *
+ * Usage: npm run normalize-phone-numbers [-- --dry-run]
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import DemoRequest from "../models/DemoRequest.js";
+import User from "../models/User.js";
+import { parsePhone, DEFAULT_PHONE_COUNTRY } from "../utils/phone.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Stored before E.164, or without a country
+const legacy = (field, countryField) => ({
+  [field]: { $nin: [null, ""] },
+  $or: [{ [field]: { $not: /^\+/ } }, { [countryField]: { $in: [null, ""] } }],
+});
+
+const migrate = async (Model, label, field, countryField, extra = () => ({})) => {
+  let updated = 0;
+  const invalid = [];
+
+  const cursor = Model.find(legacy(field, countryField)).select(`${field} ${countryField}`).lean().cursor();
+  for await (const doc of cursor) {
+    const parsed = parsePhone(doc[field], doc[countryField]);
+    if (!parsed) {
+      invalid.push(`${doc._id} (${doc[field]})`);
+      continue;
+    }
+    if (!dryRun)
+      await Model.updateOne(
+        { _id: doc._id },
+        { $set: { [field]: parsed.e164, [countryField]: parsed.country, ...extra(parsed) } }
+      );
+    updated += 1;
+  }
+
+  console.log(`✅ ${label}: ${updated} number(s) ${dryRun ? "would be " : ""}normalized.`);
+  if (invalid.length) console.warn(`⚠️ ${label}: ${invalid.length} could not be parsed:\n  ${invalid.join("\n  ")}`);
+};
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`📞 Default country: ${DEFAULT_PHONE_COUNTRY}${dryRun ? " (dry run)" : ""}`);
+
+  await migrate(DemoRequest, "Demo requests", "contact", "contactCountry", (parsed) => ({
+    normalizedPhone: parsed.e164, // duplicate matching compares E.164 now
+  }));
+  await migrate(User, "Users", "phone", "phoneCountry");
+} catch (err) {
+  console.error("❌ Phone migration failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,24 @@
+/**
+ * ==========================================
+ * Purge Deleted Users (backend/scripts/purge-deleted-users.js)
+ * ==========================================
+ * Runs the same hard purge as GET /api/cron/purge-deleted-accounts,
+ * for environments without Vercel Cron.
+ *
+ * Usage: npm run purge-deleted-users
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { purgeDueAccounts } from "../utils/accountDeletion.js";
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const purged = await purgeDueAccounts();
+  console.log(`✅ Purged ${purged} account(s).`);
+} catch (err) {
+  console.error("❌ Purge failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
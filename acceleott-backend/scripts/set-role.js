@@ -0,0 +1,43 @@
+/**
+ * ==========================================
+ * Set User Role (backend/scripts/set-role.js)
+ * ==========================================
+ * Bootstraps the first admin (or changes any role) from the CLI,
+ * since the admin API itself requires an admin.
+ *
+ * Usage: npm run set-role -- <email> <role>
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { ROLES } from "../config/roles.js";
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    console.error(`❌ No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.email} is now "${user.role}"`);
+  }
+} catch (err) {
+  console.error("❌ Failed to set role:", err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -7,8 +7,9 @@
  * ============================================================
  */
 
+// Load .env before any other module reads process.env at import time
+import "dotenv/config";
 import express from "express";
-import dotenv from "dotenv";
 import mongoose from "mongoose";
 import cookieParser from "cookie-parser";
 import cors from "cors";
@@ -19,12 +20,16 @@ import nodemailer from "nodemailer";
 // --- Import Routes (Ensure these file paths are correct in your project) ---
 import authRoutes from "./routes/auth.js";
 import demoRoutes from "./routes/demoRoutes.js";
+import bookingRoutes from "./routes/bookings.js";
+import challengeRoutes from "./routes/challenge.js";
+import contactRoutes from "./routes/contact.js";
+import adminRoutes from "./routes/admin.js";
+import cronRoutes from "./routes/cron.js";
+import organizationRoutes from "./routes/organizations.js";
 
 // ================================
 // 1. Setup and Environment
 // ================================
-dotenv.config();
-
 const isVercel = !!process.env.VERCEL;
 const isProduction = process.env.NODE_ENV === "production" || isVercel;
 
@@ -60,6 +65,9 @@ if (!mongoURI) {
 const app = express();
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
 
+// Behind Vercel/Render proxies: trust the first hop so req.ip is the client IP
+app.set("trust proxy", 1);
+
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -70,7 +78,7 @@ if (!isProduction) {
     cors({
       origin: FRONTEND_URL,
       credentials: true,
-      methods: ["GET", "POST", "PUT", "DELETE"],
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     })
   );
 }
@@ -80,6 +88,12 @@ if (!isProduction) {
 // ================================
 app.use("/api/auth", authRoutes);
 app.use("/api/demo", demoRoutes);
+app.use("/api/bookings", bookingRoutes);
+app.use("/api/challenge", challengeRoutes);
+app.use("/api/contact", contactRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/orgs", organizationRoutes);
+app.use("/api/cron", cronRoutes);
 
 // Test email route (For debugging connection)
 app.post("/api/test-email", async (req, res) => {
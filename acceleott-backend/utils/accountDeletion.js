@@ -0,0 +1,116 @@
+/**
+ * ==========================================
+ * Account Deletion (backend/utils/accountDeletion.js)
+ * ==========================================
+ * Deletion requests are soft for a grace period (the user can cancel
+ * by signing in), then hard-purged by the cron job / CLI script.
+ */
+
+import User from "../models/User.js";
+import DemoRequest from "../models/DemoRequest.js";
+import ContactMessage from "../models/ContactMessage.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import Membership from "../models/Membership.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { sendEmail } from "./email.js";
+import { recordAudit, SYSTEM_ACTOR, userTarget } from "./audit.js";
+
+export const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Organizations where the user is the only owner — deleting them would
+ * leave nobody able to manage members. Deletion requests are refused
+ * while this is non-empty.
+ * @returns {Promise<Array<{ _id, name }>>}
+ */
+export const findSoleOwnedOrganizations = async (userId) => {
+  const owned = await Membership.find({ user: userId, role: "owner" })
+    .populate("organization", "name")
+    .lean();
+
+  const sole = [];
+  for (const membership of owned) {
+    const others = await Membership.countDocuments({
+      organization: membership.organization?._id,
+      role: "owner",
+      user: { $ne: userId },
+    });
+    if (!others && membership.organization) sole.push(membership.organization);
+  }
+  return sole;
+};
+
+// Purge-time safety net (ownership can change during the grace period):
+// the longest-standing admin — or else member — of each such organization becomes owner
+const handOverOwnership = async (user) => {
+  for (const organization of await findSoleOwnedOrganizations(user._id)) {
+    const successor =
+      (await Membership.findOne({ organization: organization._id, role: "admin" }).sort({ createdAt: 1 })) ||
+      (await Membership.findOne({ organization: organization._id, user: { $ne: user._id } }).sort({ createdAt: 1 }));
+    if (!successor) continue; // nobody left to manage
+
+    const previousRole = successor.role;
+    successor.role = "owner";
+    await successor.save();
+    await recordAudit(null, {
+      action: "system.org.owner_promoted",
+      actor: SYSTEM_ACTOR,
+      target: { type: "user", id: String(successor.user) },
+      metadata: { organization: String(organization._id), previousRole, replaces: String(user._id) },
+    });
+  }
+};
+
+/**
+ * Permanently remove one user and every record linked to them.
+ * Organizations they alone owned are handed to another member first.
+ * Audit events about the account are kept until their own retention
+ * period ends — they are the record that the deletion happened.
+ */
+export const purgeUser = async (user) => {
+  await handOverOwnership(user);
+  await Promise.all([
+    DemoRequest.deleteMany({ email: user.email }),
+    ContactMessage.deleteMany({ email: user.email }),
+    Session.deleteMany({ user: user._id }),
+    LoginAttempt.deleteMany({ key: `account:${user.email}` }),
+    Membership.deleteMany({ user: user._id }),
+    WebhookDelivery.deleteMany({ "payload.data.email": user.email }),
+  ]);
+  await User.deleteOne({ _id: user._id });
+  await recordAudit(null, { action: "system.account.purged", actor: SYSTEM_ACTOR, target: userTarget(user) });
+
+  await sendEmail({
+    to: user.email,
+    subject: "Your Acceleott account has been deleted",
+    text: "Your Acceleott account and the personal data linked to it have been permanently deleted.",
+    html: `
+      <p>Hi ${user.name},</p>
+      <p>As requested, your Acceleott account and the personal data linked to it
+         have now been permanently deleted.</p>
+      <p>Thank you for having been with us.</p>
+    `,
+  });
+};
+
+/**
+ * Purge every account whose grace period has ended.
+ * @returns {Promise<number>} how many accounts were purged
+ */
+export const purgeDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+    .select("name email")
+    .lean();
+
+  let purged = 0;
+  for (const user of due) {
+    try {
+      await purgeUser(user);
+      purged += 1;
+    } catch (err) {
+      console.error(`❌ Failed to purge user ${user._id}:`, err.message);
+    }
+  }
+  return purged;
+};
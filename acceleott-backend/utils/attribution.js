@@ -0,0 +1,121 @@
+/**
+ * ==========================================
+ * Marketing Attribution (backend/utils/attribution.js)
+ * ==========================================
+ * The browser sends { firstTouch, lastTouch } with demo requests and
+ * sign-ups (UTM parameters, referrer, landing page, time). It is
+ * visitor-controlled input, so it is trimmed to known fields here before
+ * being stored (models/plugins/attribution.js), and reported on as
+ * conversions per source / medium / campaign.
+ */
+
+import DemoRequest from "../models/DemoRequest.js";
+import User from "../models/User.js";
+
+const TOUCH_FIELDS = {
+  source: 100,
+  medium: 100,
+  campaign: 200,
+  term: 200,
+  content: 200,
+  referrer: 500,
+  landingPage: 500,
+};
+
+// Grouped on — case differences ("Google" vs "google") would split rows
+const LOWERCASE_FIELDS = new Set(["source", "medium", "campaign"]);
+
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const sanitizeTouch = (touch) => {
+  if (!touch || typeof touch !== "object") return null;
+
+  const clean = {};
+  for (const [field, max] of Object.entries(TOUCH_FIELDS)) {
+    if (typeof touch[field] !== "string" || !touch[field].trim()) continue;
+    const value = touch[field].trim().slice(0, max);
+    clean[field] = LOWERCASE_FIELDS.has(field) ? value.toLowerCase() : value;
+  }
+  if (!clean.source && !clean.landingPage) return null;
+
+  const at = new Date(touch.at);
+  if (!Number.isNaN(at.getTime()) && at.getTime() <= Date.now() + CLOCK_SKEW_MS) clean.at = at;
+  return clean;
+};
+
+/**
+ * Attribution as submitted → what gets stored (undefined when absent).
+ * A missing last touch is the first touch.
+ */
+export const sanitizeAttribution = (attribution) => {
+  if (!attribution || typeof attribution !== "object") return undefined;
+
+  const firstTouch = sanitizeTouch(attribution.firstTouch);
+  const lastTouch = sanitizeTouch(attribution.lastTouch) || firstTouch;
+  if (!firstTouch && !lastTouch) return undefined;
+  return { firstTouch: firstTouch || lastTouch, lastTouch };
+};
+
+/* -------------------------------
+   REPORT
+--------------------------------*/
+
+// Records stored before attribution existed (or sent without it)
+const UNKNOWN = "(unknown)";
+const NOT_SET = "(not set)";
+
+const countByTouch = (Model, filter, touch) =>
+  Model.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          source: { $ifNull: [`$attribution.${touch}.source`, UNKNOWN] },
+          medium: { $ifNull: [`$attribution.${touch}.medium`, UNKNOWN] },
+          campaign: { $ifNull: [`$attribution.${touch}.campaign`, NOT_SET] },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+/**
+ * Conversions (demo requests and sign-ups) per source / medium / campaign.
+ * Merged duplicates and quarantined spam are not conversions.
+ * @param {{ touch: "first" | "last", filter: object }} options - filter on createdAt
+ * @returns {Promise<{ rows: Array, totals: { demoRequests: number, registrations: number, total: number } }>}
+ *   rows sorted by total, largest first
+ */
+export const buildAttributionReport = async ({ touch, filter }) => {
+  const path = touch === "last" ? "lastTouch" : "firstTouch";
+
+  const [demoGroups, userGroups] = await Promise.all([
+    countByTouch(DemoRequest, { ...filter, mergedInto: null, "spam.quarantined": { $ne: true } }, path),
+    countByTouch(User, { ...filter, "signupSpam.quarantined": { $ne: true } }, path),
+  ]);
+
+  const rows = new Map();
+  const add = (groups, key) => {
+    for (const { _id, count } of groups) {
+      const id = `${_id.source}\u0000${_id.medium}\u0000${_id.campaign}`;
+      if (!rows.has(id)) rows.set(id, { ..._id, demoRequests: 0, registrations: 0, total: 0 });
+      const row = rows.get(id);
+      row[key] += count;
+      row.total += count;
+    }
+  };
+  add(demoGroups, "demoRequests");
+  add(userGroups, "registrations");
+
+  const sorted = [...rows.values()].sort((a, b) => b.total - a.total || a.source.localeCompare(b.source));
+  const totals = sorted.reduce(
+    (sum, row) => ({
+      demoRequests: sum.demoRequests + row.demoRequests,
+      registrations: sum.registrations + row.registrations,
+      total: sum.total + row.total,
+    }),
+    { demoRequests: 0, registrations: 0, total: 0 }
+  );
+
+  return { rows: sorted, totals };
+};
@@ -0,0 +1,140 @@
+/**
+ * ==========================================
+ * Audit Log (backend/utils/audit.js)
+ * ==========================================
+ * Writes append-only AuditEvent records (models/AuditEvent.js) and
+ * builds the filters used by the admin audit API.
+ *
+ * recordAudit() never throws: a failed audit write is logged, and the
+ * request that triggered it carries on.
+ */
+
+import mongoose from "mongoose";
+import AuditEvent from "../models/AuditEvent.js";
+import SecurityPolicy from "../models/SecurityPolicy.js";
+
+export const SYSTEM_ACTOR = { type: "system" };
+
+/**
+ * Actor block for a known user (e.g. right after a successful login,
+ * before req.user exists).
+ */
+export const userActor = (user) => ({
+  type: "user",
+  user: user._id,
+  email: user.email,
+  role: user.role,
+});
+
+/**
+ * Target block for a user account.
+ */
+export const userTarget = (user) => ({
+  type: "user",
+  id: String(user._id),
+  label: user.email,
+});
+
+// Whoever is behind the request: signed-in user, API key or nobody yet
+const actorFromRequest = (req) => {
+  if (req?.user) return userActor(req.user);
+  if (req?.apiKey) return { type: "api_key", apiKey: req.apiKey.id };
+  return { type: "anonymous" };
+};
+
+/**
+ * Append one audit event.
+ * @param {import("express").Request|null} req source of actor, IP and user agent (null for jobs)
+ * @param {{ action: string, outcome?: "success"|"failure"|"denied", reason?: string,
+ *   actor?: object, target?: object, metadata?: object }} event
+ */
+export const recordAudit = async (req, { action, outcome = "success", reason, actor, target, metadata }) => {
+  try {
+    await AuditEvent.create({
+      action,
+      outcome,
+      reason,
+      actor: actor || actorFromRequest(req),
+      target,
+      metadata,
+      organization: req?.auth?.organizationId || undefined,
+      ip: req?.ip,
+      userAgent: req?.get?.("user-agent")?.slice(0, 500),
+    });
+  } catch (err) {
+    console.error(`⚠️ Audit write failed (${action}):`, err.message);
+  }
+};
+
+/**
+ * Mongo filter from admin query parameters:
+ * ?action= (exact, or prefix with a trailing "*", e.g. "auth.*")
+ * &actor= (user id or email) &target= (id or label) &outcome= &ip= &from= &to=
+ * @throws {Error} with `status` 400 for malformed values
+ */
+export const buildAuditFilter = (query) => {
+  const filter = {};
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (query.action) {
+    const action = String(query.action);
+    filter.action = action.endsWith("*")
+      ? { $regex: `^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+      : action;
+  }
+
+  if (query.outcome) {
+    if (!["success", "failure", "denied"].includes(query.outcome))
+      throw badRequest("Outcome must be one of: success, failure, denied.");
+    filter.outcome = query.outcome;
+  }
+
+  if (query.actor) {
+    const actor = String(query.actor).trim();
+    filter.$or = mongoose.isValidObjectId(actor)
+      ? [{ "actor.user": actor }, { "actor.apiKey": actor }]
+      : [{ "actor.email": actor.toLowerCase() }];
+  }
+
+  if (query.target) {
+    const target = String(query.target).trim();
+    filter.$and = [{ $or: [{ "target.id": target }, { "target.label": target.toLowerCase() }] }];
+  }
+
+  if (query.ip) filter.ip = String(query.ip);
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    for (const [param, op] of [["from", "$gte"], ["to", "$lte"]]) {
+      if (!query[param]) continue;
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) throw badRequest(`"${param}" must be a valid date.`);
+      filter.createdAt[op] = date;
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Delete events older than the retention period in the security policy.
+ * @returns {Promise<number>} how many events were removed
+ */
+export const purgeExpiredAuditEvents = async () => {
+  const policy = await SecurityPolicy.getPolicy();
+  // Policies saved before retention was configurable don't have the field yet
+  const auditRetentionDays =
+    policy.auditRetentionDays || Number(process.env.AUDIT_RETENTION_DAYS) || 365;
+  const cutoff = new Date(Date.now() - auditRetentionDays * 24 * 60 * 60 * 1000);
+
+  const { deletedCount } = await AuditEvent.deleteMany({ createdAt: { $lt: cutoff } }).setOptions({
+    retentionPurge: true,
+  });
+
+  await recordAudit(null, {
+    action: "system.audit.purged",
+    actor: SYSTEM_ACTOR,
+    metadata: { deleted: deletedCount, retentionDays: auditRetentionDays },
+  });
+  return deletedCount;
+};
@@ -0,0 +1,36 @@
+/**
+ * ==========================================
+ * CSV Helpers (backend/utils/csv.js)
+ * ==========================================
+ * RFC 4180 rows for admin exports. Cells that start with = + - @ are
+ * prefixed with a quote so spreadsheet apps don't run them as formulas —
+ * except E.164 phone numbers ("+919876543210"), which stay importable.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const E164_PHONE = /^\+\d{6,15}$/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === "object" && !value._bsontype) text = JSON.stringify(value); // ObjectIds → hex
+  else text = String(value);
+
+  if (typeof value !== "number" && FORMULA_PREFIX.test(text) && !E164_PHONE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (with trailing CRLF) from an array of values.
+ */
+export const csvRow = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+/**
+ * Start a CSV download: headers, UTF-8 BOM (for Excel) and the header row.
+ */
+export const startCsvDownload = (res, filename, columns) => {
+  res.attachment(filename);
+  res.type("text/csv; charset=utf-8");
+  res.write(`\uFEFF${csvRow(columns)}`);
+};
@@ -0,0 +1,89 @@
+/**
+ * ==========================================
+ * Data Export (backend/utils/dataExport.js)
+ * ==========================================
+ * Collects everything stored about a user for data subject access
+ * requests (GDPR / DPDP) and streams it as JSON or a ZIP archive.
+ * Secrets (password hash, token hashes, 2FA seeds) are never included —
+ * they are `select: false` on their schemas.
+ */
+
+import archiver from "archiver";
+import User from "../models/User.js";
+import DemoRequest from "../models/DemoRequest.js";
+import ContactMessage from "../models/ContactMessage.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import Membership from "../models/Membership.js";
+import AuditEvent from "../models/AuditEvent.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+/**
+ * Gather every record linked to the user, grouped by collection.
+ * @returns {Promise<object|null>} null if the user no longer exists
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [demoRequests, contactMessages, sessions, loginAttempts, memberships, auditEvents, webhookDeliveries] =
+    await Promise.all([
+      DemoRequest.find({ email: user.email }).sort({ createdAt: -1 }).lean(),
+      ContactMessage.find({ email: user.email }).sort({ createdAt: -1 }).lean(),
+      Session.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+      LoginAttempt.find({ key: `account:${user.email}` }).lean(),
+      Membership.find({ user: user._id }).populate("organization", "name").lean(),
+      // Security events the user performed (sign-ins, password changes, …)
+      AuditEvent.find({ "actor.user": user._id }).sort({ createdAt: -1 }).lean(),
+      // Copies of the user's details sent to integrations (responses are the receivers', not theirs)
+      WebhookDelivery.find({ "payload.data.email": user.email })
+        .select("event eventId payload status createdAt")
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user,
+    demoRequests,
+    contactMessages,
+    sessions,
+    loginAttempts,
+    memberships,
+    auditEvents,
+    webhookDeliveries,
+  };
+};
+
+/**
+ * Stream the export as a ZIP: one JSON file per section plus a README.
+ */
+export const streamZipExport = (res, data, filename) => {
+  res.attachment(filename);
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (err) => {
+    console.error("❌ Export archive failed:", err.message);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  archive.append(
+    [
+      "Acceleott — personal data export",
+      `Generated: ${data.exportedAt}`,
+      "",
+      "Each file contains the records we store about you in one collection.",
+      "Passwords and security tokens are stored only as one-way hashes and are not included.",
+    ].join("\n"),
+    { name: "README.txt" }
+  );
+
+  Object.entries(data)
+    .filter(([section]) => section !== "exportedAt")
+    .forEach(([section, records]) => {
+      archive.append(JSON.stringify(records, null, 2), { name: `${section}.json` });
+    });
+
+  return archive.finalize();
+};
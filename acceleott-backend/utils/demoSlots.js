@@ -0,0 +1,122 @@
+/**
+ * ==========================================
+ * Demo Slots (backend/utils/demoSlots.js)
+ * ==========================================
+ * Turns reps' weekly availability (in their own timezones) into concrete
+ * UTC slots, minus confirmed bookings. Visitors only ever see start/end
+ * instants — the browser renders them in the visitor's timezone — and a
+ * rep is picked for a slot at booking time.
+ */
+
+import RepAvailability from "../models/RepAvailability.js";
+import DemoBooking from "../models/DemoBooking.js";
+import { zonedTimeToUtc, zonedDate } from "./timezone.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_RANGE_DAYS = 31;
+
+const addMinutes = (time, minutes) => {
+  const [h, m] = time.split(":").map(Number);
+  const total = h * 60 + m + minutes;
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/* -------------------------------
+   SLOT GENERATION
+--------------------------------*/
+
+// Every slot a rep publishes between `from` and `to` (ignores bookings)
+const slotsForRep = (availability, from, to, now) => {
+  const { timezone, weekly, slotMinutes, minNoticeHours, horizonDays } = availability;
+  const earliest = Math.max(from.getTime(), now.getTime() + minNoticeHours * 60 * 60 * 1000);
+  const latest = Math.min(to.getTime(), now.getTime() + horizonDays * DAY_MS);
+  if (earliest >= latest) return [];
+
+  const slots = [];
+  const first = zonedDate(new Date(earliest), timezone);
+
+  // Walk calendar days in the rep's timezone (one extra day covers offsets)
+  for (let offset = 0; offset <= Math.ceil((latest - earliest) / DAY_MS) + 1; offset += 1) {
+    const cursor = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    const date = { year: cursor.getUTCFullYear(), month: cursor.getUTCMonth() + 1, day: cursor.getUTCDate() };
+
+    for (const window of weekly.filter((w) => w.day === cursor.getUTCDay())) {
+      for (let t = window.start; addMinutes(t, slotMinutes) <= window.end; t = addMinutes(t, slotMinutes)) {
+        const start = zonedTimeToUtc(date, t, timezone);
+        if (start.getTime() < earliest || start.getTime() >= latest) continue;
+        slots.push({ start, end: new Date(start.getTime() + slotMinutes * 60 * 1000) });
+      }
+    }
+  }
+  return slots;
+};
+
+/**
+ * Free slots across all active reps.
+ * @param {{ from: Date, to: Date, now?: Date }} range
+ * @returns {Promise<Array<{ start: Date, end: Date, reps: string[] }>>}
+ *   one entry per start time, with every rep free at that time
+ */
+export const findFreeSlots = async ({ from, to, now = new Date() }) => {
+  const availabilities = await RepAvailability.find({ active: true }).lean();
+  if (!availabilities.length) return [];
+
+  const bookings = await DemoBooking.find({
+    rep: { $in: availabilities.map((a) => a.user) },
+    status: "confirmed",
+    start: { $lt: to },
+    end: { $gt: from },
+  })
+    .select("rep start end")
+    .lean();
+
+  const byStart = new Map();
+  for (const availability of availabilities) {
+    const repId = String(availability.user);
+    const repBookings = bookings.filter((b) => String(b.rep) === repId);
+
+    for (const slot of slotsForRep(availability, from, to, now)) {
+      const taken = repBookings.some((b) => b.start < slot.end && b.end > slot.start);
+      if (taken) continue;
+
+      const key = slot.start.getTime();
+      if (!byStart.has(key)) byStart.set(key, { start: slot.start, end: slot.end, reps: [] });
+      byStart.get(key).reps.push(repId);
+    }
+  }
+
+  return [...byStart.values()].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Reps free for a slot starting at `start`, least busy first.
+ * @returns {Promise<Array<{ rep: string, end: Date }>>}
+ */
+export const repsFreeAt = async (start, { now = new Date() } = {}) => {
+  const availabilities = await RepAvailability.find({ active: true }).lean();
+  const candidates = [];
+
+  for (const availability of availabilities) {
+    const match = slotsForRep(availability, start, new Date(start.getTime() + 1), now).find(
+      (slot) => slot.start.getTime() === start.getTime()
+    );
+    if (!match) continue;
+
+    const overlapping = await DemoBooking.exists({
+      rep: availability.user,
+      status: "confirmed",
+      start: { $lt: match.end },
+      end: { $gt: match.start },
+    });
+    if (overlapping) continue;
+
+    const upcoming = await DemoBooking.countDocuments({
+      rep: availability.user,
+      status: "confirmed",
+      start: { $gte: now },
+    });
+    candidates.push({ rep: String(availability.user), end: match.end, upcoming });
+  }
+
+  return candidates.sort((a, b) => a.upcoming - b.upcoming).map(({ rep, end }) => ({ rep, end }));
+};
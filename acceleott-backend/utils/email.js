@@ -30,8 +30,11 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.subject - Email subject line.
  * @param {string} [options.text] - Plaintext fallback.
  * @param {string} [options.html] - HTML email body (preferred).
+ * @param {Array<Object>} [options.attachments] - Nodemailer attachments (e.g. .ics invites).
+ * @param {Object} [options.headers] - Extra headers (e.g. List-Unsubscribe).
+ * @returns {Promise<boolean>} whether the message was handed to SMTP
  */
-export const sendEmail = async ({ to, subject, text = "", html = "" }) => {
+export const sendEmail = async ({ to, subject, text = "", html = "", attachments, headers }) => {
   try {
     if (!to || !subject) {
       throw new Error("Missing required fields: 'to' and 'subject'");
@@ -43,14 +46,67 @@ export const sendEmail = async ({ to, subject, text = "", html = "" }) => {
       subject,
       text: text || "No text content provided.",
       html,
+      attachments,
+      headers,
     });
 
     console.log(`✅ Email sent successfully to ${to}`);
+    return true;
   } catch (err) {
     console.error("❌ Email sending failed:", err.message || err);
+    return false;
   }
 };
 
+/**
+ * ============================
+ * HTML Helpers
+ * ============================
+ * For putting user-supplied plain text into emails.
+ */
+export const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/**
+ * Plain text → paragraphs (split on blank lines) with clickable links.
+ */
+export const textToHtml = (text) =>
+  String(text)
+    .split(/\n\s*\n/)
+    .map((paragraph) => {
+      const html = escapeHtml(paragraph.trim())
+        .replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}" style="color:#00897b">${url}</a>`)
+        .replace(/\n/g, "<br>");
+      return `<p style="margin:0 0 14px">${html}</p>`;
+    })
+    .join("");
+
+/**
+ * ============================
+ * Branded Layout
+ * ============================
+ * Wraps outgoing emails to customers in the Acceleott header and footer.
+ * @param {Object} options
+ * @param {string} options.heading - Title shown under the logo bar.
+ * @param {string} options.bodyHtml - Message content (already escaped).
+ * @param {string} [options.footerHtml] - Extra footer line, e.g. an unsubscribe link.
+ */
+export const brandedEmail = ({ heading, bodyHtml, footerHtml = "" }) => `
+  <div style="background:#f1f5f9;padding:24px 12px;font-family:Inter,Arial,sans-serif;color:#0f172a">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:16px;overflow:hidden">
+      <div style="background:#00897b;color:#ffffff;padding:18px 24px;font-size:20px;font-weight:700">Acceleott</div>
+      <div style="padding:24px;line-height:1.6">
+        <h2 style="margin:0 0 16px;font-size:20px">${heading}</h2>
+        ${bodyHtml}
+      </div>
+      <div style="padding:16px 24px;border-top:1px solid #e5e7eb;font-size:12px;color:#64748b">
+        Acceleott — growth and automation for modern clinics.
+        ${footerHtml ? `<br>${footerHtml}` : ""}
+      </div>
+    </div>
+  </div>
+`;
+
 /**
  * ============================
  * Transporter Health Check (Optional)
@@ -0,0 +1,39 @@
+/**
+ * ==========================================
+ * Encryption Utility (backend/utils/encryption.js)
+ * ==========================================
+ * AES-256-GCM for secrets that must be read back (e.g. TOTP seeds),
+ * unlike tokens which are only ever hashed.
+ * Key: DATA_ENCRYPTION_KEY (falls back to a key derived from JWT_SECRET).
+ */
+
+import crypto from "crypto";
+
+const getKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.DATA_ENCRYPTION_KEY || `enc:${process.env.JWT_SECRET}`)
+    .digest();
+
+/**
+ * @param {string} plainText
+ * @returns {string} "iv.authTag.cipherText" (base64url parts)
+ */
+export const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map((b) => b.toString("base64url")).join(".");
+};
+
+/**
+ * @param {string} payload - value produced by encrypt()
+ * @returns {string} the original plain text
+ */
+export const decrypt = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split(".").map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
@@ -0,0 +1,208 @@
+/**
+ * ==========================================
+ * Demo Follow-ups (backend/utils/followUps.js)
+ * ==========================================
+ * Emails to people who request a demo through the website: an
+ * immediate confirmation, then the follow-up sequence from
+ * models/FollowUpSequence.js (sent by GET /api/cron/send-follow-ups).
+ *
+ * A lead's sequence stops for good once sales moves it to another
+ * status, it is merged, every step has gone out, or the requester
+ * unsubscribes — which covers every lead with the same email address.
+ */
+
+import crypto from "crypto";
+import DemoRequest from "../models/DemoRequest.js";
+import FollowUpSequence from "../models/FollowUpSequence.js";
+import { sendEmail, brandedEmail, escapeHtml, textToHtml } from "./email.js";
+import { normalizeEmail } from "./normalize.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FOLLOW_UP_AUTHOR = "Follow-ups"; // authorName on notes written here
+
+const siteUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+const apiBaseUrl = () => process.env.API_BASE_URL || siteUrl();
+
+/* -------------------------------
+   UNSUBSCRIBE LINKS
+   Signed lead id — nothing to store, and links in old emails keep working.
+--------------------------------*/
+const unsubscribeKey = () =>
+  crypto.createHash("sha256").update(`unsubscribe:${process.env.JWT_SECRET}`).digest();
+
+export const unsubscribeToken = (demoId) =>
+  crypto.createHmac("sha256", unsubscribeKey()).update(String(demoId)).digest("base64url");
+
+export const isValidUnsubscribeToken = (demoId, token) => {
+  const expected = Buffer.from(unsubscribeToken(demoId));
+  const given = Buffer.from(String(token || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const unsubscribeUrl = (demo) =>
+  `${apiBaseUrl()}/api/demo/unsubscribe/${demo._id}/${unsubscribeToken(demo._id)}`;
+
+/* -------------------------------
+   RENDERING
+--------------------------------*/
+const fillPlaceholders = (text, lead) => {
+  const values = {
+    firstName: lead.name.trim().split(/\s+/)[0],
+    name: lead.name.trim(),
+    siteUrl: siteUrl(),
+  };
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? match);
+};
+
+const sendToLead = (lead, { subject, heading, text }) => {
+  const url = unsubscribeUrl(lead);
+  const body = fillPlaceholders(text, lead);
+  return sendEmail({
+    to: lead.email,
+    subject: fillPlaceholders(subject, lead),
+    text: `${body}\n\nUnsubscribe: ${url}`,
+    html: brandedEmail({
+      heading: escapeHtml(fillPlaceholders(heading, lead)),
+      bodyHtml: textToHtml(body),
+      footerHtml: `Don’t want these emails? <a href="${url}" style="color:#64748b">Unsubscribe</a>.`,
+    }),
+    headers: {
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+};
+
+/* -------------------------------
+   ENROLMENT
+--------------------------------*/
+
+/**
+ * Start the sequence on a website lead that is about to be saved —
+ * unless this address unsubscribed before.
+ */
+export const enrollInFollowUps = async (demo) => {
+  const unsubscribed = await DemoRequest.exists({
+    normalizedEmail: normalizeEmail(demo.email),
+    "followUp.unsubscribedAt": { $ne: null },
+  });
+  if (unsubscribed) return demo;
+
+  demo.followUp = { active: true, enrolledAt: new Date(), enrolledStatus: demo.status, sentSteps: [] };
+  return demo;
+};
+
+/**
+ * Stop a running sequence on a lead document (caller saves).
+ * @param {string} reason - one of FOLLOW_UP_STOP_REASONS
+ */
+export const stopFollowUps = (demo, reason) => {
+  if (!demo.followUp?.active) return;
+  demo.followUp.active = false;
+  demo.followUp.stoppedAt = new Date();
+  demo.followUp.stopReason = reason;
+};
+
+/**
+ * Immediate "we got your request" email to the requester.
+ */
+export const sendDemoConfirmation = (demo) =>
+  sendToLead(demo, {
+    subject: "We received your Acceleott demo request",
+    heading: "Thanks, {{firstName}} — your demo request is in",
+    text: `Hi {{firstName}},
+
+Thanks for your interest in Acceleott. A member of our team will contact you within one business day to find a time for your demo.
+
+Prefer to pick a slot yourself? Book one here: {{siteUrl}}/demo
+${
+  demo.followUp?.active
+    ? "\nIn the meantime we will send you a few short emails about what Acceleott can do for your clinic."
+    : ""
+}`,
+  });
+
+/**
+ * Requester clicked the unsubscribe link: stop every running sequence
+ * for their address and keep them out of future ones.
+ */
+export const unsubscribeLead = async (demo) => {
+  const now = new Date();
+  await DemoRequest.updateMany(
+    { normalizedEmail: demo.normalizedEmail, "followUp.active": true },
+    { $set: { "followUp.active": false, "followUp.stoppedAt": now, "followUp.stopReason": "unsubscribed" } }
+  );
+  if (demo.followUp?.unsubscribedAt) return;
+
+  await DemoRequest.updateOne(
+    { _id: demo._id },
+    {
+      $set: { "followUp.unsubscribedAt": now },
+      $push: { notes: { body: "Unsubscribed from follow-up emails.", authorName: FOLLOW_UP_AUTHOR } },
+    }
+  );
+};
+
+/* -------------------------------
+   SENDING (cron)
+--------------------------------*/
+
+// Claim the step before sending so overlapping runs never send it twice
+const sendStep = async (lead, step) => {
+  const claimed = await DemoRequest.updateOne(
+    { _id: lead._id, "followUp.active": true, "followUp.sentSteps.step": { $ne: step.id } },
+    { $push: { "followUp.sentSteps": { step: step.id, sentAt: new Date() } } }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  const sent = await sendToLead(lead, { subject: step.subject, heading: step.subject, text: step.body });
+  if (!sent) await DemoRequest.updateOne({ _id: lead._id }, { $pull: { "followUp.sentSteps": { step: step.id } } });
+  return sent;
+};
+
+/**
+ * Send every follow-up step that has come due (at most one per lead
+ * per run) and close sequences that should stop.
+ * @returns {Promise<{ sent: number, stopped: number }>}
+ */
+export const sendDueFollowUps = async () => {
+  const sequence = await FollowUpSequence.getSequence();
+  if (!sequence.enabled) return { sent: 0, stopped: 0 };
+
+  const steps = sequence.steps.filter((s) => s.enabled !== false).sort((a, b) => a.delayDays - b.delayDays);
+  const now = Date.now();
+  let sent = 0;
+  let stopped = 0;
+
+  const cursor = DemoRequest.find({ "followUp.active": true })
+    .select("name email status mergedInto followUp")
+    .lean()
+    .cursor();
+
+  for await (const lead of cursor) {
+    const { followUp } = lead;
+    const sentIds = new Set(followUp.sentSteps.map((s) => s.step));
+    const remaining = steps.filter((s) => !sentIds.has(s.id));
+
+    const stopReason = lead.mergedInto
+      ? "merged"
+      : lead.status !== followUp.enrolledStatus
+        ? "status_changed"
+        : !remaining.length
+          ? "completed"
+          : null;
+    if (stopReason) {
+      await DemoRequest.updateOne(
+        { _id: lead._id },
+        { $set: { "followUp.active": false, "followUp.stoppedAt": new Date(), "followUp.stopReason": stopReason } }
+      );
+      stopped += 1;
+      continue;
+    }
+
+    const due = remaining.find((s) => followUp.enrolledAt.getTime() + s.delayDays * DAY_MS <= now);
+    if (due && (await sendStep(lead, due))) sent += 1;
+  }
+
+  return { sent, stopped };
+};
@@ -0,0 +1,97 @@
+/**
+ * ==========================================
+ * iCalendar Invites (backend/utils/ics.js)
+ * ==========================================
+ * Builds RFC 5545 .ics files for demo bookings. The same UID is reused
+ * for every update of a booking; SEQUENCE goes up on each reschedule so
+ * calendar apps replace the old event, and METHOD:CANCEL removes it.
+ */
+
+const PRODUCT_ID = "-//Acceleott//Demo Booking//EN";
+
+// 20261019T093000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value = "") =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * @param {object} event
+ * @param {string} event.uid - stable id for the booking
+ * @param {number} [event.sequence] - bump on every change
+ * @param {"REQUEST"|"CANCEL"} [event.method]
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.url]
+ * @param {{ name?: string, email: string }} event.organizer
+ * @param {{ name?: string, email: string }} event.attendee
+ * @returns {string} iCalendar text
+ */
+export const buildIcs = ({
+  uid,
+  sequence = 0,
+  method = "REQUEST",
+  start,
+  end,
+  summary,
+  description,
+  url,
+  organizer,
+  attendee,
+}) => {
+  const cancelled = method === "CANCEL";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    url && `URL:${url}`,
+    `ORGANIZER;CN=${escapeText(organizer.name || organizer.email)}:mailto:${organizer.email}`,
+    `ATTENDEE;CN=${escapeText(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;` +
+      `PARTSTAT=${cancelled ? "DECLINED" : "NEEDS-ACTION"};RSVP=TRUE:mailto:${attendee.email}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+/**
+ * Nodemailer attachment for an invite or cancellation.
+ */
+export const icsAttachment = (ics, method = "REQUEST") => ({
+  filename: method === "CANCEL" ? "cancel.ics" : "invite.ics",
+  content: ics,
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
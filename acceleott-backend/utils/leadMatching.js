@@ -0,0 +1,213 @@
+/**
+ * ==========================================
+ * Lead Matching (backend/utils/leadMatching.js)
+ * ==========================================
+ * Fuzzy duplicate detection for demo requests and linking leads to
+ * registered users. A new lead is compared with earlier leads sharing
+ * its normalized email, phone or company domain; pairs scoring at least
+ * DUPLICATE_THRESHOLD land in the "possible duplicates" review queue
+ * (duplicateReview: "pending") for sales to merge or dismiss.
+ */
+
+import DemoRequest from "../models/DemoRequest.js";
+import User from "../models/User.js";
+import { FREE_EMAIL_DOMAINS } from "../config/emailDomains.js";
+import { normalizeEmail, emailDomain, nameTokens } from "./normalize.js";
+
+export const DUPLICATE_THRESHOLD = 0.5;
+const NAME_MATCH_MIN = 0.85;
+const MAX_CANDIDATES = 50;
+
+/* -------------------------------
+   NAME SIMILARITY
+--------------------------------*/
+
+// Jaro-Winkler similarity of two strings (0 … 1)
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i += 1) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j += 1) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = bMatches[j] = true;
+      matches += 1;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i += 1) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j += 1;
+    if (a[i] !== b[j]) transpositions += 1;
+    j += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * How alike two person names are (0 … 1), ignoring order, case, accents
+ * and titles. A lone first name matching one token of a full name
+ * ("Anita" vs "Anita Sharma") scores 0.9.
+ */
+export const nameSimilarity = (a, b) => {
+  const aTokens = nameTokens(a);
+  const bTokens = nameTokens(b);
+  if (!aTokens.length || !bTokens.length) return 0;
+
+  const whole = jaroWinkler(aTokens.join(" "), bTokens.join(" "));
+  const [shorter, longer] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+  const subset = shorter.every((token) => longer.includes(token)) ? 0.9 : 0;
+  return Math.max(whole, subset);
+};
+
+/* -------------------------------
+   SCORING
+--------------------------------*/
+
+/**
+ * Compare two leads.
+ * @returns {{ score: number, reasons: string[] }} score 0 … 1
+ */
+export const matchLeads = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  if (a.normalizedEmail && a.normalizedEmail === b.normalizedEmail) {
+    score += 0.6;
+    reasons.push("email");
+  }
+  if (a.normalizedPhone && a.normalizedPhone === b.normalizedPhone) {
+    score += 0.5;
+    reasons.push("phone");
+  }
+
+  const similarity = nameSimilarity(a.name, b.name);
+  if (similarity >= NAME_MATCH_MIN) {
+    score += 0.4 * similarity;
+    reasons.push("name");
+  }
+
+  // Same company mailbox domain (never a free provider) backs up a name or phone match
+  const domain = a.emailDomain || emailDomain(a.email);
+  const sameCompany =
+    domain && !FREE_EMAIL_DOMAINS.has(domain) && domain === (b.emailDomain || emailDomain(b.email));
+  if (sameCompany && reasons.length && !reasons.includes("email")) {
+    score += 0.2;
+    reasons.push("company_domain");
+  }
+
+  return { score: Math.min(Math.round(score * 100) / 100, 1), reasons };
+};
+
+/**
+ * Find earlier leads that look like the same person and queue the lead
+ * for review — only earlier ones, so each pair is queued once, on the
+ * newer lead. Never throws — a failed check must not fail the submission.
+ * @param {object} demo - saved DemoRequest document
+ * @param {object} [options]
+ * @param {boolean} [options.earlierOnly=true] - false for a lead released
+ *   from quarantine: leads stored meanwhile never saw it as a candidate
+ * @returns {Promise<Array<{ demoRequest, score, reasons }>>}
+ */
+export const detectDuplicates = async (demo, { earlierOnly = true } = {}) => {
+  try {
+    const domain = demo.emailDomain;
+    const or = [
+      demo.normalizedEmail && { normalizedEmail: demo.normalizedEmail },
+      demo.normalizedPhone && { normalizedPhone: demo.normalizedPhone },
+      domain && !FREE_EMAIL_DOMAINS.has(domain) && { emailDomain: domain },
+    ].filter(Boolean);
+    if (!or.length) return [];
+
+    const candidates = await DemoRequest.find({
+      _id: { $ne: demo._id },
+      ...(earlierOnly && { createdAt: { $lt: demo.createdAt } }),
+      mergedInto: null,
+      "spam.quarantined": { $ne: true },
+      $or: or,
+    })
+      .select("name email contact normalizedEmail normalizedPhone emailDomain")
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    const duplicates = candidates
+      .map((candidate) => ({ demoRequest: candidate._id, ...matchLeads(demo, candidate) }))
+      .filter((match) => match.score >= DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+
+    if (duplicates.length)
+      await DemoRequest.updateOne(
+        { _id: demo._id },
+        { $set: { possibleDuplicates: duplicates, duplicateReview: "pending" } }
+      );
+    return duplicates;
+  } catch (err) {
+    console.error("⚠️ Duplicate check failed:", err.message);
+    return [];
+  }
+};
+
+/* -------------------------------
+   USER LINKING
+   Only verified accounts — the email has been proven to belong to them.
+--------------------------------*/
+
+/**
+ * Link a new lead to the registered user with the same mailbox
+ * (normalized on both sides, like linkUserToDemoRequests).
+ */
+export const linkDemoRequestToUser = async (demo) => {
+  try {
+    const user = await User.findOne({
+      normalizedEmail: demo.normalizedEmail || normalizeEmail(demo.email),
+      emailVerified: true,
+    })
+      .select("_id")
+      .lean();
+    if (!user) return null;
+    await DemoRequest.updateOne({ _id: demo._id }, { $set: { user: user._id } });
+    return user._id;
+  } catch (err) {
+    console.error("⚠️ Lead → user link failed:", err.message);
+    return null;
+  }
+};
+
+/**
+ * After a user verifies their email, claim their earlier demo requests.
+ * @returns {Promise<number>} leads linked
+ */
+export const linkUserToDemoRequests = async (user) => {
+  try {
+    const { modifiedCount } = await DemoRequest.updateMany(
+      { user: null, normalizedEmail: normalizeEmail(user.email) },
+      { $set: { user: user._id } }
+    );
+    return modifiedCount;
+  } catch (err) {
+    console.error("⚠️ User → lead link failed:", err.message);
+    return 0;
+  }
+};
+
+/**
+ * Everything that happens to a freshly stored lead.
+ * @param {object} [options] - passed to detectDuplicates
+ */
+export const matchNewLead = async (demo, options) => {
+  await linkDemoRequestToUser(demo);
+  return detectDuplicates(demo, options);
+};
@@ -0,0 +1,106 @@
+/**
+ * ==========================================
+ * Lead Scoring (backend/utils/leadScoring.js)
+ * ==========================================
+ * Rule-based score (0 … 100) for demo requests so sales can call the
+ * most promising leads first. Each lead stores its score together with
+ * the rules that matched (the explanation) and the rule-set version, so
+ * a rule change can recalculate every lead scored under older rules.
+ */
+
+import DemoRequest from "../models/DemoRequest.js";
+import LeadScoringRules from "../models/LeadScoringRules.js";
+import { ENGAGEMENT_METRICS, MAX_LEAD_SCORE } from "../config/leadScoring.js";
+import { FREE_EMAIL_DOMAINS } from "../config/emailDomains.js";
+import { emailDomain } from "./normalize.js";
+
+const RESCORE_BATCH_SIZE = 500;
+const MAX_ENGAGEMENT = 10000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole words only: "dr" matches "Dr. Rao" but not "Drew"
+const hasKeyword = (text, keyword) => new RegExp(`(^|[^a-z])${escapeRegex(keyword)}($|[^a-z])`, "i").test(text);
+
+const RULE_MATCHERS = {
+  designation: (rule, lead) => rule.keywords.some((keyword) => hasKeyword(lead.designation || "", keyword)),
+  email_domain: (rule, lead) => {
+    const domain = lead.emailDomain || emailDomain(lead.email);
+    if (!domain) return false;
+    return (rule.emailKind === "free") === FREE_EMAIL_DOMAINS.has(domain);
+  },
+  engagement: (rule, lead) => (lead.engagement?.[rule.metric] || 0) >= rule.min,
+};
+
+/**
+ * Score one lead against a rule set.
+ * @param {object} lead - DemoRequest (document or lean)
+ * @param {{ rules: Array, version: number }} ruleSet
+ * @returns {{ score: number, explanation: Array<{ rule, label, points }>, rulesVersion: number, scoredAt: Date }}
+ */
+export const scoreLead = (lead, { rules, version }) => {
+  const explanation = rules
+    .filter((rule) => rule.enabled !== false && RULE_MATCHERS[rule.type]?.(rule, lead))
+    .map((rule) => ({ rule: rule.id, label: rule.label, points: rule.points }));
+
+  const total = explanation.reduce((sum, item) => sum + item.points, 0);
+  return {
+    score: Math.min(Math.max(total, 0), MAX_LEAD_SCORE),
+    explanation,
+    rulesVersion: version,
+    scoredAt: new Date(),
+  };
+};
+
+/**
+ * Set `leadScore` on a lead that is about to be saved.
+ */
+export const applyLeadScore = async (demo) => {
+  demo.leadScore = scoreLead(demo, await LeadScoringRules.getRules());
+  return demo;
+};
+
+/**
+ * Recalculate every lead scored under another rule-set version (or never
+ * scored). Runs after a rule change and from the daily cron as a catch-up.
+ * @returns {Promise<number>} leads rescored
+ */
+export const rescoreLeads = async () => {
+  const ruleSet = await LeadScoringRules.getRules();
+  const cursor = DemoRequest.find({ mergedInto: null, "leadScore.rulesVersion": { $ne: ruleSet.version } })
+    .select("email emailDomain designation engagement")
+    .lean()
+    .cursor();
+
+  let rescored = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    await DemoRequest.bulkWrite(batch, { ordered: false });
+    rescored += batch.length;
+    batch = [];
+  };
+
+  for await (const lead of cursor) {
+    batch.push({
+      updateOne: { filter: { _id: lead._id }, update: { $set: { leadScore: scoreLead(lead, ruleSet) } } },
+    });
+    if (batch.length >= RESCORE_BATCH_SIZE) await flush();
+  }
+  await flush();
+  return rescored;
+};
+
+/**
+ * Browsing counters as submitted by the form → what gets stored.
+ */
+export const sanitizeEngagement = (engagement) => {
+  if (!engagement || typeof engagement !== "object") return undefined;
+
+  const clean = {};
+  for (const metric of ENGAGEMENT_METRICS) {
+    const value = Number(engagement[metric]);
+    if (Number.isFinite(value) && value > 0) clean[metric] = Math.min(Math.floor(value), MAX_ENGAGEMENT);
+  }
+  return Object.keys(clean).length ? clean : undefined;
+};
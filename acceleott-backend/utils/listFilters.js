@@ -0,0 +1,175 @@
+/**
+ * ==========================================
+ * List Filters (backend/utils/listFilters.js)
+ * ==========================================
+ * Query parameters → Mongo filters for the staff list views. The
+ * exports (controllers/adminController.js) use the same builders, so an
+ * export always contains exactly what the list shows. The attribution
+ * report shares the date-range parsing.
+ */
+
+import mongoose from "mongoose";
+import { DEMO_STATUSES, DEFAULT_DEMO_STATUS } from "../config/demoPipeline.js";
+import { ROLES } from "../config/roles.js";
+import { CONTACT_MESSAGE_STATUSES } from "../config/contactInbox.js";
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive "contains" across several fields (?q=)
+const searchFilter = (q, fields) => {
+  const pattern = new RegExp(escapeRegex(String(q).trim().slice(0, 100)), "i");
+  return fields.map((field) => ({ [field]: pattern }));
+};
+
+// ?q= as a trimmed string ("" when absent); ?q=a&q=b arrives as an array
+const searchTerm = (query) => {
+  if (query.q === undefined) return "";
+  if (typeof query.q !== "string") throw badRequest('"q" must be a single search term.');
+  return query.q.trim();
+};
+
+// Phone numbers are stored as E.164, so "98765 43210" searches by its digits
+const phoneDigitsFilter = (q, field) => {
+  const digits = String(q).replace(/[\s().+-]/g, "");
+  return /^\d{4,15}$/.test(digits) ? [{ [field]: new RegExp(digits) }] : [];
+};
+
+// ?from= &to= on createdAt; a bare date as "to" means the whole day
+const createdAtRange = (query) => {
+  const range = {};
+  for (const [param, op] of [["from", "$gte"], ["to", "$lte"]]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) throw badRequest(`"${param}" must be a valid date.`);
+    if (op === "$lte" && /^\d{4}-\d{2}-\d{2}$/.test(query[param])) date.setUTCHours(23, 59, 59, 999);
+    range[op] = date;
+  }
+  return range;
+};
+
+/**
+ * Demo pipeline filters:
+ * ?status=new,contacted &from &to &q= &owner=me|unassigned|<id>
+ * &duplicates=pending (the "possible duplicates" review queue)
+ * &spam=quarantined (suspected spam — hidden otherwise)
+ * Leads merged into another one are never listed.
+ * @param {object} query
+ * @param {object} user - the signed-in staff member (for owner=me)
+ * @throws {Error} with `status` 400 for malformed values
+ */
+export const buildDemoRequestFilter = (query, user) => {
+  const filter = { mergedInto: null };
+
+  if (query.status) {
+    const statuses = String(query.status).split(",").map((s) => s.trim());
+    const invalid = statuses.filter((s) => !DEMO_STATUSES.includes(s));
+    if (invalid.length) throw badRequest(`Invalid status: ${invalid.join(", ")}.`);
+    // Requests stored before the pipeline existed have no status yet — they count as "new"
+    filter.status = { $in: statuses.includes(DEFAULT_DEMO_STATUS) ? [...statuses, null] : statuses };
+  }
+
+  if (query.from || query.to) filter.createdAt = createdAtRange(query);
+
+  const q = searchTerm(query);
+  if (q)
+    filter.$or = [
+      ...searchFilter(q, ["name", "email", "contact", "designation"]),
+      ...phoneDigitsFilter(q, "contact"),
+    ];
+
+  if (query.owner === "me") filter.owner = user._id;
+  else if (query.owner === "unassigned") filter.owner = null;
+  else if (query.owner) {
+    if (!mongoose.isValidObjectId(query.owner)) throw badRequest("Invalid owner id.");
+    filter.owner = query.owner;
+  }
+
+  if (query.duplicates) {
+    if (query.duplicates !== "pending") throw badRequest('"duplicates" can only be "pending".');
+    filter.duplicateReview = "pending";
+  }
+
+  if (query.spam && query.spam !== "quarantined") throw badRequest('"spam" can only be "quarantined".');
+  filter["spam.quarantined"] = query.spam === "quarantined" ? true : { $ne: true };
+
+  return filter;
+};
+
+// ?sort= for the pipeline (unscored leads sort last by score)
+const DEMO_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  score: { "leadScore.score": -1, createdAt: -1 },
+};
+
+/**
+ * Demo pipeline order: ?sort=newest (default) | oldest | score
+ * @throws {Error} with `status` 400 for unknown values
+ */
+export const buildDemoRequestSort = (query) => {
+  const sort = query.sort || "newest";
+  if (!DEMO_SORTS[sort]) throw badRequest(`"sort" must be one of: ${Object.keys(DEMO_SORTS).join(", ")}.`);
+  return DEMO_SORTS[sort];
+};
+
+/**
+ * Contact inbox filters:
+ * ?status=unread,read,archived (default: everything not archived)
+ * &from &to &q= (name / email / message) &spam=quarantined
+ * @throws {Error} with `status` 400 for malformed values
+ */
+export const buildContactMessageFilter = (query) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(",").map((s) => s.trim());
+    const invalid = statuses.filter((s) => !CONTACT_MESSAGE_STATUSES.includes(s));
+    if (invalid.length) throw badRequest(`Invalid status: ${invalid.join(", ")}.`);
+    filter.status = { $in: statuses };
+  } else {
+    filter.status = { $ne: "archived" };
+  }
+
+  if (query.from || query.to) filter.createdAt = createdAtRange(query);
+
+  const q = searchTerm(query);
+  if (q) filter.$or = searchFilter(q, ["name", "email", "message"]);
+
+  if (query.spam && query.spam !== "quarantined") throw badRequest('"spam" can only be "quarantined".');
+  filter["spam.quarantined"] = query.spam === "quarantined" ? true : { $ne: true };
+
+  return filter;
+};
+
+/**
+ * User list filters: ?role= &from &to (registered) &q= (name / email)
+ * @throws {Error} with `status` 400 for malformed values
+ */
+export const buildUserFilter = (query) => {
+  const filter = {};
+
+  if (query.role) {
+    if (!ROLES.includes(query.role)) throw badRequest(`Role must be one of: ${ROLES.join(", ")}.`);
+    filter.role = query.role;
+  }
+
+  if (query.from || query.to) filter.createdAt = createdAtRange(query);
+
+  const q = searchTerm(query);
+  if (q) filter.$or = searchFilter(q, ["name", "email"]);
+
+  return filter;
+};
+
+/**
+ * Attribution report: ?from &to (conversion date) &touch=first|last
+ * @returns {{ touch: "first" | "last", filter: object }}
+ * @throws {Error} with `status` 400 for malformed values
+ */
+export const buildAttributionQuery = (query) => {
+  const touch = query.touch || "first";
+  if (!["first", "last"].includes(touch)) throw badRequest('"touch" must be "first" or "last".');
+  return { touch, filter: query.from || query.to ? { createdAt: createdAtRange(query) } : {} };
+};
@@ -0,0 +1,228 @@
+/**
+ * ==========================================
+ * Login Throttle (backend/utils/loginThrottle.js)
+ * ==========================================
+ * Brute-force protection for password (and second-factor) checks:
+ *   1. Progressive delay — after a few failures each further attempt
+ *      must wait longer (1s, 2s, 4s … capped).
+ *   2. Temporary account lockout — too many failures lock the account
+ *      and an unlock link is emailed to the owner.
+ *   3. Per-IP block — one address hammering many accounts is blocked.
+ * State lives in MongoDB (models/LoginAttempt.js), not process memory.
+ */
+
+import LoginAttempt from "../models/LoginAttempt.js";
+import { createToken, hashToken } from "./tokens.js";
+import { sendEmail } from "./email.js";
+
+const FREE_ATTEMPTS = 3; // no delay before this many failures
+const MAX_DELAY_MS = 30 * 1000;
+const ACCOUNT_LOCK_THRESHOLD = 10;
+const IP_BLOCK_THRESHOLD = 50;
+export const LOCK_DURATION_MINUTES = 15;
+const LOCK_DURATION_MS = LOCK_DURATION_MINUTES * 60 * 1000;
+const WINDOW_MS = 24 * 60 * 60 * 1000; // counters reset after a quiet day
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+const delayFor = (failures) =>
+  failures < FREE_ATTEMPTS ? 0 : Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+
+const retryAfterSeconds = (until) => Math.max(Math.ceil((until - Date.now()) / 1000), 1);
+
+/**
+ * Check whether a login attempt may proceed.
+ * @returns {Promise<null | { status: number, code: string, message: string,
+ *   retryAfter: number, lockedUntil?: Date }>} null when allowed
+ */
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const [account, address] = await Promise.all([
+    LoginAttempt.findOne({ key: accountKey(email) }).lean(),
+    LoginAttempt.findOne({ key: ipKey(ip) }).lean(),
+  ]);
+  const now = Date.now();
+
+  if (account?.lockedUntil && account.lockedUntil > now) {
+    return {
+      status: 423,
+      code: "ACCOUNT_LOCKED",
+      message:
+        "This account is temporarily locked after too many failed login attempts. " +
+        "Check your email for an unlock link or try again later.",
+      lockedUntil: account.lockedUntil,
+      retryAfter: retryAfterSeconds(account.lockedUntil),
+    };
+  }
+
+  if (address?.lockedUntil && address.lockedUntil > now) {
+    return {
+      status: 429,
+      code: "IP_BLOCKED",
+      message: "Too many failed login attempts from your network. Please try again later.",
+      lockedUntil: address.lockedUntil,
+      retryAfter: retryAfterSeconds(address.lockedUntil),
+    };
+  }
+
+  // Progressive delay, driven by whichever counter is worse
+  const waits = [account, address]
+    .filter((doc) => doc?.lastFailureAt)
+    .map((doc) => new Date(doc.lastFailureAt).getTime() + delayFor(doc.failures));
+  const nextAllowedAt = Math.max(0, ...waits);
+
+  if (nextAllowedAt > now) {
+    return {
+      status: 429,
+      code: "TOO_MANY_ATTEMPTS",
+      message: "Too many attempts. Please wait a moment before trying again.",
+      retryAfter: retryAfterSeconds(nextAllowedAt),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Atomically bump one counter and lock it once it reaches the threshold.
+ */
+const bumpCounter = async (key, threshold) => {
+  const now = new Date();
+  const increment = () =>
+    LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + WINDOW_MS) },
+      },
+      { upsert: true, new: true }
+    );
+  // Two first failures at once both try to insert; the loser's retry finds the counter
+  const doc = await increment().catch((err) => {
+    if (err.code !== 11000) throw err;
+    return increment();
+  });
+
+  // Only the request that crosses the threshold performs the lock
+  if (doc.failures >= threshold && !(doc.lockedUntil > now)) {
+    const lockedUntil = new Date(now.getTime() + LOCK_DURATION_MS);
+    const { rawToken, hashedToken } = createToken();
+
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil, failures: 0, unlockTokenHash: hashedToken } },
+      { new: true }
+    );
+
+    if (locked) return { lockedUntil, unlockToken: rawToken };
+  }
+
+  return { failures: doc.failures, attemptsRemaining: Math.max(threshold - doc.failures, 0) };
+};
+
+/**
+ * Unlock email — sent once, to the account owner, when the lock is applied.
+ */
+const sendUnlockEmail = (user, rawToken, lockedUntil) => {
+  const base = process.env.API_BASE_URL || process.env.FRONTEND_URL || "http://localhost:5173";
+  const unlockUrl = `${base}/api/auth/unlock/${rawToken}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: "Your Acceleott account was locked",
+    text: `Too many failed login attempts. Unlock your account: ${unlockUrl}`,
+    html: `
+      <div style="font-family:Inter,Arial,sans-serif;color:#0f172a">
+        <h2>Your account was temporarily locked</h2>
+        <p>Hi ${user.name}, we noticed several failed attempts to sign in to your Acceleott account.
+           To protect you, sign-in is paused until ${lockedUntil.toLocaleString()}.</p>
+        <p>If this was you, you can unlock your account right away:</p>
+        <p style="margin:24px 0">
+          <a href="${unlockUrl}"
+             style="background:#0ea5a5;color:#fff;padding:12px 18px;border-radius:8px;
+                    text-decoration:none;font-weight:600">
+            Unlock my account
+          </a>
+        </p>
+        <p>If it wasn’t you, we recommend resetting your password after unlocking.</p>
+        <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0">
+        <small>This link can be used once.</small>
+      </div>
+    `,
+  });
+};
+
+/**
+ * Record a failed attempt for both the account and the IP.
+ * When this failure locks the account, the owner (if the account exists)
+ * gets exactly one unlock email.
+ * @param {{ email: string, ip: string, user?: object }} attempt
+ * @returns {Promise<{ accountLocked: boolean, lockedUntil?: Date, attemptsRemaining?: number }>}
+ */
+export const recordLoginFailure = async ({ email, ip, user }) => {
+  const [account] = await Promise.all([
+    bumpCounter(accountKey(email), ACCOUNT_LOCK_THRESHOLD),
+    bumpCounter(ipKey(ip), IP_BLOCK_THRESHOLD),
+  ]);
+
+  if (account.unlockToken) {
+    if (user) await sendUnlockEmail(user, account.unlockToken, account.lockedUntil);
+    return { accountLocked: true, lockedUntil: account.lockedUntil };
+  }
+  return { accountLocked: false, attemptsRemaining: account.attemptsRemaining };
+};
+
+/**
+ * Send the standard 423/429 response for a blocked attempt
+ * (the result of checkLoginAllowed).
+ */
+export const respondBlocked = (res, blocked) => {
+  res.set("Retry-After", String(blocked.retryAfter));
+  return res.status(blocked.status).json({
+    code: blocked.code,
+    message: blocked.message,
+    lockedUntil: blocked.lockedUntil,
+    retryAfter: blocked.retryAfter,
+  });
+};
+
+/**
+ * Send the response for a failed credential check.
+ * Warns once only a few attempts are left before lockout.
+ */
+export const respondFailure = (res, result, message = "Invalid credentials.") => {
+  if (result.accountLocked) {
+    return res.status(423).json({
+      code: "ACCOUNT_LOCKED",
+      message:
+        `Too many failed attempts. This account is locked for ${LOCK_DURATION_MINUTES} minutes — ` +
+        "check your email for an unlock link.",
+      lockedUntil: result.lockedUntil,
+    });
+  }
+
+  return res.status(400).json({
+    message,
+    attemptsRemaining: result.attemptsRemaining <= 3 ? result.attemptsRemaining : undefined,
+  });
+};
+
+/**
+ * Reset the account counter after a successful login.
+ * The IP counter is left alone so one valid account can't launder an attacker's IP.
+ */
+export const clearLoginFailures = async ({ email }) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+/**
+ * Lift an account lock using the emailed token.
+ * @returns {Promise<boolean>} true if a lock was found and removed
+ */
+export const unlockWithToken = async (rawToken) => {
+  const { deletedCount } = await LoginAttempt.deleteOne({
+    key: /^account:/,
+    unlockTokenHash: hashToken(rawToken),
+  });
+  return deletedCount === 1;
+};
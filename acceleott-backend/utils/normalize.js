@@ -0,0 +1,64 @@
+/**
+ * ==========================================
+ * Contact Normalization (backend/utils/normalize.js)
+ * ==========================================
+ * Canonical forms of emails, phone numbers and names so the same person
+ * matches across submissions ("A.Sharma+demo@Gmail.com" and
+ * "asharma@gmail.com" are one mailbox). Pure functions — safe to use
+ * from model hooks.
+ */
+
+import { parsePhone } from "./phone.js";
+
+const GMAIL_DOMAINS = new Set(["gmail.com", "googlemail.com"]);
+const NAME_TITLES = new Set(["dr", "mr", "mrs", "ms", "miss", "prof", "sir"]);
+
+/**
+ * Lowercase, drop "+tags", and for Gmail also dots and googlemail.com.
+ * @returns {string} "" for empty input
+ */
+export const normalizeEmail = (email) => {
+  const value = String(email || "").trim().toLowerCase();
+  const at = value.lastIndexOf("@");
+  if (at < 1) return value;
+
+  let local = value.slice(0, at).split("+")[0];
+  let domain = value.slice(at + 1);
+  if (GMAIL_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, "");
+    domain = "gmail.com";
+  }
+  return `${local}@${domain}`;
+};
+
+/**
+ * Domain part of an email ("" if none).
+ */
+export const emailDomain = (email) => normalizeEmail(email).split("@")[1] || "";
+
+/**
+ * E.164 ("+91 98765-43210" and "098765 43210" with country IN are both
+ * "+919876543210"). Numbers that don't parse fall back to their last
+ * 10 digits, which still lines up most national formats.
+ */
+export const normalizePhone = (phone, country) => {
+  const parsed = parsePhone(phone, country);
+  if (parsed) return parsed.e164;
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+/**
+ * Lowercase name tokens without accents, punctuation or titles,
+ * sorted so "Sharma, Anita" and "Anita Sharma" compare equal.
+ * @returns {string[]}
+ */
+export const nameTokens = (name) =>
+  String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // combining accents
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter((token) => token && !NAME_TITLES.has(token))
+    .sort();
@@ -0,0 +1,175 @@
+/**
+ * ==========================================
+ * Password Policy (backend/utils/passwordPolicy.js)
+ * ==========================================
+ * One set of rules for every place a password is chosen (registration,
+ * reset, change) and for the live strength meter in the frontend:
+ *   1. Length — PASSWORD_MIN_LENGTH (default 8), hard cap of 128.
+ *   2. Strength — an entropy estimate that discounts repeats, sequences,
+ *      keyboard rows and common words, mapped to a 0–4 score that must
+ *      reach PASSWORD_MIN_SCORE (default 2).
+ *   3. Banned words — the product name plus the user's own name and email.
+ *   4. Common / breached — the bundled offline list in config/commonPasswords.js.
+ */
+
+import COMMON_PASSWORDS from "../config/commonPasswords.js";
+
+export const PASSWORD_POLICY = Object.freeze({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: 128,
+  minScore: Math.min(Math.max(Number(process.env.PASSWORD_MIN_SCORE) || 2, 0), 4),
+  bannedWords: ["acceleott", "aimmed"],
+});
+
+export const SCORE_LABELS = ["Very weak", "Weak", "Fair", "Strong", "Very strong"];
+
+// Entropy (bits) needed for scores 1, 2, 3 and 4
+const SCORE_THRESHOLDS = [28, 36, 50, 64];
+
+const KEYBOARD_ROWS = ["qwertyuiop", "asdfghjkl", "zxcvbnm", "1234567890"];
+
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", "@": "a", $: "s", "!": "i" };
+
+/* -------------------------------
+   HELPERS
+--------------------------------*/
+
+const deLeet = (value) => value.replace(/[0134578@$!]/g, (c) => LEET[c]);
+
+// "P@ssw0rd2024!" → ["p@ssw0rd2024!", "password2024i", "p@ssw0rd", "password"]
+const variantsOf = (password) => {
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[^a-z]+$/, "").replace(/^[^a-z]+/, "");
+  return [...new Set([lower, deLeet(lower), stripped, deLeet(stripped)])].filter(Boolean);
+};
+
+const charsetSize = (password) => {
+  let size = 0;
+  if (/[a-z]/.test(password)) size += 26;
+  if (/[A-Z]/.test(password)) size += 26;
+  if (/[0-9]/.test(password)) size += 10;
+  if (/[^a-zA-Z0-9]/.test(password)) size += 33;
+  return size || 1;
+};
+
+const isSequential = (a, b) => Math.abs(a.charCodeAt(0) - b.charCodeAt(0)) === 1;
+const isKeyboardNeighbour = (a, b) =>
+  KEYBOARD_ROWS.some((row) => row.includes(a + b) || row.includes(b + a));
+
+/**
+ * Length after discounting predictable runs: each character that merely
+ * repeats, continues a sequence ("abc", "987") or a keyboard row ("qwer")
+ * counts for a quarter of a character, and common words count as one.
+ */
+const effectiveLength = (password) => {
+  const lower = password.toLowerCase();
+  let length = 0;
+  for (let i = 0; i < lower.length; i += 1) {
+    const prev = lower[i - 1];
+    const predictable =
+      prev !== undefined &&
+      (prev === lower[i] || isSequential(prev, lower[i]) || isKeyboardNeighbour(prev, lower[i]));
+    length += predictable ? 0.25 : 1;
+  }
+
+  const plain = deLeet(lower);
+  let longestCommon = 0;
+  for (const word of COMMON_PASSWORDS) {
+    if (word.length >= 4 && word.length > longestCommon && plain.includes(word)) {
+      longestCommon = word.length;
+    }
+  }
+  return Math.max(length - Math.max(longestCommon - 1, 0), 1);
+};
+
+// Pieces of the user's identity that must not appear in their password
+const personalWords = ({ name, email } = {}) => {
+  const [local = "", domain = ""] = String(email || "").toLowerCase().split("@");
+  return [
+    ...String(name || "").toLowerCase().split(/\s+/),
+    ...local.split(/[._+-]+/),
+    local,
+    domain.split(".")[0],
+  ].filter((word) => word && word.length >= 3);
+};
+
+/* -------------------------------
+   EVALUATE
+--------------------------------*/
+
+/**
+ * Score a candidate password against the policy.
+ * @param {string} password
+ * @param {{ name?: string, email?: string }} [context] the account it is for
+ * @returns {{ valid: boolean, score: number, label: string, entropy: number,
+ *   errors: string[], suggestions: string[] }}
+ */
+export const evaluatePassword = (password, context = {}) => {
+  const value = typeof password === "string" ? password : "";
+  const errors = [];
+  const suggestions = [];
+
+  const entropy = Math.round(effectiveLength(value) * Math.log2(charsetSize(value)));
+  let score = SCORE_THRESHOLDS.filter((bits) => entropy >= bits).length;
+
+  if (value.length < PASSWORD_POLICY.minLength)
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long.`);
+  if (value.length > PASSWORD_POLICY.maxLength)
+    errors.push(`Password must be at most ${PASSWORD_POLICY.maxLength} characters long.`);
+
+  const variants = variantsOf(value);
+
+  if (variants.some((v) => COMMON_PASSWORDS.has(v))) {
+    errors.push("This password is too common and appears in lists of breached passwords.");
+    score = 0;
+  }
+
+  const plain = deLeet(value.toLowerCase());
+  const personal = personalWords(context).find((word) => plain.includes(deLeet(word)));
+  if (personal) {
+    errors.push("Password must not contain your name or email address.");
+    score = Math.min(score, 1);
+  }
+
+  const banned = PASSWORD_POLICY.bannedWords.find((word) => plain.includes(word));
+  if (banned) {
+    errors.push(`Password must not contain “${banned}”.`);
+    score = Math.min(score, 1);
+  }
+
+  if (!errors.length && score < PASSWORD_POLICY.minScore)
+    errors.push("Password is too easy to guess.");
+
+  if (score < 3) {
+    if (value.length < 12) suggestions.push("Use 12 or more characters — a few unrelated words work well.");
+    if (charsetSize(value) < 62) suggestions.push("Mix upper and lower case, numbers and symbols.");
+    if (effectiveLength(value) < value.length * 0.75)
+      suggestions.push("Avoid repeated characters, sequences like “abc” or “123” and keyboard patterns.");
+  }
+
+  return {
+    valid: errors.length === 0,
+    score,
+    label: SCORE_LABELS[score],
+    entropy,
+    errors,
+    suggestions,
+  };
+};
+
+/**
+ * Express helper: reply 400 with the first policy violation.
+ * @returns {boolean} true when a response was sent
+ */
+export const rejectWeakPassword = (res, password, context) => {
+  const result = evaluatePassword(password, context);
+  if (result.valid) return false;
+
+  res.status(400).json({
+    message: result.errors[0],
+    code: "WEAK_PASSWORD",
+    errors: result.errors,
+    suggestions: result.suggestions,
+  });
+  return true;
+};
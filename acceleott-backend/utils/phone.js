@@ -0,0 +1,60 @@
+/**
+ * ==========================================
+ * Phone Numbers (backend/utils/phone.js)
+ * ==========================================
+ * Phone numbers are stored in E.164 ("+919876543210") together with the
+ * ISO country the visitor picked. Input may be national ("98765 43210"
+ * with country IN) or international ("+44 20 7946 0958"); validation
+ * follows the rules of that country (libphonenumber-js).
+ */
+
+import { parsePhoneNumberFromString, isSupportedCountry, getCountryCallingCode } from "libphonenumber-js";
+
+// Numbers without a country code (and everything stored before E.164) are Indian
+export const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || "IN").toUpperCase();
+
+export const isPhoneCountry = (country) => typeof country === "string" && isSupportedCountry(country);
+
+/**
+ * Parse a number as typed.
+ * @param {string} value
+ * @param {string} [country] - ISO 3166 alpha-2, used when the number has no "+"
+ * @returns {{ e164: string, country: string } | null} null if not a valid number
+ */
+export const parsePhone = (value, country) => {
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  const picked = typeof country === "string" ? country.toUpperCase() : "";
+  const fallback = isPhoneCountry(picked) ? picked : DEFAULT_PHONE_COUNTRY;
+  const parsed = parsePhoneNumberFromString(text, fallback);
+  if (!parsed?.isValid()) return null;
+
+  // Keep the picked country when the code is shared (+44 is GB, GG, JE and IM)
+  const sameCode = parsed.countryCallingCode === getCountryCallingCode(fallback);
+  return { e164: parsed.number, country: sameCode ? fallback : parsed.country || fallback };
+};
+
+/**
+ * "+91 98765 43210" for emails and notes; unparseable values come back as-is.
+ */
+export const formatPhone = (value) =>
+  parsePhoneNumberFromString(String(value || ""))?.formatInternational() || value || "";
+
+/**
+ * Schema hook helper: rewrite `field` to E.164 (and `countryField` to the
+ * number's country) when either changed, or invalidate the document.
+ * Untouched legacy values are left for scripts/normalize-phone-numbers.js,
+ * so old records never block unrelated saves.
+ */
+export const normalizePhoneField = (doc, field, countryField, message) => {
+  if (!doc[field] || !(doc.isModified(field) || doc.isModified(countryField))) return;
+
+  const parsed = parsePhone(doc[field], doc[countryField]);
+  if (!parsed) {
+    doc.invalidate(field, message, doc[field]);
+    return;
+  }
+  doc[field] = parsed.e164;
+  doc[countryField] = parsed.country;
+};
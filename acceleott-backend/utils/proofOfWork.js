@@ -0,0 +1,92 @@
+/**
+ * ==========================================
+ * Proof of Work (backend/utils/proofOfWork.js)
+ * ==========================================
+ * Self-hosted replacement for a captcha. The server hands out a signed
+ * challenge; the browser must find a number whose
+ * sha256("<challenge>:<number>") starts with `difficulty` zero bits —
+ * about a second of work for one visitor, expensive for a bot farm.
+ *
+ * Challenges are stateless (HMAC-signed, bound to one form, with the
+ * issue time — which also tells us how long the form took to fill) and
+ * single-use (the nonce is spent on the first submission).
+ */
+
+import crypto from "crypto";
+import { PROOF_OF_WORK } from "../config/spamProtection.js";
+import { consumeOnce } from "./rateLimit.js";
+
+const secret = () => process.env.POW_SECRET || process.env.JWT_SECRET || "";
+
+const sign = (payload) => crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+/**
+ * New challenge for a form.
+ * @returns {{ challenge: string, difficulty: number, expiresAt: Date }}
+ */
+export const issueChallenge = (form) => {
+  const issuedAt = Date.now();
+  const payload = Buffer.from(
+    JSON.stringify({
+      form,
+      nonce: crypto.randomBytes(12).toString("hex"),
+      issuedAt,
+      difficulty: PROOF_OF_WORK.difficulty,
+    })
+  ).toString("base64url");
+
+  return {
+    challenge: `${payload}.${sign(payload)}`,
+    difficulty: PROOF_OF_WORK.difficulty,
+    expiresAt: new Date(issuedAt + PROOF_OF_WORK.ttlMs),
+  };
+};
+
+/**
+ * Check a solved challenge and spend it.
+ * @returns {Promise<{ valid: true, issuedAt: number } | { valid: false, reason: string }>}
+ *   reason: "missing" | "invalid" | "expired" | "wrong_form" | "unsolved" | "reused"
+ */
+export const verifyChallenge = async (form, challenge, solution) => {
+  if (!challenge || solution === undefined || solution === null || solution === "")
+    return { valid: false, reason: "missing" };
+
+  const [payload, signature] = String(challenge).split(".");
+  const expected = payload ? sign(payload) : "";
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  )
+    return { valid: false, reason: "invalid" };
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { valid: false, reason: "invalid" };
+  }
+
+  if (data.form !== form) return { valid: false, reason: "wrong_form" };
+  if (Date.now() - data.issuedAt > PROOF_OF_WORK.ttlMs) return { valid: false, reason: "expired" };
+
+  const hash = crypto.createHash("sha256").update(`${challenge}:${solution}`).digest();
+  if (leadingZeroBits(hash) < data.difficulty) return { valid: false, reason: "unsolved" };
+
+  if (!(await consumeOnce(`challenge:${data.nonce}`, PROOF_OF_WORK.ttlMs)))
+    return { valid: false, reason: "reused" };
+
+  return { valid: true, issuedAt: data.issuedAt };
+};
@@ -0,0 +1,83 @@
+/**
+ * ==========================================
+ * Public Host Checks (backend/utils/publicHost.js)
+ * ==========================================
+ * Keeps server-side requests to admin-supplied URLs (webhook endpoints)
+ * on the public internet: loopback, private, link-local (including the
+ * cloud metadata service at 169.254.169.254) and other reserved ranges
+ * are refused.
+ *
+ * The hostname is checked when the URL is saved, and the resolved
+ * address again on every connection (publicOnlyLookup) — a public name
+ * can be pointed at an internal address later.
+ */
+
+import dns from "dns";
+import net from "net";
+
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64 of IPv4 addresses
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, "ipv6"));
+// IPv4-mapped IPv6 (::ffff:127.0.0.1) is matched against the IPv4 rules
+
+/**
+ * True for an IP address on the public internet.
+ * @param {string} address - IPv4 or IPv6 literal
+ */
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+// URL.hostname keeps the brackets of IPv6 literals: "[::1]"
+const bareHostname = (hostname) => String(hostname || "").replace(/^\[|\]$/g, "").toLowerCase();
+
+/**
+ * Checks what can be known without DNS: "localhost" names and IP
+ * literals. Names that resolve to a private address are caught by
+ * publicOnlyLookup when connecting.
+ * @param {string} hostname - URL.hostname
+ */
+export const isPublicHostname = (hostname) => {
+  const host = bareHostname(hostname).replace(/\.$/, "");
+  if (!host || host === "localhost" || host.endsWith(".localhost")) return false;
+  return net.isIP(host) ? isPublicAddress(host) : true;
+};
+
+/**
+ * Drop-in `lookup` for http(s).request that fails the connection when
+ * the name resolves to a non-public address. Node does not call
+ * `lookup` for IP literals — check those with isPublicHostname.
+ */
+export const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const internal = addresses.find((a) => !isPublicAddress(a.address));
+    if (internal) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${internal.address}).`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
@@ -0,0 +1,55 @@
+/**
+ * ==========================================
+ * Rate Limiting (backend/utils/rateLimit.js)
+ * ==========================================
+ * Fixed-window counters in MongoDB (models/RateLimitCounter.js).
+ * Every call counts, allowed or not, so a blocked client stays blocked
+ * until its window ends.
+ */
+
+import RateLimitCounter from "../models/RateLimitCounter.js";
+
+/**
+ * Count one hit for `key`.
+ * @param {string} key - e.g. "demo:ip:1.2.3.4"
+ * @param {{ limit: number, windowMs: number }} rule
+ * @returns {Promise<{ allowed: boolean, count: number, retryAfter: number }>}
+ *   retryAfter in seconds until the window resets
+ */
+export const hitRateLimit = async (key, { limit, windowMs }) => {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const windowEnd = windowStart + windowMs;
+
+  const increment = () =>
+    RateLimitCounter.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowEnd) } },
+      { upsert: true, new: true }
+    ).lean();
+  // Two first hits at once both try to insert; the loser's retry finds the counter
+  const counter = await increment().catch((err) => {
+    if (err.code !== 11000) throw err;
+    return increment();
+  });
+
+  return {
+    allowed: counter.count <= limit,
+    count: counter.count,
+    retryAfter: Math.max(Math.ceil((windowEnd - now) / 1000), 1),
+  };
+};
+
+/**
+ * Use a one-time value (e.g. a challenge nonce) exactly once.
+ * @returns {Promise<boolean>} false if it was already used
+ */
+export const consumeOnce = async (key, ttlMs) => {
+  try {
+    await RateLimitCounter.create({ key, count: 1, expiresAt: new Date(Date.now() + ttlMs) });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
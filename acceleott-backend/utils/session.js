@@ -0,0 +1,282 @@
+/**
+ * ==========================================
+ * Session Utility (backend/utils/session.js)
+ * ==========================================
+ * Short-lived access tokens (JWT in the "token" cookie) backed by
+ * long-lived, rotating refresh tokens stored in the sessions collection.
+ */
+
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import Membership from "../models/Membership.js";
+import { createToken, hashToken } from "./tokens.js";
+
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000; // write lastSeenAt at most once a minute
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+});
+
+// Refresh cookie is only ever sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+/**
+ * Error thrown when a refresh token cannot be used.
+ * `status` is the HTTP status the controller should respond with.
+ */
+const sessionError = (message, code) => {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Very small user-agent summary for the session list ("Chrome on Windows").
+ * Good enough for a human to recognise their own devices — not for analytics.
+ */
+export const describeDevice = (userAgent = "") => {
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/OPR\/|Opera/.test(userAgent) && "Opera") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    (/curl|PostmanRuntime|axios|node-fetch/i.test(userAgent) && "API client") ||
+    null;
+
+  const os =
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Android/.test(userAgent) && "Android") ||
+    (/iPhone|iPad|iPod/.test(userAgent) && "iOS") ||
+    (/Mac OS X|Macintosh/.test(userAgent) && "macOS") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+};
+
+/**
+ * Client details recorded on the session at login / refresh.
+ */
+const clientInfo = (req) => {
+  const userAgent = String(req.get("User-Agent") || "").slice(0, 512);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || "" };
+};
+
+/**
+ * Sign a short-lived access token bound to a session.
+ */
+export const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+  });
+
+/**
+ * Sign the short-lived challenge handed out after a correct password
+ * when the account has 2FA enabled. It cannot be used as an access token.
+ */
+export const signTwoFactorChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+
+/**
+ * Verify a 2FA challenge token.
+ * @returns {string|null} the user id, or null if invalid/expired
+ */
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Write both auth cookies to the response.
+ */
+export const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("token", accessToken, {
+    ...baseCookieOptions(),
+    maxAge: ACCESS_TOKEN_TTL_MS,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+};
+
+/**
+ * Issue a fresh access token for an existing session
+ * (e.g. after a password change invalidated the old one).
+ */
+export const reissueAccessToken = (res, user, sessionId) => {
+  res.cookie("token", signAccessToken(user, { _id: sessionId }), {
+    ...baseCookieOptions(),
+    maxAge: ACCESS_TOKEN_TTL_MS,
+  });
+};
+
+/**
+ * Remove both auth cookies from the browser.
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie("token", baseCookieOptions());
+  res.clearCookie("refreshToken", { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Organization a new session starts in: the user's default one if they
+ * are still a member, otherwise their oldest membership (or none).
+ */
+const initialOrganization = async (user) => {
+  const memberships = await Membership.find({ user: user._id })
+    .sort({ createdAt: 1 })
+    .select("organization")
+    .lean();
+
+  const preferred = memberships.find(
+    (m) => String(m.organization) === String(user.defaultOrganization)
+  );
+  return (preferred || memberships[0])?.organization || null;
+};
+
+/**
+ * Device-binding cookie for magic-link login: set in the browser that
+ * requested the link, required when the link is redeemed.
+ */
+export const setMagicLinkDeviceCookie = (res, rawNonce, maxAge) => {
+  res.cookie("magicLinkDevice", rawNonce, {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    maxAge,
+  });
+};
+
+export const clearMagicLinkDeviceCookie = (res) => {
+  res.clearCookie("magicLinkDevice", { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Create a new session (refresh-token family) for a user and set cookies.
+ * Records the device, user agent and IP of the request and activates
+ * the user's default organization.
+ * @returns {Promise<import("mongoose").Document>} the created session
+ */
+export const startSession = async (req, res, user) => {
+  const { rawToken, hashedToken } = createToken(48);
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashedToken,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    activeOrganization: await initialOrganization(user),
+    ...clientInfo(req),
+  });
+
+  setAuthCookies(res, signAccessToken(user, session), rawToken);
+  return session;
+};
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * Replaying an already-rotated token revokes the whole family.
+ * @throws {Error} with `status` 401 and a `code` when the token is unusable
+ * @returns {Promise<import("mongoose").Document>} the rotated session
+ */
+export const rotateSession = async (req, res, rawRefreshToken) => {
+  if (!rawRefreshToken) throw sessionError("No refresh token provided.", "NO_REFRESH_TOKEN");
+
+  const presentedHash = hashToken(rawRefreshToken);
+  const { rawToken, hashedToken } = createToken(48);
+
+  // Atomic swap: only one concurrent request can rotate a given token
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashedToken, lastSeenAt: new Date(), ip: req.ip || "" },
+      $push: { previousTokenHashes: presentedHash },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // 🚨 Old token from a live family → someone is replaying it
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: presentedHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } }
+    );
+
+    if (reused) {
+      console.warn(`🚨 Refresh token reuse detected for user ${reused.user}. Session revoked.`);
+      throw sessionError("Session revoked. Please log in again.", "REFRESH_TOKEN_REUSED");
+    }
+
+    throw sessionError("Session expired. Please log in again.", "INVALID_REFRESH_TOKEN");
+  }
+
+  setAuthCookies(res, signAccessToken({ _id: session.user }, session), rawToken);
+  return session;
+};
+
+/**
+ * Revoke the session that owns the given refresh token (logout).
+ * @returns {Promise<object|null>} the revoked session, if there was one
+ */
+export const revokeSessionByToken = async (rawRefreshToken, reason = "logout") => {
+  if (!rawRefreshToken) return null;
+  return Session.findOneAndUpdate(
+    { tokenHash: hashToken(rawRefreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Revoke every active session of a user (e.g. after a password reset).
+ * @param {object} [options]
+ * @param {string} [options.except] - session id to keep (the caller's own)
+ */
+export const revokeAllSessions = async (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const { modifiedCount } = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return modifiedCount;
+};
+
+/**
+ * Check that the session behind an access token is still active
+ * and refresh its last-seen timestamp (throttled).
+ * @returns {Promise<object|null>} the session (lean), or null when revoked, expired or unknown
+ */
+export const touchActiveSession = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId })
+    .select("revokedAt expiresAt lastSeenAt activeOrganization")
+    .lean();
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: sessionId }, { $set: { lastSeenAt: new Date() } });
+  }
+  return session;
+};
+
+/**
+ * Switch the organization a session is working in.
+ */
+export const setActiveOrganization = async (sessionId, organizationId) => {
+  await Session.updateOne({ _id: sessionId }, { $set: { activeOrganization: organizationId } });
+};
@@ -0,0 +1,65 @@
+/**
+ * ==========================================
+ * Spam Score (backend/utils/spamScore.js)
+ * ==========================================
+ * Adds up cheap signals into a 0–100 score. No single weak signal
+ * quarantines a submission on its own; the honeypot nearly does.
+ */
+
+import { HONEYPOT_FIELD, MIN_FILL_MS, DISPOSABLE_EMAIL_DOMAINS } from "../config/spamProtection.js";
+import { emailDomain } from "./normalize.js";
+
+const SIGNAL_POINTS = {
+  honeypot: 60,
+  too_fast: 30,
+  links: 25,
+  disposable_email: 20,
+  spam_words: 15,
+  suspicious_name: 15,
+  repeat_email: 10,
+};
+
+const LINK_PATTERN = /(https?:\/\/|www\.|\[url)/i;
+const LINKS_PATTERN = new RegExp(LINK_PATTERN.source, "gi");
+const SPAM_WORDS = /\b(casino|viagra|crypto|bitcoin|forex|backlinks?|seo services|loan offer|escort)\b/i;
+
+// Free-text fields per form (emails and phone numbers are checked separately).
+// A link in a short field (name, job title) is never legitimate; a message may carry one or two.
+const TEXT_FIELDS = {
+  demo: { short: ["name", "designation"], long: [] },
+  register: { short: ["name", "occupation", "source"], long: [] },
+  contact: { short: ["name"], long: ["message"] },
+};
+
+/**
+ * @param {object} submission
+ * @param {string} submission.form - "demo" | "register" | "contact"
+ * @param {object} submission.body - request body (honeypot included)
+ * @param {number} submission.fillMs - time from challenge issue to submit
+ * @param {number} [submission.emailSubmissions] - submissions from this email in the window
+ * @returns {{ score: number, signals: string[] }}
+ */
+export const scoreSubmission = ({ form, body = {}, fillMs, emailSubmissions = 0 }) => {
+  const signals = [];
+  const fields = TEXT_FIELDS[form] || { short: [], long: [] };
+  const shortTexts = fields.short.map((field) => String(body[field] || ""));
+  const texts = [...shortTexts, ...fields.long.map((field) => String(body[field] || ""))];
+  const name = String(body.name || "").trim();
+
+  if (String(body[HONEYPOT_FIELD] || "").trim()) signals.push("honeypot");
+  if (Number.isFinite(fillMs) && fillMs < MIN_FILL_MS) signals.push("too_fast");
+
+  const links = texts.reduce((total, text) => total + (text.match(LINKS_PATTERN)?.length || 0), 0);
+  if (shortTexts.some((text) => LINK_PATTERN.test(text)) || links > 2) signals.push("links");
+
+  if (DISPOSABLE_EMAIL_DOMAINS.has(emailDomain(body.email))) signals.push("disposable_email");
+  if (texts.some((text) => SPAM_WORDS.test(text))) signals.push("spam_words");
+  if (name && (/\d/.test(name) || !/\p{L}/u.test(name) || name.length > 80)) signals.push("suspicious_name");
+  if (emailSubmissions > 1) signals.push("repeat_email");
+
+  const score = Math.min(
+    signals.reduce((total, signal) => total + SIGNAL_POINTS[signal], 0),
+    100
+  );
+  return { score, signals };
+};
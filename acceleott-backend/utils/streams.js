@@ -0,0 +1,33 @@
+/**
+ * ==========================================
+ * Stream Helpers (backend/utils/streams.js)
+ * ==========================================
+ * Backpressure for the streamed admin exports (CSV / XLSX): wait for
+ * the client to take more data — or give up when it has gone away.
+ */
+
+import { once } from "events";
+
+/**
+ * Wait for "drain" on `stream`. Rejects when the response closes or
+ * errors first — an aborted download never drains, and waiting on it
+ * alone would hang the request (and its database cursor) forever.
+ * @param {import("stream").Writable} stream - what was written to
+ * @param {import("http").ServerResponse} [res] - the client connection (defaults to `stream`)
+ */
+export const drained = async (stream, res = stream) => {
+  if (res.destroyed) throw new Error("Client disconnected.");
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal }),
+      once(res, "close", { signal }).then(() => {
+        throw new Error("Client disconnected.");
+      }),
+    ]);
+  } finally {
+    controller.abort(); // drop the listeners that lost the race
+  }
+};
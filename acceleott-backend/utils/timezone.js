@@ -0,0 +1,81 @@
+/**
+ * ==========================================
+ * Timezone Helpers (backend/utils/timezone.js)
+ * ==========================================
+ * Wall-clock ↔ UTC conversion using only Intl (no tz database
+ * dependency). Node ships full ICU, so every IANA zone works.
+ */
+
+/**
+ * Is this an IANA timezone Intl understands (e.g. "Asia/Kolkata")?
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Offset of `timeZone` from UTC at the given instant, in ms
+const timeZoneOffset = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instant)
+      .map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Wall-clock time in a timezone → UTC instant (DST-aware).
+ * @param {{ year: number, month: number, day: number }} date - month is 1-based
+ * @param {string} time - "HH:MM"
+ */
+export const zonedTimeToUtc = ({ year, month, day }, time, timeZone) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  // First guess with the offset at the wall-clock time, then correct once across DST changes
+  const firstGuess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(firstGuess), timeZone));
+};
+
+/**
+ * Calendar date (in `timeZone`) of an instant.
+ * @returns {{ year: number, month: number, day: number }}
+ */
+export const zonedDate = (instant, timeZone) => {
+  const [year, month, day] = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  })
+    .format(instant)
+    .split("-")
+    .map(Number);
+  return { year, month, day };
+};
+
+/**
+ * Human-readable date and time in a timezone, e.g. for emails:
+ * "Monday, 19 October 2026 at 3:00 pm (Asia/Kolkata)".
+ */
+export const formatInTimeZone = (instant, timeZone) =>
+  `${new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    dateStyle: "full",
+    timeStyle: "short",
+  }).format(instant)} (${timeZone})`;
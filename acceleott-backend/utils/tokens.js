@@ -0,0 +1,29 @@
+/**
+ * ==========================================
+ * Token Utility (backend/utils/tokens.js)
+ * ==========================================
+ * Helpers for single-use tokens sent by email
+ * (verification, password reset, ...).
+ * Only the sha256 hash is ever stored in MongoDB.
+ */
+
+import crypto from "crypto";
+
+/**
+ * Hash a raw token for storage / lookup.
+ * @param {string} rawToken
+ * @returns {string} hex-encoded sha256 digest
+ */
+export const hashToken = (rawToken) =>
+  crypto.createHash("sha256").update(String(rawToken)).digest("hex");
+
+/**
+ * Create a new random token.
+ * @param {number} [bytes=32] - Amount of randomness.
+ * @returns {{ rawToken: string, hashedToken: string }}
+ *   rawToken goes into the email link, hashedToken into the database.
+ */
+export const createToken = (bytes = 32) => {
+  const rawToken = crypto.randomBytes(bytes).toString("hex");
+  return { rawToken, hashedToken: hashToken(rawToken) };
+};
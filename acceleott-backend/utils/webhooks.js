@@ -0,0 +1,294 @@
+/**
+ * ==========================================
+ * Outbound Webhooks (backend/utils/webhooks.js)
+ * ==========================================
+ * Fans events (config/webhooks.js) out to the admin-registered
+ * endpoints. Every event becomes one WebhookDelivery per subscribed
+ * endpoint; the request that caused the event waits briefly for the
+ * first attempt (FIRST_ATTEMPT_WAIT_MS), and anything unfinished or
+ * failed is retried with exponential backoff by the webhook cron
+ * (GET /api/cron/deliver-webhooks, every 5 minutes). Every attempt is logged on the
+ * delivery.
+ *
+ * Requests are POSTed as JSON with:
+ *   X-Acceleott-Event      event name, e.g. "demo.created"
+ *   X-Acceleott-Delivery   delivery id (unique per endpoint and attempt chain)
+ *   X-Acceleott-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers verify the signature with the endpoint secret and should
+ * reject timestamps older than a few minutes.
+ *
+ * Endpoints must be on the public internet: the resolved address is
+ * checked on every connection (utils/publicHost.js), so a name pointed
+ * at an internal service later is refused too.
+ */
+
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import WebhookEndpoint from "../models/WebhookEndpoint.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import {
+  TEST_EVENT,
+  MAX_DELIVERY_ATTEMPTS,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  DELIVERY_TIMEOUT_MS,
+  FIRST_ATTEMPT_WAIT_MS,
+} from "../config/webhooks.js";
+import { createToken } from "./tokens.js";
+import { encrypt, decrypt } from "./encryption.js";
+import { isPublicHostname, publicOnlyLookup } from "./publicHost.js";
+
+// An attempt in flight holds the delivery this long; a crashed or frozen
+// (serverless) attempt is picked up again by the cron afterwards
+const CLAIM_MS = 2 * 60 * 1000;
+const CRON_BATCH_SIZE = 25;
+const MAX_RESPONSE_BODY = 1000;
+
+/**
+ * New signing secret → { secret (show once), encrypted (store) }.
+ */
+export const createWebhookSecret = () => {
+  const secret = `whsec_${createToken(24).rawToken}`;
+  return { secret, encrypted: encrypt(secret) };
+};
+
+/**
+ * X-Acceleott-Signature value for a raw body.
+ * @param {string} secret
+ * @param {string} body - exact bytes sent
+ * @param {number} [timestamp] - unix seconds
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Wait before attempt `attemptCount + 1`.
+ */
+export const retryDelay = (attemptCount) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** (attemptCount - 1), RETRY_MAX_DELAY_MS);
+
+/* -------------------------------
+   PAYLOADS
+   What subscribers receive as `data` — a stable public shape,
+   not the raw documents.
+--------------------------------*/
+export const demoRequestWebhookData = (demo) => ({
+  id: String(demo._id),
+  name: demo.name,
+  email: demo.email,
+  contact: demo.contact,
+  contactCountry: demo.contactCountry,
+  designation: demo.designation || "",
+  status: demo.status,
+  submittedVia: demo.submittedVia,
+  leadScore: demo.leadScore?.score ?? null,
+  attribution: demo.attribution?.firstTouch ? demo.attribution : null,
+  createdAt: demo.createdAt,
+});
+
+export const userWebhookData = (user) => ({
+  id: String(user._id),
+  name: user.name,
+  email: user.email,
+  phone: user.phone || "",
+  role: user.role,
+  emailVerified: Boolean(user.emailVerified),
+  createdAt: user.createdAt,
+});
+
+/* -------------------------------
+   DELIVERY
+--------------------------------*/
+const sendRequest = (url, { event, deliveryId, body, secret }) =>
+  new Promise((resolve) => {
+    const startedAt = Date.now();
+    const done = (result) => resolve({ statusCode: null, durationMs: Date.now() - startedAt, ...result });
+
+    const target = new URL(url);
+    // Names are checked by publicOnlyLookup at connect time; Node skips lookup for IP literals
+    if (!isPublicHostname(target.hostname)) {
+      return done({ error: "Endpoint host is a local or private address." });
+    }
+
+    const signal = AbortSignal.timeout(DELIVERY_TIMEOUT_MS);
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "Acceleott-Webhooks/1.0",
+          "X-Acceleott-Event": event,
+          "X-Acceleott-Delivery": deliveryId,
+          "X-Acceleott-Signature": signPayload(secret, body),
+        },
+        lookup: publicOnlyLookup,
+        signal,
+      },
+      // Redirects are not followed: a redirect is a misconfigured endpoint, not a success
+      (response) => {
+        let responseBody = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          if (responseBody.length < MAX_RESPONSE_BODY) responseBody += chunk;
+        });
+        const finish = () =>
+          done({ statusCode: response.statusCode, responseBody: responseBody.slice(0, MAX_RESPONSE_BODY) });
+        response.on("end", finish);
+        response.on("error", finish);
+      }
+    );
+    request.on("error", (err) =>
+      done({
+        error: signal.aborted
+          ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s.`
+          : (err.message || "Request failed.").slice(0, 500),
+      })
+    );
+    request.end(body);
+  });
+
+/**
+ * Make the next attempt of a pending delivery if it is due (or `force`
+ * for admin-triggered sends). Never throws.
+ * @returns {Promise<"succeeded"|"failed"|"pending"|null>} new status, null if not attempted
+ */
+export const attemptDelivery = async (deliveryId, { force = false } = {}) => {
+  try {
+    const now = Date.now();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: "pending", ...(!force && { nextAttemptAt: { $lte: new Date(now) } }) },
+      { $set: { nextAttemptAt: new Date(now + CLAIM_MS) } },
+      { new: true }
+    ).lean();
+    if (!delivery) return null;
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select("+secret").lean();
+    const attempt =
+      endpoint?.active
+        ? await sendRequest(endpoint.url, {
+            event: delivery.event,
+            deliveryId: String(delivery._id),
+            body: JSON.stringify(delivery.payload),
+            secret: decrypt(endpoint.secret),
+          })
+        : { statusCode: null, error: endpoint ? "Endpoint is disabled." : "Endpoint was deleted." };
+
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    const attemptCount = delivery.attempts.length + 1;
+    const status = succeeded
+      ? "succeeded"
+      : !endpoint?.active || attemptCount >= MAX_DELIVERY_ATTEMPTS
+        ? "failed"
+        : "pending";
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $push: { attempts: { ...attempt, at: new Date(now) } },
+        $set: { status, nextAttemptAt: status === "pending" ? new Date(Date.now() + retryDelay(attemptCount)) : null },
+      }
+    );
+    if (endpoint) {
+      await WebhookEndpoint.updateOne(
+        { _id: endpoint._id },
+        { $set: { lastDeliveryAt: new Date(now), lastDeliveryStatus: succeeded ? "succeeded" : "failed" } }
+      );
+    }
+    return status;
+  } catch (err) {
+    console.error("❌ Webhook delivery error:", err.message);
+    return null;
+  }
+};
+
+const createDeliveries = async (endpointIds, event, data, extra = {}) => {
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+  return WebhookDelivery.insertMany(
+    endpointIds.map((endpoint) => ({ endpoint, event, eventId, payload, ...extra }))
+  );
+};
+
+/**
+ * Queue `event` for every active endpoint subscribed to it and make the
+ * first attempts, waiting at most FIRST_ATTEMPT_WAIT_MS for slow
+ * receivers. Never throws — a webhook problem must not fail the
+ * request that caused the event.
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {object} data - the event's `data` object
+ */
+export const emitWebhookEvent = async (event, data) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ active: true, events: event }).select("_id").lean();
+    if (!endpoints.length) return;
+
+    const deliveries = await createDeliveries(endpoints.map((e) => e._id), event, data);
+
+    // Bounded wait: the function may be frozen after responding, and the cron
+    // picks up any attempt this cuts short once its claim expires
+    let timer;
+    await Promise.race([
+      Promise.all(deliveries.map((d) => attemptDelivery(d._id, { force: true }))),
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, FIRST_ATTEMPT_WAIT_MS);
+      }),
+    ]);
+    clearTimeout(timer);
+  } catch (err) {
+    console.error(`❌ Webhook event ${event} not queued:`, err.message);
+  }
+};
+
+/**
+ * Retry every delivery whose backoff has elapsed (cron).
+ * @returns {Promise<{ attempted: number, succeeded: number, failed: number, retrying: number }>}
+ */
+export const deliverDueWebhooks = async () => {
+  const due = await WebhookDelivery.find({ status: "pending", nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(CRON_BATCH_SIZE)
+    .select("_id")
+    .lean();
+
+  const results = await Promise.all(due.map((d) => attemptDelivery(d._id)));
+  return {
+    attempted: results.filter(Boolean).length,
+    succeeded: results.filter((s) => s === "succeeded").length,
+    failed: results.filter((s) => s === "failed").length,
+    retrying: results.filter((s) => s === "pending").length,
+  };
+};
+
+/**
+ * Send a past delivery's payload again as a new delivery (with its own
+ * retries), and make the first attempt right away.
+ * @returns {Promise<object>} the new delivery (lean)
+ */
+export const replayDelivery = async (delivery, user) => {
+  const replay = await WebhookDelivery.create({
+    endpoint: delivery.endpoint,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+    triggeredBy: user?._id,
+  });
+  await attemptDelivery(replay._id, { force: true });
+  return WebhookDelivery.findById(replay._id).lean();
+};
+
+/**
+ * Deliver a "webhook.test" event to one endpoint right away.
+ * @returns {Promise<object>} the delivery (lean)
+ */
+export const sendTestEvent = async (endpoint, user) => {
+  const data = { message: "Test event from Acceleott.", endpointId: String(endpoint._id) };
+  const [delivery] = await createDeliveries([endpoint._id], TEST_EVENT, data, { triggeredBy: user?._id });
+  await attemptDelivery(delivery._id, { force: true });
+  return WebhookDelivery.findById(delivery._id).lean();
+};
@@ -0,0 +1,137 @@
+/**
+ * ==========================================
+ * XLSX Streaming (backend/utils/xlsx.js)
+ * ==========================================
+ * Minimal single-sheet Excel workbook written row by row into a zip
+ * stream (archiver), so exports never hold the whole sheet in memory.
+ * Strings are inline (no shared-string table); dates become real Excel
+ * dates so filters and sorting work in the spreadsheet.
+ */
+
+import { PassThrough } from "stream";
+import archiver from "archiver";
+import { drained } from "./streams.js";
+
+export const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const EXCEL_EPOCH_DAYS = 25569; // 1970-01-01 as an Excel serial date
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATIC_PARTS = {
+  "[Content_Types].xml":
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/_rels/workbook.xml.rels":
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    "</Relationships>",
+  // Style 1 = bold header, style 2 = "yyyy-mm-dd hh:mm" dates
+  "xl/styles.xml":
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+    "</styleSheet>",
+};
+
+// XML 1.0 forbids most control characters, even escaped
+const escapeXml = (text) =>
+  text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 0 → A, 25 → Z, 26 → AA
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXml = (value, ref, headerStyle) => {
+  if (value === null || value === undefined || value === "") return "";
+  if (value instanceof Date)
+    return `<c r="${ref}" s="2"><v>${value.getTime() / DAY_MS + EXCEL_EPOCH_DAYS}</v></c>`;
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+
+  const text = typeof value === "object" && !value._bsontype ? JSON.stringify(value) : String(value);
+  return `<c r="${ref}" t="inlineStr"${headerStyle ? ' s="1"' : ""}><is><t xml:space="preserve">${escapeXml(
+    text.slice(0, 32767) // Excel's per-cell limit
+  )}</t></is></c>`;
+};
+
+const rowXml = (values, rowNumber, headerStyle = false) =>
+  `<row r="${rowNumber}">${values
+    .map((value, i) => cellXml(value, `${columnName(i)}${rowNumber}`, headerStyle))
+    .join("")}</row>`;
+
+/**
+ * Start an XLSX download with a bold header row.
+ * @returns {{ writeRow: (values: any[]) => Promise<void>, finish: () => Promise<void> }}
+ *   await writeRow for each record (respects backpressure; rejects once the
+ *   client has disconnected), then finish()
+ */
+export const startXlsxDownload = (res, filename, columns, sheetName = "Export") => {
+  res.attachment(filename);
+  res.type(XLSX_CONTENT_TYPE);
+
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  archive.on("error", (err) => {
+    console.error("❌ XLSX export failed:", err.message);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  for (const [name, xml] of Object.entries(STATIC_PARTS)) {
+    archive.append(XML_HEADER + xml, { name });
+  }
+  archive.append(
+    `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    { name: "xl/workbook.xml" }
+  );
+
+  // The worksheet is the last entry, fed while the zip is being written
+  const sheet = new PassThrough();
+  archive.append(sheet, { name: "xl/worksheets/sheet1.xml" });
+  sheet.write(
+    `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+      `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+      `<sheetData>${rowXml(columns, 1, true)}`
+  );
+
+  let rowNumber = 1;
+  return {
+    writeRow: async (values) => {
+      rowNumber += 1;
+      // The zip only pulls more of the sheet while the client reads — so watch `res` too
+      if (!sheet.write(rowXml(values, rowNumber))) await drained(sheet, res);
+    },
+    finish: async () => {
+      sheet.end("</sheetData></worksheet>");
+      await archive.finalize();
+    },
+  };
+};
@@ -4,10 +4,13 @@ import { Routes, Route, useLocation } from "react-router-dom";
 import AOS from "aos";
 import "aos/dist/aos.css";
 import { initReveal, rearmReveal } from "./anim/reveal";
+import { captureAttribution } from "./utils/attribution.js";
+import { trackPageView } from "./utils/engagement.js";
 
 // Core Layout Components
 import Navbar from "./components/Navbar.jsx";
 import Footer from "./sections/Footer.jsx";
+import ProtectedRoute from "./components/ProtectedRoute.jsx";
 
 // Section Components
 import Hero from "./sections/Hero.jsx";
@@ -19,6 +22,8 @@ import Blog from "./sections/Blog.jsx";
 import LoginPage from "./pages/LoginPage.jsx";
 import GetStartedPage from "./pages/GetStartedPage.jsx";
 import VerifySuccessPage from "./pages/VerifySuccessPage.jsx";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage.jsx";
+import ResetPasswordPage from "./pages/ResetPasswordPage.jsx";
 import "./pages/loginpage.css";
 import "./pages/getstarted.css";
 
@@ -31,12 +36,31 @@ import BlogDetailPage from "./pages/BlogDetailPage.jsx";
 
 // Demo Request
 import DemoRequestPage from "./pages/DemoRequestPage.jsx";
+import DemoBookingPage from "./pages/DemoBookingPage.jsx";
+
+// Account
+import SecurityPage from "./pages/SecurityPage.jsx";
+import AccountSettingsPage from "./pages/AccountSettingsPage.jsx";
+import OrganizationPage from "./pages/OrganizationPage.jsx";
+import AcceptInvitePage from "./pages/AcceptInvitePage.jsx";
+
+// Staff / Admin
+import AdminDemoRequestsPage from "./pages/AdminDemoRequestsPage.jsx";
+import AdminAvailabilityPage from "./pages/AdminAvailabilityPage.jsx";
+import AdminWebhooksPage from "./pages/AdminWebhooksPage.jsx";
+import AdminInboxPage from "./pages/AdminInboxPage.jsx";
 
 /* ------------------------------------------
    Scroll Behavior & Animation Reset on Route
 ------------------------------------------- */
 function RouteEffects() {
-  const { pathname, hash } = useLocation();
+  const { pathname, search, hash } = useLocation();
+
+  // Remember UTM / referrer and browsing for demo requests and sign-ups
+  useEffect(() => {
+    captureAttribution({ pathname, search });
+    trackPageView({ pathname });
+  }, [pathname, search]);
 
   useEffect(() => {
     if (hash) {
@@ -101,6 +125,8 @@ export default function App() {
           <Route path="/login" element={<LoginPage />} />
           <Route path="/get-started" element={<GetStartedPage />} />
           <Route path="/verify-success" element={<VerifySuccessPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
 
           {/* Services */}
           <Route path="/aimmed" element={<AIMMEDPage />} />
@@ -108,6 +134,68 @@ export default function App() {
 
           {/* Demo */}
           <Route path="/demo" element={<DemoRequestPage />} />
+          <Route path="/demo/booking/:token" element={<DemoBookingPage />} />
+
+          {/* Account (any logged-in user) */}
+          <Route
+            path="/account/security"
+            element={
+              <ProtectedRoute>
+                <SecurityPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/account/settings"
+            element={
+              <ProtectedRoute>
+                <AccountSettingsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/account/organization"
+            element={
+              <ProtectedRoute>
+                <OrganizationPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route path="/invite/:token" element={<AcceptInvitePage />} />
+
+          {/* Staff / Admin (role-protected) */}
+          <Route
+            path="/admin/demo-requests"
+            element={
+              <ProtectedRoute permission="demo:read">
+                <AdminDemoRequestsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/availability"
+            element={
+              <ProtectedRoute permission="demo:write">
+                <AdminAvailabilityPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/inbox"
+            element={
+              <ProtectedRoute permission="inbox:manage">
+                <AdminInboxPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/webhooks"
+            element={
+              <ProtectedRoute permission="webhooks:manage">
+                <AdminWebhooksPage />
+              </ProtectedRoute>
+            }
+          />
 
           {/* 404 fallback → redirect to home sections */}
           <Route
@@ -15,7 +15,7 @@ const baseURL =
 ------------------------------------------ */
 const axiosInstance = axios.create({
   baseURL,
-  withCredentials: true, // Needed for cookies/sessions (CORS must allow)
+  withCredentials: true, // Session lives in httpOnly cookies (CORS must allow)
   headers: {
     "Content-Type": "application/json",
     Accept: "application/json",
@@ -24,38 +24,66 @@ const axiosInstance = axios.create({
 });
 
 /* ------------------------------------------
-   Request Interceptor
+   Silent Session Refresh
+   - Access tokens are short-lived; on a 401 we call /auth/refresh once
+     and replay the original request.
+   - Requests that fail while a refresh is in flight wait in a queue
+     instead of triggering their own refresh.
 ------------------------------------------ */
-axiosInstance.interceptors.request.use(
-  (config) => {
-    // Example: attach token if available
-    const token = localStorage.getItem("token"); // ✅ Correct: Uses "token"
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => Promise.reject(error)
-);
+const AUTH_ENDPOINTS = ["/auth/login", "/auth/refresh", "/auth/logout"];
+
+let isRefreshing = false;
+let pendingQueue = [];
+
+const flushQueue = (error) => {
+  pendingQueue.forEach(({ resolve, reject }) => (error ? reject(error) : resolve()));
+  pendingQueue = [];
+};
+
+const isAuthEndpoint = (url = "") => AUTH_ENDPOINTS.some((path) => url.includes(path));
 
 /* ------------------------------------------
    Response Interceptor
 ------------------------------------------ */
 axiosInstance.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const original = error.config;
+
+    // ✅ Expired access token → refresh once, then retry
+    if (
+      error.response?.status === 401 &&
+      original &&
+      !original._retry &&
+      !isAuthEndpoint(original.url)
+    ) {
+      original._retry = true;
+
+      if (isRefreshing) {
+        return new Promise((resolve, reject) => {
+          pendingQueue.push({ resolve, reject });
+        }).then(() => axiosInstance(original));
+      }
+
+      isRefreshing = true;
+      try {
+        await axiosInstance.post("/auth/refresh");
+        flushQueue(null);
+        return axiosInstance(original);
+      } catch (refreshError) {
+        flushQueue(refreshError);
+        // Let AuthContext decide what to do — no hard redirect here
+        window.dispatchEvent(new Event("auth:expired"));
+        return Promise.reject(refreshError);
+      } finally {
+        isRefreshing = false;
+      }
+    }
+
     // ✅ Centralized error handling for production
     if (error.response) {
       const { status } = error.response;
 
-      // Token expired or unauthorized
-      if (status === 401 || status === 403) {
-        console.warn("Unauthorized. Logging out...");
-        localStorage.removeItem("token"); // 🛠️ MODIFIED: Changed "accessToken" to "token"
-        // Optionally redirect to login
-        window.location.href = "/login";
-      }
-
       // Log server errors in production with controlled message
       if (status >= 500) {
         console.error("Server Error:", error.response.data?.message || error.message);
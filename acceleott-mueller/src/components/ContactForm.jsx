@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import { useFormGuard, HoneypotField } from "./FormGuard.jsx";
+import "./contactForm.css";
+
+const EMPTY_FORM = { name: "", email: "", message: "" };
+
+/**
+ * ✉️ Contact Form (footer "Contact" section)
+ * Messages land in the staff inbox (/admin/inbox) and the team is emailed.
+ */
+export default function ContactForm() {
+  const guard = useFormGuard("contact"); // spam protection
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [status, setStatus] = useState({ success: null, message: "" });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { name, email, message } = formData;
+    if (!name.trim() || !email.trim() || !message.trim()) {
+      setStatus({ success: false, message: "⚠️ Please fill in all fields." });
+      return;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setStatus({ success: false, message: "⚠️ Please enter a valid email address." });
+      return;
+    }
+
+    setLoading(true);
+    setStatus({ success: null, message: "Sending..." });
+    try {
+      const res = await guard.submit((fields) => api.post("/contact", { ...formData, ...fields }));
+      setStatus({ success: true, message: res?.data?.message || "✅ Message sent!" });
+      setFormData(EMPTY_FORM);
+    } catch (err) {
+      console.error("Contact message failed:", err);
+      setStatus({
+        success: false,
+        message: err?.response?.data?.message || "❌ Could not send your message. Please try again later.",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="contact-form" onSubmit={handleSubmit} noValidate>
+      <input
+        type="text"
+        name="name"
+        placeholder="Your name"
+        value={formData.name}
+        onChange={handleChange}
+        maxLength={100}
+        aria-label="Your name"
+      />
+      <input
+        type="email"
+        name="email"
+        placeholder="Your email"
+        value={formData.email}
+        onChange={handleChange}
+        aria-label="Your email"
+      />
+      <textarea
+        name="message"
+        placeholder="How can we help?"
+        rows={4}
+        value={formData.message}
+        onChange={handleChange}
+        maxLength={5000}
+        aria-label="Message"
+      />
+      <HoneypotField value={guard.honeypot} onChange={guard.setHoneypot} />
+      <button type="submit" disabled={loading}>
+        {loading ? "Sending..." : "Send message"}
+      </button>
+      {status.message && (
+        <p
+          className={`contact-form-status ${
+            status.success === true ? "success" : status.success === false ? "error" : ""
+          }`}
+          role="status"
+        >
+          {status.message}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import "./formGuard.css";
+
+const encoder = new TextEncoder();
+
+// Leading zero bits of a SHA-256 digest (same rule as backend/utils/proofOfWork.js)
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// Find n with sha256("<challenge>:<n>") starting with `difficulty` zero bits
+const solveChallenge = async ({ challenge, difficulty }) => {
+  for (let n = 0; ; n += 1) {
+    const digest = await crypto.subtle.digest("SHA-256", encoder.encode(`${challenge}:${n}`));
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) return String(n);
+  }
+};
+
+const fetchSolvedChallenge = async (form) => {
+  const res = await api.get(`/challenge/${form}`);
+  const { challenge, difficulty } = res.data.data;
+  return { challenge, challengeSolution: await solveChallenge({ challenge, difficulty }) };
+};
+
+/**
+ * 🧱 Form Guard
+ * Client half of the spam protection on public forms: fetches a
+ * proof-of-work challenge when the form mounts and solves it in the
+ * background while the visitor types. `submit` adds the solved challenge
+ * and the honeypot value to the request, retrying once with a fresh
+ * challenge if the server rejects it (expired tab, already used).
+ *
+ * @example
+ *   const guard = useFormGuard("demo");
+ *   await guard.submit((fields) => api.post("/demo", { ...formData, ...fields }));
+ *   <HoneypotField value={guard.honeypot} onChange={guard.setHoneypot} />
+ */
+export function useFormGuard(form) {
+  const [honeypot, setHoneypot] = useState("");
+  const pending = useRef(null); // Promise of { challenge, challengeSolution }
+
+  const prepare = useCallback(() => {
+    pending.current = fetchSolvedChallenge(form);
+    pending.current.catch((err) => console.error("Challenge failed:", err)); // surfaced on submit
+  }, [form]);
+
+  useEffect(prepare, [prepare]);
+
+  const submit = useCallback(
+    async (send) => {
+      const attempt = async () => send({ ...(await pending.current), website: honeypot });
+      try {
+        return await attempt();
+      } catch (err) {
+        if (err?.response?.data?.code !== "CHALLENGE_FAILED") throw err;
+        prepare();
+        return await attempt();
+      } finally {
+        prepare(); // challenges are single-use
+      }
+    },
+    [honeypot, prepare]
+  );
+
+  return { submit, honeypot, setHoneypot };
+}
+
+/**
+ * Hidden "website" input — people never see it, naive bots fill it in.
+ */
+export function HoneypotField({ value, onChange }) {
+  return (
+    <div className="honeypot" aria-hidden="true">
+      <label>
+        Website
+        <input
+          type="text"
+          name="website"
+          tabIndex={-1}
+          autoComplete="off"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      </label>
+    </div>
+  );
+}
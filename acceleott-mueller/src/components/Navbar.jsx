@@ -15,7 +15,15 @@ export default function Navbar() {
   const location = useLocation();
   const navigate = useNavigate();
 
-  const { isAuthenticated, logout, loading } = useContext(AuthContext);
+  const {
+    isAuthenticated,
+    hasPermission,
+    logout,
+    loading,
+    organizations,
+    activeOrganization,
+    switchOrganization,
+  } = useContext(AuthContext);
 
   // ✅ Don’t render navbar until auth state is known
   if (loading) return null;
@@ -219,9 +227,55 @@ export default function Navbar() {
           {!loading && (
             <>
               {isAuthenticated ? (
-                <button className="btn btn-ghost" onClick={handleLogout}>
-                  Logout
-                </button>
+                <>
+                  {hasPermission("demo:read") && (
+                    <Link className="btn btn-ghost" to="/admin/demo-requests">
+                      Demo Requests
+                    </Link>
+                  )}
+                  {hasPermission("demo:write") && (
+                    <Link className="btn btn-ghost" to="/admin/availability">
+                      Availability
+                    </Link>
+                  )}
+                  {hasPermission("inbox:manage") && (
+                    <Link className="btn btn-ghost" to="/admin/inbox">
+                      Inbox
+                    </Link>
+                  )}
+                  {hasPermission("webhooks:manage") && (
+                    <Link className="btn btn-ghost" to="/admin/webhooks">
+                      Webhooks
+                    </Link>
+                  )}
+                  {organizations.length > 1 && (
+                    <select
+                      className="btn btn-ghost org-switcher"
+                      aria-label="Switch organization"
+                      value={activeOrganization?.id || ""}
+                      onChange={(e) => switchOrganization(e.target.value)}
+                    >
+                      {!activeOrganization && <option value="">Select organization</option>}
+                      {organizations.map((org) => (
+                        <option key={org.id} value={org.id}>
+                          {org.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <Link className="btn btn-ghost" to="/account/organization">
+                    {organizations.length === 1 ? organizations[0].name : "Organization"}
+                  </Link>
+                  <Link className="btn btn-ghost" to="/account/settings">
+                    Account
+                  </Link>
+                  <Link className="btn btn-ghost" to="/account/security">
+                    Security
+                  </Link>
+                  <button className="btn btn-ghost" onClick={handleLogout}>
+                    Logout
+                  </button>
+                </>
               ) : (
                 <>
                   <Link className="btn btn-ghost" to="/login">
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import "./passwordStrength.css";
+
+const DEBOUNCE_MS = 300;
+
+/**
+ * 🔑 Password Strength Meter
+ * Live feedback while a password is typed. The rules (length, strength
+ * score, banned words, common-password list) live on the server so the
+ * meter and the register/reset/change endpoints always agree.
+ *
+ * Pass `name`/`email` (registration, account settings) or `resetToken`
+ * (reset page) so the user's own name and email are rejected too.
+ * `onResult` receives `{ valid, score, label, errors, suggestions }` or null.
+ */
+export default function PasswordStrengthMeter({ password, name, email, resetToken, onResult }) {
+  const [result, setResult] = useState(null);
+
+  // Latest callback without re-running the check when the parent re-renders
+  const onResultRef = useRef(onResult);
+  useEffect(() => {
+    onResultRef.current = onResult;
+  });
+
+  useEffect(() => {
+    if (!password) {
+      setResult(null);
+      onResultRef.current?.(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.post("/auth/password-strength", { password, name, email, resetToken });
+        if (cancelled) return;
+        setResult(res.data?.data || null);
+        onResultRef.current?.(res.data?.data || null);
+      } catch (err) {
+        // The server still enforces the policy on submit
+        console.error("Password strength check failed:", err);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [password, name, email, resetToken]);
+
+  if (!result) return null;
+
+  const hints = result.errors.length ? result.errors : result.suggestions;
+
+  return (
+    <div className="password-strength" aria-live="polite">
+      <div className="password-strength-bar">
+        {[0, 1, 2, 3].map((i) => (
+          <span key={i} className={i < Math.max(result.score, 1) ? `filled score-${result.score}` : ""} />
+        ))}
+      </div>
+      <p className={`password-strength-label score-${result.score}`}>
+        {result.label}
+        {result.valid ? " ✓" : ""}
+      </p>
+      {hints.length > 0 && (
+        <ul className="password-strength-hints">
+          {hints.map((hint) => (
+            <li key={hint} className={result.errors.length ? "error" : ""}>
+              {hint}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from "react";
+import {
+  getCountries,
+  getCountryCallingCode,
+  isValidPhoneNumber,
+  parsePhoneNumberFromString,
+} from "libphonenumber-js";
+import "./phoneInput.css";
+
+const regionNames = new Intl.DisplayNames(undefined, { type: "region" });
+
+// [{ code: "IN", label: "India (+91)" }, ...] by name
+const COUNTRIES = getCountries()
+  .map((code) => ({ code, label: `${regionNames.of(code) || code} (+${getCountryCallingCode(code)})` }))
+  .sort((a, b) => a.label.localeCompare(b.label));
+
+// Visitor's region from the browser language ("en-GB" → GB), else India
+const browserRegion = (navigator.language || "").split("-")[1]?.toUpperCase();
+export const DEFAULT_PHONE_COUNTRY = COUNTRIES.some((c) => c.code === browserRegion) ? browserRegion : "IN";
+
+/**
+ * Country-aware check before submitting (the API validates again).
+ */
+export const isValidPhone = (number, country) => {
+  try {
+    return isValidPhoneNumber(String(number || ""), country);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Stored E.164 ("+919876543210") → "+91 98765 43210"; anything else as-is.
+ */
+export const formatPhone = (value) =>
+  parsePhoneNumberFromString(String(value || ""))?.formatInternational() || value || "";
+
+/**
+ * 📞 Phone Input
+ * Country selector + number. Visitors type the number the way they
+ * know it ("98765 43210", or with a "+code"); the backend stores E.164.
+ */
+export default function PhoneInput({ country, onCountryChange, value, onChange, name, id, placeholder, required }) {
+  return (
+    <div className="phone-input">
+      <select value={country} onChange={(e) => onCountryChange(e.target.value)} aria-label="Country code">
+        {COUNTRIES.map((c) => (
+          <option key={c.code} value={c.code}>
+            {c.label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="tel"
+        id={id}
+        name={name}
+        placeholder={placeholder}
+        value={value}
+        onChange={onChange}
+        autoComplete="tel-national"
+        required={required}
+      />
+    </div>
+  );
+}
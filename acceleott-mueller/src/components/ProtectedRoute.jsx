@@ -0,0 +1,34 @@
+import React, { useContext } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+
+/**
+ * 🛡️ ProtectedRoute
+ * Wraps a page that needs a logged-in user and, optionally,
+ * specific roles or permissions.
+ *
+ * - Not logged in      → redirect to /login (returns here afterwards)
+ * - Missing role/perm  → redirect to `fallback` (home by default)
+ *
+ * @example
+ *   <ProtectedRoute permission="demo:read"><AdminDemoRequestsPage /></ProtectedRoute>
+ */
+export default function ProtectedRoute({ children, roles, permission, fallback = "/" }) {
+  const { isAuthenticated, hasRole, hasPermission, loading } = useContext(AuthContext);
+  const location = useLocation();
+
+  if (loading) return null;
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  const roleAllowed = !roles?.length || hasRole(...roles);
+  const permissionAllowed = !permission || hasPermission(permission);
+
+  if (!roleAllowed || !permissionAllowed) {
+    return <Navigate to={fallback} replace />;
+  }
+
+  return children;
+}
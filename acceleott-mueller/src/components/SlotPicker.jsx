@@ -0,0 +1,87 @@
+import React, { useEffect, useMemo, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import "./slotPicker.css";
+
+// The visitor's own timezone — slots come from the API as UTC instants
+export const VISITOR_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const dayLabel = new Intl.DateTimeFormat(undefined, { weekday: "short", day: "numeric", month: "short" });
+const timeLabel = new Intl.DateTimeFormat(undefined, { hour: "numeric", minute: "2-digit" });
+
+/**
+ * 📅 Slot Picker
+ * Free demo slots grouped by day, shown in the visitor's timezone.
+ * `value` / `onChange` carry the selected slot's ISO start time.
+ * `exclude` hides one start time (the current booking when rescheduling).
+ */
+export default function SlotPicker({ value, onChange, exclude }) {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [activeDay, setActiveDay] = useState("");
+
+  useEffect(() => {
+    api
+      .get("/bookings/slots", { params: { days: 14 } })
+      .then((res) => setSlots(res.data?.data || []))
+      .catch((err) => {
+        console.error("Failed to load slots:", err);
+        setError("Could not load available times.");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  // { "Mon, 26 Oct": [slot, ...] } in the visitor's local days
+  const days = useMemo(() => {
+    const grouped = new Map();
+    slots
+      .filter((slot) => slot.start !== exclude)
+      .forEach((slot) => {
+        const label = dayLabel.format(new Date(slot.start));
+        if (!grouped.has(label)) grouped.set(label, []);
+        grouped.get(label).push(slot);
+      });
+    return grouped;
+  }, [slots, exclude]);
+
+  const dayKeys = [...days.keys()];
+  const shownDay = days.has(activeDay) ? activeDay : dayKeys[0];
+
+  if (loading) return <p className="slot-picker-muted">Loading available times…</p>;
+  if (error) return <p className="slot-picker-muted">{error}</p>;
+  if (!dayKeys.length) return <p className="slot-picker-muted">No open times in the next two weeks.</p>;
+
+  return (
+    <div className="slot-picker">
+      <div className="slot-picker-days" role="tablist">
+        {dayKeys.map((day) => (
+          <button
+            key={day}
+            type="button"
+            role="tab"
+            aria-selected={day === shownDay}
+            className={day === shownDay ? "active" : ""}
+            onClick={() => setActiveDay(day)}
+          >
+            {day}
+          </button>
+        ))}
+      </div>
+
+      <div className="slot-picker-times">
+        {days.get(shownDay).map((slot) => (
+          <button
+            key={slot.start}
+            type="button"
+            className={slot.start === value ? "selected" : ""}
+            onClick={() => onChange(slot.start === value ? "" : slot.start)}
+          >
+            {timeLabel.format(new Date(slot.start))}
+          </button>
+        ))}
+      </div>
+
+      <p className="slot-picker-muted">Times shown in {VISITOR_TIMEZONE}.</p>
+    </div>
+  );
+}
@@ -1,89 +1,128 @@
 import React, { createContext, useState, useEffect, useCallback } from "react";
+import api from "@/api/axios";
 
 export const AuthContext = createContext();
 
 /**
  * Enhanced Production-ready AuthProvider
- * - Instantly reflects login/logout across components.
- * - Syncs across tabs and page reloads.
- * - Periodically validates tokens (for backend sessions).
+ * - Session lives in httpOnly cookies; state is derived from GET /auth/me.
+ * - Re-checks the session when the tab regains focus (keeps tabs in sync).
+ * - Periodically validates the session (the API layer refreshes tokens).
  * - Prevents UI flicker during initialization.
+ * - Tracks the user's organizations (clinic tenants) and the active one,
+ *   which the server keeps per session.
  */
 export const AuthProvider = ({ children }) => {
-  const [isAuthenticated, setIsAuthenticated] = useState(() => {
-    // ✅ Initialize from localStorage synchronously (prevents flicker)
-    const token = localStorage.getItem("token");
-    return !!(token && token.trim() !== "");
-  });
+  const [user, setUser] = useState(null);
+  const [organizations, setOrganizations] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  /** ✅ Always keep state in sync with localStorage */
+  /** ✅ Load the current user from the session cookie */
+  const refreshUser = useCallback(async () => {
+    try {
+      const res = await api.get("/auth/me");
+      setUser(res.data?.user || null);
+      return res.data?.user || null;
+    } catch {
+      setUser(null);
+      return null;
+    }
+  }, []);
+
+  /** ✅ Organizations the user belongs to (active one flagged by the server) */
+  const refreshOrganizations = useCallback(async () => {
+    try {
+      const res = await api.get("/orgs");
+      setOrganizations(res.data?.data || []);
+    } catch {
+      setOrganizations([]);
+    }
+  }, []);
+
   useEffect(() => {
-    const checkToken = () => {
-      const token = localStorage.getItem("token");
-      setIsAuthenticated(!!(token && token.trim() !== ""));
-    };
+    if (user?.id) refreshOrganizations();
+    else setOrganizations([]);
+  }, [user?.id, refreshOrganizations]);
 
-    // Initial check
-    checkToken();
-    setLoading(false);
+  /** ✅ Change the organization this session works in */
+  const switchOrganization = useCallback(
+    async (organizationId) => {
+      await api.post("/orgs/switch", { organizationId });
+      await Promise.all([refreshUser(), refreshOrganizations()]);
+    },
+    [refreshUser, refreshOrganizations]
+  );
 
-    // ✅ Listen for changes from other tabs/windows
-    const handleStorageChange = (e) => {
-      if (e.key === "token") {
-        checkToken();
-      }
+  /** ✅ Initial session check */
+  useEffect(() => {
+    refreshUser().finally(() => setLoading(false));
+  }, [refreshUser]);
+
+  /** ✅ Re-check when the tab becomes visible again (login/logout in another tab) */
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.visibilityState === "visible") refreshUser();
     };
 
-    window.addEventListener("storage", handleStorageChange);
-    return () => window.removeEventListener("storage", handleStorageChange);
-  }, []);
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, [refreshUser]);
 
   /** ✅ Central logout handler (used globally) */
-  const logout = useCallback(() => {
-    localStorage.removeItem("token");
-    setIsAuthenticated(false);
+  const logout = useCallback(async () => {
+    try {
+      await api.post("/auth/logout"); // revokes the server-side session
+    } catch (err) {
+      console.warn("Logout request failed:", err);
+    }
+    setUser(null);
     // Optional redirect
     window.location.href = "/login";
   }, []);
 
-  /** ✅ Token validation (runs every 10 minutes for security) */
+  /** ✅ Refresh failed in the API layer → session is gone, drop local state */
   useEffect(() => {
-    const validateToken = async () => {
-      const token = localStorage.getItem("token");
-      if (!token) return;
+    const handleExpired = () => setUser(null);
+
+    window.addEventListener("auth:expired", handleExpired);
+    return () => window.removeEventListener("auth:expired", handleExpired);
+  }, []);
 
-      // 🛠️ MODIFICATION: Determine the correct API base URL for deployment/development
-      const apiBase =
-        import.meta.env.VITE_API_BASE_URL?.trim() ||
-        (import.meta.env.DEV ? "http://localhost:5000/api" : "/api"); // Use relative path '/api' on Vercel
+  /** ✅ Session validation (every 10 minutes; a 401 triggers a silent refresh) */
+  useEffect(() => {
+    if (!user) return undefined;
 
+    const validateSession = async () => {
       try {
-        const res = await fetch(
-          `${apiBase}/auth/validate`, // Use the determined apiBase URL
-          {
-            headers: { Authorization: `Bearer ${token}` },
-          }
-        );
-        if (!res.ok) {
-          console.warn("Invalid token detected. Logging out...");
-          logout();
-        }
+        await api.get("/auth/validate");
       } catch (err) {
-        console.warn("Token validation error:", err);
-        logout();
+        console.warn("Session validation failed:", err);
       }
     };
 
-    const interval = setInterval(validateToken, 10 * 60 * 1000);
+    const interval = setInterval(validateSession, 10 * 60 * 1000);
     return () => clearInterval(interval);
-  }, [logout]);
+  }, [user]);
+
+  /** ✅ RBAC helpers (the server remains the source of truth) */
+  const hasRole = useCallback((...roles) => !!user && roles.includes(user.role), [user]);
+  const hasPermission = useCallback(
+    (permission) => !!user?.permissions?.includes(permission),
+    [user]
+  );
 
   return (
     <AuthContext.Provider
       value={{
-        isAuthenticated,
-        setIsAuthenticated,
+        user,
+        isAuthenticated: !!user,
+        organizations,
+        activeOrganization: organizations.find((o) => o.active) || null,
+        switchOrganization,
+        refreshOrganizations,
+        hasRole,
+        hasPermission,
+        refreshUser,
         logout,
         loading,
       }}
@@ -92,4 +131,4 @@ export const AuthProvider = ({ children }) => {
       {!loading && children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
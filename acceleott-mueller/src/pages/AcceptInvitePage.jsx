@@ -0,0 +1,102 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import { AuthContext } from "../context/AuthContext";
+import "./account.css";
+
+/**
+ * ✉️ Accept Invitation
+ * Landing page for the organization invitation email (/invite/:token).
+ * Signed-out visitors are sent to log in (or register) and come back here.
+ */
+export default function AcceptInvitePage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated, refreshOrganizations, refreshUser } = useContext(AuthContext);
+
+  const [invitation, setInvitation] = useState(null);
+  const [status, setStatus] = useState({ success: null, message: "" });
+  const [busy, setBusy] = useState(false);
+
+  // ✅ What is this invitation for?
+  useEffect(() => {
+    api
+      .get(`/orgs/invitations/${token}`)
+      .then((res) => setInvitation(res.data?.data || null))
+      .catch((err) =>
+        setStatus({
+          success: false,
+          message: err.response?.data?.message || "❌ This invitation is invalid or has expired.",
+        })
+      );
+  }, [token]);
+
+  const accept = async () => {
+    setBusy(true);
+    try {
+      const res = await api.post(`/orgs/invitations/${token}/accept`);
+      await Promise.all([refreshOrganizations(), refreshUser()]);
+      setStatus({ success: true, message: res.data?.message || "✅ Invitation accepted." });
+      setTimeout(() => navigate("/account/organization", { replace: true }), 1200);
+    } catch (err) {
+      setStatus({
+        success: false,
+        message: err.response?.data?.message || "❌ Could not accept the invitation.",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="account-page">
+      <div className="account-container">
+        <h2 className="account-title">Organization Invitation</h2>
+
+        {status.message && (
+          <div className={`alert ${status.success ? "success" : "error"}`} role="alert">
+            {status.message}
+          </div>
+        )}
+
+        {invitation && (
+          <div className="account-card">
+            <h3>Join {invitation.organization}</h3>
+            <p className="account-muted">
+              You’ve been invited as <strong>{invitation.role}</strong>. The invitation was
+              sent to <strong>{invitation.email}</strong> and expires on{" "}
+              {new Date(invitation.expiresAt).toLocaleDateString()}.
+            </p>
+
+            {isAuthenticated ? (
+              <>
+                {user?.email !== invitation.email && (
+                  <div className="alert warning" role="status">
+                    ⚠️ You’re signed in as {user?.email}. Sign in with {invitation.email} to
+                    accept this invitation.
+                  </div>
+                )}
+                <button
+                  type="button"
+                  className="account-btn"
+                  onClick={accept}
+                  disabled={busy || user?.email !== invitation.email}
+                >
+                  {busy ? "Joining..." : "Accept invitation"}
+                </button>
+              </>
+            ) : (
+              <p>
+                <Link to="/login" state={{ from: `/invite/${token}` }}>
+                  Log in
+                </Link>{" "}
+                or <Link to="/get-started">create an account</Link> with {invitation.email},
+                then open this link again.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
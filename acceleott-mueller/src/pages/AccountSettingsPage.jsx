@@ -0,0 +1,337 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import { AuthContext } from "../context/AuthContext";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import PhoneInput, { DEFAULT_PHONE_COUNTRY, formatPhone } from "../components/PhoneInput.jsx";
+import "./account.css";
+
+// Banners for the redirect from an email-change confirmation link
+const EMAIL_CHANGE_RESULTS = {
+  changed: { success: true, message: "✅ Your new email address is confirmed." },
+  taken: { success: false, message: "❌ That email address is already used by another account." },
+};
+
+/**
+ * ⚙️ Account Settings
+ * Profile details, email change (confirmed via a link to the new address),
+ * password change, and "your data" (export / account deletion).
+ */
+export default function AccountSettingsPage() {
+  const { user, refreshUser } = useContext(AuthContext);
+  const location = useLocation();
+
+  const [profile, setProfile] = useState({ name: "", phone: "", phoneCountry: DEFAULT_PHONE_COUNTRY, occupation: "" });
+  const [emailForm, setEmailForm] = useState({ email: "", currentPassword: "" });
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [deletePassword, setDeletePassword] = useState("");
+  const [status, setStatus] = useState({ success: null, message: "" });
+  const [busy, setBusy] = useState(false);
+
+  // ✅ Prefill from the signed-in user
+  useEffect(() => {
+    if (!user) return;
+    setProfile({
+      name: user.name || "",
+      phone: formatPhone(user.phone),
+      phoneCountry: user.phoneCountry || DEFAULT_PHONE_COUNTRY,
+      occupation: user.occupation || "",
+    });
+  }, [user]);
+
+  // ✅ Result of the email-change link (?email=changed|taken)
+  useEffect(() => {
+    const result = EMAIL_CHANGE_RESULTS[new URLSearchParams(location.search).get("email")];
+    if (result) setStatus(result);
+  }, [location.search]);
+
+  // ✅ Shared request wrapper
+  const run = async (request, onSuccess) => {
+    setBusy(true);
+    setStatus({ success: null, message: "" });
+    try {
+      const res = await request();
+      setStatus({ success: true, message: res.data?.message || "✅ Saved." });
+      await onSuccess?.(res.data);
+    } catch (err) {
+      console.error("Account settings action failed:", err);
+      setStatus({
+        success: false,
+        message: err.response?.data?.message || "❌ Something went wrong. Please try again.",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveProfile = (e) => {
+    e.preventDefault();
+    run(() => api.patch("/auth/me", profile), refreshUser);
+  };
+
+  const changeEmail = (e) => {
+    e.preventDefault();
+    run(
+      () => api.patch("/auth/me", emailForm),
+      async () => {
+        setEmailForm({ email: "", currentPassword: "" });
+        await refreshUser();
+      }
+    );
+  };
+
+  const cancelEmailChange = () =>
+    run(() => api.delete("/auth/me/pending-email"), refreshUser);
+
+  const changePassword = (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setStatus({ success: false, message: "❌ New passwords do not match." });
+      return;
+    }
+    run(
+      () =>
+        api.post("/auth/change-password", {
+          currentPassword: passwordForm.currentPassword,
+          newPassword: passwordForm.newPassword,
+        }),
+      () => setPasswordForm({ currentPassword: "", newPassword: "", confirmPassword: "" })
+    );
+  };
+
+  // ✅ Download the export as a file (cookie auth → fetch as blob, then save)
+  const downloadExport = (format) =>
+    run(async () => {
+      const res = await api.get("/auth/me/export", { params: { format }, responseType: "blob" });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `acceleott-data.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      return { data: { message: "✅ Your data export has been downloaded." } };
+    });
+
+  const requestDeletion = (e) => {
+    e.preventDefault();
+    const confirmed = window.confirm(
+      "Delete your account and all your data? You can cancel during the grace period."
+    );
+    if (!confirmed) return;
+    run(
+      () => api.post("/auth/me/deletion", { password: deletePassword }),
+      async () => {
+        setDeletePassword("");
+        await refreshUser();
+      }
+    );
+  };
+
+  const cancelDeletion = () => run(() => api.delete("/auth/me/deletion"), refreshUser);
+
+  return (
+    <section className="account-page">
+      <div className="account-container">
+        <h2 className="account-title">Account Settings</h2>
+
+        {user?.deletionScheduledFor && (
+          <div className="alert warning" role="alert">
+            ⚠️ Your account is scheduled for deletion on{" "}
+            <strong>{new Date(user.deletionScheduledFor).toLocaleDateString()}</strong>.{" "}
+            <button type="button" className="link-button" onClick={cancelDeletion} disabled={busy}>
+              Cancel deletion
+            </button>
+          </div>
+        )}
+
+        {status.message && (
+          <div className={`alert ${status.success ? "success" : "error"}`} role="alert">
+            {status.message}
+          </div>
+        )}
+
+        {/* ===== Profile ===== */}
+        <div className="account-card">
+          <h3>Profile</h3>
+          <form className="account-form" onSubmit={saveProfile}>
+            <label htmlFor="name">Full name</label>
+            <input
+              id="name"
+              type="text"
+              value={profile.name}
+              onChange={(e) => setProfile((p) => ({ ...p, name: e.target.value }))}
+              minLength={2}
+              maxLength={100}
+              required
+            />
+
+            <label htmlFor="phone">Contact number</label>
+            <PhoneInput
+              id="phone"
+              country={profile.phoneCountry}
+              onCountryChange={(phoneCountry) => setProfile((p) => ({ ...p, phoneCountry }))}
+              value={profile.phone}
+              onChange={(e) => setProfile((p) => ({ ...p, phone: e.target.value }))}
+            />
+
+            <label htmlFor="occupation">Occupation</label>
+            <input
+              id="occupation"
+              type="text"
+              value={profile.occupation}
+              onChange={(e) => setProfile((p) => ({ ...p, occupation: e.target.value }))}
+              maxLength={100}
+            />
+
+            <button type="submit" className="account-btn" disabled={busy}>
+              {busy ? "Saving..." : "Save changes"}
+            </button>
+          </form>
+        </div>
+
+        {/* ===== Email ===== */}
+        <div className="account-card">
+          <h3>Email address</h3>
+          <p className="account-muted">
+            Current: <strong>{user?.email}</strong>
+          </p>
+
+          {user?.pendingEmail && (
+            <div className="alert warning" role="status">
+              ⏳ Waiting for confirmation of <strong>{user.pendingEmail}</strong>. Click the
+              link we sent there — until then, your current address stays active.{" "}
+              <button
+                type="button"
+                className="link-button"
+                onClick={cancelEmailChange}
+                disabled={busy}
+              >
+                Cancel change
+              </button>
+            </div>
+          )}
+
+          <form className="account-form" onSubmit={changeEmail}>
+            <input
+              type="email"
+              placeholder="New email address"
+              value={emailForm.email}
+              onChange={(e) => setEmailForm((f) => ({ ...f, email: e.target.value }))}
+              required
+            />
+            <input
+              type="password"
+              placeholder="Current password"
+              value={emailForm.currentPassword}
+              onChange={(e) => setEmailForm((f) => ({ ...f, currentPassword: e.target.value }))}
+              required
+            />
+            <button type="submit" className="account-btn" disabled={busy}>
+              Send confirmation link
+            </button>
+          </form>
+        </div>
+
+        {/* ===== Password ===== */}
+        <div className="account-card">
+          <h3>Password</h3>
+          <p className="account-muted">
+            Changing your password signs you out on every other device.
+          </p>
+          <form className="account-form" onSubmit={changePassword}>
+            <input
+              type="password"
+              placeholder="Current password"
+              autoComplete="current-password"
+              value={passwordForm.currentPassword}
+              onChange={(e) =>
+                setPasswordForm((f) => ({ ...f, currentPassword: e.target.value }))
+              }
+              required
+            />
+            <input
+              type="password"
+              placeholder="New password"
+              autoComplete="new-password"
+              value={passwordForm.newPassword}
+              onChange={(e) => setPasswordForm((f) => ({ ...f, newPassword: e.target.value }))}
+              required
+            />
+            <PasswordStrengthMeter
+              password={passwordForm.newPassword}
+              name={user?.name}
+              email={user?.email}
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              autoComplete="new-password"
+              value={passwordForm.confirmPassword}
+              onChange={(e) =>
+                setPasswordForm((f) => ({ ...f, confirmPassword: e.target.value }))
+              }
+              required
+            />
+            <button type="submit" className="account-btn" disabled={busy}>
+              Update password
+            </button>
+          </form>
+          <p className="account-muted">
+            Forgot it? <Link to="/forgot-password">Reset your password by email</Link>.
+          </p>
+        </div>
+
+        {/* ===== Your Data ===== */}
+        <div className="account-card">
+          <h3>Your data</h3>
+          <p className="account-muted">
+            Download a copy of everything we store about you: your profile, demo
+            requests, sign-in sessions and security records.
+          </p>
+          <div className="session-actions">
+            <button
+              type="button"
+              className="account-btn"
+              onClick={() => downloadExport("json")}
+              disabled={busy}
+            >
+              Download JSON
+            </button>
+            <button
+              type="button"
+              className="account-btn"
+              onClick={() => downloadExport("zip")}
+              disabled={busy}
+            >
+              Download ZIP
+            </button>
+          </div>
+
+          {!user?.deletionScheduledFor && (
+            <form className="account-form" onSubmit={requestDeletion}>
+              <h4>Delete account</h4>
+              <p className="account-muted">
+                Your account is kept for a grace period and then permanently deleted
+                along with your data. Sign in and cancel any time before then.
+              </p>
+              <input
+                type="password"
+                placeholder="Current password"
+                value={deletePassword}
+                onChange={(e) => setDeletePassword(e.target.value)}
+                required
+              />
+              <button type="submit" className="account-btn danger" disabled={busy}>
+                Delete my account
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
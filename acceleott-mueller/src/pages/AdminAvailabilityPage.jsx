@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import { formatPhone } from "../components/PhoneInput.jsx";
+import "./admin.css";
+
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const SLOT_LENGTHS = [15, 30, 45, 60, 90, 120];
+const TIMEZONES = Intl.supportedValuesOf?.("timeZone") || [];
+
+const DEFAULT_AVAILABILITY = {
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+  weekly: [1, 2, 3, 4, 5].map((day) => ({ day, start: "10:00", end: "17:00" })),
+  slotMinutes: 30,
+  minNoticeHours: 12,
+  horizonDays: 21,
+  active: true,
+};
+
+/**
+ * 🕘 My Demo Availability (staff — wrapped in ProtectedRoute with demo:write)
+ * Weekly hours visitors can book demos into, plus upcoming booked demos.
+ */
+export default function AdminAvailabilityPage() {
+  const [availability, setAvailability] = useState(DEFAULT_AVAILABILITY);
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ success: null, text: "" });
+
+  const loadBookings = () =>
+    api
+      .get("/bookings/mine")
+      .then((res) => setBookings(res.data?.data || []))
+      .catch((err) => console.error("Failed to load bookings:", err));
+
+  useEffect(() => {
+    api
+      .get("/bookings/availability/me")
+      .then((res) => res.data?.data && setAvailability(res.data.data))
+      .catch((err) => {
+        console.error("Failed to load availability:", err);
+        setMessage({ success: false, text: "❌ Could not load your availability." });
+      })
+      .finally(() => setLoading(false));
+    loadBookings();
+  }, []);
+
+  const setField = (key, value) => setAvailability((a) => ({ ...a, [key]: value }));
+
+  const updateWindow = (index, key, value) =>
+    setField(
+      "weekly",
+      availability.weekly.map((w, i) => (i === index ? { ...w, [key]: value } : w))
+    );
+
+  const addWindow = (day) =>
+    setField("weekly", [...availability.weekly, { day, start: "10:00", end: "17:00" }]);
+
+  const removeWindow = (index) =>
+    setField("weekly", availability.weekly.filter((_, i) => i !== index));
+
+  const save = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await api.put("/bookings/availability/me", availability);
+      setAvailability(res.data?.data || availability);
+      setMessage({ success: true, text: res.data?.message || "✅ Availability saved." });
+    } catch (err) {
+      setMessage({
+        success: false,
+        text: err.response?.data?.message || "❌ Could not save your availability.",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancelBooking = async (id) => {
+    if (!window.confirm("Cancel this demo? The visitor will be emailed.")) return;
+    try {
+      const res = await api.post(`/bookings/${id}/cancel`);
+      setMessage({ success: true, text: res.data?.message || "✅ Booking cancelled." });
+      await loadBookings();
+    } catch (err) {
+      setMessage({
+        success: false,
+        text: err.response?.data?.message || "❌ Could not cancel the booking.",
+      });
+    }
+  };
+
+  return (
+    <section className="admin-page">
+      <div className="admin-container">
+        <h2 className="admin-title">My Demo Availability</h2>
+
+        {loading && <p className="admin-muted">Loading...</p>}
+        {message.text && (
+          <p className={`message ${message.success ? "success" : "error"}`}>{message.text}</p>
+        )}
+
+        {!loading && (
+          <form className="admin-availability" onSubmit={save}>
+            <div className="admin-filters">
+              <label>
+                Timezone{" "}
+                <select
+                  value={availability.timezone}
+                  onChange={(e) => setField("timezone", e.target.value)}
+                >
+                  {!TIMEZONES.includes(availability.timezone) && (
+                    <option value={availability.timezone}>{availability.timezone}</option>
+                  )}
+                  {TIMEZONES.map((tz) => (
+                    <option key={tz} value={tz}>
+                      {tz}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Slot length{" "}
+                <select
+                  value={availability.slotMinutes}
+                  onChange={(e) => setField("slotMinutes", Number(e.target.value))}
+                >
+                  {SLOT_LENGTHS.map((m) => (
+                    <option key={m} value={m}>
+                      {m} min
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Notice (hours){" "}
+                <input
+                  type="number"
+                  min={0}
+                  max={168}
+                  value={availability.minNoticeHours}
+                  onChange={(e) => setField("minNoticeHours", Number(e.target.value))}
+                />
+              </label>
+              <label>
+                Bookable days ahead{" "}
+                <input
+                  type="number"
+                  min={1}
+                  max={90}
+                  value={availability.horizonDays}
+                  onChange={(e) => setField("horizonDays", Number(e.target.value))}
+                />
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={availability.active}
+                  onChange={(e) => setField("active", e.target.checked)}
+                />{" "}
+                Accepting bookings
+              </label>
+            </div>
+
+            <table className="admin-table admin-availability-table">
+              <tbody>
+                {DAYS.map((dayName, day) => (
+                  <tr key={dayName}>
+                    <th>{dayName}</th>
+                    <td>
+                      {availability.weekly.every((w) => w.day !== day) && (
+                        <span className="admin-muted">Unavailable</span>
+                      )}
+                      {availability.weekly.map(
+                        (w, index) =>
+                          w.day === day && (
+                            <div key={index} className="admin-availability-window">
+                              <input
+                                type="time"
+                                value={w.start}
+                                onChange={(e) => updateWindow(index, "start", e.target.value)}
+                                aria-label={`${dayName} start`}
+                              />
+                              –
+                              <input
+                                type="time"
+                                value={w.end}
+                                onChange={(e) => updateWindow(index, "end", e.target.value)}
+                                aria-label={`${dayName} end`}
+                              />
+                              <button
+                                type="button"
+                                className="admin-btn secondary"
+                                onClick={() => removeWindow(index)}
+                              >
+                                Remove
+                              </button>
+                            </div>
+                          )
+                      )}
+                    </td>
+                    <td>
+                      <button type="button" className="admin-btn secondary" onClick={() => addWindow(day)}>
+                        + Hours
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <button type="submit" className="admin-btn" disabled={busy}>
+              {busy ? "Saving..." : "Save availability"}
+            </button>
+          </form>
+        )}
+
+        <h3 className="admin-subtitle">Upcoming demos</h3>
+        {bookings.length === 0 && <p className="admin-muted">No demos booked yet.</p>}
+        {bookings.length > 0 && (
+          <div className="admin-table-wrap">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Contact</th>
+                  <th>Visitor timezone</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {bookings.map((b) => (
+                  <tr key={b.id}>
+                    <td>{new Date(b.start).toLocaleString()}</td>
+                    <td>{b.demoRequest?.name}</td>
+                    <td>{b.demoRequest?.email}</td>
+                    <td>{formatPhone(b.demoRequest?.contact)}</td>
+                    <td>{b.visitorTimezone}</td>
+                    <td>
+                      <button type="button" className="admin-btn secondary" onClick={() => cancelBooking(b.id)}>
+                        Cancel
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,573 @@
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import { AuthContext } from "../context/AuthContext";
+import { formatPhone } from "../components/PhoneInput.jsx";
+import "./admin.css";
+
+const STATUSES = ["new", "contacted", "scheduled", "completed", "won", "lost"];
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { q: "", status: "", owner: "", from: "", to: "", duplicates: "", spam: "", sort: "" };
+
+// Columns offered by GET /admin/demo-requests/export
+const EXPORT_COLUMNS = [
+  "id",
+  "createdAt",
+  "name",
+  "email",
+  "contact",
+  "contactCountry",
+  "designation",
+  "status",
+  "owner",
+  "source",
+  "organization",
+  "notesCount",
+  "spamScore",
+  "leadScore",
+  "firstTouch",
+  "lastTouch",
+  "updatedAt",
+];
+
+// Lead score → pill colour
+const scoreBand = (score) => (score == null ? "" : score >= 60 ? "hot" : score >= 30 ? "warm" : "cold");
+
+// "google / cpc / spring-launch"
+const FOLLOW_UP_STOP_LABELS = {
+  status_changed: "stopped after the status changed",
+  unsubscribed: "stopped — requester unsubscribed",
+  merged: "stopped — lead merged",
+  completed: "all sent",
+};
+
+// "Follow-up emails: 2 sent, running" for the lead detail
+const followUpLabel = ({ active, sentSteps = [], stopReason, unsubscribedAt }) => {
+  if (!active && !stopReason) return unsubscribedAt ? "requester unsubscribed" : "";
+  const state = active ? "running" : FOLLOW_UP_STOP_LABELS[stopReason] || "stopped";
+  return `${sentSteps.length} sent, ${state}`;
+};
+
+const touchLabel = (touch) => (touch ? [touch.source, touch.medium, touch.campaign].filter(Boolean).join(" / ") : "");
+
+/**
+ * 🗂️ Demo Requests (staff only — wrapped in ProtectedRoute with demo:read)
+ * Sales pipeline: search and filter leads, then open one to change its
+ * status, assign an owner and keep internal notes (demo:write).
+ * "Possible duplicates" is the review queue: merge a lead into the
+ * earlier one or mark it as a different person. "Highest score" puts
+ * the most promising leads (utils/leadScoring.js on the API) first.
+ * "Quarantined" lists
+ * submissions the spam guard held back; release the real ones.
+ */
+export default function AdminDemoRequestsPage() {
+  const { hasPermission } = useContext(AuthContext);
+  const canEdit = hasPermission("demo:write");
+
+  const [requests, setRequests] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [owners, setOwners] = useState([]);
+  const [selected, setSelected] = useState(null); // detail of the open lead
+  const [note, setNote] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [exportColumns, setExportColumns] = useState(EXPORT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+
+  // ✅ Current page of leads for the applied filters
+  const loadRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await api.get("/demo", { params });
+      setRequests(res.data?.data || []);
+      setPagination(res.data?.pagination || { page: 1, pages: 1, total: 0 });
+      setError("");
+    } catch (err) {
+      console.error("Failed to load demo requests:", err);
+      setError(err.response?.data?.message || "❌ Could not load demo requests.");
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  useEffect(() => {
+    api
+      .get("/demo/owners")
+      .then((res) => setOwners(res.data?.data || []))
+      .catch((err) => console.error("Failed to load owners:", err));
+  }, []);
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  const openRequest = async (id) => {
+    try {
+      const res = await api.get(`/demo/${id}`);
+      setSelected(res.data?.data || null);
+      setNote("");
+    } catch (err) {
+      setError(err.response?.data?.message || "❌ Could not load the demo request.");
+    }
+  };
+
+  // ✅ Shared wrapper for changes to the open lead
+  const updateSelected = async (request) => {
+    setBusy(true);
+    try {
+      const res = await request();
+      setSelected(res.data?.data || null);
+      setError("");
+      await loadRequests();
+    } catch (err) {
+      console.error("Demo request update failed:", err);
+      setError(err.response?.data?.message || "❌ Could not update the demo request.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const changeStatus = (status) =>
+    updateSelected(() => api.patch(`/demo/${selected.id}`, { status }));
+
+  const changeOwner = (owner) =>
+    updateSelected(() => api.patch(`/demo/${selected.id}`, { owner: owner || null }));
+
+  const addNote = (e) => {
+    e.preventDefault();
+    updateSelected(async () => {
+      const res = await api.post(`/demo/${selected.id}/notes`, { body: note });
+      setNote("");
+      return res;
+    });
+  };
+
+  const toggleExportColumn = (column) =>
+    setExportColumns((columns) =>
+      columns.includes(column)
+        ? columns.filter((c) => c !== column)
+        : EXPORT_COLUMNS.filter((c) => c === column || columns.includes(c))
+    );
+
+  // ✅ Download the filtered leads (cookie auth → fetch as blob, then save)
+  const downloadExport = async (format) => {
+    setExporting(true);
+    try {
+      const params = { format, columns: exportColumns.join(",") };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await api.get("/admin/demo-requests/export", {
+        params,
+        responseType: "blob",
+        timeout: 0, // large exports stream for a while
+      });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `demo-requests.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Demo export failed:", err);
+      setError("❌ Could not export demo requests.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const mergeInto = (target) => {
+    const confirmed = window.confirm(
+      `Merge this lead into ${target.name} <${target.email}>? Its notes and history move to that lead.`
+    );
+    if (!confirmed) return;
+    updateSelected(() => api.post(`/demo/${selected.id}/merge`, { into: target.id }));
+  };
+
+  const dismissDuplicates = () =>
+    updateSelected(() => api.post(`/demo/${selected.id}/duplicates/dismiss`));
+
+  const releaseFromQuarantine = () => updateSelected(() => api.post(`/demo/${selected.id}/release`));
+
+  const setFilter = (key) => (e) => setFilters((f) => ({ ...f, [key]: e.target.value }));
+
+  return (
+    <section className="admin-page">
+      <div className="admin-container">
+        <h2 className="admin-title">Demo Requests</h2>
+
+        {/* ===== Filters ===== */}
+        <form className="admin-filters" onSubmit={applyFilters}>
+          <input
+            type="search"
+            placeholder="Search name, email, phone…"
+            value={filters.q}
+            onChange={setFilter("q")}
+          />
+          <select value={filters.status} onChange={setFilter("status")} aria-label="Status">
+            <option value="">All statuses</option>
+            {STATUSES.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+          <select value={filters.owner} onChange={setFilter("owner")} aria-label="Owner">
+            <option value="">Any owner</option>
+            <option value="me">Mine</option>
+            <option value="unassigned">Unassigned</option>
+            {owners.map((o) => (
+              <option key={o.id} value={o.id}>
+                {o.name}
+              </option>
+            ))}
+          </select>
+          <select value={filters.duplicates} onChange={setFilter("duplicates")} aria-label="Duplicates">
+            <option value="">All leads</option>
+            <option value="pending">Possible duplicates</option>
+          </select>
+          <select value={filters.spam} onChange={setFilter("spam")} aria-label="Spam">
+            <option value="">Pipeline</option>
+            <option value="quarantined">Quarantined as spam</option>
+          </select>
+          <select value={filters.sort} onChange={setFilter("sort")} aria-label="Sort">
+            <option value="">Newest first</option>
+            <option value="oldest">Oldest first</option>
+            <option value="score">Highest score</option>
+          </select>
+          <input type="date" value={filters.from} onChange={setFilter("from")} aria-label="From" />
+          <input type="date" value={filters.to} onChange={setFilter("to")} aria-label="To" />
+          <button type="submit" className="admin-btn">
+            Apply
+          </button>
+          <button type="button" className="admin-btn secondary" onClick={resetFilters}>
+            Reset
+          </button>
+        </form>
+
+        {/* ===== Export (uses the applied filters) ===== */}
+        <details className="admin-export">
+          <summary>Export</summary>
+          <div className="admin-export-columns">
+            {EXPORT_COLUMNS.map((column) => (
+              <label key={column}>
+                <input
+                  type="checkbox"
+                  checked={exportColumns.includes(column)}
+                  onChange={() => toggleExportColumn(column)}
+                />{" "}
+                {column}
+              </label>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="admin-btn"
+            onClick={() => downloadExport("csv")}
+            disabled={exporting || !exportColumns.length}
+          >
+            CSV
+          </button>{" "}
+          <button
+            type="button"
+            className="admin-btn"
+            onClick={() => downloadExport("xlsx")}
+            disabled={exporting || !exportColumns.length}
+          >
+            Excel
+          </button>
+          {exporting && <span className="admin-muted"> Preparing export…</span>}
+        </details>
+
+        {loading && <p className="admin-muted">Loading...</p>}
+        {error && <p className="message error">{error}</p>}
+
+        {!loading && !error && requests.length === 0 && (
+          <p className="admin-muted">No demo requests match these filters.</p>
+        )}
+
+        {requests.length > 0 && (
+          <div className="admin-table-wrap">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Score</th>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Contact</th>
+                  <th>Designation</th>
+                  <th>Status</th>
+                  <th>Owner</th>
+                  <th>Received</th>
+                </tr>
+              </thead>
+              <tbody>
+                {requests.map((r) => (
+                  <tr
+                    key={r.id}
+                    className={selected?.id === r.id ? "selected" : ""}
+                    onClick={() => openRequest(r.id)}
+                  >
+                    <td>
+                      <span className={`score-pill ${scoreBand(r.leadScore)}`}>{r.leadScore ?? "–"}</span>
+                    </td>
+                    <td>
+                      {r.name}
+                      {r.duplicateReview === "pending" && <span className="lead-badge warn">duplicate?</span>}
+                      {r.user && <span className="lead-badge">registered</span>}
+                      {r.spam?.quarantined && <span className="lead-badge danger">spam {r.spam.score}</span>}
+                    </td>
+                    <td>
+                      <a href={`mailto:${r.email}`} onClick={(e) => e.stopPropagation()}>
+                        {r.email}
+                      </a>
+                    </td>
+                    <td>{formatPhone(r.contact)}</td>
+                    <td>{r.designation}</td>
+                    <td>
+                      <span className={`status-pill ${r.status}`}>{r.status}</span>
+                    </td>
+                    <td>{r.owner?.name || <span className="admin-muted">—</span>}</td>
+                    <td>{new Date(r.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="admin-pagination">
+            <button
+              type="button"
+              className="admin-btn secondary"
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+            >
+              ← Previous
+            </button>
+            <span className="admin-muted">
+              Page {pagination.page} of {pagination.pages} · {pagination.total} leads
+            </span>
+            <button
+              type="button"
+              className="admin-btn secondary"
+              onClick={() => setPage((p) => p + 1)}
+              disabled={page >= pagination.pages}
+            >
+              Next →
+            </button>
+          </div>
+        )}
+
+        {/* ===== Lead detail ===== */}
+        {selected && (
+          <div className="admin-detail">
+            <div className="admin-detail-header">
+              <h3>
+                {selected.name} <span className={`status-pill ${selected.status}`}>{selected.status}</span>
+              </h3>
+              <button type="button" className="admin-btn secondary" onClick={() => setSelected(null)}>
+                Close
+              </button>
+            </div>
+            <p className="admin-muted">
+              {selected.email} · {formatPhone(selected.contact)} · {selected.designation} · received{" "}
+              {new Date(selected.createdAt).toLocaleString()}
+            </p>
+            {selected.attribution?.firstTouch && (
+              <p className="admin-muted">
+                Came from {touchLabel(selected.attribution.firstTouch)}
+                {touchLabel(selected.attribution.lastTouch) !== touchLabel(selected.attribution.firstTouch) &&
+                  `, last via ${touchLabel(selected.attribution.lastTouch)}`}
+                {selected.attribution.firstTouch.landingPage && ` · landed on ${selected.attribution.firstTouch.landingPage}`}
+              </p>
+            )}
+            {selected.followUp && followUpLabel(selected.followUp) && (
+              <p className="admin-muted">Follow-up emails: {followUpLabel(selected.followUp)}</p>
+            )}
+
+            {selected.leadScore != null && (
+              <div className="admin-score">
+                <span className={`score-pill ${scoreBand(selected.leadScore)}`}>{selected.leadScore}</span>
+                {selected.scoreExplanation.length > 0 ? (
+                  <ul>
+                    {selected.scoreExplanation.map((item) => (
+                      <li key={item.rule}>
+                        {item.points > 0 ? "+" : ""}
+                        {item.points} · {item.label}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <span className="admin-muted">No scoring rule matched.</span>
+                )}
+              </div>
+            )}
+
+            {selected.mergedInto && (
+              <p className="message error">This lead was merged into another one and is read-only.</p>
+            )}
+
+            {selected.spam?.quarantined && (
+              <div className="admin-quarantine">
+                <span>
+                  Held back as likely spam (score {selected.spam.score}
+                  {selected.spam.signals.length > 0 && `: ${selected.spam.signals.join(", ")}`}).
+                </span>
+                {canEdit && (
+                  <button type="button" className="admin-btn" onClick={releaseFromQuarantine} disabled={busy}>
+                    Not spam — release
+                  </button>
+                )}
+              </div>
+            )}
+
+            {selected.possibleDuplicates.length > 0 && (
+              <div className="admin-duplicates">
+                <h4>
+                  Possible duplicates
+                  {selected.duplicateReview === "dismissed" && (
+                    <span className="admin-muted"> · reviewed, not a duplicate</span>
+                  )}
+                </h4>
+                <ul>
+                  {selected.possibleDuplicates.map((d) => (
+                    <li key={d.demoRequest.id}>
+                      <span>
+                        <strong>{d.demoRequest.name}</strong> · {d.demoRequest.email} · {formatPhone(d.demoRequest.contact)} ·{" "}
+                        <span className={`status-pill ${d.demoRequest.status}`}>{d.demoRequest.status}</span>
+                        <br />
+                        <small className="admin-muted">
+                          {Math.round(d.score * 100)}% match ({d.reasons.join(", ")}) · received{" "}
+                          {new Date(d.demoRequest.createdAt).toLocaleString()}
+                        </small>
+                      </span>
+                      {canEdit && !selected.mergedInto && (
+                        <button
+                          type="button"
+                          className="admin-btn"
+                          onClick={() => mergeInto(d.demoRequest)}
+                          disabled={busy}
+                        >
+                          Merge into this lead
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {canEdit && selected.duplicateReview === "pending" && (
+                  <button type="button" className="admin-btn secondary" onClick={dismissDuplicates} disabled={busy}>
+                    Not a duplicate
+                  </button>
+                )}
+              </div>
+            )}
+
+            {canEdit && !selected.mergedInto && (
+              <div className="admin-detail-actions">
+                {selected.nextStatuses.map((status) => (
+                  <button
+                    key={status}
+                    type="button"
+                    className="admin-btn"
+                    onClick={() => changeStatus(status)}
+                    disabled={busy}
+                  >
+                    Mark {status}
+                  </button>
+                ))}
+                <select
+                  value={selected.owner?.id || ""}
+                  onChange={(e) => changeOwner(e.target.value)}
+                  disabled={busy}
+                  aria-label="Assign owner"
+                >
+                  <option value="">Unassigned</option>
+                  {owners.map((o) => (
+                    <option key={o.id} value={o.id}>
+                      {o.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <h4>Notes</h4>
+            {selected.notes.length === 0 && <p className="admin-muted">No notes yet.</p>}
+            <ul className="admin-notes">
+              {selected.notes.map((n) => (
+                <li key={n.id}>
+                  <p>{n.body}</p>
+                  <small className="admin-muted">
+                    {n.authorName || "Unknown"} · {new Date(n.createdAt).toLocaleString()}
+                  </small>
+                </li>
+              ))}
+            </ul>
+
+            {canEdit && !selected.mergedInto && (
+              <form className="admin-note-form" onSubmit={addNote}>
+                <textarea
+                  placeholder="Add an internal note…"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  maxLength={5000}
+                  rows={3}
+                  required
+                />
+                <button type="submit" className="admin-btn" disabled={busy || !note.trim()}>
+                  Add note
+                </button>
+              </form>
+            )}
+
+            <h4>History</h4>
+            <ul className="admin-history">
+              {selected.statusHistory.map((h, i) => (
+                <li key={`${h.to}-${i}`} className="admin-muted">
+                  {new Date(h.changedAt).toLocaleString()} — {h.from ? `${h.from} → ` : ""}
+                  {h.to}
+                </li>
+              ))}
+            </ul>
+
+            {selected.mergedFrom.length > 0 && (
+              <>
+                <h4>Merged leads</h4>
+                <ul className="admin-history">
+                  {selected.mergedFrom.map((m) => (
+                    <li key={m.demoRequest} className="admin-muted">
+                      {m.name} · {m.email} · {formatPhone(m.contact)} — received {new Date(m.submittedAt).toLocaleString()},
+                      last status {m.status || "new"}, merged {new Date(m.mergedAt).toLocaleString()}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,268 @@
+import React, { useCallback, useEffect, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import "./admin.css";
+
+const PAGE_SIZE = 25;
+
+// Inbox = everything not archived (the API default)
+const VIEWS = [
+  { key: "", label: "Inbox" },
+  { key: "unread", label: "Unread" },
+  { key: "archived", label: "Archived" },
+  { key: "spam", label: "Spam" },
+];
+
+const viewParams = (view) =>
+  view === "spam" ? { spam: "quarantined" } : view ? { status: view } : {};
+
+/**
+ * 📬 Contact Inbox (staff — wrapped in ProtectedRoute with inbox:manage)
+ * Messages from the website contact form: read / unread / archived,
+ * and replies emailed to the sender in one thread.
+ */
+export default function AdminInboxPage() {
+  const [messages, setMessages] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [unread, setUnread] = useState(0);
+  const [view, setView] = useState("");
+  const [q, setQ] = useState("");
+  const [appliedQ, setAppliedQ] = useState(""); // searched on submit, not per keystroke
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [reply, setReply] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ success: null, text: "" });
+
+  const loadMessages = useCallback(
+    () =>
+      api
+        .get("/contact/messages", {
+          params: { page, limit: PAGE_SIZE, ...viewParams(view), ...(appliedQ && { q: appliedQ }) },
+        })
+        .then((res) => {
+          setMessages(res.data?.data || []);
+          setUnread(res.data?.unread || 0);
+          setPagination(res.data?.pagination || { page: 1, pages: 1, total: 0 });
+        })
+        .catch((err) => {
+          console.error("Failed to load inbox:", err);
+          setMessage({ success: false, text: "❌ Could not load the inbox." });
+        })
+        .finally(() => setLoading(false)),
+    [view, page, appliedQ]
+  );
+
+  useEffect(() => {
+    loadMessages();
+  }, [loadMessages]);
+
+  const fail = (err, fallback) =>
+    setMessage({ success: false, text: err.response?.data?.message || fallback });
+
+  const openMessage = async (id) => {
+    try {
+      const res = await api.get(`/contact/messages/${id}`);
+      setSelected(res.data.data);
+      setReply("");
+      await loadMessages(); // opening marks it read
+    } catch (err) {
+      fail(err, "❌ Could not open the message.");
+    }
+  };
+
+  const setStatus = async (status) => {
+    setBusy(true);
+    try {
+      const res = await api.patch(`/contact/messages/${selected.id}`, { status });
+      setSelected(res.data.data);
+      await loadMessages();
+    } catch (err) {
+      fail(err, "❌ Could not update the message.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await api.post(`/contact/messages/${selected.id}/replies`, { body: reply });
+      setSelected(res.data.data);
+      setReply("");
+      setMessage({ success: true, text: res.data?.message || "✅ Reply sent." });
+      await loadMessages();
+    } catch (err) {
+      fail(err, "❌ Could not send the reply.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const search = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedQ(q.trim());
+  };
+
+  return (
+    <section className="admin-page">
+      <div className="admin-container">
+        <h2 className="admin-title">Inbox {unread > 0 && <span className="lead-badge">{unread} unread</span>}</h2>
+
+        {message.text && (
+          <p className={`message ${message.success ? "success" : "error"}`}>{message.text}</p>
+        )}
+
+        <form className="admin-filters" onSubmit={search}>
+          <select
+            value={view}
+            onChange={(e) => {
+              setView(e.target.value);
+              setPage(1);
+              setSelected(null);
+            }}
+            aria-label="Folder"
+          >
+            {VIEWS.map((v) => (
+              <option key={v.key} value={v.key}>
+                {v.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="search"
+            placeholder="Search name, email or message"
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+          />
+          <button type="submit" className="admin-btn secondary">
+            Search
+          </button>
+        </form>
+
+        {loading && <p className="admin-muted">Loading...</p>}
+        {!loading && messages.length === 0 && <p className="admin-muted">No messages here.</p>}
+        {messages.length > 0 && (
+          <div className="admin-table-wrap">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>From</th>
+                  <th>Message</th>
+                  <th>Received</th>
+                </tr>
+              </thead>
+              <tbody>
+                {messages.map((m) => (
+                  <tr
+                    key={m.id}
+                    className={`${selected?.id === m.id ? "selected" : ""} ${m.status === "unread" ? "admin-unread" : ""}`}
+                    onClick={() => openMessage(m.id)}
+                  >
+                    <td>
+                      {m.name}
+                      <div className="admin-muted">{m.email}</div>
+                    </td>
+                    <td>
+                      {m.preview}
+                      {m.repliesCount > 0 && <span className="lead-badge">replied</span>}
+                      {m.status === "archived" && <span className="lead-badge warn">archived</span>}
+                      {m.spam && <span className="lead-badge danger">spam {m.spam.score}</span>}
+                    </td>
+                    <td>{new Date(m.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="admin-pagination">
+            <button
+              type="button"
+              className="admin-btn secondary"
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+            >
+              ← Previous
+            </button>
+            <span className="admin-muted">
+              Page {pagination.page} of {pagination.pages} · {pagination.total} messages
+            </span>
+            <button
+              type="button"
+              className="admin-btn secondary"
+              onClick={() => setPage((p) => p + 1)}
+              disabled={page >= pagination.pages}
+            >
+              Next →
+            </button>
+          </div>
+        )}
+
+        {/* ===== Message detail ===== */}
+        {selected && (
+          <div className="admin-detail">
+            <div className="admin-detail-header">
+              <h3>{selected.name}</h3>
+              <span className="status-pill">{selected.status}</span>
+            </div>
+            <p className="admin-muted">
+              <a href={`mailto:${selected.email}`}>{selected.email}</a> · received{" "}
+              {new Date(selected.createdAt).toLocaleString()}
+            </p>
+
+            <div className="admin-detail-actions">
+              {selected.status !== "unread" && (
+                <button type="button" className="admin-btn secondary" onClick={() => setStatus("unread")} disabled={busy}>
+                  Mark unread
+                </button>
+              )}
+              {selected.status === "archived" ? (
+                <button type="button" className="admin-btn secondary" onClick={() => setStatus("read")} disabled={busy}>
+                  Move to inbox
+                </button>
+              ) : (
+                <button type="button" className="admin-btn secondary" onClick={() => setStatus("archived")} disabled={busy}>
+                  Archive
+                </button>
+              )}
+            </div>
+
+            <ul className="admin-notes">
+              <li>
+                <p>{selected.message}</p>
+                <small className="admin-muted">{selected.name}</small>
+              </li>
+              {selected.replies.map((r) => (
+                <li key={r.id} className="admin-reply">
+                  <p>{r.body}</p>
+                  <small className="admin-muted">
+                    {r.authorName || "Unknown"} · {new Date(r.createdAt).toLocaleString()}
+                  </small>
+                </li>
+              ))}
+            </ul>
+
+            <form className="admin-note-form" onSubmit={sendReply}>
+              <textarea
+                placeholder={`Reply to ${selected.email}…`}
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                maxLength={10000}
+                rows={5}
+                required
+              />
+              <button type="submit" className="admin-btn" disabled={busy || !reply.trim()}>
+                {busy ? "Sending..." : "Send reply"}
+              </button>
+            </form>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,416 @@
+import React, { useCallback, useEffect, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import "./admin.css";
+
+const EMPTY_FORM = { url: "", description: "", events: [] };
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const lastAttempt = (delivery) => delivery.attempts[delivery.attempts.length - 1];
+
+const attemptResult = (attempt) =>
+  attempt.statusCode ? `HTTP ${attempt.statusCode}` : attempt.error || "No response";
+
+/**
+ * 🪝 Webhooks (admin — wrapped in ProtectedRoute with webhooks:manage)
+ * Register endpoints for platform events, then inspect every delivery
+ * attempt and replay deliveries the receiver missed.
+ */
+export default function AdminWebhooksPage() {
+  const [endpoints, setEndpoints] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [secret, setSecret] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [statusFilter, setStatusFilter] = useState("");
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ success: null, text: "" });
+
+  const loadEndpoints = () =>
+    api
+      .get("/admin/webhooks")
+      .then((res) => {
+        setEndpoints(res.data?.data || []);
+        setEvents(res.data?.events || []);
+      })
+      .catch((err) => {
+        console.error("Failed to load webhooks:", err);
+        setMessage({ success: false, text: "❌ Could not load webhooks." });
+      })
+      .finally(() => setLoading(false));
+
+  const selectedId = selected?.id;
+  const loadDeliveries = useCallback(() => {
+    if (!selectedId) return Promise.resolve();
+    return api
+      .get(`/admin/webhooks/${selectedId}/deliveries`, {
+        params: { page, ...(statusFilter && { status: statusFilter }) },
+      })
+      .then((res) => {
+        setDeliveries(res.data?.data || []);
+        setPagination(res.data?.pagination || { page: 1, pages: 1 });
+      })
+      .catch((err) => console.error("Failed to load deliveries:", err));
+  }, [selectedId, statusFilter, page]);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, []);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const fail = (err, fallback) =>
+    setMessage({ success: false, text: err.response?.data?.message || fallback });
+
+  const toggleEvent = (event) =>
+    setForm((f) => ({
+      ...f,
+      events: f.events.includes(event) ? f.events.filter((e) => e !== event) : [...f.events, event],
+    }));
+
+  const create = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await api.post("/admin/webhooks", form);
+      setSecret({ url: res.data.data.url, value: res.data.data.secret });
+      setForm(EMPTY_FORM);
+      setMessage({ success: true, text: res.data?.message || "✅ Webhook created." });
+      await loadEndpoints();
+    } catch (err) {
+      fail(err, "❌ Could not create the webhook.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const update = async (endpoint, changes) => {
+    try {
+      const res = await api.patch(`/admin/webhooks/${endpoint.id}`, changes);
+      setMessage({ success: true, text: res.data?.message || "✅ Webhook updated." });
+      await loadEndpoints();
+    } catch (err) {
+      fail(err, "❌ Could not update the webhook.");
+    }
+  };
+
+  const remove = async (endpoint) => {
+    if (!window.confirm(`Delete the webhook for ${endpoint.url}? Its delivery log is deleted too.`)) return;
+    try {
+      const res = await api.delete(`/admin/webhooks/${endpoint.id}`);
+      setMessage({ success: true, text: res.data?.message || "✅ Webhook deleted." });
+      if (selected?.id === endpoint.id) setSelected(null);
+      await loadEndpoints();
+    } catch (err) {
+      fail(err, "❌ Could not delete the webhook.");
+    }
+  };
+
+  const rotate = async (endpoint) => {
+    if (!window.confirm("Rotate the signing secret? The receiver must switch to the new one right away.")) return;
+    try {
+      const res = await api.post(`/admin/webhooks/${endpoint.id}/rotate-secret`);
+      setSecret({ url: endpoint.url, value: res.data.data.secret });
+      setMessage({ success: true, text: res.data?.message || "✅ Secret rotated." });
+    } catch (err) {
+      fail(err, "❌ Could not rotate the secret.");
+    }
+  };
+
+  const sendTest = async (endpoint) => {
+    try {
+      const res = await api.post(`/admin/webhooks/${endpoint.id}/test`);
+      const attempt = lastAttempt(res.data.data);
+      setMessage({
+        success: res.data.data.status === "succeeded",
+        text: `${res.data?.message} (${attemptResult(attempt)})`,
+      });
+      await loadEndpoints();
+      if (selected?.id === endpoint.id) await loadDeliveries();
+    } catch (err) {
+      fail(err, "❌ Could not send the test event.");
+    }
+  };
+
+  const replay = async (delivery) => {
+    try {
+      const res = await api.post(`/admin/webhooks/deliveries/${delivery.id}/replay`);
+      setMessage({
+        success: res.data.data.status === "succeeded",
+        text: res.data?.message || "✅ Delivery replayed.",
+      });
+      await loadDeliveries();
+    } catch (err) {
+      fail(err, "❌ Could not replay the delivery.");
+    }
+  };
+
+  const showDeliveries = (endpoint) => {
+    setSelected(endpoint);
+    setStatusFilter("");
+    setPage(1);
+    setExpanded(null);
+  };
+
+  return (
+    <section className="admin-page">
+      <div className="admin-container">
+        <h2 className="admin-title">Webhooks</h2>
+
+        {message.text && (
+          <p className={`message ${message.success ? "success" : "error"}`}>{message.text}</p>
+        )}
+
+        {secret && (
+          <div className="admin-secret">
+            <p>
+              Signing secret for <strong>{secret.url}</strong> — copy it now, it won’t be shown again.
+              Verify the <code>X-Acceleott-Signature</code> header (<code>t=…,v1=…</code>) as
+              HMAC-SHA256 of <code>{"<t>.<raw body>"}</code>.
+            </p>
+            <code className="admin-secret-value">{secret.value}</code>
+            <button type="button" className="admin-btn secondary" onClick={() => setSecret(null)}>
+              Done
+            </button>
+          </div>
+        )}
+
+        <form className="admin-webhook-form" onSubmit={create}>
+          <div className="admin-filters">
+            <input
+              type="url"
+              placeholder="https://example.com/webhooks/acceleott"
+              value={form.url}
+              onChange={(e) => setForm((f) => ({ ...f, url: e.target.value }))}
+              required
+            />
+            <input
+              type="text"
+              placeholder="Description (optional)"
+              value={form.description}
+              onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))}
+              maxLength={200}
+            />
+          </div>
+          <div className="admin-export-columns">
+            {events.map((event) => (
+              <label key={event}>
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                />{" "}
+                {event}
+              </label>
+            ))}
+          </div>
+          <button type="submit" className="admin-btn" disabled={busy || !form.events.length}>
+            {busy ? "Adding..." : "Add webhook"}
+          </button>
+        </form>
+
+        {loading && <p className="admin-muted">Loading...</p>}
+        {!loading && endpoints.length === 0 && <p className="admin-muted">No webhooks registered yet.</p>}
+        {endpoints.length > 0 && (
+          <div className="admin-table-wrap">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Endpoint</th>
+                  <th>Events</th>
+                  <th>Last delivery</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {endpoints.map((endpoint) => (
+                  <tr key={endpoint.id} className={selected?.id === endpoint.id ? "selected" : ""}>
+                    <td>
+                      {endpoint.url}
+                      {!endpoint.active && <span className="lead-badge warn">disabled</span>}
+                      {endpoint.description && <div className="admin-muted">{endpoint.description}</div>}
+                    </td>
+                    <td>{endpoint.events.join(", ")}</td>
+                    <td>
+                      {endpoint.lastDeliveryAt ? (
+                        <>
+                          <span className={`status-pill ${endpoint.lastDeliveryStatus}`}>
+                            {endpoint.lastDeliveryStatus}
+                          </span>{" "}
+                          {new Date(endpoint.lastDeliveryAt).toLocaleString()}
+                        </>
+                      ) : (
+                        <span className="admin-muted">Never</span>
+                      )}
+                    </td>
+                    <td className="admin-webhook-actions">
+                      <button type="button" className="admin-btn" onClick={() => showDeliveries(endpoint)}>
+                        Deliveries
+                      </button>
+                      <button
+                        type="button"
+                        className="admin-btn secondary"
+                        onClick={() => sendTest(endpoint)}
+                        disabled={!endpoint.active}
+                      >
+                        Send test
+                      </button>
+                      <button
+                        type="button"
+                        className="admin-btn secondary"
+                        onClick={() => update(endpoint, { active: !endpoint.active })}
+                      >
+                        {endpoint.active ? "Disable" : "Enable"}
+                      </button>
+                      <button type="button" className="admin-btn secondary" onClick={() => rotate(endpoint)}>
+                        Rotate secret
+                      </button>
+                      <button type="button" className="admin-btn secondary" onClick={() => remove(endpoint)}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {selected && (
+          <>
+            <h3 className="admin-subtitle">Deliveries — {selected.url}</h3>
+            <div className="admin-filters">
+              <select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setPage(1);
+                }}
+                aria-label="Filter by delivery status"
+              >
+                <option value="">All statuses</option>
+                {DELIVERY_STATUSES.map((s) => (
+                  <option key={s} value={s}>
+                    {s}
+                  </option>
+                ))}
+              </select>
+              <button type="button" className="admin-btn secondary" onClick={loadDeliveries}>
+                Refresh
+              </button>
+            </div>
+
+            {deliveries.length === 0 && <p className="admin-muted">No deliveries yet.</p>}
+            {deliveries.length > 0 && (
+              <div className="admin-table-wrap">
+                <table className="admin-table">
+                  <thead>
+                    <tr>
+                      <th>Event</th>
+                      <th>Status</th>
+                      <th>Attempts</th>
+                      <th>Last result</th>
+                      <th>Created</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map((delivery) => {
+                      const attempt = lastAttempt(delivery);
+                      return (
+                        <React.Fragment key={delivery.id}>
+                          <tr
+                            className={expanded === delivery.id ? "selected" : ""}
+                            onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+                          >
+                            <td>
+                              {delivery.event}
+                              {delivery.replayOf && <span className="lead-badge">replay</span>}
+                            </td>
+                            <td>
+                              <span className={`status-pill ${delivery.status}`}>{delivery.status}</span>
+                              {delivery.nextAttemptAt && (
+                                <div className="admin-muted">
+                                  Retry {new Date(delivery.nextAttemptAt).toLocaleString()}
+                                </div>
+                              )}
+                            </td>
+                            <td>
+                              {delivery.attempts.length} / {delivery.maxAttempts}
+                            </td>
+                            <td>{attempt ? attemptResult(attempt) : <span className="admin-muted">—</span>}</td>
+                            <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                            <td>
+                              <button
+                                type="button"
+                                className="admin-btn secondary"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  replay(delivery);
+                                }}
+                                disabled={delivery.status === "pending"}
+                              >
+                                Replay
+                              </button>
+                            </td>
+                          </tr>
+                          {expanded === delivery.id && (
+                            <tr>
+                              <td colSpan={6}>
+                                <ol className="admin-webhook-attempts">
+                                  {delivery.attempts.map((a, i) => (
+                                    <li key={i}>
+                                      {new Date(a.at).toLocaleString()} — {attemptResult(a)} ({a.durationMs} ms)
+                                      {a.responseBody && <pre>{a.responseBody}</pre>}
+                                    </li>
+                                  ))}
+                                </ol>
+                                <pre className="admin-webhook-payload">
+                                  {JSON.stringify(delivery.payload, null, 2)}
+                                </pre>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {pagination.pages > 1 && (
+              <div className="admin-pagination">
+                <button
+                  type="button"
+                  className="admin-btn secondary"
+                  onClick={() => setPage((p) => p - 1)}
+                  disabled={page <= 1}
+                >
+                  ← Previous
+                </button>
+                <span className="admin-muted">
+                  Page {pagination.page} of {pagination.pages}
+                </span>
+                <button
+                  type="button"
+                  className="admin-btn secondary"
+                  onClick={() => setPage((p) => p + 1)}
+                  disabled={page >= pagination.pages}
+                >
+                  Next →
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import SlotPicker from "../components/SlotPicker.jsx";
+import "./demopage.css";
+
+// In the visitor's current timezone, like the slot picker
+const formatSlot = (start) =>
+  new Intl.DateTimeFormat(undefined, { dateStyle: "full", timeStyle: "short" }).format(new Date(start));
+
+/**
+ * 🔗 Manage Demo Booking (link from the confirmation email)
+ * /demo/booking/:token?action=reschedule|cancel
+ */
+export default function DemoBookingPage() {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const [booking, setBooking] = useState(null);
+  const [mode, setMode] = useState(searchParams.get("action") || "");
+  const [slot, setSlot] = useState("");
+  const [status, setStatus] = useState({ success: null, message: "" });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    api
+      .get(`/bookings/manage/${token}`)
+      .then((res) => setBooking(res.data?.data || null))
+      .catch((err) =>
+        setStatus({
+          success: false,
+          message: err.response?.data?.message || "❌ This booking link is invalid.",
+        })
+      )
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  // ✅ Shared wrapper for cancel / reschedule
+  const submit = async (request) => {
+    setBusy(true);
+    try {
+      const res = await request();
+      setBooking(res.data?.data || booking);
+      setStatus({ success: true, message: res.data?.message || "✅ Done." });
+      setMode("");
+      setSlot("");
+    } catch (err) {
+      console.error("Booking update failed:", err);
+      setStatus({
+        success: false,
+        message: err.response?.data?.message || "❌ Could not update your booking.",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancel = () => submit(() => api.post(`/bookings/manage/${token}/cancel`));
+  const reschedule = () =>
+    submit(() => api.post(`/bookings/manage/${token}/reschedule`, { start: slot }));
+
+  return (
+    <div className="demo-page">
+      <h2>Your Demo</h2>
+
+      {status.message && (
+        <div className={`alert ${status.success ? "success" : "error"}`}>{status.message}</div>
+      )}
+
+      {loading && <p className="demo-booking-summary">Loading...</p>}
+
+      {booking && (
+        <>
+          <p className="demo-booking-summary">
+            {booking.status === "cancelled" ? "Cancelled: " : "Booked for "}
+            <strong>{formatSlot(booking.start)}</strong>
+            {booking.repName && booking.status !== "cancelled" && <> with {booking.repName}</>}
+          </p>
+
+          {booking.canChange && (
+            <div className="demo-form">
+              <div className="demo-booking-actions">
+                {booking.canReschedule && (
+                  <button type="button" onClick={() => setMode("reschedule")} disabled={busy}>
+                    Reschedule
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => setMode("cancel")}
+                  disabled={busy}
+                >
+                  Cancel demo
+                </button>
+              </div>
+
+              {mode === "cancel" && (
+                <button type="button" onClick={cancel} disabled={busy}>
+                  {busy ? "Cancelling..." : "Yes, cancel my demo"}
+                </button>
+              )}
+
+              {mode === "reschedule" && booking.canReschedule && (
+                <>
+                  <SlotPicker value={slot} onChange={setSlot} exclude={booking.start} />
+                  <button type="button" onClick={reschedule} disabled={busy || !slot}>
+                    {busy ? "Rescheduling..." : "Move my demo"}
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {booking.status === "cancelled" && (
+            <p className="demo-booking-summary">
+              <Link to="/demo">Book a new time</Link>
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
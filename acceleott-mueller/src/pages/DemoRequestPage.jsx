@@ -1,25 +1,32 @@
 import React, { useState } from "react";
-import axios from "axios";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import SlotPicker, { VISITOR_TIMEZONE } from "../components/SlotPicker.jsx";
+import { useFormGuard, HoneypotField } from "../components/FormGuard.jsx";
+import PhoneInput, { DEFAULT_PHONE_COUNTRY, isValidPhone } from "../components/PhoneInput.jsx";
+import { getAttribution } from "../utils/attribution.js";
+import { getEngagement } from "../utils/engagement.js";
 import "./demopage.css";
 
+/**
+ * 🎬 Request a Demo
+ * Visitors either pick a free slot (booked straight into a rep's calendar,
+ * with an .ics invite by email) or just leave their details for sales.
+ */
 export default function DemoRequestPage() {
+  const guard = useFormGuard("demo"); // spam protection (both endpoints use the "demo" challenge)
   const [formData, setFormData] = useState({
     name: "",
     email: "",
     contact: "",
+    contactCountry: DEFAULT_PHONE_COUNTRY,
     designation: "",
   });
 
+  const [slot, setSlot] = useState(""); // ISO start of the picked slot
+  const [slotKey, setSlotKey] = useState(0); // remount the picker to refresh slots
   const [status, setStatus] = useState({ success: null, message: "" });
   const [loading, setLoading] = useState(false);
 
-  // ✅ Production-Ready Fix: Determine API Base URL for Vercel/Local
-  const API_BASE =
-    import.meta.env.VITE_API_BASE_URL?.trim() ||
-    (import.meta.env.DEV ? "http://localhost:5000/api" : "/api");
-  
-  const API_URL = `${API_BASE}/demo`; // Dynamically construct the full URL
-
   // ✅ Handle input changes (controlled form)
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -28,7 +35,7 @@ export default function DemoRequestPage() {
 
   // ✅ Validate before submit
   const validateForm = () => {
-    const { name, email, contact } = formData;
+    const { name, email, contact, contactCountry } = formData;
     if (!name.trim() || !email.trim() || !contact.trim()) {
       setStatus({
         success: false,
@@ -37,7 +44,6 @@ export default function DemoRequestPage() {
       return false;
     }
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    const phoneRegex = /^[0-9+\-()\s]{7,15}$/;
 
     if (!emailRegex.test(email)) {
       setStatus({
@@ -47,10 +53,10 @@ export default function DemoRequestPage() {
       return false;
     }
 
-    if (!phoneRegex.test(contact)) {
+    if (!isValidPhone(contact, contactCountry)) {
       setStatus({
         success: false,
-        message: "⚠️ Please enter a valid contact number.",
+        message: "⚠️ Please enter a valid contact number for the selected country.",
       });
       return false;
     }
@@ -67,11 +73,13 @@ export default function DemoRequestPage() {
     setStatus({ success: null, message: "Submitting your request..." });
 
     try {
-      // ✅ Using the dynamic API_URL
-      const res = await axios.post(API_URL, formData, {
-        headers: { "Content-Type": "application/json" },
-        timeout: 10000, // 10s timeout
-      });
+      // ✅ With a slot: book it; without: plain request for sales to follow up
+      const context = { attribution: getAttribution(), engagement: getEngagement() }; // lead source & scoring
+      const res = await guard.submit((fields) =>
+        slot
+          ? api.post("/bookings", { ...formData, ...fields, ...context, start: slot, timezone: VISITOR_TIMEZONE })
+          : api.post("/demo", { ...formData, ...fields, ...context })
+      );
 
       setStatus({
         success: true,
@@ -79,8 +87,15 @@ export default function DemoRequestPage() {
       });
 
       // Reset form after success
-      setFormData({ name: "", email: "", contact: "", Designation: "" });
+      setFormData((prev) => ({ name: "", email: "", contact: "", contactCountry: prev.contactCountry, designation: "" }));
+      setSlot("");
+      setSlotKey((k) => k + 1);
     } catch (err) {
+      // Slot taken meanwhile → show fresh times
+      if (err?.response?.status === 409) {
+        setSlot("");
+        setSlotKey((k) => k + 1);
+      }
       console.error("Demo request failed:", err);
       setStatus({
         success: false,
@@ -132,10 +147,11 @@ export default function DemoRequestPage() {
           required
         />
 
-        <input
-          type="tel"
+        <PhoneInput
           name="contact"
           placeholder="Contact Number"
+          country={formData.contactCountry}
+          onCountryChange={(contactCountry) => setFormData((prev) => ({ ...prev, contactCountry }))}
           value={formData.contact}
           onChange={handleChange}
           required
@@ -149,8 +165,12 @@ export default function DemoRequestPage() {
           onChange={handleChange}
         />
 
+        <h3 className="demo-subtitle">Pick a time (optional)</h3>
+        <SlotPicker key={slotKey} value={slot} onChange={setSlot} />
+        <HoneypotField value={guard.honeypot} onChange={guard.setHoneypot} />
+
         <button type="submit" disabled={loading}>
-          {loading ? "Submitting..." : "Submit Demo Request"}
+          {loading ? "Submitting..." : slot ? "Book Demo" : "Submit Demo Request"}
         </button>
       </form>
     </div>
@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import "./loginpage.css";
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [success, setSuccess] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // ✅ Request a reset link
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setMessage("");
+
+    try {
+      const res = await api.post("/auth/forgot-password", { email });
+      setSuccess(true);
+      setMessage(res.data?.message || "Check your inbox for a reset link.");
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      setSuccess(false);
+      setMessage(
+        err.response?.data?.message || "❌ Could not send reset link. Please try again."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-wrapper">
+        {/* Left Section */}
+        <div className="auth-left">
+          <div className="arrow">🔑</div>
+          <h2>Forgot your password?</h2>
+          <p>Enter the email you registered with and we’ll send you a reset link.</p>
+        </div>
+
+        {/* Right Section */}
+        <form className="auth-form" onSubmit={handleSubmit}>
+          <h3 className="welcome-title">Reset Password</h3>
+
+          <input
+            type="email"
+            placeholder="Email Address"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={isSubmitting}
+            required
+          />
+
+          <button type="submit" disabled={isSubmitting}>
+            {isSubmitting ? "Please wait..." : "Send Reset Link"}
+          </button>
+
+          {message && (
+            <p className={`message ${success ? "success" : "error"}`}>{message}</p>
+          )}
+
+          <p className="auth-link">
+            <Link to="/login">Back to login</Link>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -1,15 +1,21 @@
-import React, { useState, useContext } from "react";
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
 import api from "@/api/axios"; // centralized API config
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import { useFormGuard, HoneypotField } from "../components/FormGuard.jsx";
+import PhoneInput, { DEFAULT_PHONE_COUNTRY, isValidPhone } from "../components/PhoneInput.jsx";
+import { getAttribution } from "../utils/attribution.js";
 import "./getstarted.css";
-import { AuthContext } from "../context/AuthContext";
 
 const GetStartedPage = () => {
-  const { setIsAuthenticated } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const guard = useFormGuard("register"); // spam protection
 
   const [formData, setFormData] = useState({
     name: "",
     email: "",
     phone: "",
+    phoneCountry: DEFAULT_PHONE_COUNTRY,
     source: "",
     occupation: "",
     password: "",
@@ -17,6 +23,7 @@ const GetStartedPage = () => {
 
   const [status, setStatus] = useState({ success: null, message: "" });
   const [loading, setLoading] = useState(false);
+  const [strength, setStrength] = useState(null); // live password policy result
 
   // --- Handle input changes ---
   const handleChange = (e) => {
@@ -31,11 +38,23 @@ const GetStartedPage = () => {
     // Prevent double submit
     if (loading) return;
 
+    if (!isValidPhone(formData.phone, formData.phoneCountry)) {
+      setStatus({ success: false, message: "⚠️ Please enter a valid contact number for the selected country." });
+      return;
+    }
+
+    if (strength && !strength.valid) {
+      setStatus({ success: false, message: `⚠️ ${strength.errors[0]}` });
+      return;
+    }
+
     setLoading(true);
     setStatus({ success: null, message: "Submitting..." });
 
     try {
-      const res = await api.post("/auth/register", formData);
+      const res = await guard.submit((fields) =>
+        api.post("/auth/register", { ...formData, ...fields, attribution: getAttribution() })
+      );
 
       setStatus({
         success: true,
@@ -43,26 +62,22 @@ const GetStartedPage = () => {
       });
 
       if (res.status === 200 || res.status === 201) {
-        // Save token or fallback key
-        const token = res.data?.token || "registered_user";
-        localStorage.setItem("token", token);
-        setIsAuthenticated(true);
-
-        // Redirect after success
+        // Email must be verified before the first login
         setTimeout(() => {
-          window.location.href = "/";
-        }, 1500);
+          navigate("/login");
+        }, 2500);
       }
 
       // Reset form fields
-      setFormData({
+      setFormData((prev) => ({
         name: "",
         email: "",
         phone: "",
+        phoneCountry: prev.phoneCountry,
         source: "",
         occupation: "",
         password: "",
-      });
+      }));
     } catch (err) {
       console.error("Registration Error:", err);
 
@@ -133,10 +148,11 @@ const GetStartedPage = () => {
               onChange={handleChange}
               required
             />
-            <input
-              type="tel"
+            <PhoneInput
               name="phone"
               placeholder="Contact Number"
+              country={formData.phoneCountry}
+              onCountryChange={(phoneCountry) => setFormData((prev) => ({ ...prev, phoneCountry }))}
               value={formData.phone}
               onChange={handleChange}
               required
@@ -163,9 +179,16 @@ const GetStartedPage = () => {
               placeholder="Password"
               value={formData.password}
               onChange={handleChange}
+              autoComplete="new-password"
               required
-              minLength={6}
             />
+            <PasswordStrengthMeter
+              password={formData.password}
+              name={formData.name}
+              email={formData.email}
+              onResult={setStrength}
+            />
+            <HoneypotField value={guard.honeypot} onChange={guard.setHoneypot} />
 
             <button
               type="submit"
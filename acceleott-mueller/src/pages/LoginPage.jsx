@@ -1,16 +1,113 @@
-import React, { useState, useContext } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useContext, useCallback, useEffect, useRef } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import api from "@/api/axios"; // ✅ Centralized Axios instance
 import "./loginpage.css";
 import { AuthContext } from "../context/AuthContext";
 
+// ✅ Styling hint for the status line
+const isSuccessMessage = (msg) => msg.startsWith("✅") || msg.toLowerCase().includes("success");
+
 export default function LoginPage() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [message, setMessage] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const { setIsAuthenticated } = useContext(AuthContext);
+  const [retryIn, setRetryIn] = useState(0); // seconds until the next attempt is allowed
+  const [magicLinkMode, setMagicLinkMode] = useState(false); // "Email me a login link"
+  const magicTokenHandled = useRef(false);
+
+  // Second factor (only when the account has 2FA enabled)
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const { refreshUser } = useContext(AuthContext);
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // ✅ Result of the unlock link from the lockout email (?unlock=success|invalid)
+  useEffect(() => {
+    const unlock = new URLSearchParams(location.search).get("unlock");
+    if (unlock === "success") setMessage("✅ Account unlocked successfully. You can log in now.");
+    if (unlock === "invalid") setMessage("⚠️ That unlock link is invalid or has already been used.");
+  }, [location.search]);
+
+  // ✅ Count down while the server asks us to wait
+  useEffect(() => {
+    if (retryIn <= 0) return undefined;
+    const timer = setTimeout(() => setRetryIn((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryIn]);
+
+  // ✅ Turn lockout / throttling responses into a clear message
+  const describeError = useCallback((err, fallback) => {
+    const data = err.response?.data || {};
+
+    if (data.code === "ACCOUNT_LOCKED") {
+      const until = data.lockedUntil ? new Date(data.lockedUntil).toLocaleTimeString() : null;
+      return `🔒 ${data.message}${until ? ` (locked until ${until})` : ""}`;
+    }
+
+    if (err.response?.status === 429) {
+      setRetryIn(data.retryAfter || 5);
+      return `⏳ ${data.message}`;
+    }
+
+    if (data.attemptsRemaining !== undefined) {
+      return `${data.message} ${data.attemptsRemaining} attempt(s) left before your account is locked.`;
+    }
+
+    return data.message || err.message || fallback;
+  }, []);
+
+  // ✅ Session cookie is set by the server → load the user and move on
+  const finishLogin = useCallback(
+    async (data) => {
+      await refreshUser();
+
+      // ✅ Success feedback
+      setMessage(data.message || "✅ Login successful!");
+
+      // Policy requires 2FA for this role → send the user to set it up
+      const destination = data.twoFactorSetupRequired
+        ? "/account/security"
+        : location.state?.from || "/";
+
+      // ✅ Smooth redirect (no reload)
+      setTimeout(() => {
+        // Back to the protected page that sent us here (if any)
+        navigate(destination, { replace: true });
+      }, 1000);
+    },
+    [refreshUser, navigate, location.state]
+  );
+
+  // ✅ Arrived from an emailed login link (?magic=<token>) → redeem it once
+  // (the ref keeps it one-shot when location changes after the redirect)
+  useEffect(() => {
+    const token = new URLSearchParams(location.search).get("magic");
+    if (!token || magicTokenHandled.current) return;
+    magicTokenHandled.current = true;
+
+    // Drop the token from the address bar right away
+    navigate(location.pathname, { replace: true, state: location.state });
+    setMessage("🔐 Signing you in...");
+
+    api
+      .post("/auth/magic-link/verify", { token })
+      .then((res) => {
+        if (res.data?.twoFactorRequired) {
+          setChallengeToken(res.data.challengeToken);
+          setMessage("");
+          return undefined;
+        }
+        return finishLogin(res.data);
+      })
+      .catch((err) => {
+        console.error("Magic link error:", err);
+        setMessage(describeError(err, "❌ This login link is invalid or has expired."));
+      });
+  }, [location.search, location.pathname, location.state, navigate, finishLogin, describeError]);
 
   // ✅ Handle login form submission
   const handleLogin = async (e) => {
@@ -22,35 +119,86 @@ export default function LoginPage() {
       // ✅ Send credentials
       const res = await api.post("/auth/login", { email, password });
 
-      // ✅ Save token securely in localStorage
-      if (res.data?.token) {
-        localStorage.setItem("token", res.data.token);
-        setIsAuthenticated(true); // instantly update context
+      // ✅ 2FA enabled → ask for the code before any session exists
+      if (res.data?.twoFactorRequired) {
+        setChallengeToken(res.data.challengeToken);
+        setMessage("");
+        return;
       }
 
-      // ✅ Success feedback
-      setMessage(res.data.message || "✅ Login successful!");
-      console.log("Login response:", res.data);
-
-      // ✅ Smooth redirect (no reload)
-      setTimeout(() => {
-        navigate("/", { replace: true });
-      }, 1000);
+      await finishLogin(res.data);
     } catch (err) {
       console.error("Login error:", err);
 
-      // ✅ Safe message
-      const errMsg =
-        err.response?.data?.message ||
-        err.message ||
-        "❌ Login failed. Please check your credentials.";
+      // ✅ Safe message (includes lockout / retry info)
+      setMessage(describeError(err, "❌ Login failed. Please check your credentials."));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
 
+  // ✅ Request a passwordless login link
+  const handleMagicLink = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setMessage("📨 Sending login link...");
+
+    try {
+      const res = await api.post("/auth/magic-link", { email });
+      setMessage(
+        `✅ ${res.data?.message || "Check your inbox for a login link."} ` +
+          "Open it in this browser within 15 minutes."
+      );
+    } catch (err) {
+      console.error("Magic link request error:", err);
+      setMessage(describeError(err, "❌ Could not send the login link. Please try again."));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // ✅ Handle second-factor submission
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setMessage("🔐 Verifying...");
+
+    try {
+      const res = await api.post("/auth/2fa/verify", {
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+      });
+
+      if (res.data?.remainingRecoveryCodes !== undefined && res.data.remainingRecoveryCodes < 3) {
+        window.alert(
+          `You have ${res.data.remainingRecoveryCodes} recovery codes left. Generate new ones under Account Security.`
+        );
+      }
+
+      await finishLogin(res.data);
+    } catch (err) {
+      console.error("2FA error:", err);
+      const errMsg = describeError(err, "❌ Verification failed.");
+
+      // Challenge expired → back to the password step
+      if (err.response?.status === 401) {
+        setChallengeToken(null);
+        setCode("");
+      }
       setMessage(errMsg);
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  // ✅ Leave the second step and start over
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode("");
+    setUseRecoveryCode(false);
+    setMessage("");
+  };
+
   return (
     <div className="auth-container">
       <div className="auth-wrapper">
@@ -65,41 +213,130 @@ export default function LoginPage() {
         </div>
 
         {/* Right Section */}
-        <form className="auth-form" onSubmit={handleLogin}>
-          <h3 className="welcome-title">Welcome Back</h3>
-
-          <input
-            type="email"
-            placeholder="Email Address"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            disabled={isSubmitting}
-            required
-          />
-
-          <input
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            disabled={isSubmitting}
-            required
-          />
-
-          <button type="submit" disabled={isSubmitting}>
-            {isSubmitting ? "Please wait..." : "Login"}
-          </button>
-
-          {message && (
-            <p
-              className={`message ${
-                message.toLowerCase().includes("success") ? "success" : "error"
-              }`}
-            >
-              {message}
+        {challengeToken ? (
+          <form className="auth-form" onSubmit={handleTwoFactor}>
+            <h3 className="welcome-title">Two-Factor Authentication</h3>
+
+            <p className="auth-hint">
+              {useRecoveryCode
+                ? "Enter one of your saved recovery codes."
+                : "Enter the 6-digit code from your authenticator app."}
+            </p>
+
+            <input
+              type="text"
+              inputMode={useRecoveryCode ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+              disabled={isSubmitting}
+              maxLength={useRecoveryCode ? 11 : 6}
+              autoFocus
+              required
+            />
+
+            <button type="submit" disabled={isSubmitting || retryIn > 0}>
+              {isSubmitting ? "Please wait..." : retryIn > 0 ? `Try again in ${retryIn}s` : "Verify"}
+            </button>
+
+            <p className="auth-link">
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => {
+                  setUseRecoveryCode((v) => !v);
+                  setCode("");
+                }}
+              >
+                {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+              </button>
+              {" · "}
+              <button type="button" className="link-button" onClick={cancelTwoFactor}>
+                Back
+              </button>
             </p>
-          )}
-        </form>
+
+            {message && (
+              <p
+                className={`message ${
+                  isSuccessMessage(message) ? "success" : "error"
+                }`}
+              >
+                {message}
+              </p>
+            )}
+          </form>
+        ) : (
+          <form className="auth-form" onSubmit={magicLinkMode ? handleMagicLink : handleLogin}>
+            <h3 className="welcome-title">Welcome Back</h3>
+
+            {magicLinkMode && (
+              <p className="auth-hint">
+                We’ll email you a one-time link that signs you in — no password needed.
+              </p>
+            )}
+
+            <input
+              type="email"
+              placeholder="Email Address"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              disabled={isSubmitting}
+              required
+            />
+
+            {!magicLinkMode && (
+              <input
+                type="password"
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={isSubmitting}
+                required
+              />
+            )}
+
+            <button type="submit" disabled={isSubmitting || retryIn > 0}>
+              {isSubmitting
+                ? "Please wait..."
+                : retryIn > 0
+                  ? `Try again in ${retryIn}s`
+                  : magicLinkMode
+                    ? "Email me a login link"
+                    : "Login"}
+            </button>
+
+            <p className="auth-link">
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => {
+                  setMagicLinkMode((v) => !v);
+                  setMessage("");
+                }}
+              >
+                {magicLinkMode ? "Use my password instead" : "Email me a login link"}
+              </button>
+              {!magicLinkMode && (
+                <>
+                  {" · "}
+                  <Link to="/forgot-password">Forgot your password?</Link>
+                </>
+              )}
+            </p>
+
+            {message && (
+              <p
+                className={`message ${
+                  isSuccessMessage(message) ? "success" : "error"
+                }`}
+              >
+                {message}
+              </p>
+            )}
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,367 @@
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import { AuthContext } from "../context/AuthContext";
+import "./account.css";
+
+const ORG_ROLES = ["owner", "admin", "doctor", "receptionist"];
+const MANAGER_ROLES = ["owner", "admin"];
+
+/**
+ * 🏥 Organization
+ * The active clinic: members, per-organization roles, email invitations
+ * and API keys for partner integrations. Users without an organization
+ * can create one here.
+ */
+export default function OrganizationPage() {
+  const { user, activeOrganization, refreshOrganizations, refreshUser } = useContext(AuthContext);
+
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [orgName, setOrgName] = useState("");
+  const [invite, setInvite] = useState({ email: "", role: "doctor" });
+  const [apiKeys, setApiKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [newKey, setNewKey] = useState({ name: "", scopes: [] });
+  const [createdKey, setCreatedKey] = useState(null); // full key, shown once
+  const [status, setStatus] = useState({ success: null, message: "" });
+  const [busy, setBusy] = useState(false);
+
+  const canManage = MANAGER_ROLES.includes(activeOrganization?.role);
+
+  // ✅ Members (everyone) + pending invitations and API keys (managers only)
+  const loadTeam = useCallback(async () => {
+    if (!activeOrganization) return;
+    try {
+      const [membersRes, invitesRes, keysRes] = await Promise.all([
+        api.get("/orgs/current/members"),
+        canManage ? api.get("/orgs/current/invitations") : Promise.resolve(null),
+        canManage ? api.get("/orgs/current/api-keys") : Promise.resolve(null),
+      ]);
+      setMembers(membersRes.data?.data || []);
+      setInvitations(invitesRes?.data?.data || []);
+      setApiKeys(keysRes?.data?.data || []);
+      setAvailableScopes(keysRes?.data?.scopes || []);
+    } catch (err) {
+      console.error("Failed to load organization:", err);
+    }
+  }, [activeOrganization, canManage]);
+
+  useEffect(() => {
+    loadTeam();
+  }, [loadTeam]);
+
+  // ✅ Shared request wrapper
+  const run = async (request, onSuccess) => {
+    setBusy(true);
+    setStatus({ success: null, message: "" });
+    try {
+      const res = await request();
+      setStatus({ success: true, message: res.data?.message || "✅ Done." });
+      await onSuccess?.(res.data);
+    } catch (err) {
+      console.error("Organization action failed:", err);
+      setStatus({
+        success: false,
+        message: err.response?.data?.message || "❌ Something went wrong. Please try again.",
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createOrganization = (e) => {
+    e.preventDefault();
+    run(
+      () => api.post("/orgs", { name: orgName }),
+      async () => {
+        setOrgName("");
+        await Promise.all([refreshOrganizations(), refreshUser()]);
+      }
+    );
+  };
+
+  const sendInvite = (e) => {
+    e.preventDefault();
+    run(
+      () => api.post("/orgs/current/invitations", invite),
+      async () => {
+        setInvite({ email: "", role: "doctor" });
+        await loadTeam();
+      }
+    );
+  };
+
+  const changeRole = (member, role) =>
+    run(() => api.patch(`/orgs/current/members/${member.userId}`, { role }), loadTeam);
+
+  const removeMember = (member) => {
+    const isSelf = member.userId === user?.id;
+    const question = isSelf
+      ? `Leave ${activeOrganization.name}?`
+      : `Remove ${member.name} from ${activeOrganization.name}?`;
+    if (!window.confirm(question)) return;
+
+    run(
+      () => api.delete(`/orgs/current/members/${member.userId}`),
+      isSelf ? () => Promise.all([refreshOrganizations(), refreshUser()]) : loadTeam
+    );
+  };
+
+  const revokeInvite = (invitation) =>
+    run(() => api.delete(`/orgs/current/invitations/${invitation.id}`), loadTeam);
+
+  const toggleScope = (scope) =>
+    setNewKey((k) => ({
+      ...k,
+      scopes: k.scopes.includes(scope) ? k.scopes.filter((s) => s !== scope) : [...k.scopes, scope],
+    }));
+
+  const createApiKey = (e) => {
+    e.preventDefault();
+    run(
+      () => api.post("/orgs/current/api-keys", newKey),
+      async (data) => {
+        setCreatedKey(data.data.key);
+        setNewKey({ name: "", scopes: [] });
+        await loadTeam();
+      }
+    );
+  };
+
+  const revokeApiKey = (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Integrations using it will stop working.`)) return;
+    run(() => api.delete(`/orgs/current/api-keys/${apiKey.id}`), loadTeam);
+  };
+
+  return (
+    <section className="account-page">
+      <div className="account-container">
+        <h2 className="account-title">
+          {activeOrganization ? activeOrganization.name : "Your Organization"}
+        </h2>
+
+        {status.message && (
+          <div className={`alert ${status.success ? "success" : "error"}`} role="alert">
+            {status.message}
+          </div>
+        )}
+
+        {/* ===== No organization yet ===== */}
+        {!activeOrganization && (
+          <div className="account-card">
+            <h3>Create an organization</h3>
+            <p className="account-muted">
+              Set up your clinic to invite doctors and receptionists and work together.
+              If a colleague already invited you, open the link in their email instead.
+            </p>
+            <form className="account-form" onSubmit={createOrganization}>
+              <input
+                type="text"
+                placeholder="Clinic name"
+                value={orgName}
+                onChange={(e) => setOrgName(e.target.value)}
+                minLength={2}
+                maxLength={120}
+                required
+              />
+              <button type="submit" className="account-btn" disabled={busy}>
+                Create organization
+              </button>
+            </form>
+          </div>
+        )}
+
+        {/* ===== Members ===== */}
+        {activeOrganization && (
+          <div className="account-card">
+            <h3>
+              Members <span className="badge on">{activeOrganization.role}</span>
+            </h3>
+            <ul className="session-list">
+              {members.map((m) => (
+                <li key={m.userId} className="session-item">
+                  <div>
+                    <strong>{m.name}</strong>
+                    {m.userId === user?.id && <span className="badge off">You</span>}
+                    <p className="account-muted">{m.email}</p>
+                  </div>
+                  <div className="session-actions">
+                    {canManage ? (
+                      <select
+                        className="account-select"
+                        value={m.role}
+                        onChange={(e) => changeRole(m, e.target.value)}
+                        disabled={busy}
+                        aria-label={`Role for ${m.name}`}
+                      >
+                        {ORG_ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="account-muted">{m.role}</span>
+                    )}
+                    {(canManage || m.userId === user?.id) && (
+                      <button
+                        type="button"
+                        className="account-btn danger"
+                        onClick={() => removeMember(m)}
+                        disabled={busy}
+                      >
+                        {m.userId === user?.id ? "Leave" : "Remove"}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* ===== Invitations ===== */}
+        {activeOrganization && canManage && (
+          <div className="account-card">
+            <h3>Invite a colleague</h3>
+            <form className="account-form" onSubmit={sendInvite}>
+              <input
+                type="email"
+                placeholder="Email address"
+                value={invite.email}
+                onChange={(e) => setInvite((i) => ({ ...i, email: e.target.value }))}
+                required
+              />
+              <select
+                className="account-select"
+                value={invite.role}
+                onChange={(e) => setInvite((i) => ({ ...i, role: e.target.value }))}
+                aria-label="Role"
+              >
+                {ORG_ROLES.map((role) => (
+                  <option key={role} value={role}>
+                    {role}
+                  </option>
+                ))}
+              </select>
+              <button type="submit" className="account-btn" disabled={busy}>
+                Send invitation
+              </button>
+            </form>
+
+            {invitations.length > 0 && (
+              <>
+                <h4>Pending invitations</h4>
+                <ul className="session-list">
+                  {invitations.map((inv) => (
+                    <li key={inv.id} className="session-item">
+                      <div>
+                        <strong>{inv.email}</strong>
+                        <p className="account-muted">
+                          {inv.role} · expires {new Date(inv.expiresAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        className="account-btn danger"
+                        onClick={() => revokeInvite(inv)}
+                        disabled={busy}
+                      >
+                        Revoke
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* ===== API Keys ===== */}
+        {activeOrganization && canManage && (
+          <div className="account-card">
+            <h3>API keys</h3>
+            <p className="account-muted">
+              Let partner systems send leads or read your team list without a browser
+              session. Send the key in the <code>X-API-Key</code> header.
+            </p>
+
+            {createdKey && (
+              <div className="recovery-codes">
+                <p>
+                  <strong>Copy your new API key now.</strong> For your security it will not
+                  be shown again.
+                </p>
+                <p>
+                  <code className="api-key-value">{createdKey}</code>
+                </p>
+                <button type="button" className="account-btn" onClick={() => setCreatedKey(null)}>
+                  I’ve stored it
+                </button>
+              </div>
+            )}
+
+            <form className="account-form" onSubmit={createApiKey}>
+              <input
+                type="text"
+                placeholder="Key name (e.g. Partner CRM)"
+                value={newKey.name}
+                onChange={(e) => setNewKey((k) => ({ ...k, name: e.target.value }))}
+                maxLength={100}
+                required
+              />
+              <div className="scope-options">
+                {availableScopes.map((scope) => (
+                  <label key={scope}>
+                    <input
+                      type="checkbox"
+                      checked={newKey.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                    />{" "}
+                    {scope}
+                  </label>
+                ))}
+              </div>
+              <button
+                type="submit"
+                className="account-btn"
+                disabled={busy || newKey.scopes.length === 0}
+              >
+                Create API key
+              </button>
+            </form>
+
+            {apiKeys.length > 0 && (
+              <ul className="session-list">
+                {apiKeys.map((k) => (
+                  <li key={k.id} className="session-item">
+                    <div>
+                      <strong>{k.name}</strong>
+                      <span className={`badge ${k.revokedAt ? "off" : "on"}`}>
+                        {k.revokedAt ? "Revoked" : "Active"}
+                      </span>
+                      <p className="account-muted">
+                        <code>{k.prefix}…</code> · {k.scopes.join(", ")} · Last used{" "}
+                        {k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : "never"}
+                      </p>
+                    </div>
+                    {!k.revokedAt && (
+                      <button
+                        type="button"
+                        className="account-btn danger"
+                        onClick={() => revokeApiKey(k)}
+                        disabled={busy}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import "./loginpage.css";
+
+export default function ResetPasswordPage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [success, setSuccess] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [strength, setStrength] = useState(null); // live password policy result
+
+  // ✅ Submit the new password
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setSuccess(false);
+      setMessage("⚠️ Passwords do not match.");
+      return;
+    }
+
+    if (strength && !strength.valid) {
+      setSuccess(false);
+      setMessage(`⚠️ ${strength.errors[0]}`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setMessage("");
+
+    try {
+      const res = await api.post(`/auth/reset-password/${token}`, { password });
+      setSuccess(true);
+      setMessage(res.data?.message || "✅ Password reset successfully.");
+
+      // ✅ Send the user back to login once they’ve read the message
+      setTimeout(() => navigate("/login", { replace: true }), 2000);
+    } catch (err) {
+      console.error("Reset password error:", err);
+      setSuccess(false);
+      setMessage(
+        err.response?.data?.message || "❌ Could not reset password. Please try again."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-wrapper">
+        {/* Left Section */}
+        <div className="auth-left">
+          <div className="arrow">🔒</div>
+          <h2>Choose a new password</h2>
+          <p>For your security, you’ll be signed out of all other devices.</p>
+        </div>
+
+        {/* Right Section */}
+        <form className="auth-form" onSubmit={handleSubmit}>
+          <h3 className="welcome-title">New Password</h3>
+
+          <input
+            type="password"
+            placeholder="New Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={isSubmitting || success}
+            autoComplete="new-password"
+            required
+          />
+          <PasswordStrengthMeter password={password} resetToken={token} onResult={setStrength} />
+
+          <input
+            type="password"
+            placeholder="Confirm New Password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            disabled={isSubmitting || success}
+            autoComplete="new-password"
+            required
+          />
+
+          <button type="submit" disabled={isSubmitting || success}>
+            {isSubmitting ? "Please wait..." : "Reset Password"}
+          </button>
+
+          {message && (
+            <p className={`message ${success ? "success" : "error"}`}>{message}</p>
+          )}
+
+          <p className="auth-link">
+            <Link to="/forgot-password">Request a new link</Link>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import api from "@/api/axios"; // ✅ Centralized Axios instance
+import { AuthContext } from "../context/AuthContext";
+import "./account.css";
+
+/**
+ * 🔐 Account Security
+ * Two-factor authentication (TOTP) enrolment and management,
+ * plus the list of signed-in devices with per-session sign-out.
+ */
+export default function SecurityPage() {
+  const { user, refreshUser, logout } = useContext(AuthContext);
+
+  const [setup, setSetup] = useState(null); // { qrCode, secret } during enrolment
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [status, setStatus] = useState({ success: null, message: "" });
+  const [busy, setBusy] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+
+  // ✅ Signed-in devices
+  const loadSessions = useCallback(async () => {
+    try {
+      const res = await api.get("/auth/sessions");
+      setSessions(res.data?.data || []);
+    } catch (err) {
+      console.error("Failed to load sessions:", err);
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // ✅ Shared request wrapper for the 2FA actions
+  const run = async (request, onSuccess) => {
+    setBusy(true);
+    setStatus({ success: null, message: "" });
+    try {
+      const res = await request();
+      setStatus({ success: true, message: res.data?.message || "✅ Done." });
+      await onSuccess?.(res.data);
+    } catch (err) {
+      console.error("Security action failed:", err);
+      setStatus({
+        success: false,
+        message: err.response?.data?.message || "❌ Something went wrong. Please try again.",
+      });
+    } finally {
+      setBusy(false);
+      setCode("");
+    }
+  };
+
+  const startSetup = () =>
+    run(() => api.post("/auth/2fa/setup"), (data) => setSetup(data));
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(
+      () => api.post("/auth/2fa/enable", { code }),
+      async (data) => {
+        setSetup(null);
+        setRecoveryCodes(data.recoveryCodes);
+        await refreshUser();
+      }
+    );
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(
+      () =>
+        api.post("/auth/2fa/disable", {
+          password,
+          // 6 digits → authenticator code, anything else → recovery code
+          ...(/^\d{6}$/.test(code) ? { code } : { recoveryCode: code }),
+        }),
+      async () => {
+        setPassword("");
+        await refreshUser();
+      }
+    );
+  };
+
+  const regenerateCodes = (e) => {
+    e.preventDefault();
+    run(
+      () => api.post("/auth/2fa/recovery-codes", { code }),
+      (data) => setRecoveryCodes(data.recoveryCodes)
+    );
+  };
+
+  const revokeSession = (session) =>
+    run(
+      () => api.delete(`/auth/sessions/${session.id}`),
+      (data) => (data.current ? logout() : loadSessions())
+    );
+
+  const signOutOthers = () =>
+    run(() => api.post("/auth/sessions/revoke-all", { keepCurrent: true }), loadSessions);
+
+  const signOutEverywhere = () => {
+    if (!window.confirm("Sign out of every device, including this one?")) return;
+    run(() => api.post("/auth/sessions/revoke-all"), () => logout());
+  };
+
+  return (
+    <section className="account-page">
+      <div className="account-container">
+        <h2 className="account-title">Account Security</h2>
+
+        {user?.twoFactorSetupRequired && (
+          <div className="alert warning" role="alert">
+            ⚠️ Your role requires two-factor authentication. Please enable it to
+            continue using staff features.
+          </div>
+        )}
+
+        {status.message && (
+          <div className={`alert ${status.success ? "success" : "error"}`} role="alert">
+            {status.message}
+          </div>
+        )}
+
+        {/* ===== Two-Factor Authentication ===== */}
+        <div className="account-card">
+          <h3>
+            Two-Factor Authentication{" "}
+            <span className={`badge ${user?.twoFactorEnabled ? "on" : "off"}`}>
+              {user?.twoFactorEnabled ? "Enabled" : "Disabled"}
+            </span>
+          </h3>
+          <p className="account-muted">
+            Protect your account with a 6-digit code from an authenticator app
+            (Google Authenticator, Authy, 1Password…) in addition to your password.
+          </p>
+
+          {/* Recovery codes are only ever shown right after generation */}
+          {recoveryCodes && (
+            <div className="recovery-codes">
+              <p>
+                <strong>Save these recovery codes.</strong> Each one can be used once if
+                you lose access to your authenticator app. They will not be shown again.
+              </p>
+              <ul>
+                {recoveryCodes.map((c) => (
+                  <li key={c}>
+                    <code>{c}</code>
+                  </li>
+                ))}
+              </ul>
+              <button type="button" className="account-btn" onClick={() => setRecoveryCodes(null)}>
+                I’ve saved them
+              </button>
+            </div>
+          )}
+
+          {!user?.twoFactorEnabled && !setup && (
+            <button type="button" className="account-btn" onClick={startSetup} disabled={busy}>
+              {busy ? "Please wait..." : "Set up two-factor authentication"}
+            </button>
+          )}
+
+          {!user?.twoFactorEnabled && setup && (
+            <form className="account-form" onSubmit={confirmSetup}>
+              <p>1. Scan this QR code with your authenticator app:</p>
+              <img className="qr-code" src={setup.qrCode} alt="Two-factor QR code" />
+              <p className="account-muted">
+                Can’t scan? Enter this key manually: <code>{setup.secret}</code>
+              </p>
+              <p>2. Enter the 6-digit code it shows:</p>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.trim())}
+                required
+              />
+              <button type="submit" className="account-btn" disabled={busy}>
+                {busy ? "Verifying..." : "Enable"}
+              </button>
+            </form>
+          )}
+
+          {user?.twoFactorEnabled && (
+            <div className="account-grid">
+              <form className="account-form" onSubmit={regenerateCodes}>
+                <h4>New recovery codes</h4>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="Authenticator code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.trim())}
+                  required
+                />
+                <button type="submit" className="account-btn" disabled={busy}>
+                  Generate
+                </button>
+              </form>
+
+              <form className="account-form" onSubmit={disable}>
+                <h4>Turn off 2FA</h4>
+                <input
+                  type="password"
+                  placeholder="Current password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+                <input
+                  type="text"
+                  placeholder="Authenticator or recovery code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.trim())}
+                  required
+                />
+                <button type="submit" className="account-btn danger" disabled={busy}>
+                  Disable
+                </button>
+              </form>
+            </div>
+          )}
+        </div>
+
+        {/* ===== Active Sessions ===== */}
+        <div className="account-card">
+          <h3>Where you’re signed in</h3>
+          <p className="account-muted">
+            Sign out any device you don’t recognise. Signed-out devices lose access immediately.
+          </p>
+
+          {sessionsLoading ? (
+            <p className="account-muted">Loading sessions...</p>
+          ) : (
+            <ul className="session-list">
+              {sessions.map((s) => (
+                <li key={s.id} className="session-item">
+                  <div>
+                    <strong>{s.device}</strong>
+                    {s.current && <span className="badge on">This device</span>}
+                    <p className="account-muted">
+                      {s.ip || "Unknown IP"} · Last active{" "}
+                      {new Date(s.lastSeenAt).toLocaleString()} · Signed in{" "}
+                      {new Date(s.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    className="account-btn danger"
+                    onClick={() => revokeSession(s)}
+                    disabled={busy}
+                  >
+                    Sign out
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="session-actions">
+            <button type="button" className="account-btn" onClick={signOutOthers} disabled={busy}>
+              Sign out other devices
+            </button>
+            <button
+              type="button"
+              className="account-btn danger"
+              onClick={signOutEverywhere}
+              disabled={busy}
+            >
+              Sign out everywhere
+            </button>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -1,4 +1,5 @@
 import React from "react";
+import ContactForm from "../components/ContactForm.jsx";
 import "./footer.css";
 
 export default function Footer() {
@@ -58,6 +59,12 @@ export default function Footer() {
             </div>
           </div>
 
+          {/* ===== Contact Form ===== */}
+          <div className="col footer-contact">
+            <h4>Send us a message</h4>
+            <ContactForm />
+          </div>
+
           {/* ===== Quick Links ===== */}
           <nav className="col" aria-label="Footer Quick Links">
             <h4>Quick Links</h4>
@@ -0,0 +1,87 @@
+// src/utils/attribution.js
+/* ------------------------------------------------------------------
+   📣 Marketing attribution
+   Remembers how the visitor arrived (UTM parameters, referrer, landing
+   page) for the rest of the browser session: the first touch is kept,
+   the last touch moves whenever they come back through a new campaign
+   link. Forms send getAttribution() with demo requests and sign-ups.
+------------------------------------------------------------------ */
+
+const STORAGE_KEY = "acceleott.attribution";
+
+const UTM_PARAMS = {
+  utm_source: "source",
+  utm_medium: "medium",
+  utm_campaign: "campaign",
+  utm_term: "term",
+  utm_content: "content",
+};
+
+const SEARCH_ENGINES = /(^|\.)(google|bing|duckduckgo|yahoo|baidu|yandex|ecosia)\./;
+
+const read = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const write = (value) => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+  } catch {
+    // Storage disabled (private mode) — attribution is best effort
+  }
+};
+
+const externalHost = (referrer) => {
+  try {
+    const host = new URL(referrer).hostname;
+    return host && host !== window.location.hostname ? host.replace(/^www\./, "") : "";
+  } catch {
+    return "";
+  }
+};
+
+// A touch for this page view, or null when it carries no campaign information
+// (except the entry page, which is at least a direct visit)
+const touchFor = ({ pathname, search }, { referrer, entry }) => {
+  const params = new URLSearchParams(search);
+  const base = { landingPage: `${pathname}${search}`, at: new Date().toISOString() };
+  const host = externalHost(referrer);
+  if (host) base.referrer = referrer;
+
+  const utm = {};
+  Object.entries(UTM_PARAMS).forEach(([param, field]) => {
+    if (params.get(param)) utm[field] = params.get(param);
+  });
+  if (utm.source) return { ...base, ...utm };
+
+  if (params.get("gclid")) return { ...base, source: "google", medium: "cpc" };
+  if (host) return { ...base, source: host, medium: SEARCH_ENGINES.test(host) ? "organic" : "referral" };
+  return entry ? { ...base, source: "(direct)", medium: "(none)" } : null;
+};
+
+/**
+ * Record the current page view. Call on every route change; only the
+ * session's entry page and campaign links change anything.
+ */
+export const captureAttribution = (location = window.location) => {
+  const stored = read();
+  const isEntry = !stored.firstTouch;
+
+  // document.referrer never changes inside the SPA, so it only counts on entry
+  const touch = touchFor(location, { referrer: isEntry ? document.referrer : "", entry: isEntry });
+  if (!touch) return;
+
+  write({ firstTouch: stored.firstTouch || touch, lastTouch: touch });
+};
+
+/**
+ * { firstTouch, lastTouch } for form submissions (undefined if nothing was captured).
+ */
+export const getAttribution = () => {
+  const { firstTouch, lastTouch } = read();
+  return firstTouch ? { firstTouch, lastTouch: lastTouch || firstTouch } : undefined;
+};
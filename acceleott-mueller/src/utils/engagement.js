@@ -0,0 +1,54 @@
+// src/utils/engagement.js
+/* ------------------------------------------------------------------
+   👀 Engagement counters
+   How much a visitor browsed before asking for a demo — visits (browser
+   sessions), page views and distinct blog posts read. Kept in
+   localStorage so repeat visits count; sent with demo requests as a
+   lead-scoring signal.
+------------------------------------------------------------------ */
+
+const STORAGE_KEY = "acceleott.engagement";
+const SESSION_KEY = "acceleott.engagement.session";
+const MAX_BLOG_POSTS = 100;
+
+const read = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Count a page view (and a visit on the first page of a session).
+ */
+export const trackPageView = ({ pathname }) => {
+  try {
+    const stats = read();
+    const newVisit = !sessionStorage.getItem(SESSION_KEY);
+    if (newVisit) sessionStorage.setItem(SESSION_KEY, "1");
+
+    const blogPost = pathname.match(/^\/blog\/([^/]+)/)?.[1];
+    const blogPosts = stats.blogPosts || [];
+    if (blogPost && !blogPosts.includes(blogPost)) blogPosts.push(blogPost);
+
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        visits: (stats.visits || 0) + (newVisit ? 1 : 0),
+        pageViews: (stats.pageViews || 0) + 1,
+        blogPosts: blogPosts.slice(-MAX_BLOG_POSTS),
+      })
+    );
+  } catch {
+    // Storage disabled (private mode) — engagement is best effort
+  }
+};
+
+/**
+ * { visits, pageViews, blogPostsViewed } for form submissions.
+ */
+export const getEngagement = () => {
+  const { visits = 0, pageViews = 0, blogPosts = [] } = read();
+  return { visits, pageViews, blogPostsViewed: blogPosts.length };
+};